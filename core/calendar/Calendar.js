@@ -1,8 +1,17 @@
 import { EventStore } from '../events/EventStore.js';
 import { Event } from '../events/Event.js';
+import { Task } from '../events/Task.js';
+import { SeriesEditor } from '../events/SeriesEditor.js';
+import { RRuleParser } from '../events/RRuleParser.js';
+import { RecurrenceTextParser } from '../events/RecurrenceTextParser.js';
 import { StateManager } from '../state/StateManager.js';
 import { DateUtils } from './DateUtils.js';
 import { TimezoneManager } from '../timezone/TimezoneManager.js';
+import { ZonedDateTime } from '../timezone/ZonedDateTime.js';
+import { PlainDate } from '../timezone/PlainDate.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
 
 /**
  * Calendar - Main calendar class with full timezone support
@@ -25,6 +34,7 @@ export class Calendar {
       weekStartsOn: 0, // 0 = Sunday
       locale: 'en-US',
       timeZone: config.timeZone || this.timezoneManager.getSystemTimezone(),
+      secondaryTimeZones: [],
       showWeekNumbers: false,
       showWeekends: true,
       fixedWeekCount: true,
@@ -37,12 +47,15 @@ export class Calendar {
 
     // Initialize core components with timezone support
     this.eventStore = new EventStore({ timezone: this.config.timeZone });
+    this.recurrenceEngine = this.eventStore.recurrenceEngine;
+    this.seriesEditor = new SeriesEditor(this.eventStore);
     this.state = new StateManager({
       view: this.config.view,
       currentDate: this.config.date,
       weekStartsOn: this.config.weekStartsOn,
       locale: this.config.locale,
       timeZone: this.config.timeZone,
+      secondaryTimeZones: this.config.secondaryTimeZones,
       showWeekNumbers: this.config.showWeekNumbers,
       showWeekends: this.config.showWeekends,
       fixedWeekCount: this.config.fixedWeekCount,
@@ -52,6 +65,9 @@ export class Calendar {
     // Event emitter for calendar events
     this.listeners = new Map();
 
+    // Series edits that can be undone, as committed EventStore batches
+    this.editHistory = { undo: [], redo: [] };
+
     // Plugins
     this.plugins = new Set();
 
@@ -164,8 +180,13 @@ export class Calendar {
    * @returns {import('../events/Event.js').Event} The added event
    */
   addEvent(eventData) {
-    // If eventData is not an Event instance and doesn't have a timezone, use calendar's timezone
-    if (!(eventData instanceof Event) && !eventData.timeZone) {
+    // If eventData is not an Event instance and doesn't have a timezone, use calendar's
+    // timezone. Events starting at a ZonedDateTime take its timezone instead
+    if (
+      !(eventData instanceof Event) &&
+      !eventData.timeZone &&
+      !(eventData.start instanceof ZonedDateTime)
+    ) {
       eventData = { ...eventData, timeZone: this.config.timeZone };
     }
 
@@ -272,6 +293,261 @@ export class Calendar {
     return this.eventStore.getEventsInRange(start, end, true, timezone || this.config.timeZone);
   }
 
+  /**
+   * Change a single occurrence of a recurring event. The change is stored in
+   * the event's modifiedInstances
+   * @param {string} eventId - The recurring event ID
+   * @param {Date} occurrenceDate - Start of the occurrence
+   * @param {Partial<import('../../types.js').ModifiedInstance>} modifications - Changed fields
+   * @returns {Event} The updated recurring event
+   */
+  modifyOccurrence(eventId, occurrenceDate, modifications) {
+    const event = this._getRecurringEvent(eventId);
+    return this.updateEvent(eventId, {
+      modifiedInstances: this.recurrenceEngine.withModifiedInstance(
+        event,
+        occurrenceDate,
+        modifications
+      )
+    });
+  }
+
+  /**
+   * Cancel a single occurrence of a recurring event
+   * @param {string} eventId - The recurring event ID
+   * @param {Date} occurrenceDate - Start of the occurrence
+   * @param {string} [reason='Cancelled'] - Why the occurrence was cancelled
+   * @returns {Event} The updated recurring event
+   */
+  cancelOccurrence(eventId, occurrenceDate, reason = 'Cancelled') {
+    const event = this._getRecurringEvent(eventId);
+    return this.updateEvent(eventId, {
+      modifiedInstances: this.recurrenceEngine.withException(event, occurrenceDate, reason)
+    });
+  }
+
+  /**
+   * Edit a recurring event from one of its occurrences. The edit can be
+   * undone with undoEdit()
+   * @param {string} eventId - The recurring event ID
+   * @param {Date} occurrenceDate - Original start of the occurrence
+   * @param {Object} changes - Changed fields; start and end are the occurrence's new times
+   * @param {'this'|'following'|'all'} [scope='this'] - This occurrence only, this and the
+   *   following ones (the series is split in two), or the whole series
+   * @returns {Event} The event now holding the edited occurrence
+   */
+  editRecurringEvent(eventId, occurrenceDate, changes, scope = 'this') {
+    this.eventStore.startBatch(true);
+
+    let event;
+    try {
+      event = this.seriesEditor.edit(eventId, occurrenceDate, changes, scope);
+    } catch (error) {
+      this.eventStore.rollbackBatch();
+      throw error;
+    }
+
+    const batch = this.eventStore.commitBatch();
+    if (batch) {
+      this.editHistory.undo.push(batch);
+      this.editHistory.redo = [];
+    }
+
+    this._emit('seriesEdit', { event, occurrenceDate, changes, scope });
+
+    return event;
+  }
+
+  /**
+   * Check if a series edit can be undone
+   * @returns {boolean}
+   */
+  canUndoEdit() {
+    return this.editHistory.undo.length > 0;
+  }
+
+  /**
+   * Check if an undone series edit can be applied again
+   * @returns {boolean}
+   */
+  canRedoEdit() {
+    return this.editHistory.redo.length > 0;
+  }
+
+  /**
+   * Undo the last series edit
+   * @returns {boolean} True if an edit was undone
+   */
+  undoEdit() {
+    const batch = this.editHistory.undo.pop();
+    if (!batch) {
+      return false;
+    }
+
+    this.editHistory.redo.push(this.eventStore.revertChanges(batch.changes));
+    this._emit('editUndo', { changes: batch.changes });
+    return true;
+  }
+
+  /**
+   * Apply the last undone series edit again
+   * @returns {boolean} True if an edit was redone
+   */
+  redoEdit() {
+    const batch = this.editHistory.redo.pop();
+    if (!batch) {
+      return false;
+    }
+
+    this.editHistory.undo.push(this.eventStore.revertChanges(batch.changes));
+    this._emit('editRedo', { changes: batch.changes });
+    return true;
+  }
+
+  /**
+   * Iterate lazily over the occurrences of an event, for series without an end
+   * or queries such as "the next 5 occurrences after a date"
+   * @param {string} eventId - The event ID
+   * @param {Object} [options] - Expansion options (includeCancelled, includeModified, handleDST)
+   * @returns {import('../events/OccurrenceIterator.js').OccurrenceIterator}
+   */
+  iterateOccurrences(eventId, options = {}) {
+    const event = this.eventStore.getEvent(eventId);
+    if (!event) {
+      throw new Error(`Event with id ${eventId} not found`);
+    }
+    return this.recurrenceEngine.iterate(event, {
+      timezone: event.timeZone || this.config.timeZone,
+      ...options
+    });
+  }
+
+  /**
+   * Describe how an event repeats, in the calendar's locale
+   * @param {string|import('../events/Event.js').Event|Object} eventOrRule - Event ID, event or recurrence rule
+   * @returns {string|null} Description such as "Every 2 weeks on Monday and Wednesday, 10 times", or null if the event does not repeat
+   */
+  describeRecurrence(eventOrRule) {
+    let rule = eventOrRule;
+    let timeZone = this.config.timeZone;
+
+    if (typeof eventOrRule === 'string' && !eventOrRule.includes('=')) {
+      const event = this.eventStore.getEvent(eventOrRule);
+      if (!event) {
+        throw new Error(`Event with id ${eventOrRule} not found`);
+      }
+      rule = event;
+    }
+    if (rule instanceof Event) {
+      if (!rule.recurring || !rule.recurrenceRule) return null;
+      timeZone = rule.timeZone || timeZone;
+      rule = rule.recurrenceRule;
+    }
+
+    return RRuleParser.getDescription(RRuleParser.parse(rule), this.config.locale, { timeZone });
+  }
+
+  /**
+   * Read a recurrence rule from English text such as "every other Tuesday until June".
+   * Numeric dates follow the calendar's locale
+   * @param {string} text - Recurrence text
+   * @param {Object} [options] - Parse options (start of the series)
+   * @returns {{rule: Object|null, rrule: string|null, confidence: number, ambiguities: Array<{text: string, message: string}>, unrecognized: string[]}}
+   */
+  parseRecurrenceText(text, options = {}) {
+    return new RecurrenceTextParser(this.config.locale).parse(text, options);
+  }
+
+  /**
+   * Add a task
+   * @param {Task|import('../../types.js').TaskData} taskData - Task data or Task instance
+   * @returns {Task} The added task
+   */
+  addTask(taskData) {
+    // Tasks due at a ZonedDateTime take its timezone, like events
+    if (
+      !(taskData instanceof Task) &&
+      !taskData.timeZone &&
+      !(taskData.due instanceof ZonedDateTime) &&
+      !(taskData.start instanceof ZonedDateTime)
+    ) {
+      taskData = { ...taskData, timeZone: this.config.timeZone };
+    }
+
+    const task = this.eventStore.addTask(taskData);
+
+    this._emit('taskAdd', { task });
+
+    return task;
+  }
+
+  /**
+   * Update a task
+   * @param {string} taskId - The task ID
+   * @param {Partial<import('../../types.js').TaskData>} updates - Properties to update
+   * @returns {Task} The updated task
+   */
+  updateTask(taskId, updates) {
+    const oldTask = this.eventStore.getTask(taskId);
+    const task = this.eventStore.updateTask(taskId, updates);
+
+    this._emit('taskUpdate', { task, oldTask });
+
+    return task;
+  }
+
+  /**
+   * Remove a task
+   * @param {string} taskId - The task ID
+   * @returns {boolean} True if removed
+   */
+  removeTask(taskId) {
+    const task = this.eventStore.getTask(taskId);
+    const removed = this.eventStore.removeTask(taskId);
+
+    if (removed) {
+      this._emit('taskRemove', { task });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Get a task by ID
+   * @param {string} taskId - The task ID
+   * @returns {Task|null}
+   */
+  getTask(taskId) {
+    return this.eventStore.getTask(taskId);
+  }
+
+  /**
+   * Get all tasks
+   * @returns {Task[]}
+   */
+  getTasks() {
+    return this.eventStore.getAllTasks();
+  }
+
+  /**
+   * Get tasks due on a specific date
+   * @param {Date} date - The date
+   * @returns {Task[]}
+   */
+  getTasksForDate(date) {
+    return this.eventStore.getTasksForDate(date);
+  }
+
+  /**
+   * Get tasks due in a date range
+   * @param {Date} start - Start date
+   * @param {Date} end - End date
+   * @returns {Task[]}
+   */
+  getTasksInRange(start, end) {
+    return this.eventStore.getTasksInRange(start, end);
+  }
+
   /**
    * Set the calendar's timezone
    * @param {string} timezone - IANA timezone identifier
@@ -298,6 +574,32 @@ export class Calendar {
     return this.config.timeZone;
   }
 
+  /**
+   * Set the timezones shown alongside the calendar's in the day and week
+   * views, e.g. for teammates in other offices
+   * @param {string[]} timezones - IANA timezone identifiers
+   */
+  setSecondaryTimezones(timezones) {
+    const previousTimezones = this.config.secondaryTimeZones;
+    const parsedTimezones = timezones.map(timezone => this.timezoneManager.parseTimezone(timezone));
+
+    this.config.secondaryTimeZones = parsedTimezones;
+    this.state.setState({ secondaryTimeZones: parsedTimezones });
+
+    this._emit('secondaryTimezonesChange', {
+      timezones: parsedTimezones,
+      previousTimezones
+    });
+  }
+
+  /**
+   * Get the secondary timezones
+   * @returns {string[]} Secondary timezones
+   */
+  getSecondaryTimezones() {
+    return [...this.config.secondaryTimeZones];
+  }
+
   /**
    * Set the calendar locale
    * @param {string} locale - Locale identifier (e.g. 'en-US')
@@ -451,11 +753,13 @@ export class Calendar {
 
         week.days.push({
           date: dayDate,
+          plainDate: PlainDate.fromDate(dayDate),
           dayOfMonth: dayDate.getDate(),
           isCurrentMonth,
           isToday,
           isWeekend,
-          events: this.getEventsForDate(dayDate)
+          events: this.getEventsForDate(dayDate),
+          tasks: this.getTasksForDate(dayDate)
         });
 
         // Use DateUtils.addDays to handle month boundaries correctly
@@ -470,6 +774,7 @@ export class Calendar {
       year,
       month,
       monthName: DateUtils.getMonthName(date, this.state.get('locale')),
+      timeZone: this.config.timeZone,
       weeks,
       startDate,
       endDate: new Date(currentDate.getTime() - 1) // Last moment of the view
@@ -485,22 +790,42 @@ export class Calendar {
     const startDate = DateUtils.startOfWeek(date, weekStartsOn);
     const endDate = DateUtils.endOfWeek(date, weekStartsOn);
 
+    // Hour slots are only built when they differ from a plain 24-hour grid:
+    // for secondary timezone labels, or when a DST change falls in the week
+    const firstDay = PlainDate.fromDate(startDate);
+    const withHours =
+      this.config.secondaryTimeZones.length > 0 ||
+      this.timezoneManager.getTransitions(
+        this.config.timeZone,
+        firstDay.toZonedDateTime(this.config.timeZone).toInstant(),
+        firstDay.add({ days: 7 }).toZonedDateTime(this.config.timeZone).toInstant()
+      ).length > 0;
+
     const days = [];
     const currentDate = new Date(startDate);
 
     for (let i = 0; i < 7; i++) {
       const dayDate = new Date(currentDate);
+      const events = this.getEventsForDate(dayDate);
       days.push({
         date: dayDate,
+        plainDate: PlainDate.fromDate(dayDate),
         dayOfMonth: dayDate.getDate(),
         dayOfWeek: dayDate.getDay(),
         dayName: DateUtils.getDayName(dayDate, this.state.get('locale')),
         isToday: DateUtils.isToday(dayDate),
         isWeekend: dayDate.getDay() === 0 || dayDate.getDay() === 6,
-        events: this.getEventsForDate(dayDate),
+        events,
         // Add overlap groups for positioning overlapping events
         overlapGroups: this.eventStore.getOverlapGroups(dayDate, true),
-        getEventPositions: events => this.eventStore.calculateEventPositions(events)
+        getEventPositions: events => this.eventStore.calculateEventPositions(events),
+        tasks: this.getTasksForDate(dayDate),
+        hours: withHours
+          ? this._getHourSlots(
+              dayDate,
+              events.filter(e => !e.allDay)
+            )
+          : null
       });
       // Move to next day
       currentDate.setDate(currentDate.getDate() + 1);
@@ -509,6 +834,8 @@ export class Calendar {
     return {
       type: 'week',
       weekNumber: DateUtils.getWeekNumber(startDate),
+      timeZone: this.config.timeZone,
+      secondaryTimeZones: [...this.config.secondaryTimeZones],
       startDate,
       endDate,
       days
@@ -526,35 +853,136 @@ export class Calendar {
     const allDayEvents = events.filter(e => e.allDay);
     const timedEvents = events.filter(e => !e.allDay);
 
-    // Create hourly slots for timed events
-    const hours = [];
-    for (let hour = 0; hour < 24; hour++) {
-      const hourDate = new Date(date);
-      hourDate.setHours(hour, 0, 0, 0);
-      const hourEnd = new Date(date);
-      hourEnd.setHours(hour + 1, 0, 0, 0);
-
-      hours.push({
-        hour,
-        time: DateUtils.formatTime(hourDate, this.state.get('locale')),
-        events: timedEvents.filter(event => {
-          // Check if event occurs during this hour (not just starts)
-          // Event occurs in this hour if it overlaps with the hour slot
-          return event.start < hourEnd && event.end > hourDate;
-        })
-      });
-    }
-
     return {
       type: 'day',
       date,
+      plainDate: PlainDate.fromDate(date),
+      timeZone: this.config.timeZone,
+      secondaryTimeZones: [...this.config.secondaryTimeZones],
       dayName: DateUtils.getDayName(date, this.state.get('locale')),
       isToday: DateUtils.isToday(date),
       allDayEvents,
-      hours
+      tasks: this.getTasksForDate(date),
+      // Hourly slots for timed events
+      hours: this._getHourSlots(date, timedEvents)
     };
   }
 
+  /**
+   * Hourly slots of a day in the calendar timezone. Slots follow the wall
+   * clock, so a day has 23 or 25 of them when DST starts or ends, and a
+   * half-hour change gives a half-hour slot. Each slot also carries its
+   * start in the secondary timezones
+   * @private
+   */
+  _getHourSlots(date, timedEvents) {
+    const timeZone = this.config.timeZone;
+    const locale = this.state.get('locale');
+    const plainDate = PlainDate.fromDate(date);
+    const dayStart = plainDate.toZonedDateTime(timeZone).epochMilliseconds;
+    const dayEnd = plainDate.add({ days: 1 }).toZonedDateTime(timeZone).epochMilliseconds;
+
+    // Between offset changes the offset is fixed, so a slot starts at each
+    // whole wall-clock hour, counted in UTC instants; an hour repeated by a
+    // change then gets two slots and a skipped one none. A change part way
+    // into an hour starts a shorter slot
+    const changes = this.timezoneManager
+      .getTransitions(timeZone, new Date(dayStart), new Date(dayEnd))
+      .map(transition => transition.date.getTime());
+    const boundaries = [];
+    [dayStart, ...changes].forEach((start, index, starts) => {
+      const end = index + 1 < starts.length ? starts[index + 1] : dayEnd;
+      const offset = ZonedDateTime.fromInstant(start, timeZone).offsetMinutes * MINUTE_MS;
+      boundaries.push(start);
+      const intoHour = (((start + offset) % HOUR_MS) + HOUR_MS) % HOUR_MS;
+      for (let time = start - intoHour + HOUR_MS; time < end; time += HOUR_MS) {
+        boundaries.push(time);
+      }
+    });
+    boundaries.push(dayEnd);
+
+    const secondarySlots = this.config.secondaryTimeZones.map(secondaryTimeZone =>
+      this._getSecondarySlots(plainDate, boundaries, secondaryTimeZone)
+    );
+
+    return boundaries.slice(0, -1).map((start, index) => {
+      const end = boundaries[index + 1];
+      const zonedStart = ZonedDateTime.fromInstant(start, timeZone);
+
+      return {
+        hour: zonedStart.hour,
+        time: this._formatSlotTime(zonedStart, locale),
+        zonedStart,
+        zonedEnd: ZonedDateTime.fromInstant(end, timeZone),
+        secondary: secondarySlots.map(slots => slots[index]),
+        // Events that overlap the slot, not just those starting in it
+        events: timedEvents.filter(
+          event => event.startUTC.getTime() < end && event.endUTC.getTime() > start
+        )
+      };
+    });
+  }
+
+  /**
+   * Hourly slots as seen in a secondary timezone: each slot's local start,
+   * and where that timezone's date changes if it does within a slot
+   * @private
+   */
+  _getSecondarySlots(plainDate, boundaries, timeZone) {
+    const locale = this.state.get('locale');
+    const zoned = boundaries.map(time => ZonedDateTime.fromInstant(time, timeZone));
+    const dates = zoned.map(value => value.toPlainDate());
+
+    const slots = zoned.slice(0, -1).map((zonedStart, index) => ({
+      timeZone,
+      hour: zonedStart.hour,
+      minute: zonedStart.minute,
+      time: this._formatSlotTime(zonedStart, locale),
+      zonedStart,
+      plainDate: dates[index],
+      // Days ahead of (or behind) the calendar's date, for "+1" labels
+      dayOffset: plainDate.until(dates[index]),
+      dayBoundary: null
+    }));
+
+    // The date can change right at the first slot or after any slot start
+    const previousDate = ZonedDateTime.fromInstant(boundaries[0] - 1, timeZone).toPlainDate();
+    if (!previousDate.equals(dates[0])) {
+      slots[0].dayBoundary = { plainDate: dates[0], minutesIntoSlot: 0 };
+    }
+    for (let index = 0; index < slots.length; index++) {
+      if (dates[index + 1].equals(dates[index])) continue;
+
+      const nextDay = dates[index].add({ days: 1 }).toZonedDateTime(timeZone);
+      if (nextDay.epochMilliseconds === boundaries[index + 1]) {
+        // Starts the next slot, if that is still on this day
+        if (slots[index + 1]) {
+          slots[index + 1].dayBoundary = { plainDate: dates[index + 1], minutesIntoSlot: 0 };
+        }
+      } else {
+        slots[index].dayBoundary = {
+          plainDate: nextDay.toPlainDate(),
+          minutesIntoSlot: (nextDay.epochMilliseconds - boundaries[index]) / MINUTE_MS
+        };
+      }
+    }
+    return slots;
+  }
+
+  /**
+   * Label for a slot start, formatted from its fields in UTC so neither the
+   * host timezone nor Intl timezone support comes into it
+   * @private
+   */
+  _formatSlotTime(zoned, locale) {
+    return DateUtils.format(new Date(Date.UTC(2000, 0, 1, zoned.hour, zoned.minute)), locale, {
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true,
+      timeZone: 'UTC'
+    });
+  }
+
   /**
    * Get list view data
    * @private
@@ -588,16 +1016,19 @@ export class Calendar {
       .sort((a, b) => a.date - b.date)
       .map(day => ({
         ...day,
+        plainDate: PlainDate.fromDate(day.date),
         dayName: DateUtils.getDayName(day.date, this.state.get('locale')),
         isToday: DateUtils.isToday(day.date)
       }));
 
     return {
       type: 'list',
+      timeZone: this.config.timeZone,
       startDate,
       endDate,
       days,
-      totalEvents: events.length
+      totalEvents: events.length,
+      tasks: this.getTasksInRange(startDate, endDate)
     };
   }
 
@@ -693,6 +1124,18 @@ export class Calendar {
     }
   }
 
+  /**
+   * Get a stored recurring event or throw
+   * @private
+   */
+  _getRecurringEvent(eventId) {
+    const event = this.eventStore.getEvent(eventId);
+    if (!event || !event.recurring) {
+      throw new Error('Event not found or not recurring');
+    }
+    return event;
+  }
+
   /**
    * Set up internal listeners
    * @private
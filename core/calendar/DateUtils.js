@@ -1,8 +1,17 @@
 /**
  * DateUtils - Date manipulation utilities
- * Pure functions, no external dependencies
+ * Stateless helpers, no DOM dependencies. The timezone helpers rely on the
+ * shared TimezoneManager and the ZonedDateTime and PlainDate types
  * Locker Service compatible
  */
+
+import { TimezoneManager } from '../timezone/TimezoneManager.js';
+import { ZonedDateTime } from '../timezone/ZonedDateTime.js';
+import { PlainDate } from '../timezone/PlainDate.js';
+
+// Intl formatters are slow to create, so each locale and option set gets one
+const formatters = new Map();
+
 export class DateUtils {
   /**
    * Get the start of a day
@@ -321,7 +330,13 @@ export class DateUtils {
    * @returns {string}
    */
   static format(date, locale = 'en-US', options = {}) {
-    return new Intl.DateTimeFormat(locale, options).format(date);
+    const key = `${locale}|${JSON.stringify(options)}`;
+    let formatter = formatters.get(key);
+    if (!formatter) {
+      formatter = new Intl.DateTimeFormat(locale, options);
+      formatters.set(key, formatter);
+    }
+    return formatter.format(date);
   }
 
   /**
@@ -434,6 +449,8 @@ export class DateUtils {
 
   /**
    * Convert a date to a specific timezone
+   * @deprecated The result's local fields show the time in `timeZone` but its
+   * epoch is shifted away from the real instant. Use toZonedDateTime
    * @param {Date} date - The date to convert
    * @param {string} timeZone - IANA timezone string (e.g., 'America/New_York')
    * @returns {Date} - Date object adjusted for timezone
@@ -465,6 +482,25 @@ export class DateUtils {
     );
   }
 
+  /**
+   * An instant as a ZonedDateTime in a timezone
+   * @param {Date|number} date - The instant
+   * @param {string} timeZone - IANA timezone string
+   * @returns {ZonedDateTime}
+   */
+  static toZonedDateTime(date, timeZone) {
+    return ZonedDateTime.fromInstant(date, timeZone);
+  }
+
+  /**
+   * The calendar date of a wall-clock date, or of a ZonedDateTime
+   * @param {Date|ZonedDateTime} date - The date
+   * @returns {PlainDate}
+   */
+  static toPlainDate(date) {
+    return PlainDate.from(date);
+  }
+
   /**
    * Get timezone offset in minutes for a date
    * @param {Date} date - The date
@@ -484,13 +520,7 @@ export class DateUtils {
    * @returns {boolean}
    */
   static isDST(date, timeZone) {
-    const jan = new Date(date.getFullYear(), 0, 1);
-    const jul = new Date(date.getFullYear(), 6, 1);
-    const janOffset = DateUtils.getTimezoneOffset(jan, timeZone);
-    const julOffset = DateUtils.getTimezoneOffset(jul, timeZone);
-    const currentOffset = DateUtils.getTimezoneOffset(date, timeZone);
-
-    return Math.max(janOffset, julOffset) === currentOffset;
+    return TimezoneManager.getInstance().isDST(date, timeZone);
   }
 
   /**
@@ -47,13 +47,17 @@ export class ConflictDetector {
     const searchStart = new Date(event.start.getTime() - opts.bufferMinutes * 60000);
     const searchEnd = new Date(event.end.getTime() + opts.bufferMinutes * 60000);
 
+    // Recurring events take part through their occurrences
     const potentialConflicts = this.eventStore
-      .getEventsInRange(searchStart, searchEnd, false)
+      .getEventsInRange(searchStart, searchEnd, true)
       .filter(e => {
-        // Exclude self
-        if (e.id === event.id) return false;
+        const seriesId = e.metadata.recurringEventId || e.id;
+        // Exclude self, including other occurrences of the same series
+        if (e.id === event.id || seriesId === event.id) return false;
         // Exclude specified event IDs
-        if (opts.excludeEventIds.includes(e.id)) return false;
+        if (opts.excludeEventIds.includes(e.id) || opts.excludeEventIds.includes(seriesId)) {
+          return false;
+        }
         // Filter by status
         if (!opts.includeStatuses.includes(e.status)) return false;
         // Ignore all-day events if specified
@@ -121,7 +125,7 @@ export class ConflictDetector {
     };
 
     const busyPeriods = [];
-    const events = this.eventStore.getEventsInRange(start, end, false);
+    const events = this.eventStore.getEventsInRange(start, end, true);
 
     // Find events with these attendees
     const attendeeEvents = events.filter(event => {
@@ -488,7 +492,7 @@ export class ConflictDetector {
    */
   _getAllBusyPeriods(start, end) {
     const events = this.eventStore
-      .getEventsInRange(start, end, false)
+      .getEventsInRange(start, end, true)
       .filter(e => e.status !== 'cancelled');
 
     return events
@@ -5,15 +5,45 @@
  */
 
 import { TimezoneManager } from '../timezone/TimezoneManager.js';
+import { ZonedDateTime } from '../timezone/ZonedDateTime.js';
+import { PlainDate } from '../timezone/PlainDate.js';
 
 export class Event {
   /**
-   * Normalize event data
+   * Normalize event data. startUTC and endUTC are set to the exact instants
+   * of ZonedDateTime values, which their wall-clock times alone may not pin
+   * down, or else to the instants given with the data, if any
    * @param {import('../../types.js').EventData} data - Raw event data
    * @returns {import('../../types.js').EventData} Normalized event data
    */
   static normalize(data) {
-    const normalized = { ...data };
+    const normalized = {
+      ...data,
+      startUTC: data.startUTC ? new Date(data.startUTC) : null,
+      endUTC: data.endUTC ? new Date(data.endUTC) : null
+    };
+
+    // ZonedDateTime and PlainDate values become wall-clock Dates. A
+    // ZonedDateTime supplies the timezone unless one is given
+    if (normalized.start instanceof ZonedDateTime) {
+      normalized.timeZone = normalized.timeZone || normalized.start.timeZone;
+      normalized.startUTC = new Date(normalized.start.epochMilliseconds);
+      normalized.start = normalized.start.withTimeZone(normalized.timeZone).toDate();
+    }
+    if (normalized.end instanceof ZonedDateTime) {
+      const endTimeZone = normalized.endTimeZone || data.timeZone || normalized.end.timeZone;
+      if (endTimeZone !== normalized.timeZone) {
+        normalized.endTimeZone = endTimeZone;
+      }
+      normalized.endUTC = new Date(normalized.end.epochMilliseconds);
+      normalized.end = normalized.end.withTimeZone(endTimeZone).toDate();
+    }
+    if (normalized.start instanceof PlainDate) {
+      normalized.start = normalized.start.toDate();
+    }
+    if (normalized.end instanceof PlainDate) {
+      normalized.end = normalized.end.toDate();
+    }
 
     // Always clone Date objects to avoid mutating caller's data
     if (normalized.start) {
@@ -26,6 +56,7 @@ export class Event {
     // If no end date, set it to start date
     if (!normalized.end) {
       normalized.end = normalized.start ? new Date(normalized.start) : null;
+      normalized.endUTC = normalized.startUTC;
     }
 
     // For all-day events, normalize times to midnight
@@ -35,6 +66,8 @@ export class Event {
       if (normalized.end) {
         normalized.end.setHours(23, 59, 59, 999);
       }
+      normalized.startUTC = null;
+      normalized.endUTC = null;
     }
 
     // Normalize string fields
@@ -59,6 +92,32 @@ export class Event {
 
     normalized.attachments = Array.isArray(normalized.attachments) ? normalized.attachments : [];
 
+    // Recurrence exceptions (EXDATE), extra dates (RDATE) and modified occurrences
+    normalized.excludeDates = Array.isArray(normalized.excludeDates)
+      ? normalized.excludeDates.map(date => new Date(date))
+      : [];
+    // RDATE PERIOD values are {start, end}; plain RDATEs take the series duration
+    normalized.additionalDates = Array.isArray(normalized.additionalDates)
+      ? normalized.additionalDates.map(value =>
+          value && typeof value === 'object' && !(value instanceof Date)
+            ? { start: new Date(value.start), end: new Date(value.end) }
+            : new Date(value)
+        )
+      : [];
+    normalized.modifiedInstances = Array.isArray(normalized.modifiedInstances)
+      ? normalized.modifiedInstances.map(instance => {
+          const copy = { ...instance, recurrenceId: new Date(instance.recurrenceId) };
+          if (copy.start) copy.start = new Date(copy.start);
+          if (copy.end) copy.end = new Date(copy.end);
+          return copy;
+        })
+      : [];
+
+    // Scheduling revision number (iCalendar SEQUENCE)
+    normalized.sequence = Number(normalized.sequence) || 0;
+    normalized.priority = Number(normalized.priority) || 0;
+    normalized.url = normalized.url ? String(normalized.url).trim() : null;
+
     // Normalize status and visibility
     const validStatuses = ['confirmed', 'tentative', 'cancelled'];
     if (!validStatuses.includes(normalized.status)) {
@@ -116,6 +175,26 @@ export class Event {
       throw new Error('Recurring events must have a recurrence rule');
     }
 
+    // Validate recurrence instance dates
+    const isValidDate = date => date instanceof Date && !isNaN(date.getTime());
+    if ((data.excludeDates || []).some(date => !isValidDate(date))) {
+      throw new Error('Invalid date in excludeDates');
+    }
+    for (const value of data.additionalDates || []) {
+      if (value instanceof Date) {
+        if (!isValidDate(value)) {
+          throw new Error('Invalid date in additionalDates');
+        }
+      } else if (!isValidDate(value.start) || !isValidDate(value.end) || value.end < value.start) {
+        throw new Error('Invalid period in additionalDates');
+      }
+    }
+    (data.modifiedInstances || []).forEach((instance, index) => {
+      if (!(instance.recurrenceId instanceof Date) || isNaN(instance.recurrenceId.getTime())) {
+        throw new Error(`Modified instance at index ${index} must have a valid recurrenceId`);
+      }
+    });
+
     // Validate attendees
     if (data.attendees && data.attendees.length > 0) {
       data.attendees.forEach((attendee, index) => {
@@ -136,14 +215,34 @@ export class Event {
         if (!reminder.method || reminder.minutesBefore == null) {
           throw new Error(`Reminder at index ${index} must have method and minutesBefore`);
         }
-        if (reminder.minutesBefore < 0) {
-          throw new Error('Reminder minutesBefore must be non-negative');
+        // Negative values alert after the start
+        if (!Number.isFinite(reminder.minutesBefore)) {
+          throw new Error('Reminder minutesBefore must be a number');
         }
       });
     }
 
-    // Validate timezone if provided
-    if (data.timeZone) {
+    // Validate scheduling sequence
+    if (!Number.isInteger(data.sequence) || data.sequence < 0) {
+      throw new Error('Event sequence must be a non-negative integer');
+    }
+
+    // RFC 5545: 0 is undefined, 1 is the highest and 9 the lowest priority
+    if (!Number.isInteger(data.priority) || data.priority < 0 || data.priority > 9) {
+      throw new Error('Event priority must be an integer between 0 and 9');
+    }
+
+    // Validate geographic position
+    if (data.geo) {
+      const { latitude, longitude } = data.geo;
+      if (!(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) {
+        throw new Error('Event geo must have a valid latitude and longitude');
+      }
+    }
+
+    // Validate timezone if provided. Zones in the loaded tzdata are valid
+    // even where Intl supports no timezones
+    if (data.timeZone && !TimezoneManager.getInstance().isValidTimezone(data.timeZone)) {
       try {
         // Test if timezone is valid by trying to use it
         new Intl.DateTimeFormat('en-US', { timeZone: data.timeZone });
@@ -172,8 +271,12 @@ export class Event {
     textColor = null,
     recurring = false,
     recurrenceRule = null,
+    excludeDates = [],
+    additionalDates = [],
+    modifiedInstances = [],
     timeZone = null,
     endTimeZone = null,
+    disambiguation = 'compatible',
     status = 'confirmed',
     visibility = 'public',
     organizer = null,
@@ -183,6 +286,10 @@ export class Event {
     categories, // Support plural categories (no default)
     attachments = [],
     conferenceData = null,
+    sequence = 0,
+    priority = 0,
+    url = null,
+    geo = null,
     metadata = {},
     ...rest // Capture any extra properties
   }) {
@@ -201,8 +308,12 @@ export class Event {
       textColor,
       recurring,
       recurrenceRule,
+      excludeDates,
+      additionalDates,
+      modifiedInstances,
       timeZone,
       endTimeZone,
+      disambiguation,
       status,
       visibility,
       organizer,
@@ -212,6 +323,10 @@ export class Event {
       categories, // Pass categories to normalize
       attachments,
       conferenceData,
+      sequence,
+      priority,
+      url,
+      geo,
       metadata,
       ...rest // Pass any extra properties
     });
@@ -231,13 +346,15 @@ export class Event {
     this.timeZone = normalized.timeZone || this._timezoneManager.getSystemTimezone();
     this.endTimeZone = normalized.endTimeZone || this.timeZone; // Different end timezone for flights etc.
 
+    // How wall-clock times skipped or repeated by a DST change resolve
+    this.disambiguation = normalized.disambiguation;
+
     // Store dates as provided (wall-clock time in event timezone)
     this.start = normalized.start;
     this.end = normalized.end;
 
     // Store UTC versions for efficient querying and comparison
-    this.startUTC = this._timezoneManager.toUTC(this.start, this.timeZone);
-    this.endUTC = this._timezoneManager.toUTC(this.end, this.endTimeZone);
+    this._resolveTimes(normalized);
 
     this.allDay = normalized.allDay;
     this.description = normalized.description;
@@ -253,6 +370,11 @@ export class Event {
     this.recurring = normalized.recurring;
     this.recurrenceRule = normalized.recurrenceRule;
 
+    // Occurrence-level changes to the series, kept with the event itself
+    this.excludeDates = normalized.excludeDates;
+    this.additionalDates = normalized.additionalDates;
+    this.modifiedInstances = normalized.modifiedInstances;
+
     // Store original timezone from system if not provided
     this._originalTimeZone = normalized.timeZone || null;
 
@@ -276,6 +398,14 @@ export class Event {
     // Conference/Virtual meeting
     this.conferenceData = normalized.conferenceData;
 
+    // Scheduling revision, bumped by the organizer on significant changes
+    this.sequence = normalized.sequence;
+
+    // Priority (1 highest, 9 lowest, 0 undefined), link and position
+    this.priority = normalized.priority;
+    this.url = normalized.url;
+    this.geo = normalized.geo ? { ...normalized.geo } : null;
+
     // Custom metadata for extensibility
     this.metadata = { ...normalized.metadata };
 
@@ -323,17 +453,62 @@ export class Event {
     return this._timezoneManager.fromUTC(this.endUTC, timezone);
   }
 
+  /**
+   * Start as a ZonedDateTime in the event's timezone
+   * @returns {ZonedDateTime}
+   */
+  get zonedStart() {
+    return ZonedDateTime.fromInstant(this.startUTC, this.timeZone);
+  }
+
+  /**
+   * End as a ZonedDateTime in the event's end timezone
+   * @returns {ZonedDateTime}
+   */
+  get zonedEnd() {
+    return ZonedDateTime.fromInstant(this.endUTC, this.endTimeZone);
+  }
+
+  /**
+   * Set startUTC and endUTC from the wall-clock times. The wall-clock times
+   * are kept as given, so a recurring series still repeats the time the
+   * user chose on days without a DST change
+   * @private
+   * @param {{startUTC: Date|null, endUTC: Date|null}} [instants] - Exact instants
+   *   already known, from ZonedDateTime values or an earlier copy of the event.
+   *   One is kept while it still shows the wall-clock time in its timezone
+   * @throws {Error} If a time is skipped or repeated and disambiguation is 'reject'
+   */
+  _resolveTimes({ startUTC = null, endUTC = null } = {}) {
+    const options = { disambiguation: this.disambiguation };
+    const resolve = (wall, timeZone, instant) =>
+      instant && this._timezoneManager.fromUTC(instant, timeZone).getTime() === wall.getTime()
+        ? new Date(instant)
+        : this._timezoneManager.toUTC(wall, timeZone, options);
+
+    this.startUTC = resolve(this.start, this.timeZone, startUTC);
+    this.endUTC = resolve(this.end, this.endTimeZone, endUTC);
+  }
+
   /**
    * Update event times preserving the timezone
-   * @param {Date} start - New start date
-   * @param {Date} end - New end date
+   * @param {Date|ZonedDateTime} start - New start date
+   * @param {Date|ZonedDateTime} end - New end date
    * @param {string} [timezone] - Timezone for the new dates
    */
   updateTimes(start, end, timezone) {
-    const tz = timezone || this.timeZone;
+    const toWallDate = (value, tz) => {
+      if (value instanceof ZonedDateTime) {
+        return value.withTimeZone(tz).toDate();
+      }
+      return value instanceof Date ? value : new Date(value);
+    };
+    // A ZonedDateTime is an exact instant, even where its wall-clock time repeats
+    const toInstant = value =>
+      value instanceof ZonedDateTime ? new Date(value.epochMilliseconds) : null;
 
-    this.start = start instanceof Date ? start : new Date(start);
-    this.end = end instanceof Date ? end : new Date(end);
+    this.start = toWallDate(start, timezone || this.timeZone);
+    this.end = toWallDate(end, timezone || this.endTimeZone);
 
     if (timezone) {
       this.timeZone = timezone;
@@ -341,8 +516,7 @@ export class Event {
     }
 
     // Update UTC versions
-    this.startUTC = this._timezoneManager.toUTC(this.start, this.timeZone);
-    this.endUTC = this._timezoneManager.toUTC(this.end, this.endTimeZone);
+    this._resolveTimes({ startUTC: toInstant(start), endUTC: toInstant(end) });
 
     // Clear cache
     this._cache = {};
@@ -462,6 +636,9 @@ export class Event {
       title: this.title,
       start: new Date(this.start),
       end: new Date(this.end),
+      // The instants of repeated wall-clock times, dropped if the times change
+      startUTC: this.startUTC,
+      endUTC: this.endUTC,
       allDay: this.allDay,
       description: this.description,
       location: this.location,
@@ -471,7 +648,13 @@ export class Event {
       textColor: this.textColor,
       recurring: this.recurring,
       recurrenceRule: this.recurrenceRule,
+      excludeDates: this.excludeDates,
+      additionalDates: this.additionalDates,
+      modifiedInstances: this.modifiedInstances,
       timeZone: this.timeZone,
+      // Only carry a distinct end zone so timeZone updates still apply to both
+      endTimeZone: this.endTimeZone !== this.timeZone ? this.endTimeZone : null,
+      disambiguation: this.disambiguation,
       status: this.status,
       visibility: this.visibility,
       organizer: this.organizer ? { ...this.organizer } : null,
@@ -480,6 +663,10 @@ export class Event {
       categories: [...this.categories],
       attachments: this.attachments.map(a => ({ ...a })),
       conferenceData: this.conferenceData ? { ...this.conferenceData } : null,
+      sequence: this.sequence,
+      priority: this.priority,
+      url: this.url,
+      geo: this.geo ? { ...this.geo } : null,
       metadata: { ...this.metadata },
       ...updates
     });
@@ -495,6 +682,8 @@ export class Event {
       title: this.title,
       start: this.start.toISOString(),
       end: this.end.toISOString(),
+      startUTC: this.startUTC.toISOString(),
+      endUTC: this.endUTC.toISOString(),
       allDay: this.allDay,
       description: this.description,
       location: this.location,
@@ -504,7 +693,21 @@ export class Event {
       textColor: this.textColor,
       recurring: this.recurring,
       recurrenceRule: this.recurrenceRule,
+      excludeDates: this.excludeDates.map(date => date.toISOString()),
+      additionalDates: this.additionalDates.map(value =>
+        value instanceof Date
+          ? value.toISOString()
+          : { start: value.start.toISOString(), end: value.end.toISOString() }
+      ),
+      modifiedInstances: this.modifiedInstances.map(instance => {
+        const plain = { ...instance, recurrenceId: instance.recurrenceId.toISOString() };
+        if (instance.start) plain.start = instance.start.toISOString();
+        if (instance.end) plain.end = instance.end.toISOString();
+        return plain;
+      }),
       timeZone: this.timeZone,
+      endTimeZone: this.endTimeZone,
+      disambiguation: this.disambiguation,
       status: this.status,
       visibility: this.visibility,
       organizer: this.organizer,
@@ -513,6 +716,10 @@ export class Event {
       categories: this.categories,
       attachments: this.attachments,
       conferenceData: this.conferenceData,
+      sequence: this.sequence,
+      priority: this.priority,
+      url: this.url,
+      geo: this.geo,
       metadata: { ...this.metadata }
     };
   }
@@ -816,8 +1023,8 @@ export class Event {
    */
   _validateReminders() {
     for (const reminder of this.reminders) {
-      if (typeof reminder.minutesBefore !== 'number' || reminder.minutesBefore < 0) {
-        throw new Error('Reminder minutesBefore must be a positive number');
+      if (!Number.isFinite(reminder.minutesBefore)) {
+        throw new Error('Reminder minutesBefore must be a number');
       }
 
       const validMethods = ['email', 'popup', 'sms'];
@@ -1,6 +1,7 @@
 import { Event } from './Event.js';
+import { Task } from './Task.js';
 import { DateUtils } from '../calendar/DateUtils.js';
-import { RecurrenceEngine } from './RecurrenceEngine.js';
+import { RecurrenceEngineV2 } from './RecurrenceEngineV2.js';
 import { PerformanceOptimizer } from '../performance/PerformanceOptimizer.js';
 import { ConflictDetector } from '../conflicts/ConflictDetector.js';
 import { TimezoneManager } from '../timezone/TimezoneManager.js';
@@ -15,6 +16,8 @@ export class EventStore {
     // Primary storage - Map for O(1) ID lookups
     /** @type {Map<string, Event>} */
     this.events = new Map();
+    /** @type {Map<string, Task>} */
+    this.tasks = new Map();
 
     // Indices for efficient queries (using UTC for consistent indexing)
     this.indices = {
@@ -27,7 +30,9 @@ export class EventStore {
       /** @type {Map<string, Set<string>>} Category -> Set of event IDs */
       byCategory: new Map(),
       /** @type {Map<string, Set<string>>} Status -> Set of event IDs */
-      byStatus: new Map()
+      byStatus: new Map(),
+      /** @type {Map<string, Set<string>>} Local due (or start) date string -> Set of task IDs */
+      tasksByDate: new Map()
     };
 
     // Timezone manager for conversions (use singleton to share cache)
@@ -39,6 +44,9 @@ export class EventStore {
     // Performance optimizer
     this.optimizer = new PerformanceOptimizer(config.performance);
 
+    // Shared recurrence engine, so every entry point expands series the same way
+    this.recurrenceEngine = RecurrenceEngineV2.getInstance();
+
     // Conflict detector
     this.conflictDetector = new ConflictDetector(this);
 
@@ -80,19 +88,11 @@ export class EventStore {
       this._indexEvent(event);
 
       // Notify listeners (batch if in batch mode)
-      if (this.isBatchMode) {
-        this.batchNotifications.push({
-          type: 'add',
-          event,
-          version: ++this.version
-        });
-      } else {
-        this._notifyChange({
-          type: 'add',
-          event,
-          version: ++this.version
-        });
-      }
+      this._recordChange({
+        type: 'add',
+        event,
+        version: ++this.version
+      });
 
       return event;
     });
@@ -113,6 +113,7 @@ export class EventStore {
 
     // Remove old indices
     this._unindexEvent(existingEvent);
+    this.optimizer.invalidateEventCaches(eventId);
 
     // Create updated event
     const updatedEvent = existingEvent.clone(updates);
@@ -124,7 +125,7 @@ export class EventStore {
     this._indexEvent(updatedEvent);
 
     // Notify listeners
-    this._notifyChange({
+    this._recordChange({
       type: 'update',
       event: updatedEvent,
       oldEvent: existingEvent,
@@ -150,9 +151,10 @@ export class EventStore {
 
     // Remove from indices
     this._unindexEvent(event);
+    this.optimizer.invalidateEventCaches(eventId);
 
     // Notify listeners
-    this._notifyChange({
+    this._recordChange({
       type: 'remove',
       event,
       version: ++this.version
@@ -504,9 +506,10 @@ export class EventStore {
    * @param {Date} end - End date
    * @param {boolean|string} expandRecurring - Whether to expand recurring events, or timezone string
    * @param {string} [timezone] - Timezone for the query (if expandRecurring is boolean)
+   * @param {Object} [expandOptions] - Options passed to RecurrenceEngineV2.expandEvent
    * @returns {Event[]}
    */
-  getEventsInRange(start, end, expandRecurring = true, timezone = null) {
+  getEventsInRange(start, end, expandRecurring = true, timezone = null, expandOptions = {}) {
     // Handle overloaded parameters
     if (typeof expandRecurring === 'string') {
       timezone = expandRecurring;
@@ -530,11 +533,20 @@ export class EventStore {
       return baseEvents;
     }
 
+    // Series that started before the range can still have occurrences in it
+    const candidates = new Set(baseEvents);
+    for (const id of this.indices.recurring) {
+      const event = this.events.get(id);
+      if (event && event.startUTC <= endUTC) {
+        candidates.add(event);
+      }
+    }
+
     // Expand recurring events
     const expandedEvents = [];
-    baseEvents.forEach(event => {
+    candidates.forEach(event => {
       if (event.recurring && event.recurrenceRule) {
-        const occurrences = this.expandRecurringEvent(event, start, end, timezone);
+        const occurrences = this.expandRecurringEvent(event, start, end, timezone, expandOptions);
         expandedEvents.push(...occurrences);
       } else {
         expandedEvents.push(event);
@@ -555,9 +567,10 @@ export class EventStore {
    * @param {Date} rangeStart - Start of the expansion range
    * @param {Date} rangeEnd - End of the expansion range
    * @param {string} [timezone] - Timezone for the expansion
+   * @param {Object} [expandOptions] - Options passed to RecurrenceEngineV2.expandEvent
    * @returns {Event[]} Array of event occurrences
    */
-  expandRecurringEvent(event, rangeStart, rangeEnd, timezone = null) {
+  expandRecurringEvent(event, rangeStart, rangeEnd, timezone = null, expandOptions = {}) {
     if (!event.recurring || !event.recurrenceRule) {
       return [event];
     }
@@ -566,19 +579,40 @@ export class EventStore {
 
     // Expand in the event's timezone for accurate recurrence calculation
     const eventTimezone = event.timeZone || timezone;
-    const occurrences = RecurrenceEngine.expandEvent(event, rangeStart, rangeEnd);
+    // Occurrences starting before the range can still overlap it
+    const duration = event.end - event.start;
+    const occurrences = this.recurrenceEngine
+      .expandEvent(event, new Date(rangeStart.getTime() - duration), rangeEnd, {
+        ...expandOptions,
+        timezone: eventTimezone
+      })
+      .filter(occurrence => occurrence.end >= rangeStart);
 
     return occurrences.map((occurrence, index) => {
-      // Create a new event instance for each occurrence
+      // Create a new event instance for each occurrence; the series' instance
+      // data stays on the series
       const occurrenceEvent = event.clone({
-        id: `${event.id}_occurrence_${index}`,
+        id: occurrence.id,
+        title: occurrence.title,
+        description: occurrence.description,
+        location: occurrence.location,
+        status: occurrence.status,
+        allDay: occurrence.allDay,
         start: occurrence.start,
         end: occurrence.end,
         timeZone: eventTimezone,
+        excludeDates: [],
+        additionalDates: [],
+        modifiedInstances: [],
         metadata: {
           ...event.metadata,
           recurringEventId: event.id,
-          occurrenceIndex: index
+          recurrenceId: occurrence.recurrenceId,
+          occurrenceIndex: index,
+          ...(occurrence.isModified ? { modified: true } : {}),
+          ...(occurrence.cancellationReason
+            ? { cancellationReason: occurrence.cancellationReason }
+            : {})
         }
       });
 
@@ -591,15 +625,19 @@ export class EventStore {
    */
   clear() {
     const oldEvents = this.getAllEvents();
+    const oldTasks = this.getAllTasks();
 
     this.events.clear();
+    this.tasks.clear();
     this.indices.byDate.clear();
     this.indices.byMonth.clear();
     this.indices.recurring.clear();
+    this.indices.tasksByDate.clear();
 
     this._notifyChange({
       type: 'clear',
       oldEvents,
+      oldTasks,
       version: ++this.version
     });
   }
@@ -808,6 +846,18 @@ export class EventStore {
     this.indices.recurring.delete(event.id);
   }
 
+  /**
+   * Notify listeners of a change, or hold it until the batch is committed
+   * @private
+   */
+  _recordChange(change) {
+    if (this.isBatchMode) {
+      this.batchNotifications.push(change);
+    } else {
+      this._notifyChange(change);
+    }
+  }
+
   /**
    * Notify listeners of changes
    * @private
@@ -829,6 +879,7 @@ export class EventStore {
   getStats() {
     return {
       totalEvents: this.events.size,
+      totalTasks: this.tasks.size,
       recurringEvents: this.indices.recurring.size,
       indexedDates: this.indices.byDate.size,
       indexedMonths: this.indices.byMonth.size,
@@ -839,6 +890,192 @@ export class EventStore {
     };
   }
 
+  // ============ Task Methods ============
+
+  /**
+   * Add a task to the store
+   * @param {Task|import('../../types.js').TaskData} task - The task to add
+   * @returns {Task} The added task
+   * @throws {Error} If task with same ID already exists
+   */
+  addTask(task) {
+    if (!(task instanceof Task)) {
+      task = new Task(task);
+    }
+
+    if (this.tasks.has(task.id)) {
+      throw new Error(`Task with id ${task.id} already exists`);
+    }
+
+    this.tasks.set(task.id, task);
+    this._indexTask(task);
+
+    this._recordChange({ type: 'addTask', task, version: ++this.version });
+
+    return task;
+  }
+
+  /**
+   * Update an existing task
+   * @param {string} taskId - The task ID
+   * @param {Partial<import('../../types.js').TaskData>} updates - Properties to update
+   * @returns {Task} The updated task
+   * @throws {Error} If task not found
+   */
+  updateTask(taskId, updates) {
+    const existingTask = this.tasks.get(taskId);
+    if (!existingTask) {
+      throw new Error(`Task with id ${taskId} not found`);
+    }
+
+    const updatedTask = existingTask.clone(updates);
+
+    this._unindexTask(existingTask);
+    this.tasks.set(taskId, updatedTask);
+    this._indexTask(updatedTask);
+
+    this._recordChange({
+      type: 'updateTask',
+      task: updatedTask,
+      oldTask: existingTask,
+      version: ++this.version
+    });
+
+    return updatedTask;
+  }
+
+  /**
+   * Remove a task from the store
+   * @param {string} taskId - The task ID to remove
+   * @returns {boolean} True if removed, false if not found
+   */
+  removeTask(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      return false;
+    }
+
+    this.tasks.delete(taskId);
+    this._unindexTask(task);
+
+    this._recordChange({
+      type: 'removeTask',
+      task,
+      version: ++this.version
+    });
+
+    return true;
+  }
+
+  /**
+   * Get a task by ID
+   * @param {string} taskId - The task ID
+   * @returns {Task|null} The task or null if not found
+   */
+  getTask(taskId) {
+    return this.tasks.get(taskId) || null;
+  }
+
+  /**
+   * Get all tasks
+   * @returns {Task[]} Array of all tasks
+   */
+  getAllTasks() {
+    return Array.from(this.tasks.values());
+  }
+
+  /**
+   * Get tasks due on a specific date.
+   * Tasks without a due date are listed on their start date
+   * @param {Date} date - The date to query
+   * @returns {Task[]} Tasks for the date, sorted by due time
+   */
+  getTasksForDate(date) {
+    const taskIds = this.indices.tasksByDate.get(DateUtils.getLocalDateString(date));
+    if (!taskIds) {
+      return [];
+    }
+
+    return Array.from(taskIds, id => this.tasks.get(id)).sort(
+      (a, b) => this._taskDate(a) - this._taskDate(b)
+    );
+  }
+
+  /**
+   * Get tasks due within a date range
+   * @param {Date} start - Start date
+   * @param {Date} end - End date
+   * @returns {Task[]} Tasks in the range, sorted by due time
+   */
+  getTasksInRange(start, end) {
+    return this.getAllTasks()
+      .filter(task => {
+        const date = this._taskDate(task);
+        return date && date >= start && date <= end;
+      })
+      .sort((a, b) => this._taskDate(a) - this._taskDate(b));
+  }
+
+  /**
+   * Get the tasks whose parent is the given task
+   * @param {string} parentId - Parent task ID
+   * @returns {Task[]} Child tasks
+   */
+  getSubtasks(parentId) {
+    return this.getAllTasks().filter(task => task.parentId === parentId);
+  }
+
+  /**
+   * Date a task is listed under
+   * @private
+   */
+  _taskDate(task) {
+    return task.due || task.start;
+  }
+
+  /**
+   * Index key of a task: the local date in the task's timezone, as events
+   * are indexed, so a late task is not listed on the host's next day
+   * @private
+   */
+  _taskDateKey(task) {
+    const date = task.due
+      ? task.getDueInTimezone(task.timeZone)
+      : task.getStartInTimezone(task.timeZone);
+    return date ? DateUtils.getLocalDateString(date) : null;
+  }
+
+  /**
+   * Index a task by its local due date
+   * @private
+   */
+  _indexTask(task) {
+    const dateStr = this._taskDateKey(task);
+    if (!dateStr) return;
+
+    if (!this.indices.tasksByDate.has(dateStr)) {
+      this.indices.tasksByDate.set(dateStr, new Set());
+    }
+    this.indices.tasksByDate.get(dateStr).add(task.id);
+  }
+
+  /**
+   * Remove a task from the date index
+   * @private
+   */
+  _unindexTask(task) {
+    const dateStr = this._taskDateKey(task);
+    if (!dateStr) return;
+
+    const taskIds = this.indices.tasksByDate.get(dateStr);
+    if (taskIds) {
+      taskIds.delete(task.id);
+      if (taskIds.size === 0) {
+        this.indices.tasksByDate.delete(dateStr);
+      }
+    }
+  }
+
   // ============ Batch Operations ============
 
   /**
@@ -854,6 +1091,7 @@ export class EventStore {
     if (enableRollback) {
       this.batchBackup = {
         events: new Map(this.events),
+        tasks: new Map(this.tasks),
         indices: {
           byDate: new Map(
             Array.from(this.indices.byDate.entries()).map(([k, v]) => [k, new Set(v)])
@@ -867,6 +1105,9 @@ export class EventStore {
           ),
           byStatus: new Map(
             Array.from(this.indices.byStatus.entries()).map(([k, v]) => [k, new Set(v)])
+          ),
+          tasksByDate: new Map(
+            Array.from(this.indices.tasksByDate.entries()).map(([k, v]) => [k, new Set(v)])
           )
         },
         version: this.version
@@ -877,9 +1118,10 @@ export class EventStore {
   /**
    * Commit batch operations
    * Sends all notifications at once
+   * @returns {Object|null} The batch change, or null if nothing changed
    */
   commitBatch() {
-    if (!this.isBatchMode) return;
+    if (!this.isBatchMode) return null;
 
     this.isBatchMode = false;
 
@@ -887,16 +1129,19 @@ export class EventStore {
     this.batchBackup = null;
 
     // Send a single bulk notification
+    let batch = null;
     if (this.batchNotifications.length > 0) {
-      this._notifyChange({
+      batch = {
         type: 'batch',
         changes: this.batchNotifications,
         count: this.batchNotifications.length,
         version: ++this.version
-      });
+      };
+      this._notifyChange(batch);
     }
 
     this.batchNotifications = [];
+    return batch;
   }
 
   /**
@@ -911,12 +1156,13 @@ export class EventStore {
     // Restore backup if available
     if (this.batchBackup) {
       this.events = this.batchBackup.events;
+      this.tasks = this.batchBackup.tasks;
       this.indices = this.batchBackup.indices;
       this.version = this.batchBackup.version;
       this.batchBackup = null;
 
       // Clear cache
-      this.optimizer.clearCache();
+      this.clearCaches();
     }
 
     this.batchNotifications = [];
@@ -944,6 +1190,63 @@ export class EventStore {
     }
   }
 
+  /**
+   * Revert event changes, newest first, as a new batch. An update reverts
+   * only the fields it changed, so later edits to other fields are kept.
+   * Reverting the returned batch's changes applies the original changes again
+   * @param {Array<Object>} changes - Changes in the order they were made, e.g. a batch's changes
+   * @returns {Object|null} The committed batch of reverting changes
+   */
+  revertChanges(changes) {
+    this.startBatch(true);
+
+    try {
+      for (const change of [...changes].reverse()) {
+        switch (change.type) {
+          case 'add':
+            this.removeEvent(change.event.id);
+            break;
+
+          case 'update': {
+            if (!this.events.has(change.event.id)) break;
+            const fields = this._getChangedFields(change.oldEvent, change.event);
+            if (Object.keys(fields).length > 0) {
+              this.updateEvent(change.event.id, fields);
+            }
+            break;
+          }
+
+          case 'remove':
+            this.addEvent(change.event);
+            break;
+        }
+      }
+    } catch (error) {
+      this.rollbackBatch();
+      throw error;
+    }
+
+    return this.commitBatch();
+  }
+
+  /**
+   * Fields of an event that an update changed, with their values before it
+   * @private
+   */
+  _getChangedFields(oldEvent, event) {
+    const before = oldEvent.toObject();
+    const after = event.toObject();
+    const fields = {};
+
+    for (const key of Object.keys(before)) {
+      if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+        fields[key] = oldEvent[key];
+      }
+    }
+
+    return fields;
+  }
+
   /**
    * Add multiple events in batch
    * @param {Array<Event|import('../../types.js').EventData>} events - Events to add
@@ -0,0 +1,195 @@
+/**
+ * OccurrenceIterator - Lazy traversal of the occurrences of an event
+ * Occurrences are generated one at a time in series order, so unbounded
+ * series can be queried without choosing a range or an occurrence cap.
+ * COUNT, UNTIL, EXDATE, RDATE and modified instances are all applied
+ */
+
+export class OccurrenceIterator {
+  /**
+   * Create an iterator over an event's occurrences
+   * @param {import('./RecurrenceEngineV2.js').RecurrenceEngineV2} engine - Recurrence engine
+   * @param {import('./Event.js').Event} event - The event to iterate
+   * @param {Object} [options] - Expansion options
+   * @param {boolean} [options.includeCancelled=false] - Yield cancelled occurrences too
+   * @param {boolean} [options.includeModified=true] - Apply modified instances
+   * @param {string} [options.timezone] - Timezone of the occurrences
+   * @param {boolean} [options.handleDST=true] - Resolve wall-clock times across DST
+   */
+  constructor(engine, event, options = {}) {
+    this.engine = engine;
+    this.event = event;
+    this.options = options;
+    this.reset();
+  }
+
+  /**
+   * Move the cursor back to the first occurrence
+   * @returns {OccurrenceIterator} This iterator
+   */
+  reset() {
+    this.source = this.engine.generateOccurrences(this.event, this.options);
+    this.pending = null;
+    this.exhausted = false;
+    return this;
+  }
+
+  /**
+   * Get the next occurrence (iterator protocol)
+   * @returns {{value: Object|undefined, done: boolean}}
+   */
+  next() {
+    const value = this.peek();
+    if (!value) {
+      return { value: undefined, done: true };
+    }
+
+    this.pending = null;
+    return { value, done: false };
+  }
+
+  /**
+   * Get the occurrence at the cursor without consuming it
+   * @returns {Object|null} The occurrence, or null when the series has ended
+   */
+  peek() {
+    while (!this.pending && !this.exhausted) {
+      const { value, done } = this.source.next();
+      if (done) {
+        this.exhausted = true;
+      } else if (this.isVisible(value)) {
+        this.pending = value;
+      }
+    }
+    return this.pending;
+  }
+
+  [Symbol.iterator]() {
+    return this;
+  }
+
+  /**
+   * Consume up to `count` occurrences from the cursor
+   * @param {number} count - Number of occurrences
+   * @returns {Array<Object>} Occurrences; fewer when the series ends first
+   */
+  take(count) {
+    const occurrences = [];
+    while (occurrences.length < count) {
+      const { value, done } = this.next();
+      if (done) break;
+      occurrences.push(value);
+    }
+    return occurrences;
+  }
+
+  /**
+   * Move the cursor to the first occurrence starting at or after a date.
+   * `seek(date).take(5)` gives the next five occurrences from that date
+   * @param {Date} date - Date to move to
+   * @returns {OccurrenceIterator} This iterator
+   */
+  seek(date) {
+    this.reset();
+    while (this.peek() && this.pending.start < date) {
+      this.pending = null;
+    }
+    return this;
+  }
+
+  /**
+   * Get the first occurrence starting after a date. The cursor is not moved
+   * @param {Date} date - Reference date
+   * @param {boolean} [inclusive=false] - Also match an occurrence starting at the date
+   * @returns {Object|null} The occurrence, or null when there is none
+   */
+  after(date, inclusive = false) {
+    for (const occurrence of this.scan()) {
+      if (occurrence.start > date || (inclusive && occurrence.start.getTime() === date.getTime())) {
+        return occurrence;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the last occurrence starting before a date. The cursor is not moved
+   * @param {Date} date - Reference date
+   * @param {boolean} [inclusive=false] - Also match an occurrence starting at the date
+   * @returns {Object|null} The occurrence, or null when there is none
+   */
+  before(date, inclusive = false) {
+    let previous = null;
+    for (const occurrence of this.scan()) {
+      if (this.seriesPosition(occurrence) > date) break;
+      if (occurrence.start < date || (inclusive && occurrence.start.getTime() === date.getTime())) {
+        previous = occurrence;
+      }
+    }
+    return previous;
+  }
+
+  /**
+   * Get the occurrences starting within a range. The cursor is not moved
+   * @param {Date} start - Start of the range
+   * @param {Date} end - End of the range (inclusive)
+   * @returns {Array<Object>} Occurrences in series order
+   */
+  between(start, end) {
+    const occurrences = [];
+    for (const occurrence of this.scan()) {
+      if (this.seriesPosition(occurrence) > end) break;
+      if (occurrence.start >= start && occurrence.start <= end) {
+        occurrences.push(occurrence);
+      }
+    }
+    return occurrences;
+  }
+
+  /**
+   * Get the n-th occurrence of the series. The cursor is not moved
+   * @param {number} n - 1-based position among the occurrences this iterator yields
+   * @returns {Object|null} The occurrence, or null when the series is shorter
+   */
+  nth(n) {
+    if (!Number.isInteger(n) || n < 1) {
+      throw new Error('Occurrence position must be a positive integer');
+    }
+
+    let position = 0;
+    for (const occurrence of this.scan()) {
+      if (++position === n) {
+        return occurrence;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Fresh pass over the visible occurrences, independent of the cursor
+   * @private
+   */
+  *scan() {
+    for (const occurrence of this.engine.generateOccurrences(this.event, this.options)) {
+      if (this.isVisible(occurrence)) {
+        yield occurrence;
+      }
+    }
+  }
+
+  /**
+   * Original start of an occurrence. Occurrences come in this order even when
+   * a modified instance moved the actual start, so scans stop on it
+   * @private
+   */
+  seriesPosition(occurrence) {
+    return occurrence.recurrenceId || occurrence.start;
+  }
+
+  /**
+   * @private
+   */
+  isVisible(occurrence) {
+    return this.options.includeCancelled || occurrence.status !== 'cancelled';
+  }
+}
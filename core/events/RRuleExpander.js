@@ -0,0 +1,606 @@
+/**
+ * RRuleExpander - RFC 5545 recurrence set generation
+ * Each FREQ period is expanded into a candidate set by the BYxxx rule
+ * parts, reduced with BYSETPOS and emitted in order (RFC 5545 section 3.3.10)
+ */
+
+import { RRuleParser } from './RRuleParser.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Number of periods in a 400-year Gregorian cycle. A rule that produces
+// nothing for a whole cycle never will, so expansion stops there
+const CYCLE_PERIODS = {
+  YEARLY: 400,
+  MONTHLY: 4800,
+  WEEKLY: 20871,
+  DAILY: 146097
+};
+const SUB_DAILY_UNITS = { HOURLY: 60 * 60, MINUTELY: 60, SECONDLY: 1 };
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Candidates one period may hold before a rule is rejected as too dense,
+// e.g. every second of every day in a YEARLY period
+const MAX_PERIOD_OCCURRENCES = 100000;
+const PERIOD_NAMES = { YEARLY: 'year', MONTHLY: 'month', WEEKLY: 'week', DAILY: 'day' };
+
+export class RRuleExpander {
+  /**
+   * Iterate over the occurrence start dates of a rule, in order.
+   * DTSTART is always the first occurrence and counts towards COUNT
+   * @param {string|Object} rrule - RRULE string or parsed rule
+   * @param {Date} dtstart - Start of the first occurrence (wall-clock time)
+   * @param {Object} [options] - Expansion options
+   * @param {Function} [options.resolve] - Maps the LocalDateTimeFields of a candidate to
+   *   `{utc, nonexistent}` in the series timezone. Nonexistent local times are dropped
+   *   without being counted and a UTC UNTIL is compared against `utc` (RFC 5545 section 3.3.10)
+   * @returns {Generator<Date>} Occurrence start dates
+   * @throws {Error} If a period of the rule holds more than 100000 occurrences
+   */
+  static *iterate(rrule, dtstart, options = {}) {
+    for (const wall of this.wallTimes(rrule, dtstart, options)) {
+      yield this.fromWallTime(wall);
+    }
+  }
+
+  /**
+   * Iterate over the occurrence start times of a rule as wall-clock fields.
+   * Unlike a Date, the fields are not shifted by the host timezone, so a
+   * time the host skips but the series timezone does not keeps its value
+   * @param {string|Object} rrule - RRULE string or parsed rule
+   * @param {Date} dtstart - Start of the first occurrence (wall-clock time)
+   * @param {Object} [options] - Same options as iterate
+   * @returns {Generator<import('../types.js').LocalDateTimeFields>} Occurrence start times
+   * @throws {Error} If a period of the rule holds more than 100000 occurrences
+   */
+  static *iterateLocal(rrule, dtstart, options = {}) {
+    for (const wall of this.wallTimes(rrule, dtstart, options)) {
+      yield this.toFields(wall);
+    }
+  }
+
+  /**
+   * Occurrence start times as wall-clock times in UTC milliseconds
+   * @private
+   */
+  static *wallTimes(rrule, dtstart, options) {
+    const rule = RRuleParser.parse(rrule);
+    const context = this.createContext(rule, dtstart);
+    const until = rule.until ? this.toWallTime(rule.until) : null;
+    const { resolve } = options;
+
+    yield context.wallStart;
+    let emitted = 1;
+    if (rule.count && emitted >= rule.count) return;
+
+    for (const candidates of this.periods(context)) {
+      for (const wall of candidates) {
+        if (wall <= context.wallStart) continue;
+
+        const resolved = resolve ? resolve(this.toFields(wall)) : null;
+        if (rule.until) {
+          const beyond = resolved && rule.untilUTC ? resolved.utc > rule.until : wall > until;
+          if (beyond) return;
+        }
+        if (resolved && resolved.nonexistent) continue;
+
+        yield wall;
+        emitted++;
+        if (rule.count && emitted >= rule.count) return;
+      }
+    }
+  }
+
+  /**
+   * Whether a rule can produce more than one occurrence on the same day:
+   * sub-daily frequencies, or several BYHOUR/BYMINUTE/BYSECOND combinations
+   * @param {string|Object} rrule - RRULE string or parsed rule
+   * @returns {boolean}
+   */
+  static isSubDaily(rrule) {
+    const rule = RRuleParser.parse(rrule);
+    if (SUB_DAILY_UNITS[rule.freq]) return true;
+    const times =
+      Math.max(rule.byHour.length, 1) *
+      Math.max(rule.byMinute.length, 1) *
+      Math.max(rule.bySecond.length, 1);
+    return times > 1;
+  }
+
+  /**
+   * Whether the rule itself produces DTSTART. DTSTART is always the first
+   * occurrence, so a start the rule does not match adds an extra one
+   * @param {string|Object} rrule - RRULE string or parsed rule
+   * @param {Date} dtstart - Start of the first occurrence (wall-clock time)
+   * @returns {boolean}
+   */
+  static includesStart(rrule, dtstart) {
+    const context = this.createContext(RRuleParser.parse(rrule), dtstart);
+
+    if (SUB_DAILY_UNITS[context.freq]) {
+      const unit = SUB_DAILY_UNITS[context.freq] * 1000;
+      const periodStart = Math.floor(context.wallStart / unit) * unit;
+      return (
+        this.matchesDay(context, null, Math.floor(periodStart / DAY_MS)) &&
+        this.expandSubDailyPeriod(context, periodStart).includes(context.wallStart)
+      );
+    }
+    return this.expandPeriod(context, 0).includes(context.wallStart);
+  }
+
+  /**
+   * Non-empty candidate sets of the rule's periods, in order. Stops once
+   * the rule cannot produce anything more
+   * @private
+   */
+  static *periods(context) {
+    if (SUB_DAILY_UNITS[context.freq]) {
+      yield* this.subDailyPeriods(context);
+      return;
+    }
+
+    const maxEmpty = CYCLE_PERIODS[context.freq];
+    let empty = 0;
+    for (let index = 0; empty < maxEmpty; index++) {
+      const candidates = this.expandPeriod(context, index);
+      empty = candidates.length > 0 ? 0 : empty + 1;
+      if (candidates.length > 0) yield candidates;
+    }
+  }
+
+  /**
+   * HOURLY, MINUTELY and SECONDLY periods. Steps are taken in wall-clock
+   * time; days, hours and minutes the limiting rule parts exclude are
+   * skipped whole rather than period by period
+   * @private
+   */
+  static *subDailyPeriods(context) {
+    const unit = SUB_DAILY_UNITS[context.freq] * 1000;
+    const step = unit * context.interval;
+    const origin = Math.floor(context.wallStart / unit) * unit;
+
+    if (!this.hasReachableTime(context, origin, step)) return;
+
+    // Index of the first period starting at or after a wall-clock time
+    const indexAt = time => Math.ceil((time - origin) / step);
+    let lastFound = origin;
+
+    for (let index = 0; origin + index * step - lastFound <= CYCLE_PERIODS.DAILY * DAY_MS; ) {
+      const periodStart = origin + index * step;
+      const time = new Date(periodStart);
+      const day = Math.floor(periodStart / DAY_MS);
+
+      if (!this.matchesDay(context, null, day)) {
+        index = Math.max(index + 1, indexAt((day + 1) * DAY_MS));
+        continue;
+      }
+      if (context.byHour.length > 0 && !context.byHour.includes(time.getUTCHours())) {
+        index = Math.max(index + 1, indexAt((Math.floor(periodStart / HOUR_MS) + 1) * HOUR_MS));
+        continue;
+      }
+      if (
+        context.freq === 'SECONDLY' &&
+        context.byMinute.length > 0 &&
+        !context.byMinute.includes(time.getUTCMinutes())
+      ) {
+        index = Math.max(index + 1, indexAt((Math.floor(periodStart / MINUTE_MS) + 1) * MINUTE_MS));
+        continue;
+      }
+
+      const candidates = this.expandSubDailyPeriod(context, periodStart);
+      if (candidates.length > 0) {
+        lastFound = periodStart;
+        yield candidates;
+      }
+      index++;
+    }
+  }
+
+  /**
+   * Whether any period start reachable from the origin passes the time
+   * parts of the rule, ignoring the day. Times of day repeat after at most
+   * one day's worth of distinct steps, so a rule such as
+   * FREQ=MINUTELY;INTERVAL=2;BYMINUTE=1 is found empty at once
+   * @private
+   */
+  static hasReachableTime(context, origin, step) {
+    const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+    const distinct = DAY_MS / gcd(step, DAY_MS);
+    const midnight = Math.floor(origin / DAY_MS) * DAY_MS;
+
+    for (let k = 0; k < distinct; k++) {
+      const timeOfDay = (origin + k * step) % DAY_MS;
+      if (this.expandSubDailyPeriod(context, midnight + timeOfDay).length > 0) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Normalize a parsed rule into the state used by expansion, filling in
+   * the parts implied by DTSTART
+   * @private
+   */
+  static createContext(rule, dtstart) {
+    const freq = rule.freq;
+    const startDay = this.dayNumber(dtstart.getFullYear(), dtstart.getMonth(), dtstart.getDate());
+    const wkst = WEEKDAYS.indexOf(rule.wkst);
+
+    const context = {
+      freq,
+      interval: rule.interval || 1,
+      wkst: wkst === -1 ? 1 : wkst,
+      byMonth: rule.byMonth || [],
+      // BYWEEKNO only applies to YEARLY and BYYEARDAY is not valid for DAILY, WEEKLY or MONTHLY
+      byWeekNo: freq === 'YEARLY' ? rule.byWeekNo || [] : [],
+      byYearDay: ['DAILY', 'WEEKLY', 'MONTHLY'].includes(freq) ? [] : rule.byYearDay || [],
+      byMonthDay: freq === 'WEEKLY' ? [] : rule.byMonthDay || [],
+      byDay: (rule.byDay || []).map(day => this.parseWeekday(day)).filter(Boolean),
+      byHour: rule.byHour || [],
+      byMinute: rule.byMinute || [],
+      bySecond: rule.bySecond || [],
+      bySetPos: rule.bySetPos || [],
+      dtstart,
+      startDay,
+      year: dtstart.getFullYear(),
+      month: dtstart.getMonth(),
+      wallStart: this.toWallTime(dtstart)
+    };
+
+    // Times of day for DAILY and longer periods: BYHOUR, BYMINUTE and
+    // BYSECOND expand each day, the parts not given come from DTSTART
+    const hours = context.byHour.length > 0 ? context.byHour : [dtstart.getHours()];
+    const minutes = context.byMinute.length > 0 ? context.byMinute : [dtstart.getMinutes()];
+    const seconds = context.bySecond.length > 0 ? context.bySecond : [dtstart.getSeconds()];
+    context.times = [];
+    for (const hour of [...new Set(hours)].sort((a, b) => a - b)) {
+      for (const minute of [...new Set(minutes)].sort((a, b) => a - b)) {
+        for (const second of [...new Set(seconds)].sort((a, b) => a - b)) {
+          context.times.push([hour, minute, second]);
+        }
+      }
+    }
+
+    if (freq === 'YEARLY') {
+      const hasDayRule =
+        context.byWeekNo.length > 0 ||
+        context.byYearDay.length > 0 ||
+        context.byMonthDay.length > 0 ||
+        context.byDay.length > 0;
+      if (!hasDayRule) {
+        if (context.byMonth.length === 0) context.byMonth = [context.month + 1];
+        context.byMonthDay = [dtstart.getDate()];
+      }
+    } else if (freq === 'MONTHLY') {
+      if (context.byMonthDay.length === 0 && context.byDay.length === 0) {
+        context.byMonthDay = [dtstart.getDate()];
+      }
+    } else if (freq === 'WEEKLY') {
+      if (context.byDay.length === 0) {
+        context.byDay = [{ nth: 0, weekday: this.weekday(startDay) }];
+      }
+    }
+
+    return context;
+  }
+
+  /**
+   * Build the sorted wall-clock candidate set for the index-th period of the rule
+   * @private
+   */
+  static expandPeriod(context, index) {
+    const period = this.getPeriod(context, index);
+    const days = [];
+    for (let day = period.first; day < period.end; day++) {
+      if (this.matchesDay(context, period, day)) days.push(day);
+    }
+
+    if (days.length * context.times.length > MAX_PERIOD_OCCURRENCES) {
+      throw new Error(
+        `Recurrence rule is too dense: more than ${MAX_PERIOD_OCCURRENCES} occurrences per ${PERIOD_NAMES[context.freq]}`
+      );
+    }
+
+    let set = [];
+    for (const day of days) {
+      const { year, month, date } = this.fromDayNumber(day);
+      for (const [hours, minutes, seconds] of context.times) {
+        set.push(Date.UTC(year, month, date, hours, minutes, seconds));
+      }
+    }
+
+    if (context.bySetPos.length > 0) {
+      set = this.applySetPos(set, context.bySetPos);
+    }
+
+    return set;
+  }
+
+  /**
+   * Wall-clock candidates of the sub-daily period starting at a wall-clock
+   * time. Parts finer than the frequency expand the period (BYMINUTE and
+   * BYSECOND for HOURLY, BYSECOND for MINUTELY), the others limit it
+   * @private
+   */
+  static expandSubDailyPeriod(context, periodStart) {
+    const start = new Date(periodStart);
+    const hour = start.getUTCHours();
+    const minute = start.getUTCMinutes();
+    const second = start.getUTCSeconds();
+
+    if (context.byHour.length > 0 && !context.byHour.includes(hour)) return [];
+
+    let minutes = [minute];
+    let seconds = [second];
+    if (context.freq === 'HOURLY') {
+      minutes = context.byMinute.length > 0 ? context.byMinute : [context.dtstart.getMinutes()];
+      seconds = context.bySecond.length > 0 ? context.bySecond : [context.dtstart.getSeconds()];
+    } else if (context.freq === 'MINUTELY') {
+      if (context.byMinute.length > 0 && !context.byMinute.includes(minute)) return [];
+      seconds = context.bySecond.length > 0 ? context.bySecond : [context.dtstart.getSeconds()];
+    } else {
+      if (context.byMinute.length > 0 && !context.byMinute.includes(minute)) return [];
+      if (context.bySecond.length > 0 && !context.bySecond.includes(second)) return [];
+    }
+
+    const hourStart = periodStart - (minute * 60 + second) * 1000;
+    let set = [];
+    for (const m of minutes) {
+      for (const s of seconds) {
+        set.push(hourStart + (m * 60 + s) * 1000);
+      }
+    }
+    set = [...new Set(set)].sort((a, b) => a - b);
+
+    if (context.bySetPos.length > 0) {
+      set = this.applySetPos(set, context.bySetPos);
+    }
+    return set;
+  }
+
+  /**
+   * Wall-clock time in UTC milliseconds of a Date whose local fields hold it
+   * @private
+   */
+  static toWallTime(date) {
+    return Date.UTC(
+      date.getFullYear(),
+      date.getMonth(),
+      date.getDate(),
+      date.getHours(),
+      date.getMinutes(),
+      date.getSeconds(),
+      date.getMilliseconds()
+    );
+  }
+
+  /**
+   * LocalDateTimeFields of a wall-clock time given as UTC milliseconds
+   * @private
+   */
+  static toFields(wall) {
+    const d = new Date(wall);
+    return {
+      year: d.getUTCFullYear(),
+      month: d.getUTCMonth() + 1,
+      day: d.getUTCDate(),
+      hour: d.getUTCHours(),
+      minute: d.getUTCMinutes(),
+      second: d.getUTCSeconds(),
+      millisecond: d.getUTCMilliseconds()
+    };
+  }
+
+  /**
+   * Host Date holding a wall-clock time given as UTC milliseconds
+   * @private
+   */
+  static fromWallTime(wall) {
+    const d = new Date(wall);
+    return new Date(
+      d.getUTCFullYear(),
+      d.getUTCMonth(),
+      d.getUTCDate(),
+      d.getUTCHours(),
+      d.getUTCMinutes(),
+      d.getUTCSeconds(),
+      d.getUTCMilliseconds()
+    );
+  }
+
+  /**
+   * Day range [first, end) covered by the index-th period
+   * @private
+   */
+  static getPeriod(context, index) {
+    const step = index * context.interval;
+
+    switch (context.freq) {
+      case 'YEARLY':
+        return this.getYearPeriod(context.year + step, context.wkst, context.byWeekNo.length > 0);
+
+      case 'MONTHLY': {
+        const month = context.month + step;
+        return {
+          first: this.dayNumber(context.year, month, 1),
+          end: this.dayNumber(context.year, month + 1, 1)
+        };
+      }
+
+      case 'WEEKLY': {
+        // Weeks are aligned to WKST, which decides which days share a period
+        const offset = (this.weekday(context.startDay) - context.wkst + 7) % 7;
+        const first = context.startDay - offset + 7 * step;
+        return { first, end: first + 7 };
+      }
+
+      default:
+        return { first: context.startDay + step, end: context.startDay + step + 1 };
+    }
+  }
+
+  /**
+   * A YEARLY period. With BYWEEKNO it spans every week numbered in that
+   * year, which can include days of the neighbouring years
+   * @private
+   */
+  static getYearPeriod(year, wkst, byWeek) {
+    const weekOne = this.weekOneStart(year, wkst);
+    const nextWeekOne = this.weekOneStart(year + 1, wkst);
+    const period = {
+      year,
+      weekOne,
+      weekCount: (nextWeekOne - weekOne) / 7,
+      first: this.dayNumber(year, 0, 1),
+      end: this.dayNumber(year + 1, 0, 1)
+    };
+
+    if (byWeek) {
+      period.first = weekOne;
+      period.end = nextWeekOne;
+    }
+    return period;
+  }
+
+  /**
+   * Check a day against the BYMONTH, BYWEEKNO, BYYEARDAY, BYMONTHDAY and BYDAY parts
+   * @private
+   */
+  static matchesDay(context, period, day) {
+    const { year, month, date } = this.fromDayNumber(day);
+
+    if (context.byMonth.length > 0 && !context.byMonth.includes(month + 1)) {
+      return false;
+    }
+
+    if (context.byWeekNo.length > 0) {
+      const week = Math.floor((day - period.weekOne) / 7) + 1;
+      if (!this.matchesIndex(context.byWeekNo, week, period.weekCount)) return false;
+    }
+
+    if (context.byYearDay.length > 0) {
+      const yearDay = day - this.dayNumber(year, 0, 1) + 1;
+      if (!this.matchesIndex(context.byYearDay, yearDay, this.daysInYear(year))) return false;
+    }
+
+    if (context.byMonthDay.length > 0) {
+      const monthLength = this.dayNumber(year, month + 1, 1) - this.dayNumber(year, month, 1);
+      if (!this.matchesIndex(context.byMonthDay, date, monthLength)) return false;
+    }
+
+    if (context.byDay.length > 0) {
+      const weekday = this.weekday(day);
+      const scope = this.getWeekdayScope(context, year, month);
+      const matches = context.byDay.some(entry => {
+        if (entry.weekday !== weekday) return false;
+        if (!entry.nth || !scope) return true;
+
+        const position = Math.floor((day - scope.first) / 7) + 1;
+        const fromEnd = -(Math.floor((scope.last - day) / 7) + 1);
+        return entry.nth === position || entry.nth === fromEnd;
+      });
+      if (!matches) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Range in which a numbered BYDAY such as 2TU or -1FR is counted: the
+   * month for MONTHLY (or YEARLY with BYMONTH), otherwise the year
+   * @private
+   */
+  static getWeekdayScope(context, year, month) {
+    if (context.freq === 'MONTHLY' || (context.freq === 'YEARLY' && context.byMonth.length > 0)) {
+      return { first: this.dayNumber(year, month, 1), last: this.dayNumber(year, month + 1, 0) };
+    }
+    // Numbered weekdays are not valid together with BYWEEKNO
+    if (context.freq === 'YEARLY' && context.byWeekNo.length === 0) {
+      return { first: this.dayNumber(year, 0, 1), last: this.dayNumber(year, 11, 31) };
+    }
+    return null;
+  }
+
+  /**
+   * Select wall-clock candidates by their 1-based (or negative, from the end) position
+   * @private
+   */
+  static applySetPos(set, positions) {
+    const selected = new Set();
+    for (const position of positions) {
+      const wall = position > 0 ? set[position - 1] : set[set.length + position];
+      if (wall !== undefined) selected.add(wall);
+    }
+    return Array.from(selected).sort((a, b) => a - b);
+  }
+
+  /**
+   * Check a 1-based value against a list that may count from the end
+   * @private
+   */
+  static matchesIndex(list, value, size) {
+    return list.includes(value) || list.includes(value - size - 1);
+  }
+
+  /**
+   * Parse a BYDAY entry ('MO', '2TU', '-1FR' or {nth, weekday})
+   * @private
+   */
+  static parseWeekday(entry) {
+    if (entry && typeof entry === 'object') {
+      const weekday = WEEKDAYS.indexOf(entry.weekday);
+      return weekday === -1 ? null : { nth: entry.nth || 0, weekday };
+    }
+
+    const match = String(entry)
+      .toUpperCase()
+      .match(/^([+-]?\d+)?([A-Z]{2})$/);
+    if (!match || !WEEKDAYS.includes(match[2])) return null;
+    return { nth: match[1] ? parseInt(match[1], 10) : 0, weekday: WEEKDAYS.indexOf(match[2]) };
+  }
+
+  /**
+   * First day of week 1: the first week with at least four days in the year
+   * @private
+   */
+  static weekOneStart(year, wkst) {
+    const janFirst = this.dayNumber(year, 0, 1);
+    const offset = (this.weekday(janFirst) - wkst + 7) % 7;
+    const weekStart = janFirst - offset;
+    return 7 - offset >= 4 ? weekStart : weekStart + 7;
+  }
+
+  /**
+   * Days since 1970-01-01 for a calendar date (month may overflow)
+   * @private
+   */
+  static dayNumber(year, month, date) {
+    return Math.round(Date.UTC(year, month, date) / DAY_MS);
+  }
+
+  /**
+   * @private
+   */
+  static fromDayNumber(day) {
+    const d = new Date(day * DAY_MS);
+    return { year: d.getUTCFullYear(), month: d.getUTCMonth(), date: d.getUTCDate() };
+  }
+
+  /**
+   * Day of week (0 = Sunday) of a day number; 1970-01-01 was a Thursday
+   * @private
+   */
+  static weekday(day) {
+    return (((day + 4) % 7) + 7) % 7;
+  }
+
+  /**
+   * @private
+   */
+  static daysInYear(year) {
+    return this.dayNumber(year + 1, 0, 1) - this.dayNumber(year, 0, 1);
+  }
+}
+
+export default RRuleExpander;
@@ -3,6 +3,8 @@
  * Supports all RFC 5545 recurrence rule features
  */
 
+import { RecurrenceDescriber } from './RecurrenceDescriber.js';
+
 export class RRuleParser {
   /**
    * Parse an RRULE string into a structured rule object
@@ -20,6 +22,7 @@ export class RRuleParser {
       interval: 1,
       count: null,
       until: null,
+      untilUTC: false,
       byDay: [],
       byWeekNo: [],
       byMonth: [],
@@ -56,6 +59,8 @@ export class RRuleParser {
 
         case 'UNTIL':
           rule.until = this.parseDateTime(value);
+          // A UTC UNTIL is an instant; otherwise it is wall-clock time like DTSTART
+          rule.untilUTC = value.endsWith('Z');
           break;
 
         case 'BYDAY':
@@ -252,14 +257,18 @@ export class RRuleParser {
 
   /**
    * Build RRULE string from rule object
-   * @param {Object} rule - Rule object
-   * @returns {string} RRULE string
+   * @param {Object|null} rule - Rule object; a rule without a frequency is written without FREQ
+   * @returns {string|null} RRULE string, or null when there is no rule
    */
   static buildRRule(rule) {
+    if (!rule) return null;
+
     const parts = [];
 
-    // Required frequency
-    parts.push(`FREQ=${rule.freq}`);
+    // Required frequency, left out of incomplete rules
+    if (rule.freq) {
+      parts.push(`FREQ=${rule.freq}`);
+    }
 
     // Optional interval
     if (rule.interval && rule.interval > 1) {
@@ -270,7 +279,12 @@ export class RRuleParser {
     if (rule.count) {
       parts.push(`COUNT=${rule.count}`);
     } else if (rule.until) {
-      parts.push(`UNTIL=${this.formatDateTime(rule.until)}`);
+      // A wall-clock UNTIL is written without the UTC designator
+      const until =
+        rule.untilUTC === false
+          ? this.formatLocalDateTime(rule.until)
+          : this.formatDateTime(rule.until);
+      parts.push(`UNTIL=${until}`);
     }
 
     // By* rules
@@ -343,126 +357,29 @@ export class RRuleParser {
     return `${year}${month}${day}T${hour}${minute}${second}Z`;
   }
 
+  /**
+   * Format wall-clock date/datetime for RRULE
+   * @private
+   */
+  static formatLocalDateTime(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    const hour = String(date.getHours()).padStart(2, '0');
+    const minute = String(date.getMinutes()).padStart(2, '0');
+    const second = String(date.getSeconds()).padStart(2, '0');
+
+    return `${year}${month}${day}T${hour}${minute}${second}`;
+  }
+
   /**
    * Get human-readable description of rule
    * @param {Object} rule - Parsed rule object
+   * @param {string} [locale='en-US'] - Locale of the description
+   * @param {Object} [options] - Description options (timeZone)
    * @returns {string} Human-readable description
    */
-  static getDescription(rule) {
-    const freqMap = {
-      SECONDLY: 'second',
-      MINUTELY: 'minute',
-      HOURLY: 'hour',
-      DAILY: 'day',
-      WEEKLY: 'week',
-      MONTHLY: 'month',
-      YEARLY: 'year'
-    };
-
-    const weekdayMap = {
-      SU: 'Sunday',
-      MO: 'Monday',
-      TU: 'Tuesday',
-      WE: 'Wednesday',
-      TH: 'Thursday',
-      FR: 'Friday',
-      SA: 'Saturday'
-    };
-
-    const nthMap = {
-      1: 'first',
-      2: 'second',
-      3: 'third',
-      4: 'fourth',
-      5: 'fifth',
-      '-1': 'last',
-      '-2': 'second to last'
-    };
-
-    let description = 'Every';
-
-    // Interval
-    if (rule.interval > 1) {
-      description += ` ${rule.interval}`;
-    }
-
-    // Frequency
-    description += ` ${freqMap[rule.freq]}`;
-    if (rule.interval > 1) {
-      description += 's';
-    }
-
-    // By day - handle both string format ('MO', '2TU') and object format ({nth, weekday})
-    if (rule.byDay && rule.byDay.length > 0) {
-      // Helper to extract weekday and nth from string or object
-      const parseDay = d => {
-        if (typeof d === 'string') {
-          const match = d.match(/^(-?\d+)?([A-Z]{2})$/);
-          if (match) {
-            return { nth: match[1] ? parseInt(match[1], 10) : null, weekday: match[2] };
-          }
-          return { nth: null, weekday: d };
-        }
-        return d;
-      };
-
-      if (rule.freq === 'WEEKLY') {
-        const days = rule.byDay.map(d => weekdayMap[parseDay(d).weekday]).join(', ');
-        description += ` on ${days}`;
-      } else if (rule.freq === 'MONTHLY' || rule.freq === 'YEARLY') {
-        const dayDescs = rule.byDay
-          .map(d => {
-            const parsed = parseDay(d);
-            if (parsed.nth) {
-              return `the ${nthMap[parsed.nth] || parsed.nth} ${weekdayMap[parsed.weekday]}`;
-            }
-            return weekdayMap[parsed.weekday];
-          })
-          .join(', ');
-        description += ` on ${dayDescs}`;
-      }
-    }
-
-    // By month day
-    if (rule.byMonthDay && rule.byMonthDay.length > 0) {
-      const days = rule.byMonthDay
-        .map(d => {
-          if (d < 0) {
-            return `${Math.abs(d)} day(s) from the end`;
-          }
-          return `day ${d}`;
-        })
-        .join(', ');
-      description += ` on ${days}`;
-    }
-
-    // By month
-    if (rule.byMonth && rule.byMonth.length > 0) {
-      const monthNames = [
-        'January',
-        'February',
-        'March',
-        'April',
-        'May',
-        'June',
-        'July',
-        'August',
-        'September',
-        'October',
-        'November',
-        'December'
-      ];
-      const months = rule.byMonth.map(m => monthNames[m - 1]).join(', ');
-      description += ` in ${months}`;
-    }
-
-    // Count or until
-    if (rule.count) {
-      description += `, ${rule.count} time${rule.count > 1 ? 's' : ''}`;
-    } else if (rule.until) {
-      description += `, until ${rule.until.toLocaleDateString()}`;
-    }
-
-    return description;
+  static getDescription(rule, locale = 'en-US', options = {}) {
+    return new RecurrenceDescriber(locale).describe(this.parse(rule), options);
   }
 }
@@ -0,0 +1,373 @@
+/**
+ * RRuleValidator - Explains problems in recurrence rules
+ * RRuleParser.parse is lenient: it defaults FREQ to DAILY and drops values it
+ * cannot use. The validator reads the rule as written and reports each
+ * problem as an error (the rule is not valid RFC 5545) or a warning (the rule
+ * is valid but probably does not do what its author expects)
+ */
+
+import { RRuleParser } from './RRuleParser.js';
+import { RRuleExpander } from './RRuleExpander.js';
+
+const FREQUENCIES = ['SECONDLY', 'MINUTELY', 'HOURLY', 'DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MONTH_NAMES = [
+  'January',
+  'February',
+  'March',
+  'April',
+  'May',
+  'June',
+  'July',
+  'August',
+  'September',
+  'October',
+  'November',
+  'December'
+];
+// Longest length of each month, February in leap years
+const MONTH_LENGTHS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Allowed values of the integer list parts; zero is never allowed for
+// parts that may count from the end
+const INTEGER_LISTS = {
+  BYMONTH: { min: 1, max: 12 },
+  BYMONTHDAY: { min: -31, max: 31, signed: true },
+  BYYEARDAY: { min: -366, max: 366, signed: true },
+  BYWEEKNO: { min: -53, max: 53, signed: true },
+  BYSETPOS: { min: -366, max: 366, signed: true },
+  BYHOUR: { min: 0, max: 23 },
+  BYMINUTE: { min: 0, max: 59 },
+  BYSECOND: { min: 0, max: 59 }
+};
+
+const KNOWN_PARTS = [
+  'FREQ',
+  'INTERVAL',
+  'COUNT',
+  'UNTIL',
+  'BYDAY',
+  'WKST',
+  ...Object.keys(INTEGER_LISTS)
+];
+// Parts RRuleParser reads that are not part of RFC 5545 recurrence rules
+const EXTENSION_PARTS = ['EXDATE', 'TZID'];
+
+export class RRuleValidator {
+  /**
+   * Validate a recurrence rule
+   * @param {string|Object} rrule - RRULE string or rule object
+   * @param {Object} [options] - The series the rule belongs to
+   * @param {Date} [options.dtstart] - Start of the series; enables the checks
+   *   that depend on it, such as rules that produce no occurrences
+   * @param {boolean} [options.allDay] - Whether DTSTART is a date rather than a date-time
+   * @param {string} [options.timeZone] - Timezone of DTSTART
+   * @returns {{valid: boolean, rule: Object|null, errors: Array<{code: string, part: string|null, message: string}>,
+   *   warnings: Array<{code: string, part: string|null, message: string}>}}
+   *   `valid` is false when there are errors; `rule` is the parsed rule when it could be parsed
+   */
+  static validate(rrule, options = {}) {
+    const result = { valid: true, rule: null, errors: [], warnings: [] };
+    const error = (code, part, message) => result.errors.push({ code, part, message });
+    const warning = (code, part, message) => result.warnings.push({ code, part, message });
+
+    const text =
+      typeof rrule === 'string' ? rrule.trim().replace(/^RRULE:/i, '') : this.toText(rrule);
+    const parts = this.readParts(text, error, warning);
+
+    const freq = parts.FREQ;
+    if (!freq) {
+      error('MISSING_FREQ', 'FREQ', 'FREQ is required');
+    } else if (!FREQUENCIES.includes(freq)) {
+      error('INVALID_VALUE', 'FREQ', `FREQ must be one of ${FREQUENCIES.join(', ')}`);
+    }
+
+    for (const part of ['INTERVAL', 'COUNT']) {
+      if (parts[part] !== undefined && !/^\d+$/.test(parts[part])) {
+        error('INVALID_VALUE', part, `${part} must be a positive integer`);
+      } else if (parts[part] !== undefined && parseInt(parts[part], 10) < 1) {
+        error('OUT_OF_RANGE', part, `${part} must be at least 1`);
+      }
+    }
+
+    if (parts.UNTIL !== undefined && !/^\d{8}(T\d{6}Z?)?$/.test(parts.UNTIL)) {
+      error(
+        'INVALID_VALUE',
+        'UNTIL',
+        'UNTIL must be a date (YYYYMMDD) or date-time (YYYYMMDDTHHMMSS[Z])'
+      );
+    }
+    if (parts.COUNT !== undefined && parts.UNTIL !== undefined) {
+      error('COUNT_AND_UNTIL', 'COUNT', 'COUNT and UNTIL cannot be used together');
+    }
+    if (parts.WKST !== undefined && !WEEKDAYS.includes(parts.WKST)) {
+      error('INVALID_VALUE', 'WKST', `WKST must be one of ${WEEKDAYS.join(', ')}`);
+    }
+
+    const lists = {};
+    for (const [part, range] of Object.entries(INTEGER_LISTS)) {
+      if (parts[part] !== undefined) {
+        lists[part] = this.readIntegers(part, parts[part], range, error);
+      }
+    }
+    const byDay = parts.BYDAY !== undefined ? this.readWeekdays(parts.BYDAY, error) : [];
+
+    this.checkFrequencyParts(freq, parts, byDay, error);
+
+    if (result.errors.length === 0) {
+      result.rule = RRuleParser.parse(text);
+      this.checkSeries(result.rule, parts, lists, byDay, options, error, warning);
+    }
+
+    result.valid = result.errors.length === 0;
+    return result;
+  }
+
+  /**
+   * RRULE text of a rule object
+   * @private
+   */
+  static toText(rule) {
+    return RRuleParser.buildRRule(rule || {});
+  }
+
+  /**
+   * Split the rule into its parts, reporting malformed, repeated and unknown ones
+   * @private
+   */
+  static readParts(text, error, warning) {
+    const parts = {};
+    for (const item of text.split(';').filter(Boolean)) {
+      const separator = item.indexOf('=');
+      if (separator <= 0) {
+        error('INVALID_PART', null, `"${item}" is not a NAME=VALUE rule part`);
+        continue;
+      }
+
+      const name = item.slice(0, separator).trim().toUpperCase();
+      const value = item
+        .slice(separator + 1)
+        .trim()
+        .toUpperCase();
+      if (parts[name] !== undefined) {
+        error('DUPLICATE_PART', name, `${name} must not appear more than once`);
+        continue;
+      }
+      if (EXTENSION_PARTS.includes(name)) {
+        warning(
+          'NON_STANDARD_PART',
+          name,
+          `${name} is not a standard recurrence rule part; other applications will ignore it`
+        );
+      } else if (!KNOWN_PARTS.includes(name)) {
+        warning('UNKNOWN_PART', name, `${name} is not a recurrence rule part and is ignored`);
+        continue;
+      }
+      parts[name] = value;
+    }
+    return parts;
+  }
+
+  /**
+   * @private
+   */
+  static readIntegers(part, value, range, error) {
+    const values = [];
+    for (const item of value.split(',')) {
+      if (!/^[+-]?\d+$/.test(item)) {
+        error('INVALID_VALUE', part, `${part} value "${item}" is not an integer`);
+        continue;
+      }
+
+      const number = parseInt(item, 10);
+      if (number < range.min || number > range.max || (range.signed && number === 0)) {
+        const allowed = range.signed
+          ? `${range.min} to -1 or 1 to ${range.max}`
+          : `${range.min} to ${range.max}`;
+        error('OUT_OF_RANGE', part, `${part} value ${number} is out of range (${allowed})`);
+        continue;
+      }
+      values.push(number);
+    }
+    return values;
+  }
+
+  /**
+   * @private
+   */
+  static readWeekdays(value, error) {
+    const days = [];
+    for (const item of value.split(',')) {
+      const match = item.match(/^([+-]?\d{1,2})?([A-Z]{2})$/);
+      if (!match || !WEEKDAYS.includes(match[2])) {
+        error(
+          'INVALID_VALUE',
+          'BYDAY',
+          `BYDAY value "${item}" is not a weekday such as MO or -1FR`
+        );
+        continue;
+      }
+
+      const nth = match[1] ? parseInt(match[1], 10) : 0;
+      if (match[1] && (nth === 0 || Math.abs(nth) > 53)) {
+        error(
+          'OUT_OF_RANGE',
+          'BYDAY',
+          `BYDAY position ${nth} is out of range (-53 to -1 or 1 to 53)`
+        );
+        continue;
+      }
+      days.push({ nth, weekday: match[2] });
+    }
+    return days;
+  }
+
+  /**
+   * Rule parts RFC 5545 does not allow with the frequency
+   * @private
+   */
+  static checkFrequencyParts(freq, parts, byDay, error) {
+    if (!FREQUENCIES.includes(freq)) return;
+
+    if (parts.BYWEEKNO !== undefined && freq !== 'YEARLY') {
+      error('PART_NOT_ALLOWED', 'BYWEEKNO', 'BYWEEKNO can only be used with FREQ=YEARLY');
+    }
+    if (parts.BYYEARDAY !== undefined && ['DAILY', 'WEEKLY', 'MONTHLY'].includes(freq)) {
+      error('PART_NOT_ALLOWED', 'BYYEARDAY', `BYYEARDAY cannot be used with FREQ=${freq}`);
+    }
+    if (parts.BYMONTHDAY !== undefined && freq === 'WEEKLY') {
+      error('PART_NOT_ALLOWED', 'BYMONTHDAY', 'BYMONTHDAY cannot be used with FREQ=WEEKLY');
+    }
+
+    if (byDay.some(day => day.nth)) {
+      if (freq !== 'MONTHLY' && freq !== 'YEARLY') {
+        error(
+          'PART_NOT_ALLOWED',
+          'BYDAY',
+          'Numbered weekdays such as 1MO can only be used with FREQ=MONTHLY or FREQ=YEARLY'
+        );
+      } else if (freq === 'YEARLY' && parts.BYWEEKNO !== undefined) {
+        error(
+          'PART_NOT_ALLOWED',
+          'BYDAY',
+          'Numbered weekdays such as 1MO cannot be used together with BYWEEKNO'
+        );
+      }
+    }
+
+    if (parts.BYSETPOS !== undefined) {
+      const others = KNOWN_PARTS.filter(part => part.startsWith('BY') && part !== 'BYSETPOS');
+      if (!others.some(part => parts[part] !== undefined)) {
+        error('PART_NOT_ALLOWED', 'BYSETPOS', 'BYSETPOS must be used with another BYxxx rule part');
+      }
+    }
+  }
+
+  /**
+   * Checks of a valid rule against the series it belongs to
+   * @private
+   */
+  static checkSeries(rule, parts, lists, byDay, options, error, warning) {
+    const { dtstart, allDay, timeZone } = options;
+
+    if (parts.UNTIL !== undefined) {
+      const isDate = parts.UNTIL.length === 8;
+      if (allDay === true && !isDate) {
+        error(
+          'UNTIL_TYPE_MISMATCH',
+          'UNTIL',
+          'UNTIL must be a date (YYYYMMDD) for an all-day series'
+        );
+      } else if (allDay === false && isDate) {
+        error(
+          'UNTIL_TYPE_MISMATCH',
+          'UNTIL',
+          'UNTIL must be a date-time (YYYYMMDDTHHMMSS) when DTSTART has a time'
+        );
+      } else if (timeZone && !isDate && !rule.untilUTC) {
+        warning(
+          'UNTIL_NOT_UTC',
+          'UNTIL',
+          'UNTIL should be in UTC (ending in Z) when DTSTART has a timezone; it is read as wall-clock time'
+        );
+      }
+    }
+
+    // Without day parts the series repeats on the day of DTSTART
+    let days = lists.BYMONTHDAY || [];
+    let months = rule.byMonth;
+    const hasDayParts = ['BYMONTHDAY', 'BYDAY', 'BYYEARDAY', 'BYWEEKNO'].some(
+      part => parts[part] !== undefined
+    );
+    if (dtstart && !hasDayParts && (rule.freq === 'MONTHLY' || rule.freq === 'YEARLY')) {
+      days = [dtstart.getDate()];
+      if (rule.freq === 'YEARLY' && months.length === 0) months = [dtstart.getMonth() + 1];
+    }
+    if (rule.freq === 'MONTHLY' || rule.freq === 'YEARLY') {
+      this.checkSkippedMonths(days, months, warning);
+    }
+
+    const fifth = byDay.find(day => Math.abs(day.nth) === 5);
+    if (fifth && (rule.freq === 'MONTHLY' || lists.BYMONTH)) {
+      warning(
+        'SKIPS_MONTHS',
+        'BYDAY',
+        `${fifth.nth}${fifth.weekday} skips months that do not have five of that weekday`
+      );
+    }
+
+    if (!dtstart) return;
+
+    if (rule.until && rule.until < dtstart) {
+      warning('UNTIL_BEFORE_START', 'UNTIL', 'UNTIL is before DTSTART; only DTSTART occurs');
+      return;
+    }
+
+    try {
+      if (!RRuleExpander.includesStart(rule, dtstart)) {
+        warning(
+          'START_NOT_IN_RULE',
+          null,
+          'DTSTART does not match the rule; it is still the first occurrence'
+        );
+      }
+
+      const occurrences = RRuleExpander.iterate(rule, dtstart);
+      occurrences.next();
+      if (occurrences.next().done && rule.count !== 1) {
+        warning('NO_OCCURRENCES', null, 'The rule produces no occurrences after DTSTART');
+      }
+    } catch (e) {
+      error('TOO_DENSE', null, e.message);
+    }
+  }
+
+  /**
+   * Warn about month days that some months do not have, which silently
+   * skip those months
+   * @private
+   */
+  static checkSkippedMonths(days, byMonth, warning) {
+    const months = byMonth.length > 0 ? byMonth : MONTH_NAMES.map((_, i) => i + 1);
+
+    for (const day of days) {
+      if (day < 29) continue;
+
+      const skipped = months
+        .filter(month => MONTH_LENGTHS[month - 1] < day)
+        .map(month => MONTH_NAMES[month - 1]);
+      if (day === 29 && months.includes(2)) {
+        skipped.push('February outside leap years');
+      }
+      if (skipped.length === 0) continue;
+
+      warning(
+        'SKIPS_MONTHS',
+        'BYMONTHDAY',
+        `Day ${day} skips ${skipped.join(', ')}; BYMONTHDAY=-1 is the last day of every month`
+      );
+    }
+  }
+}
+
+export default RRuleValidator;
@@ -0,0 +1,360 @@
+/**
+ * RecurrenceDescriber - Localized, human-readable descriptions of recurrence rules
+ * Weekday and month names, lists, plural forms and dates come from Intl.
+ * Phrasing is provided for English, French, German and Japanese; other
+ * locales are described in English
+ */
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const FREQUENCIES = ['SECONDLY', 'MINUTELY', 'HOURLY', 'DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+const EN_ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth'];
+const EN_SUFFIXES = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+const FR_ORDINALS = ['premier', 'deuxième', 'troisième', 'quatrième', 'cinquième'];
+const DE_ORDINALS = ['ersten', 'zweiten', 'dritten', 'vierten', 'fünften'];
+
+/**
+ * Phrasing per language. Each entry turns the parts of a rule into text;
+ * `ordinal` is a helper bound to the locale's ordinal plural rules
+ */
+const LANGUAGES = {
+  en: {
+    units: {
+      SECONDLY: ['second', 'seconds'],
+      MINUTELY: ['minute', 'minutes'],
+      HOURLY: ['hour', 'hours'],
+      DAILY: ['day', 'days'],
+      WEEKLY: ['week', 'weeks'],
+      MONTHLY: ['month', 'months'],
+      YEARLY: ['year', 'years']
+    },
+    every: (n, [one, other]) => (n === 1 ? `every ${one}` : `every ${n} ${other}`),
+    nth: (n, { ordinal }) => {
+      if (n === -1) return 'last';
+      const word = EN_ORDINALS[Math.abs(n) - 1] || ordinal(Math.abs(n));
+      return n > 0 ? word : `${word} to last`;
+    },
+    weekday: (name, nth) => (nth ? `the ${nth} ${name}` : name),
+    monthDay: (day, { nth, ordinal }) => (day > 0 ? `the ${ordinal(day)}` : `the ${nth(day)} day`),
+    yearDay: (day, { nth, ordinal }) =>
+      `the ${day > 0 ? ordinal(day) : `${nth(day)}`} day of the year`,
+    weekNo: (week, { nth }) => (week > 0 ? `week ${week}` : `the ${nth(week)} week`),
+    days: list => `on ${list}`,
+    setPos: (positions, list) => `on the ${positions} ${list}`,
+    months: list => `in ${list}`,
+    weeks: list => `in ${list}`,
+    times: list => `at ${list}`,
+    minutes: (list, count) => `at minute${count > 1 ? 's' : ''} ${list}`,
+    seconds: (list, count) => `at second${count > 1 ? 's' : ''} ${list}`,
+    count: (n, plural) => `${n} ${plural === 'one' ? 'time' : 'times'}`,
+    until: date => `until ${date}`
+  },
+
+  fr: {
+    units: {
+      SECONDLY: ['toutes les secondes', 'toutes les {n} secondes'],
+      MINUTELY: ['toutes les minutes', 'toutes les {n} minutes'],
+      HOURLY: ['toutes les heures', 'toutes les {n} heures'],
+      DAILY: ['tous les jours', 'tous les {n} jours'],
+      WEEKLY: ['toutes les semaines', 'toutes les {n} semaines'],
+      MONTHLY: ['tous les mois', 'tous les {n} mois'],
+      YEARLY: ['tous les ans', 'tous les {n} ans']
+    },
+    every: (n, [one, other]) => (n === 1 ? one : other.replace('{n}', n)),
+    nth: n => {
+      if (n === -1) return 'dernier';
+      if (n === -2) return 'avant-dernier';
+      const word = FR_ORDINALS[Math.abs(n) - 1] || `${Math.abs(n)}e`;
+      return n > 0 ? word : `${word} avant la fin`;
+    },
+    weekday: (name, nth) => (nth ? `le ${nth} ${name}` : `le ${name}`),
+    monthDay: (day, { nth }) => (day > 0 ? `le ${day === 1 ? '1er' : day}` : `le ${nth(day)} jour`),
+    yearDay: (day, { nth }) =>
+      `le ${day > 0 ? (day === 1 ? '1er' : `${day}e`) : nth(day)} jour de l’année`,
+    weekNo: week =>
+      week > 0
+        ? `la semaine ${week}`
+        : week === -1
+          ? 'la dernière semaine'
+          : `la ${-week}e semaine avant la fin`,
+    days: list => list,
+    setPos: (positions, list) => `le ${positions} ${list}`,
+    months: list => `en ${list}`,
+    weeks: list => list,
+    times: list => `à ${list}`,
+    minutes: (list, count) => `${count > 1 ? 'aux minutes' : 'à la minute'} ${list}`,
+    seconds: (list, count) => `${count > 1 ? 'aux secondes' : 'à la seconde'} ${list}`,
+    count: n => `${n} fois`,
+    until: date => `jusqu’au ${date.replace(/^1 /, '1er ')}`
+  },
+
+  de: {
+    units: {
+      SECONDLY: ['jede Sekunde', 'alle {n} Sekunden'],
+      MINUTELY: ['jede Minute', 'alle {n} Minuten'],
+      HOURLY: ['jede Stunde', 'alle {n} Stunden'],
+      DAILY: ['jeden Tag', 'alle {n} Tage'],
+      WEEKLY: ['jede Woche', 'alle {n} Wochen'],
+      MONTHLY: ['jeden Monat', 'alle {n} Monate'],
+      YEARLY: ['jedes Jahr', 'alle {n} Jahre']
+    },
+    every: (n, [one, other]) => (n === 1 ? one : other.replace('{n}', n)),
+    nth: n => {
+      if (n === -1) return 'letzten';
+      if (n === -2) return 'vorletzten';
+      return n > 0 ? DE_ORDINALS[n - 1] || `${n}.` : `${-n}.-letzten`;
+    },
+    weekday: (name, nth) => (nth ? `${nth} ${name}` : name),
+    monthDay: (day, { nth }) => (day > 0 ? `${day}.` : `${nth(day)} Tag`),
+    yearDay: (day, { nth }) => `${day > 0 ? `${day}.` : nth(day)} Tag des Jahres`,
+    weekNo: (week, { nth }) =>
+      week > 0 ? `Kalenderwoche ${week}` : `der ${nth(week)} Kalenderwoche`,
+    days: list => `am ${list}`,
+    setPos: (positions, list) => `am ${positions} ${list}`,
+    months: list => `im ${list}`,
+    weeks: list => `in ${list}`,
+    times: list => `um ${list}`,
+    minutes: (list, count) => `${count > 1 ? 'zu den Minuten' : 'zur Minute'} ${list}`,
+    seconds: (list, count) => `${count > 1 ? 'zu den Sekunden' : 'zur Sekunde'} ${list}`,
+    count: n => `${n}-mal`,
+    until: date => `bis zum ${date}`
+  },
+
+  ja: {
+    units: {
+      SECONDLY: ['毎秒', '{n}秒ごと'],
+      MINUTELY: ['毎分', '{n}分ごと'],
+      HOURLY: ['毎時', '{n}時間ごと'],
+      DAILY: ['毎日', '{n}日ごと'],
+      WEEKLY: ['毎週', '{n}週間ごと'],
+      MONTHLY: ['毎月', '{n}か月ごと'],
+      YEARLY: ['毎年', '{n}年ごと']
+    },
+    every: (n, [one, other]) => (n === 1 ? one : other.replace('{n}', n)),
+    nth: n => {
+      if (n === -1) return '最終';
+      return n > 0 ? `第${n}` : `最後から${-n}番目の`;
+    },
+    weekday: (name, nth) => (nth ? `${nth}${name}` : name),
+    monthDay: day => (day > 0 ? `${day}日` : day === -1 ? '最終日' : `最終日の${-day - 1}日前`),
+    yearDay: day => (day > 0 ? `${day}日目` : day === -1 ? '年の最終日' : `年末から${-day}日目`),
+    weekNo: (week, { nth }) => (week > 0 ? `第${week}週` : `${nth(week)}週`),
+    days: list => list,
+    setPos: (positions, list) => `${list}のうち${positions}の日`,
+    months: list => list,
+    weeks: list => list,
+    times: list => list,
+    minutes: list => list,
+    seconds: list => list,
+    minute: minute => `${minute}分`,
+    second: second => `${second}秒`,
+    count: n => `${n}回`,
+    until: date => `${date}まで`,
+    // Japanese chains the parts with の and lists with と
+    conjunction: items => items.join('と'),
+    compose: (head, parts, end) => [head, ...parts].join('の') + (end ? `、${end}` : '')
+  }
+};
+
+export class RecurrenceDescriber {
+  /**
+   * Create a describer for a locale
+   * @param {string} [locale='en-US'] - BCP 47 locale, e.g. the Calendar's locale
+   */
+  constructor(locale = 'en-US') {
+    this.locale = locale;
+
+    const language = String(locale).split('-')[0].toLowerCase();
+    this.language = LANGUAGES[language] ? language : 'en';
+    this.phrases = LANGUAGES[this.language];
+
+    // Names and lists follow the locale only when the phrasing does
+    const intlLocale = this.language === language ? locale : 'en-US';
+    this.intlLocale = intlLocale;
+    this.pluralRules = new Intl.PluralRules(intlLocale);
+    this.ordinalRules = new Intl.PluralRules(intlLocale, { type: 'ordinal' });
+    this.conjunctionFormat = new Intl.ListFormat(intlLocale, { type: 'conjunction' });
+    this.disjunctionFormat = new Intl.ListFormat(intlLocale, { type: 'disjunction' });
+
+    const weekdayFormat = new Intl.DateTimeFormat(intlLocale, { weekday: 'long', timeZone: 'UTC' });
+    const monthFormat = new Intl.DateTimeFormat(intlLocale, { month: 'long', timeZone: 'UTC' });
+    // 7 January 2024 is a Sunday
+    this.weekdayNames = WEEKDAYS.map((_, i) => weekdayFormat.format(Date.UTC(2024, 0, 7 + i)));
+    this.monthNames = Array.from({ length: 12 }, (_, i) =>
+      monthFormat.format(Date.UTC(2024, i, 1))
+    );
+  }
+
+  /**
+   * Describe a parsed recurrence rule
+   * @param {Object} rule - Rule object from RRuleParser.parse
+   * @param {Object} [options] - Description options
+   * @param {string} [options.timeZone] - Zone a UTC UNTIL is shown in (defaults to the host zone)
+   * @returns {string} Description such as "Every 2 weeks on Monday and Wednesday, 10 times"
+   */
+  describe(rule, options = {}) {
+    const phrases = this.phrases;
+    const freq = FREQUENCIES.includes(rule.freq) ? rule.freq : 'DAILY';
+    const interval = rule.interval > 1 ? rule.interval : 1;
+
+    const head = phrases.every(interval, phrases.units[freq]);
+    const parts = [
+      this.describeMonths(rule),
+      this.describeWeeks(rule),
+      this.describeDays(rule),
+      this.describeTimes(rule)
+    ].filter(Boolean);
+
+    let end = null;
+    if (rule.count) {
+      end = phrases.count(rule.count, this.pluralRules.select(rule.count));
+    } else if (rule.until) {
+      end = phrases.until(this.formatUntil(rule, options.timeZone));
+    }
+
+    const text = phrases.compose
+      ? phrases.compose(head, parts, end)
+      : [head, ...parts].join(' ') + (end ? `, ${end}` : '');
+
+    return text.charAt(0).toLocaleUpperCase(this.intlLocale) + text.slice(1);
+  }
+
+  /**
+   * Weekday, month day and year day selectors, reduced by BYSETPOS
+   * @private
+   */
+  describeDays(rule) {
+    const helpers = this.getHelpers();
+    const byDay = (rule.byDay || []).map(day => this.parseDay(day));
+    const items = [
+      ...byDay.map(({ nth, weekday }) =>
+        this.phrases.weekday(
+          this.weekdayNames[WEEKDAYS.indexOf(weekday)],
+          nth && !rule.bySetPos?.length ? helpers.nth(nth) : null
+        )
+      ),
+      ...(rule.byMonthDay || []).map(day => this.phrases.monthDay(day, helpers)),
+      ...(rule.byYearDay || []).map(day => this.phrases.yearDay(day, helpers))
+    ];
+    if (items.length === 0) return null;
+
+    if (rule.bySetPos && rule.bySetPos.length > 0) {
+      // "the last Monday or Friday": the set is one of the listed days
+      const names = byDay.length
+        ? byDay.map(({ weekday }) => this.weekdayNames[WEEKDAYS.indexOf(weekday)])
+        : items;
+      const positions = this.list(rule.bySetPos.map(position => helpers.nth(position)));
+      return this.phrases.setPos(positions, this.disjunctionFormat.format(names));
+    }
+
+    return this.phrases.days(this.list(items));
+  }
+
+  /**
+   * @private
+   */
+  describeMonths(rule) {
+    if (!rule.byMonth || rule.byMonth.length === 0) return null;
+    return this.phrases.months(this.list(rule.byMonth.map(month => this.monthNames[month - 1])));
+  }
+
+  /**
+   * @private
+   */
+  describeWeeks(rule) {
+    if (!rule.byWeekNo || rule.byWeekNo.length === 0) return null;
+    const helpers = this.getHelpers();
+    return this.phrases.weeks(
+      this.list(rule.byWeekNo.map(week => this.phrases.weekNo(week, helpers)))
+    );
+  }
+
+  /**
+   * Times of day from BYHOUR, with BYMINUTE and BYSECOND; minutes or
+   * seconds alone are listed as such
+   * @private
+   */
+  describeTimes(rule) {
+    const hours = rule.byHour || [];
+    const minutes = rule.byMinute || [];
+    const seconds = rule.bySecond || [];
+
+    if (hours.length > 0) {
+      const withSeconds = seconds.some(second => second !== 0);
+      const format = new Intl.DateTimeFormat(this.intlLocale, {
+        hour: 'numeric',
+        minute: '2-digit',
+        second: withSeconds ? '2-digit' : undefined,
+        timeZone: 'UTC'
+      });
+      const times = [];
+      for (const hour of hours) {
+        for (const minute of minutes.length ? minutes : [0]) {
+          for (const second of seconds.length ? seconds : [0]) {
+            times.push(format.format(Date.UTC(2000, 0, 1, hour, minute, second)));
+          }
+        }
+      }
+      return this.phrases.times(this.list(times));
+    }
+    if (minutes.length > 0) {
+      const minute = this.phrases.minute || String;
+      return this.phrases.minutes(this.list(minutes.map(minute)), minutes.length);
+    }
+    if (seconds.length > 0) {
+      const second = this.phrases.second || String;
+      return this.phrases.seconds(this.list(seconds.map(second)), seconds.length);
+    }
+    return null;
+  }
+
+  /**
+   * UNTIL as a long date. A UTC UNTIL is an instant and is shown in the
+   * given zone; otherwise it is wall-clock time like DTSTART
+   * @private
+   */
+  formatUntil(rule, timeZone) {
+    const until = new Date(rule.until);
+    const options = { dateStyle: 'long' };
+    if (rule.untilUTC && timeZone) {
+      options.timeZone = timeZone;
+    }
+    return new Intl.DateTimeFormat(this.intlLocale, options).format(until);
+  }
+
+  /**
+   * Join items with the locale's "and"
+   * @private
+   */
+  list(items) {
+    return this.phrases.conjunction
+      ? this.phrases.conjunction(items)
+      : this.conjunctionFormat.format(items);
+  }
+
+  /**
+   * Ordinal helpers handed to the phrasing functions
+   * @private
+   */
+  getHelpers() {
+    const ordinal = n => `${n}${EN_SUFFIXES[this.ordinalRules.select(n)] || 'th'}`;
+    const helpers = { ordinal };
+    helpers.nth = n => this.phrases.nth(n, helpers);
+    return helpers;
+  }
+
+  /**
+   * BYDAY entries are strings like '2TU' or objects like {nth: 2, weekday: 'TU'}
+   * @private
+   */
+  parseDay(day) {
+    if (typeof day !== 'string') {
+      return { nth: day.nth || null, weekday: day.weekday };
+    }
+    const match = day.match(/^([+-]?\d+)?([A-Z]{2})$/);
+    return match
+      ? { nth: match[1] ? parseInt(match[1], 10) : null, weekday: match[2] }
+      : { nth: null, weekday: day };
+  }
+}
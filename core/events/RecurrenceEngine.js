@@ -1,10 +1,10 @@
-import { DateUtils } from '../calendar/DateUtils.js';
-import { TimezoneManager } from '../timezone/TimezoneManager.js';
 import { RRuleParser } from './RRuleParser.js';
+import { RecurrenceEngineV2 } from './RecurrenceEngineV2.js';
 
 /**
  * RecurrenceEngine - Handles expansion of recurring events
- * Full support for RFC 5545 (iCalendar) RRULE specification
+ * Full support for RFC 5545 (iCalendar) RRULE specification.
+ * Expansion is delegated to the shared RecurrenceEngineV2 instance
  */
 export class RecurrenceEngine {
   /**
@@ -17,84 +17,10 @@ export class RecurrenceEngine {
    * @returns {import('../../types.js').EventOccurrence[]} Array of occurrence objects with start/end dates
    */
   static expandEvent(event, rangeStart, rangeEnd, maxOccurrences = 365, timezone = null) {
-    if (!event.recurring || !event.recurrenceRule) {
-      return [{ start: event.start, end: event.end, timezone: event.timeZone }];
-    }
-
-    const rule = this.parseRule(event.recurrenceRule);
-    const occurrences = [];
-    const duration = event.end - event.start;
-    const eventTimezone = timezone || event.timeZone || 'UTC';
-    const tzManager = TimezoneManager.getInstance();
-
-    // Work in event's timezone for accurate recurrence calculation
-    let currentDate = new Date(event.start);
-    let count = 0;
-
-    // If UNTIL is specified, use it as the range end
-    if (rule.until && rule.until < rangeEnd) {
-      rangeEnd = rule.until;
-    }
-
-    // Track DST transitions for proper timezone handling
-    let lastOffset = tzManager.getTimezoneOffset(currentDate, eventTimezone);
-
-    // Track last date to detect infinite loop (date not advancing)
-    const lastDateTimestamp = null;
-    let stuckCount = 0;
-    const maxStuckIterations = 3;
-
-    while (currentDate <= rangeEnd && count < maxOccurrences) {
-      // Check if this occurrence is within the range
-      if (currentDate >= rangeStart) {
-        const occurrenceStart = new Date(currentDate);
-        const occurrenceEnd = new Date(currentDate.getTime() + duration);
-
-        // Handle DST transitions
-        const currentOffset = tzManager.getTimezoneOffset(occurrenceStart, eventTimezone);
-        if (currentOffset !== lastOffset) {
-          // Adjust for DST change
-          const offsetDiff = lastOffset - currentOffset;
-          occurrenceStart.setMinutes(occurrenceStart.getMinutes() + offsetDiff);
-          occurrenceEnd.setMinutes(occurrenceEnd.getMinutes() + offsetDiff);
-        }
-        lastOffset = currentOffset;
-
-        // Apply exceptions if any
-        if (!this.isException(occurrenceStart, rule, event.id)) {
-          occurrences.push({
-            start: occurrenceStart,
-            end: occurrenceEnd,
-            recurringEventId: event.id,
-            timezone: eventTimezone,
-            originalStart: event.start
-          });
-        }
-      }
-
-      // Calculate next occurrence
-      const previousTimestamp = currentDate.getTime();
-      currentDate = this.getNextOccurrence(currentDate, rule, eventTimezone);
-      count++;
-
-      // Safeguard: detect if date is not advancing (infinite loop risk)
-      if (currentDate.getTime() === previousTimestamp) {
-        stuckCount++;
-        if (stuckCount >= maxStuckIterations) {
-          console.warn('RecurrenceEngine: Date not advancing, breaking to prevent infinite loop');
-          break;
-        }
-      } else {
-        stuckCount = 0;
-      }
-
-      // Check COUNT limit
-      if (rule.count && count >= rule.count) {
-        break;
-      }
-    }
-
-    return occurrences;
+    return RecurrenceEngineV2.getInstance().expandEvent(event, rangeStart, rangeEnd, {
+      maxOccurrences,
+      timezone: timezone || event.timeZone || 'UTC'
+    });
   }
 
   /**
@@ -107,152 +33,6 @@ export class RecurrenceEngine {
     return RRuleParser.parse(ruleString);
   }
 
-  /**
-   * Calculate the next occurrence based on the rule
-   * @param {Date} currentDate - Current occurrence date
-   * @param {Object} rule - Recurrence rule object
-   * @param {string} [timezone] - Timezone for calculation
-   * @returns {Date} Next occurrence date
-   */
-  static getNextOccurrence(currentDate, rule, timezone = 'UTC') {
-    const next = new Date(currentDate);
-
-    switch (rule.freq) {
-      case 'DAILY':
-        next.setDate(next.getDate() + rule.interval);
-        break;
-
-      case 'WEEKLY':
-        if (rule.byDay && rule.byDay.length > 0) {
-          // Find next day that matches byDay
-          // Limit iterations to prevent infinite loop with malformed byDay
-          const maxIterations = 8; // 7 days + 1 for safety
-          let iterations = 0;
-          const originalDate = next.getDate();
-          next.setDate(next.getDate() + 1);
-          while (!this.matchesByDay(next, rule.byDay) && iterations < maxIterations) {
-            next.setDate(next.getDate() + 1);
-            iterations++;
-          }
-          // If no match found, fall back to simple weekly interval from original date
-          if (iterations >= maxIterations) {
-            console.warn('RecurrenceEngine: Invalid byDay rule, falling back to weekly interval');
-            // Reset to original and add weekly interval
-            next.setDate(originalDate + 7 * rule.interval);
-          }
-        } else {
-          // Simple weekly recurrence
-          next.setDate(next.getDate() + 7 * rule.interval);
-        }
-        break;
-
-      case 'MONTHLY':
-        if (rule.byMonthDay && rule.byMonthDay.length > 0) {
-          // Specific day(s) of month
-          const currentMonth = next.getMonth();
-          next.setMonth(currentMonth + rule.interval);
-          next.setDate(rule.byMonthDay[0]); // Use first specified day
-        } else if (rule.byDay && rule.byDay.length > 0) {
-          // Specific weekday of month (e.g., "2nd Tuesday")
-          next.setMonth(next.getMonth() + rule.interval);
-          this.setToWeekdayOfMonth(next, rule.byDay[0], rule.bySetPos[0] || 1);
-        } else {
-          // Same day of month
-          next.setMonth(next.getMonth() + rule.interval);
-        }
-        break;
-
-      case 'YEARLY':
-        if (rule.byMonth && rule.byMonth.length > 0) {
-          next.setFullYear(next.getFullYear() + rule.interval);
-          next.setMonth(rule.byMonth[0] - 1); // Months are 0-indexed
-        } else {
-          next.setFullYear(next.getFullYear() + rule.interval);
-        }
-        break;
-
-      default:
-        // Unsupported frequency
-        next.setTime(next.getTime() + 24 * 60 * 60 * 1000); // Daily fallback
-    }
-
-    return next;
-  }
-
-  /**
-   * Check if a date matches the BYDAY rule
-   * @param {Date} date - Date to check
-   * @param {Array<string>} byDay - Array of day codes (e.g., ['MO', 'WE', 'FR'])
-   * @returns {boolean}
-   */
-  static matchesByDay(date, byDay) {
-    const dayMap = {
-      SU: 0,
-      MO: 1,
-      TU: 2,
-      WE: 3,
-      TH: 4,
-      FR: 5,
-      SA: 6
-    };
-
-    const dayOfWeek = date.getDay();
-    return byDay.some(day => {
-      // Handle numbered weekdays (e.g., "2MO" for 2nd Monday)
-      const match = day.match(/^(-?\d+)?([A-Z]{2})$/);
-      if (match) {
-        const weekdayCode = match[2];
-        return dayMap[weekdayCode] === dayOfWeek;
-      }
-      return false;
-    });
-  }
-
-  /**
-   * Set date to specific weekday of month
-   * @param {Date} date - Date to modify
-   * @param {string} weekday - Weekday code (e.g., 'MO', 'TU')
-   * @param {number} position - Position in month (1-5, or -1 for last)
-   */
-  static setToWeekdayOfMonth(date, weekday, position = 1) {
-    const dayMap = {
-      SU: 0,
-      MO: 1,
-      TU: 2,
-      WE: 3,
-      TH: 4,
-      FR: 5,
-      SA: 6
-    };
-
-    // Extract weekday code if it has a number prefix
-    const match = weekday.match(/^(-?\d+)?([A-Z]{2})$/);
-    const weekdayCode = match ? match[2] : weekday;
-    const targetDay = dayMap[weekdayCode];
-
-    date.setDate(1); // Start at first of month
-
-    // Find first occurrence of the weekday
-    while (date.getDay() !== targetDay) {
-      date.setDate(date.getDate() + 1);
-    }
-
-    // Move to the nth occurrence
-    if (position > 1) {
-      date.setDate(date.getDate() + 7 * (position - 1));
-    } else if (position === -1) {
-      // Last occurrence of the month
-      const nextMonth = new Date(date);
-      nextMonth.setMonth(nextMonth.getMonth() + 1);
-      nextMonth.setDate(0); // Last day of current month
-
-      while (nextMonth.getDay() !== targetDay) {
-        nextMonth.setDate(nextMonth.getDate() - 1);
-      }
-      date.setTime(nextMonth.getTime());
-    }
-  }
-
   /**
    * Check if a date is an exception
    * @param {Date} date - Date to check
@@ -347,45 +127,11 @@ export class RecurrenceEngine {
   /**
    * Generate a human-readable description of the recurrence rule
    * @param {Object|string} rule - Recurrence rule
+   * @param {string} [locale='en-US'] - Locale of the description
    * @returns {string} Human-readable description
    */
-  static getDescription(rule) {
-    if (typeof rule === 'string') {
-      rule = this.parseRule(rule);
-    }
-
-    let description = '';
-    const interval = rule.interval || 1;
-
-    switch (rule.freq) {
-      case 'DAILY':
-        description = interval === 1 ? 'Daily' : `Every ${interval} days`;
-        break;
-      case 'WEEKLY':
-        description = interval === 1 ? 'Weekly' : `Every ${interval} weeks`;
-        if (rule.byDay && rule.byDay.length > 0) {
-          const days = rule.byDay.map(d => this.getDayName(d)).join(', ');
-          description += ` on ${days}`;
-        }
-        break;
-      case 'MONTHLY':
-        description = interval === 1 ? 'Monthly' : `Every ${interval} months`;
-        if (rule.byMonthDay && rule.byMonthDay.length > 0) {
-          description += ` on day ${rule.byMonthDay.join(', ')}`;
-        }
-        break;
-      case 'YEARLY':
-        description = interval === 1 ? 'Yearly' : `Every ${interval} years`;
-        break;
-    }
-
-    if (rule.count) {
-      description += `, ${rule.count} times`;
-    } else if (rule.until) {
-      description += `, until ${rule.until.toLocaleDateString()}`;
-    }
-
-    return description;
+  static getDescription(rule, locale = 'en-US') {
+    return RRuleParser.getDescription(this.parseRule(rule), locale);
   }
 
   /**
@@ -1,12 +1,32 @@
 /**
  * RecurrenceEngineV2 - Enhanced recurrence engine with advanced features
- * Handles modified instances, complex timezone transitions, and performance optimization
+ * Handles modified instances, complex timezone transitions, and performance optimization.
+ * Exceptions, extra dates and modified instances are read from the event itself,
+ * so every component expanding a series through the shared instance agrees
  */
 
 import { TimezoneManager } from '../timezone/TimezoneManager.js';
 import { RRuleParser } from './RRuleParser.js';
+import { RRuleExpander } from './RRuleExpander.js';
+import { OccurrenceIterator } from './OccurrenceIterator.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+let sharedInstance = null;
 
 export class RecurrenceEngineV2 {
+  /**
+   * Get the shared engine used by Calendar, EventStore and ConflictDetector
+   * @returns {RecurrenceEngineV2} The shared instance
+   */
+  static getInstance() {
+    if (!sharedInstance) {
+      sharedInstance = new RecurrenceEngineV2();
+    }
+    return sharedInstance;
+  }
+
   constructor() {
     // Use singleton to share cache across all components
     this.tzManager = TimezoneManager.getInstance();
@@ -15,11 +35,8 @@ export class RecurrenceEngineV2 {
     this.occurrenceCache = new Map();
     this.cacheSize = 100;
 
-    // Modified instances storage
-    this.modifiedInstances = new Map(); // eventId -> Map(occurrenceDate -> modifications)
-
-    // Exception storage with reasons
-    this.exceptionStore = new Map(); // eventId -> Map(date -> reason)
+    // Whether a rule needs time-of-day instance keys, by rule
+    this.subDailyRules = new Map();
   }
 
   /**
@@ -31,123 +48,192 @@ export class RecurrenceEngineV2 {
    * @returns {Array} Expanded occurrences
    */
   expandEvent(event, rangeStart, rangeEnd, options = {}) {
+    const { maxOccurrences = 365, includeCancelled = false } = options;
+
+    // Check cache; updated events are new instances, so stale entries never match
+    const cacheKey = this.getCacheKey(event.id, rangeStart, rangeEnd, options);
+    const cached = this.occurrenceCache.get(cacheKey);
+    if (cached && cached.event === event) {
+      return cached.occurrences;
+    }
+
+    if (!event.recurring || !event.recurrenceRule) {
+      return [this.createOccurrence(event, event.start, event.end)];
+    }
+
+    const occurrences = [];
+    for (const occurrence of this.generateOccurrences(event, options)) {
+      if (occurrence.recurrenceId > rangeEnd || occurrences.length >= maxOccurrences) break;
+      if (occurrence.recurrenceId < rangeStart) continue;
+      if (occurrence.status === 'cancelled' && !includeCancelled) continue;
+
+      occurrences.push(occurrence);
+    }
+
+    // Cache results
+    this.cacheOccurrences(cacheKey, event, occurrences);
+
+    return occurrences;
+  }
+
+  /**
+   * Lazily iterate over the occurrences of an event, without a range or cap
+   * @param {Event} event - Recurring event
+   * @param {Object} [options] - Same options as expandEvent, except the range and maxOccurrences
+   * @returns {OccurrenceIterator} Iterator over the occurrences in series order
+   */
+  iterate(event, options = {}) {
+    return new OccurrenceIterator(this, event, options);
+  }
+
+  /**
+   * Generate every occurrence of an event in series order: rule dates and
+   * RDATEs merged, with exceptions and modifications applied. Cancelled
+   * occurrences are yielded with status 'cancelled' so callers can always
+   * tell how far into the series they are
+   * @param {Event} event - Recurring event
+   * @param {Object} [options] - Expansion options
+   * @returns {Generator<Object>} Occurrences; unbounded for rules without COUNT or UNTIL
+   */
+  *generateOccurrences(event, options = {}) {
     const {
-      maxOccurrences = 365,
       includeModified = true,
-      includeCancelled = false,
       timezone = event.timeZone || 'UTC',
       handleDST = true
     } = options;
 
-    // Check cache
-    const cacheKey = this.getCacheKey(event.id, rangeStart, rangeEnd, options);
-    if (this.occurrenceCache.has(cacheKey)) {
-      return this.occurrenceCache.get(cacheKey);
-    }
-
     if (!event.recurring || !event.recurrenceRule) {
-      return [this.createOccurrence(event, event.start, event.end)];
+      yield this.createOccurrence(event, event.start, event.end);
+      return;
     }
 
     const rule = RRuleParser.parse(event.recurrenceRule);
-    const occurrences = [];
-    const duration = event.end - event.start;
-
-    // Initialize expansion state
-    const state = {
-      currentDate: new Date(event.start),
-      count: 0,
-      tzOffsets: new Map(),
-      dstTransitions: []
+    const duration = this.getWallTime(event.end) - this.getWallTime(event.start);
+
+    // Exact offset transitions drive the wall-clock to UTC resolution
+    const state = { transitionsAt: this.createTransitionLookup(timezone, handleDST) };
+    const resolve = date => this.resolveWallTime(date, timezone, state.transitionsAt(date));
+
+    const build = (date, length = duration) => {
+      const occurrence = this.generateOccurrence(event, date, length, timezone, state);
+      this.applyInstanceState(event, occurrence, rule, { includeModified, includeCancelled: true });
+      return occurrence;
     };
 
-    // Pre-calculate DST transitions in range
-    if (handleDST) {
-      state.dstTransitions = this.findDSTTransitions(rangeStart, rangeEnd, timezone);
+    // RDATEs are merged in; one equal to a rule date is the same occurrence.
+    // PERIOD values keep their own duration. Both are compared as wall-clock times
+    const additionalDates = this.getAdditionalDates(event);
+    let next = 0;
+    let last = null;
+    const additionalUpTo = function* (limit) {
+      while (next < additionalDates.length) {
+        const { start, end } = additionalDates[next];
+        const wall = this.getWallTime(start);
+        if (limit !== null && wall > limit) break;
+        next++;
+        if (wall === last || wall === limit) continue;
+        last = wall;
+        yield build(start, end ? this.getWallTime(end) - wall : duration);
+      }
+    }.bind(this);
+
+    // COUNT and UNTIL are applied by the expander. Rule dates stay as fields so
+    // the host timezone cannot shift them before they are resolved
+    for (const fields of RRuleExpander.iterateLocal(rule, event.start, { resolve })) {
+      const wall = this.getWallTime(fields);
+      yield* additionalUpTo(wall);
+      last = wall;
+      yield build(fields);
     }
+    yield* additionalUpTo(null);
+  }
 
-    // Expand occurrences
-    while (state.currentDate <= rangeEnd && state.count < maxOccurrences) {
-      if (state.currentDate >= rangeStart) {
-        const occurrence = this.generateOccurrence(
-          event,
-          state.currentDate,
-          duration,
-          timezone,
-          state
+  /**
+   * Offset transitions around a wall-clock date. They are found a year at a
+   * time, only for the years an expansion reaches
+   * @private
+   */
+  createTransitionLookup(timezone, handleDST) {
+    const years = new Map();
+
+    return date => {
+      if (!handleDST) return [];
+
+      const year = date instanceof Date ? date.getFullYear() : date.year;
+      if (!years.has(year)) {
+        years.set(
+          year,
+          this.findDSTTransitions(
+            new Date(Date.UTC(year, 0, 1) - DAY_MS),
+            new Date(Date.UTC(year + 1, 0, 1) + DAY_MS),
+            timezone
+          )
         );
-
-        // Check exceptions and modifications
-        if (occurrence) {
-          const dateKey = this.getDateKey(occurrence.start);
-
-          // Skip if exception
-          if (this.isException(event.id, occurrence.start, rule)) {
-            if (!includeCancelled) {
-              state.currentDate = this.getNextDate(state.currentDate, rule, timezone);
-              state.count++;
-              continue;
-            }
-            occurrence.status = 'cancelled';
-            occurrence.cancellationReason = this.getExceptionReason(event.id, occurrence.start);
-          }
-
-          // Apply modifications if any
-          if (includeModified) {
-            const modified = this.getModifiedInstance(event.id, occurrence.start);
-            if (modified) {
-              Object.assign(occurrence, modified);
-              occurrence.isModified = true;
-            }
-          }
-
-          occurrences.push(occurrence);
-        }
       }
+      return years.get(year);
+    };
+  }
 
-      // Get next occurrence date
-      state.currentDate = this.getNextDate(state.currentDate, rule, timezone, state);
-      state.count++;
+  /**
+   * Apply exceptions and modifications to a generated occurrence
+   * @returns {boolean} False if the occurrence should be skipped
+   */
+  applyInstanceState(event, occurrence, rule, options = {}) {
+    const { includeModified = true, includeCancelled = false } = options;
 
-      // Check COUNT limit
-      if (rule.count && state.count >= rule.count) {
-        break;
-      }
+    const modified = this.getModifiedInstance(event, occurrence.start);
 
-      // Check UNTIL limit
-      if (rule.until && state.currentDate > rule.until) {
-        break;
+    if (this.isException(event, occurrence.start, rule)) {
+      if (!includeCancelled) {
+        return false;
       }
+      occurrence.status = 'cancelled';
+      occurrence.cancellationReason = this.getExceptionReason(event, occurrence.start);
     }
 
-    // Cache results
-    this.cacheOccurrences(cacheKey, occurrences);
+    if (includeModified && modified) {
+      const { recurrenceId: _recurrenceId, ...changes } = modified;
+      Object.assign(occurrence, changes);
+      occurrence.isModified = true;
 
-    return occurrences;
+      // A moved occurrence needs its instants recomputed
+      if (changes.start) {
+        occurrence.startUTC = this.tzManager.toUTC(occurrence.start, occurrence.timezone);
+      }
+      if (changes.end) {
+        occurrence.endUTC = this.tzManager.toUTC(occurrence.end, occurrence.timezone);
+      }
+    }
+
+    return true;
   }
 
   /**
    * Generate a single occurrence with timezone handling
+   * @param {Event} event - Recurring event
+   * @param {Date|import('../types.js').LocalDateTimeFields} date - Wall-clock start
+   * @param {number} duration - Wall-clock length in milliseconds
+   * @param {string} timezone - Series timezone
+   * @param {Object} state - Expansion state holding the transition lookup
+   * @returns {Object} Occurrence
    */
   generateOccurrence(event, date, duration, timezone, state) {
-    const start = new Date(date);
-    const end = new Date(date.getTime() + duration);
-
-    // Handle DST transitions
-    if (state.dstTransitions.length > 0) {
-      const adjusted = this.adjustForDST(start, end, timezone, state.dstTransitions);
-      start.setTime(adjusted.start.getTime());
-      end.setTime(adjusted.end.getTime());
-    }
+    const { start, end, startUTC, endUTC } = this.adjustForDST(
+      date,
+      this.toFields(this.getWallTime(date) + duration),
+      timezone,
+      state.transitionsAt(date)
+    );
 
     return {
       id: `${event.id}_${start.getTime()}`,
       recurringEventId: event.id,
+      recurrenceId: new Date(start),
       title: event.title,
       start,
       end,
-      startUTC: this.tzManager.toUTC(start, timezone),
-      endUTC: this.tzManager.toUTC(end, timezone),
+      startUTC,
+      endUTC,
       timezone,
       originalStart: event.start,
       allDay: event.allDay,
@@ -161,393 +247,243 @@ export class RecurrenceEngineV2 {
   }
 
   /**
-   * Get next occurrence date with complex pattern support
+   * Find the offset transitions of a timezone between two instants
+   * @param {Date} start - Start of the scan
+   * @param {Date} end - End of the scan
+   * @param {string} timezone - IANA timezone
+   * @returns {Array<{date: Date, oldOffset: number, newOffset: number, abbreviation: string|null, isDST: boolean|null, type: string}>}
+   *   Transitions in order; `date` is the first instant with the new offset
+   * @see TimezoneManager#getTransitions
    */
-  getNextDate(currentDate, rule, timezone, state = {}) {
-    const next = new Date(currentDate);
-
-    switch (rule.freq) {
-      case 'DAILY':
-        return this.getNextDaily(next, rule);
-
-      case 'WEEKLY':
-        return this.getNextWeekly(next, rule, timezone);
-
-      case 'MONTHLY':
-        return this.getNextMonthly(next, rule, timezone);
-
-      case 'YEARLY':
-        return this.getNextYearly(next, rule, timezone);
-
-      case 'HOURLY':
-        next.setHours(next.getHours() + rule.interval);
-        return next;
-
-      case 'MINUTELY':
-        next.setMinutes(next.getMinutes() + rule.interval);
-        return next;
-
-      default:
-        // Fallback to daily
-        next.setDate(next.getDate() + rule.interval);
-        return next;
-    }
+  findDSTTransitions(start, end, timezone) {
+    return this.tzManager.getTransitions(timezone, start, end);
   }
 
   /**
-   * Get next daily occurrence
+   * Resolve an occurrence's wall-clock start and end to UTC. Local times in a
+   * spring-forward gap use the offset from before the gap, so they move
+   * forward by its length; times in a fall-back overlap resolve to the first
+   * of the two instants (RFC 5545 section 3.3.5)
+   * @param {Date|import('../types.js').LocalDateTimeFields} start - Wall-clock start
+   * @param {Date|import('../types.js').LocalDateTimeFields} end - Wall-clock end
+   * @param {string} timezone - Series timezone
+   * @param {Array} transitions - Result of findDSTTransitions
+   * @returns {{start: Date, end: Date, startUTC: Date, endUTC: Date, ambiguous: boolean}}
    */
-  getNextDaily(date, rule) {
-    const next = new Date(date);
-    next.setDate(next.getDate() + rule.interval);
-
-    // Apply BYHOUR, BYMINUTE, BYSECOND if specified
-    if (rule.byHour && rule.byHour.length > 0) {
-      const currentHour = next.getHours();
-      const nextHour = rule.byHour.find(h => h > currentHour);
-      if (nextHour !== undefined) {
-        next.setHours(nextHour);
-      } else {
-        // Move to next day and use first hour
-        next.setDate(next.getDate() + 1);
-        next.setHours(rule.byHour[0]);
-      }
-    }
+  adjustForDST(start, end, timezone, transitions) {
+    const resolvedStart = this.resolveWallTime(start, timezone, transitions);
+    // Keep the duration when a nonexistent start is moved forward
+    const { utc } = resolvedStart;
+    const movedStart = utc.getTime() - this.tzManager.getTimezoneOffset(utc, timezone) * MINUTE_MS;
+    const shift = movedStart - this.getWallTime(start);
+    const resolvedEnd = this.resolveWallTime(
+      this.toFields(this.getWallTime(end) + shift),
+      timezone,
+      transitions
+    );
 
-    return next;
+    return {
+      start: resolvedStart.wall,
+      end: resolvedEnd.wall,
+      startUTC: resolvedStart.utc,
+      endUTC: resolvedEnd.utc,
+      ambiguous: resolvedStart.ambiguous
+    };
   }
 
   /**
-   * Get next weekly occurrence with BYDAY support
+   * Resolve a wall-clock time in the series timezone. Away from the
+   * transitions the offset is constant and TimezoneManager.toUTC is used;
+   * near one the manager tells whether the time is skipped or repeated
+   * @param {Date|import('../types.js').LocalDateTimeFields} wall - Wall-clock time; give
+   *   fields for a time the host timezone may skip
+   * @param {string} timezone - Series timezone
+   * @param {Array} [transitions=[]] - Result of findDSTTransitions covering the time
+   * @returns {{wall: Date, utc: Date, nonexistent: boolean, ambiguous: boolean}}
    */
-  getNextWeekly(date, rule, timezone) {
-    const next = new Date(date);
-
-    if (rule.byDay && rule.byDay.length > 0) {
-      // Find next matching weekday
-      const dayMap = {
-        SU: 0,
-        MO: 1,
-        TU: 2,
-        WE: 3,
-        TH: 4,
-        FR: 5,
-        SA: 6
-      };
-
-      const currentDay = next.getDay();
-      let daysToAdd = null;
-
-      // Find next occurrence day
-      for (const byDay of rule.byDay) {
-        const targetDay = dayMap[byDay.weekday || byDay];
-        if (targetDay > currentDay) {
-          daysToAdd = targetDay - currentDay;
-          break;
-        }
-      }
-
-      // If no day found in current week, go to next week
-      if (daysToAdd === null) {
-        const firstDay = dayMap[rule.byDay[0].weekday || rule.byDay[0]];
-        daysToAdd = 7 - currentDay + firstDay;
-
-        // Apply interval for weekly recurrence
-        if (rule.interval > 1) {
-          daysToAdd += 7 * (rule.interval - 1);
-        }
-      }
-
-      next.setDate(next.getDate() + daysToAdd);
-    } else {
-      // Simple weekly interval
-      next.setDate(next.getDate() + 7 * rule.interval);
-    }
+  resolveWallTime(wall, timezone, transitions = []) {
+    const time = this.getWallTime(wall);
+    // Wall-clock time and instant differ by less than a day
+    const nearTransition = transitions.some(
+      transition => Math.abs(time - transition.date.getTime()) < 2 * DAY_MS
+    );
+
+    // The default 'compatible' resolution is RFC 5545's: a skipped time takes
+    // the offset from before the gap, a repeated one its first instance
+    const utc = this.tzManager.toUTC(wall, timezone);
+    const instants = nearTransition ? this.tzManager.getPossibleInstants(wall, timezone) : [utc];
+    const nonexistent = instants.length === 0;
 
-    return next;
+    return {
+      wall:
+        nonexistent || !(wall instanceof Date)
+          ? this.tzManager.fromUTC(utc, timezone)
+          : new Date(wall),
+      utc,
+      nonexistent,
+      ambiguous: instants.length === 2
+    };
   }
 
   /**
-   * Get next monthly occurrence with complex patterns
+   * Get the modification stored on the event for an occurrence
+   * @param {Event} event - Recurring event
+   * @param {Date} occurrenceDate - Start of the occurrence
+   * @returns {Object|null} Modified instance with its recurrenceId, or null
    */
-  getNextMonthly(date, rule, timezone) {
-    const next = new Date(date);
-
-    if (rule.byMonthDay && rule.byMonthDay.length > 0) {
-      // Specific day(s) of month
-      const targetDays = rule.byMonthDay.sort((a, b) => a - b);
-      const currentDay = next.getDate();
-
-      let targetDay = targetDays.find(d => d > currentDay);
-      if (targetDay) {
-        // Found a day in current month
-        next.setDate(targetDay);
-      } else {
-        // Move to next month
-        next.setMonth(next.getMonth() + rule.interval);
-
-        // Handle negative days (from end of month)
-        targetDay = targetDays[0];
-        if (targetDay < 0) {
-          const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
-          next.setDate(lastDay + targetDay + 1);
-        } else {
-          next.setDate(targetDay);
-        }
-      }
-    } else if (rule.byDay && rule.byDay.length > 0) {
-      // Nth weekday of month (e.g., "2nd Tuesday")
-      const byDay = rule.byDay[0];
-      const nthOccurrence = byDay.nth || 1;
-
-      next.setMonth(next.getMonth() + rule.interval);
-      this.setToNthWeekdayOfMonth(next, byDay.weekday, nthOccurrence);
-    } else if (rule.bySetPos && rule.bySetPos.length > 0) {
-      // BYSETPOS for selecting from set
-      next.setMonth(next.getMonth() + rule.interval);
-      // Complex BYSETPOS logic would go here
-    } else {
-      // Same day of next month
-      const currentDay = next.getDate();
-      next.setMonth(next.getMonth() + rule.interval);
-
-      // Handle month-end edge cases
-      const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
-      if (currentDay > lastDay) {
-        next.setDate(lastDay);
-      }
-    }
-
-    return next;
+  getModifiedInstance(event, occurrenceDate) {
+    const key = this.getInstanceKey(event, occurrenceDate);
+    const instances = event.modifiedInstances || [];
+    return (
+      instances.find(instance => this.getInstanceKey(event, instance.recurrenceId) === key) || null
+    );
   }
 
   /**
-   * Get next yearly occurrence
+   * Modified instances of an event with one occurrence added or replaced.
+   * The event is not changed; store the result with updateEvent
+   * @param {Event} event - Recurring event
+   * @param {Date} occurrenceDate - Start of the occurrence
+   * @param {Object} modifications - Changed fields of the occurrence
+   * @returns {Array<Object>} New modifiedInstances value
    */
-  getNextYearly(date, rule, timezone) {
-    const next = new Date(date);
-
-    if (rule.byMonth && rule.byMonth.length > 0) {
-      const currentMonth = next.getMonth();
-      const targetMonth = rule.byMonth.find(m => m - 1 > currentMonth);
-
-      if (targetMonth) {
-        // Found month in current year
-        next.setMonth(targetMonth - 1);
-      } else {
-        // Move to next year
-        next.setFullYear(next.getFullYear() + rule.interval);
-        next.setMonth(rule.byMonth[0] - 1);
-      }
-
-      // Apply BYMONTHDAY if specified
-      if (rule.byMonthDay && rule.byMonthDay.length > 0) {
-        next.setDate(rule.byMonthDay[0]);
-      }
-    } else if (rule.byYearDay && rule.byYearDay.length > 0) {
-      // Nth day of year
-      next.setFullYear(next.getFullYear() + rule.interval);
-      const yearDay = rule.byYearDay[0];
-
-      if (yearDay > 0) {
-        // Count from start of year
-        next.setMonth(0, 1);
-        next.setDate(yearDay);
-      } else {
-        // Count from end of year
-        next.setMonth(11, 31);
-        next.setDate(next.getDate() + yearDay + 1);
-      }
-    } else {
-      // Same date next year
-      next.setFullYear(next.getFullYear() + rule.interval);
-    }
+  withModifiedInstance(event, occurrenceDate, modifications) {
+    const existing = this.getModifiedInstance(event, occurrenceDate);
+    const instance = {
+      ...modifications,
+      recurrenceId: existing ? existing.recurrenceId : new Date(occurrenceDate)
+    };
 
-    return next;
+    return [...(event.modifiedInstances || []).filter(i => i !== existing), instance];
   }
 
   /**
-   * Set date to Nth weekday of month
+   * Modified instances of an event with one occurrence cancelled
+   * @param {Event} event - Recurring event
+   * @param {Date} date - Start of the occurrence
+   * @param {string} [reason='Cancelled'] - Why the occurrence was cancelled
+   * @returns {Array<Object>} New modifiedInstances value
    */
-  setToNthWeekdayOfMonth(date, weekday, nth) {
-    const dayMap = {
-      SU: 0,
-      MO: 1,
-      TU: 2,
-      WE: 3,
-      TH: 4,
-      FR: 5,
-      SA: 6
-    };
-
-    const targetDay = dayMap[weekday];
-    date.setDate(1); // Start at first of month
-
-    // Find first occurrence
-    while (date.getDay() !== targetDay) {
-      date.setDate(date.getDate() + 1);
-    }
-
-    if (nth > 0) {
-      // Nth occurrence from start
-      date.setDate(date.getDate() + 7 * (nth - 1));
-    } else {
-      // Nth occurrence from end
-      const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
-
-      // Find last occurrence
-      const temp = new Date(date);
-      temp.setDate(lastDay);
-      while (temp.getDay() !== targetDay) {
-        temp.setDate(temp.getDate() - 1);
-      }
-
-      // Move back nth weeks
-      temp.setDate(temp.getDate() + 7 * (nth + 1));
-      date.setTime(temp.getTime());
-    }
+  withException(event, date, reason = 'Cancelled') {
+    return this.withModifiedInstance(event, date, {
+      status: 'cancelled',
+      cancellationReason: reason
+    });
   }
 
   /**
-   * Find DST transitions in date range
+   * Check if an occurrence is excluded by EXDATE or cancelled
    */
-  findDSTTransitions(start, end, timezone) {
-    const transitions = [];
-    const current = new Date(start);
-
-    // Check each day for offset changes
-    let lastOffset = this.tzManager.getTimezoneOffset(current, timezone);
-
-    while (current <= end) {
-      const offset = this.tzManager.getTimezoneOffset(current, timezone);
-
-      if (offset !== lastOffset) {
-        transitions.push({
-          date: new Date(current),
-          oldOffset: lastOffset,
-          newOffset: offset,
-          type: offset < lastOffset ? 'spring-forward' : 'fall-back'
-        });
-      }
+  isException(event, date, rule) {
+    const dateKey = this.getInstanceKey(event, date);
 
-      lastOffset = offset;
-      current.setDate(current.getDate() + 1);
+    if ((event.excludeDates || []).some(exDate => this.getInstanceKey(event, exDate) === dateKey)) {
+      return true;
     }
 
-    return transitions;
-  }
+    const modified = this.getModifiedInstance(event, date);
+    if (modified && modified.status === 'cancelled') {
+      return true;
+    }
 
-  /**
-   * Adjust occurrence for DST transitions
-   */
-  adjustForDST(start, end, timezone, transitions) {
-    for (const transition of transitions) {
-      if (start >= transition.date) {
-        const offsetDiff = transition.oldOffset - transition.newOffset;
-
-        // Spring forward: skip the "lost" hour
-        if (transition.type === 'spring-forward') {
-          const lostHourStart = new Date(transition.date);
-          lostHourStart.setHours(2); // Typical transition time
-          const lostHourEnd = new Date(lostHourStart);
-          lostHourEnd.setHours(3);
-
-          if (start >= lostHourStart && start < lostHourEnd) {
-            start.setHours(start.getHours() + 1);
-            end.setHours(end.getHours() + 1);
-          }
-        }
-        // Fall back: handle the "repeated" hour
-        else if (transition.type === 'fall-back') {
-          // Maintain wall clock time
-          start.setMinutes(start.getMinutes() - offsetDiff);
-          end.setMinutes(end.getMinutes() - offsetDiff);
-        }
-      }
+    // Check rule exceptions
+    if (rule && rule.exceptions) {
+      return rule.exceptions.some(ex => {
+        const exDate = ex instanceof Date ? ex : new Date(ex.date || ex);
+        return this.getInstanceKey(event, exDate) === dateKey;
+      });
     }
 
-    return { start, end };
+    return false;
   }
 
   /**
-   * Add or update a modified instance
+   * Get additional occurrences (RDATE) sorted by start. `end` is set for
+   * PERIOD values and null for dates that take the series duration
+   * @returns {Array<{start: Date, end: Date|null}>}
    */
-  addModifiedInstance(eventId, occurrenceDate, modifications) {
-    if (!this.modifiedInstances.has(eventId)) {
-      this.modifiedInstances.set(eventId, new Map());
-    }
-
-    const dateKey = this.getDateKey(occurrenceDate);
-    this.modifiedInstances.get(eventId).set(dateKey, {
-      ...modifications,
-      modifiedAt: new Date()
-    });
-
-    // Clear cache for this event
-    this.clearEventCache(eventId);
+  getAdditionalDates(event) {
+    return (event.additionalDates || [])
+      .map(value => (value instanceof Date ? { start: value, end: null } : value))
+      .sort((a, b) => a.start - b.start);
   }
 
   /**
-   * Get modified instance data
+   * Get exception reason
    */
-  getModifiedInstance(eventId, occurrenceDate) {
-    if (!this.modifiedInstances.has(eventId)) {
-      return null;
-    }
-
-    const dateKey = this.getDateKey(occurrenceDate);
-    return this.modifiedInstances.get(eventId).get(dateKey);
+  getExceptionReason(event, date) {
+    const modified = this.getModifiedInstance(event, date);
+    return (modified && modified.cancellationReason) || 'Cancelled';
   }
 
   /**
-   * Add exception with reason
+   * Key matching an occurrence to its exclusions and modifications: the
+   * day, or the day and time of day for series with several occurrences a day
+   * @param {Event} event - Recurring event
+   * @param {Date} date - Start of the occurrence
+   * @returns {string}
    */
-  addException(eventId, date, reason = 'Cancelled') {
-    if (!this.exceptionStore.has(eventId)) {
-      this.exceptionStore.set(eventId, new Map());
-    }
+  getInstanceKey(event, date) {
+    const key = this.getDateKey(date);
+    if (!this.isSubDaily(event)) return key;
 
-    const dateKey = this.getDateKey(date);
-    this.exceptionStore.get(eventId).set(dateKey, reason);
-
-    // Clear cache
-    this.clearEventCache(eventId);
+    const d = date instanceof Date ? date : new Date(date);
+    const time = [d.getHours(), d.getMinutes(), d.getSeconds()]
+      .map(value => String(value).padStart(2, '0'))
+      .join(':');
+    return `${key}T${time}`;
   }
 
   /**
-   * Check if date is an exception
+   * @private
    */
-  isException(eventId, date, rule) {
-    const dateKey = this.getDateKey(date);
-
-    // Check enhanced exceptions
-    if (this.exceptionStore.has(eventId)) {
-      if (this.exceptionStore.get(eventId).has(dateKey)) {
-        return true;
-      }
-    }
+  isSubDaily(event) {
+    const rule = event.recurrenceRule;
+    if (!event.recurring || !rule) return false;
 
-    // Check rule exceptions
-    if (rule && rule.exceptions) {
-      return rule.exceptions.some(ex => {
-        const exDate = ex instanceof Date ? ex : new Date(ex.date || ex);
-        return this.getDateKey(exDate) === dateKey;
-      });
+    const ruleKey = typeof rule === 'string' ? rule : JSON.stringify(rule);
+    if (!this.subDailyRules.has(ruleKey)) {
+      this.subDailyRules.set(ruleKey, RRuleExpander.isSubDaily(rule));
     }
-
-    return false;
+    return this.subDailyRules.get(ruleKey);
   }
 
   /**
-   * Get exception reason
+   * Wall-clock time in UTC milliseconds, from a Date whose local fields hold
+   * it or from LocalDateTimeFields
+   * @private
    */
-  getExceptionReason(eventId, date) {
-    if (!this.exceptionStore.has(eventId)) {
-      return 'Cancelled';
+  getWallTime(wall) {
+    if (!(wall instanceof Date)) {
+      const { year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 } = wall;
+      return Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
     }
+    return Date.UTC(
+      wall.getFullYear(),
+      wall.getMonth(),
+      wall.getDate(),
+      wall.getHours(),
+      wall.getMinutes(),
+      wall.getSeconds(),
+      wall.getMilliseconds()
+    );
+  }
 
-    const dateKey = this.getDateKey(date);
-    return this.exceptionStore.get(eventId).get(dateKey) || 'Cancelled';
+  /**
+   * LocalDateTimeFields of a wall-clock time in UTC milliseconds
+   * @private
+   */
+  toFields(time) {
+    const d = new Date(time);
+    return {
+      year: d.getUTCFullYear(),
+      month: d.getUTCMonth() + 1,
+      day: d.getUTCDate(),
+      hour: d.getUTCHours(),
+      minute: d.getUTCMinutes(),
+      second: d.getUTCSeconds(),
+      millisecond: d.getUTCMilliseconds()
+    };
   }
 
   /**
@@ -568,8 +504,8 @@ export class RecurrenceEngineV2 {
   /**
    * Cache occurrences
    */
-  cacheOccurrences(key, occurrences) {
-    this.occurrenceCache.set(key, occurrences);
+  cacheOccurrences(key, event, occurrences) {
+    this.occurrenceCache.set(key, { event, occurrences });
 
     // LRU eviction
     if (this.occurrenceCache.size > this.cacheSize) {
@@ -0,0 +1,747 @@
+/**
+ * RecurrenceTextParser - Reads recurrence rules from English text
+ * The inverse of RecurrenceDescriber: "every other Tuesday until June" or
+ * "first Monday of each quarter" become RRuleParser rule objects, with a
+ * confidence score and the ambiguous or unrecognized parts of the text
+ */
+
+import { RRuleParser } from './RRuleParser.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAY_NAMES = {
+  sunday: 'SU',
+  monday: 'MO',
+  tuesday: 'TU',
+  wednesday: 'WE',
+  thursday: 'TH',
+  friday: 'FR',
+  saturday: 'SA',
+  sun: 'SU',
+  mon: 'MO',
+  tue: 'TU',
+  tues: 'TU',
+  wed: 'WE',
+  thu: 'TH',
+  thur: 'TH',
+  thurs: 'TH',
+  fri: 'FR',
+  sat: 'SA'
+};
+
+const DAY_GROUPS = {
+  weekday: ['MO', 'TU', 'WE', 'TH', 'FR'],
+  weekend: ['SA', 'SU']
+};
+
+const MONTH_NAMES = {
+  january: 1,
+  february: 2,
+  march: 3,
+  april: 4,
+  may: 5,
+  june: 6,
+  july: 7,
+  august: 8,
+  september: 9,
+  october: 10,
+  november: 11,
+  december: 12,
+  jan: 1,
+  feb: 2,
+  mar: 3,
+  apr: 4,
+  jun: 6,
+  jul: 7,
+  aug: 8,
+  sep: 9,
+  sept: 9,
+  oct: 10,
+  nov: 11,
+  dec: 12
+};
+
+const NUMBER_WORDS = {
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  eleven: 11,
+  twelve: 12
+};
+
+const ORDINAL_WORDS = {
+  first: 1,
+  second: 2,
+  third: 3,
+  fourth: 4,
+  fifth: 5,
+  last: -1,
+  'second to last': -2,
+  'next to last': -2,
+  penultimate: -2
+};
+
+const UNITS = {
+  day: 'DAILY',
+  week: 'WEEKLY',
+  month: 'MONTHLY',
+  year: 'YEARLY',
+  quarter: 'MONTHLY'
+};
+
+// [frequency, interval, other reading]
+const ADVERBS = {
+  daily: ['DAILY', 1],
+  weekly: ['WEEKLY', 1],
+  fortnightly: ['WEEKLY', 2],
+  biweekly: ['WEEKLY', 2, 'twice a week'],
+  monthly: ['MONTHLY', 1],
+  bimonthly: ['MONTHLY', 2, 'twice a month'],
+  quarterly: ['MONTHLY', 3],
+  semiannually: ['MONTHLY', 6],
+  yearly: ['YEARLY', 1],
+  annually: ['YEARLY', 1],
+  biannually: ['YEARLY', 2, 'twice a year'],
+  biyearly: ['YEARLY', 2, 'twice a year']
+};
+
+// Words that carry no meaning of their own
+const FILLER = new Set([
+  'a',
+  'an',
+  'and',
+  'or',
+  'the',
+  'of',
+  'on',
+  'in',
+  'every',
+  'each',
+  'repeat',
+  'repeats',
+  'repeating',
+  'recurring',
+  'occurs'
+]);
+
+// Confidence kept for each ambiguity
+const AMBIGUITY_FACTOR = 0.8;
+
+const alternatives = words => [...words].sort((a, b) => b.length - a.length).join('|');
+const listOf = item => `${item}(?:(?:\\s*,\\s*(?:and\\s+|or\\s+)?|\\s+(?:and|or)\\s+)${item})*`;
+
+const NUM = `(?:\\d+|${alternatives(Object.keys(NUMBER_WORDS))})`;
+const ORDINAL = `(?:${alternatives(Object.keys(ORDINAL_WORDS)).replace(/ /g, '\\s+')}|[1-5](?:st|nd|rd|th))`;
+const MONTH = `(?:${alternatives(Object.keys(MONTH_NAMES))})\\b`;
+const DAY = `(?:(?:${alternatives(Object.keys(WEEKDAY_NAMES).filter(name => name.length > 5))})s?|weekdays?|weekends?(?:\\s+days?)?|${alternatives(Object.keys(WEEKDAY_NAMES).filter(name => name.length <= 5))})\\b`;
+const DAY_OF_MONTH = '(?:the\\s+)?\\d{1,2}(?:st|nd|rd|th)';
+const DATE = [
+  '\\d{4}-\\d{1,2}-\\d{1,2}',
+  '\\d{1,2}\\/\\d{1,2}(?:\\/\\d{2,4})?',
+  `${MONTH}(?:\\s+\\d{1,2}(?:st|nd|rd|th)?\\b(?!\\s+(?:times|occurrences)))?(?:\\s*,?\\s*\\d{4})?`,
+  `(?:the\\s+)?\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH}(?:\\s*,?\\s*\\d{4})?`
+].join('|');
+const TIME = '(?:noon|midnight|\\d{1,2}(?::\\d{2})?\\s*[ap]m|\\d{1,2}:\\d{2})\\b';
+// After "at" an hour alone is a time too
+const TIME_AT = `(?:${TIME}|\\d{1,2}\\b(?!\\s*(?:st|nd|rd|th|times|occurrences)))`;
+
+const PATTERNS = {
+  end: new RegExp(
+    `\\b(until|till|through|thru|(?:ending|ends|end)(?:\\s+on)?|before)\\s+(?:the\\s+end\\s+of\\s+)?(${DATE})`,
+    'g'
+  ),
+  duration: new RegExp(`\\bfor\\s+(?:the\\s+next\\s+)?(${NUM})\\s+(day|week|month|year)s?\\b`, 'g'),
+  count: new RegExp(
+    `\\b(?:for\\s+)?(${NUM})\\s+(?:times|occurrences|repetitions|sessions)\\b`,
+    'g'
+  ),
+  time: new RegExp(`\\b(?:at\\s+(${listOf(TIME_AT)})|(${listOf(TIME)}))`, 'g'),
+  nth: new RegExp(
+    `\\b(?:on\\s+)?(?:the\\s+|(every|each)\\s+)?(${listOf(ORDINAL)})\\s+(${listOf(DAY)}|days?\\b)` +
+      `(?:\\s+(?:of|in)\\s+(?:the\\s+|each\\s+|every\\s+)?(other\\s+)?(month|quarter|year|${listOf(MONTH)}))?`,
+    'g'
+  ),
+  interval: new RegExp(
+    `\\b(?:every|each)\\s+(?:(other)\\s+|(${NUM})(?:st|nd|rd|th)?\\s+)?(day|week|month|year|quarter)s?\\b`,
+    'g'
+  ),
+  once: /\bonce\s+(?:a|an|per|every)\s+(day|week|month|year|quarter)\b/g,
+  adverb: new RegExp(`\\b(${alternatives(Object.keys(ADVERBS))})\\b`, 'g'),
+  yearDate: new RegExp(
+    `\\b(?:on\\s+)?(?:(${MONTH})\\s+(\\d{1,2})(?:st|nd|rd|th)?|(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH}))`,
+    'g'
+  ),
+  monthDay: new RegExp(
+    `\\b(?:on\\s+)?(${listOf(DAY_OF_MONTH)})(?:\\s+(?:day\\s+)?(?:of\\s+)?(?:the|each|every)\\s+month\\b)?`,
+    'g'
+  ),
+  weekday: new RegExp(`\\b(?:(?:every|each)\\s+(other\\s+)?|on\\s+)?(${listOf(DAY)})`, 'g'),
+  month: new RegExp(`\\b(?:in|during|every|each)\\s+(${listOf(MONTH)})`, 'g')
+};
+
+export class RecurrenceTextParser {
+  /**
+   * Create a text parser
+   * @param {string} [locale='en-US'] - Locale deciding the order of numeric dates (6/7 is
+   *   June 7 in the US and 6 July elsewhere)
+   */
+  constructor(locale = 'en-US') {
+    this.locale = locale;
+
+    let region = null;
+    try {
+      region = new Intl.Locale(locale).maximize().region;
+    } catch (e) {
+      region = 'US';
+    }
+    this.dayFirst = region !== 'US';
+  }
+
+  /**
+   * Parse recurrence text such as "every other Tuesday until June"
+   * @param {string} text - English recurrence text
+   * @param {Object} [options] - Parse options
+   * @param {Date} [options.start] - Start of the series; end dates without a year and
+   *   durations such as "for 6 weeks" are read from it (defaults to now)
+   * @returns {{rule: Object|null, rrule: string|null, confidence: number,
+   *   ambiguities: Array<{text: string, message: string}>, unrecognized: string[]}}
+   *   The rule and its RRULE text (both null if no frequency was found), a confidence
+   *   between 0 and 1, the readings chosen for ambiguous phrases and the words that were not understood
+   */
+  parse(text, options = {}) {
+    const state = {
+      text: this.normalize(String(text || '')),
+      start: options.start ? new Date(options.start) : new Date(),
+      freq: null,
+      impliedFreq: null,
+      interval: null,
+      count: null,
+      until: null,
+      byDay: [],
+      byMonth: [],
+      byMonthDay: [],
+      byYearDay: [],
+      bySetPos: [],
+      byHour: [],
+      byMinute: [],
+      recognized: 0,
+      ambiguities: []
+    };
+
+    this.consume(state, PATTERNS.end, match => this.readEnd(state, match));
+    this.consume(state, PATTERNS.duration, match => this.readDuration(state, match));
+    this.consume(state, PATTERNS.count, match => this.readCount(state, match));
+    this.consume(state, PATTERNS.time, match => this.readTimes(state, match));
+    this.consume(state, PATTERNS.nth, match => this.readNth(state, match));
+    this.consume(state, PATTERNS.interval, match => this.readInterval(state, match));
+    this.consume(state, PATTERNS.once, match => this.setFrequency(state, match[0], match[1], 1));
+    this.consume(state, PATTERNS.adverb, match => this.readAdverb(state, match));
+    this.consume(state, PATTERNS.yearDate, match => this.readYearDate(state, match));
+    this.consume(state, PATTERNS.monthDay, match => this.readMonthDays(state, match));
+    this.consume(state, PATTERNS.weekday, match => this.readWeekdays(state, match));
+    this.consume(state, PATTERNS.month, match => this.readMonths(state, match));
+
+    const unrecognized = this.words(state.text).filter(word => !FILLER.has(word));
+    const freq = state.freq || state.impliedFreq;
+    if (!freq) {
+      return {
+        rule: null,
+        rrule: null,
+        confidence: 0,
+        ambiguities: state.ambiguities,
+        unrecognized
+      };
+    }
+
+    const rule = RRuleParser.parse({
+      freq,
+      interval: state.interval || 1,
+      count: state.count,
+      until: state.until,
+      untilUTC: false,
+      byDay: state.byDay,
+      byWeekNo: [],
+      byMonth: state.byMonth,
+      byMonthDay: state.byMonthDay,
+      byYearDay: state.byYearDay,
+      bySetPos: state.bySetPos,
+      byHour: state.byHour,
+      byMinute: state.byMinute,
+      bySecond: [],
+      wkst: 'MO',
+      exceptions: [],
+      tzid: null
+    });
+
+    const total = state.recognized + unrecognized.length;
+    const confidence =
+      (total > 0 ? state.recognized / total : 1) *
+      Math.pow(AMBIGUITY_FACTOR, state.ambiguities.length);
+
+    return {
+      rule,
+      rrule: RRuleParser.buildRRule(rule),
+      confidence: Math.round(confidence * 100) / 100,
+      ambiguities: state.ambiguities,
+      unrecognized
+    };
+  }
+
+  /**
+   * Lower-case the text and strip punctuation that carries no meaning
+   * @private
+   */
+  normalize(text) {
+    return text
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/\b([ap])\.m\b\.?/g, '$1m')
+      .replace(/\b(bi|semi)-/g, '$1')
+      .replace(/([a-z])-([a-z])/g, '$1 $2')
+      .replace(/[^a-z0-9,:/\- ]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Run a pattern over the remaining text. Matches the handler accepts are
+   * removed from the text and counted as recognized
+   * @private
+   */
+  consume(state, pattern, handler) {
+    state.text = state.text.replace(pattern, (...args) => {
+      const match = args.slice(0, -2);
+      if (handler(match) === false) return match[0];
+      state.recognized += this.words(match[0]).filter(word => !FILLER.has(word)).length;
+      return ' ';
+    });
+  }
+
+  /**
+   * @private
+   */
+  words(text) {
+    return text.match(/[a-z0-9/-]+/g) || [];
+  }
+
+  /**
+   * Record the frequency a phrase asks for explicitly
+   * @private
+   */
+  setFrequency(state, text, unit, interval) {
+    const freq = UNITS[unit] || unit;
+    const months = unit === 'quarter' ? 3 : 1;
+
+    if (state.freq && state.freq !== freq) {
+      state.ambiguities.push({
+        text: text.trim(),
+        message: `Conflicts with an earlier frequency; read as ${state.freq.toLowerCase()}`
+      });
+      return;
+    }
+    state.freq = freq;
+    state.interval = interval * months;
+  }
+
+  /**
+   * "every 2 weeks", "every other month", "each quarter"
+   * @private
+   */
+  readInterval(state, [text, other, number, unit]) {
+    const interval = other ? 2 : number ? this.toNumber(number) : 1;
+    if (!interval) return false;
+    this.setFrequency(state, text, unit, interval);
+  }
+
+  /**
+   * "daily", "fortnightly", "biweekly"
+   * @private
+   */
+  readAdverb(state, [text, word]) {
+    const [freq, interval, otherReading] = ADVERBS[word];
+    if (otherReading) {
+      const unit = { WEEKLY: 'weeks', MONTHLY: 'months', YEARLY: 'years' }[freq];
+      state.ambiguities.push({
+        text,
+        message: `Read as every ${interval} ${unit}; it can also mean ${otherReading}`
+      });
+    }
+    this.setFrequency(state, text, freq, interval);
+  }
+
+  /**
+   * "10 times", "for 5 occurrences"
+   * @private
+   */
+  readCount(state, [text, number]) {
+    const count = this.toNumber(number);
+    if (!count) return false;
+    if (state.until) {
+      state.ambiguities.push({
+        text: text.trim(),
+        message: 'Both an end date and a count given; read as ending on the date'
+      });
+      return;
+    }
+    state.count = count;
+  }
+
+  /**
+   * "for 6 weeks": ends the day before the same length after the start
+   * @private
+   */
+  readDuration(state, [text, number, unit]) {
+    const length = this.toNumber(number);
+    if (!length) return false;
+
+    const start = state.start;
+    const end = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+    if (unit === 'day') end.setDate(end.getDate() + length);
+    if (unit === 'week') end.setDate(end.getDate() + length * 7);
+    if (unit === 'month') end.setMonth(end.getMonth() + length);
+    if (unit === 'year') end.setFullYear(end.getFullYear() + length);
+
+    this.setEnd(state, text, new Date(end.getTime() - DAY_MS));
+  }
+
+  /**
+   * "until June 30", "through 2026-06-30", "before 7/1"
+   * @private
+   */
+  readEnd(state, [text, keyword, value]) {
+    const period = this.readDate(value, state.start);
+    if (!period) return false;
+
+    const day = keyword === 'before' ? new Date(period.first.getTime() - DAY_MS) : period.last;
+    if (period.alternative) {
+      state.ambiguities.push({
+        text: text.trim(),
+        message: `Read as ${this.formatDate(period.first)}; it can also mean ${this.formatDate(period.alternative)}`
+      });
+    } else if (period.missing.length > 0) {
+      state.ambiguities.push({
+        text: text.trim(),
+        message: `No ${period.missing.join(' or ')} given; read as ${keyword === 'before' ? 'ending' : 'through'} ${this.formatDate(day)}`
+      });
+    }
+    this.setEnd(state, text, day);
+  }
+
+  /**
+   * End the series at the end of a day
+   * @private
+   */
+  setEnd(state, text, day) {
+    if (state.until) {
+      state.ambiguities.push({
+        text: text.trim(),
+        message: 'More than one end date given; read as the first'
+      });
+      return;
+    }
+    state.until = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 23, 59, 59);
+  }
+
+  /**
+   * "at 9am", "at 9:30 and 17:00", "at noon"
+   * @private
+   */
+  readTimes(state, [text, afterAt, bare]) {
+    const times = [];
+    for (const item of this.splitList(afterAt || bare)) {
+      const time = this.toTime(item);
+      if (!time) return false;
+      times.push(time);
+    }
+
+    // BYHOUR and BYMINUTE combine every hour with every minute
+    const hours = [...new Set(times.map(time => time.hour))];
+    const minutes = [...new Set(times.map(time => time.minute))];
+    const distinct = new Set(times.map(time => `${time.hour}:${time.minute}`));
+    if (hours.length * minutes.length !== distinct.size) return false;
+
+    if (state.byHour.length > 0) {
+      state.ambiguities.push({
+        text: text.trim(),
+        message: 'More than one time given; read as the first'
+      });
+      return;
+    }
+    for (const time of times) {
+      if (time.alternative !== undefined) {
+        state.ambiguities.push({
+          text: text.trim(),
+          message: `Read as ${time.hour}:00; it can also mean ${time.alternative}:00`
+        });
+      }
+    }
+    state.byHour = hours;
+    state.byMinute = minutes;
+  }
+
+  /**
+   * "first Monday of each quarter", "last weekday of the month",
+   * "2nd and 4th Tuesday", "last day of the year"
+   * @private
+   */
+  readNth(state, [text, every, ordinals, days, other, scope]) {
+    const positions = this.splitList(ordinals).map(ordinal => this.toOrdinal(ordinal));
+    const isDay = /^days?$/.test(days);
+    const items = isDay ? [] : this.splitList(days).map(day => this.toWeekdays(day));
+
+    if (every && !scope && positions.length === 1 && positions[0] === 2 && !isDay) {
+      // "every second Tuesday" usually means every other week
+      state.ambiguities.push({
+        text: text.trim(),
+        message: 'Read as every 2 weeks; it can also mean the second of each month'
+      });
+      this.imply(state, 'WEEKLY');
+      state.interval = state.interval || 2;
+      this.addUnique(state.byDay, items.flat());
+      return;
+    }
+
+    if (!scope || scope === 'month' || scope === 'quarter') {
+      this.imply(state, 'MONTHLY');
+      if (other) state.interval = state.interval || 2;
+      if (scope === 'quarter') {
+        // Positions counted from the end fall in the last month of the quarter
+        const months = positions.every(position => position < 0) ? [3, 6, 9, 12] : [1, 4, 7, 10];
+        this.addUnique(state.byMonth, months);
+      }
+    } else {
+      this.imply(state, 'YEARLY');
+      if (other) state.interval = state.interval || 2;
+      if (scope !== 'year') {
+        this.addUnique(
+          state.byMonth,
+          this.splitList(scope).map(month => MONTH_NAMES[month])
+        );
+      }
+    }
+
+    if (isDay) {
+      this.addUnique(scope === 'year' ? state.byYearDay : state.byMonthDay, positions);
+    } else if (items.every(codes => codes.length === 1)) {
+      for (const position of positions) {
+        this.addUnique(
+          state.byDay,
+          items.map(([code]) => `${position}${code}`)
+        );
+      }
+    } else {
+      // "first weekday": the nth of the set of days
+      this.addUnique(state.byDay, items.flat());
+      this.addUnique(state.bySetPos, positions);
+    }
+  }
+
+  /**
+   * "March 5", "the 5th of March"
+   * @private
+   */
+  readYearDate(state, [, monthName, day, dayBefore, monthAfter]) {
+    const month = MONTH_NAMES[monthName || monthAfter];
+    const date = parseInt(day || dayBefore, 10);
+    if (!month || date < 1 || date > 31) return false;
+
+    this.imply(state, 'YEARLY');
+    this.addUnique(state.byMonth, [month]);
+    this.addUnique(state.byMonthDay, [date]);
+  }
+
+  /**
+   * "on the 1st and 15th"
+   * @private
+   */
+  readMonthDays(state, [, days]) {
+    const values = this.splitList(days).map(day => parseInt(day.replace(/^the\s+/, ''), 10));
+    if (values.some(day => day < 1 || day > 31)) return false;
+
+    this.imply(state, 'MONTHLY');
+    this.addUnique(state.byMonthDay, values);
+  }
+
+  /**
+   * "every other Tuesday", "on Mon, Wed and Fri", "weekdays"
+   * @private
+   */
+  readWeekdays(state, [, other, days]) {
+    this.imply(state, 'WEEKLY');
+    if (other) state.interval = state.interval || 2;
+    this.addUnique(
+      state.byDay,
+      this.splitList(days).flatMap(day => this.toWeekdays(day))
+    );
+  }
+
+  /**
+   * "in January and July"
+   * @private
+   */
+  readMonths(state, [, months]) {
+    this.imply(state, 'YEARLY');
+    this.addUnique(
+      state.byMonth,
+      this.splitList(months).map(month => MONTH_NAMES[month])
+    );
+  }
+
+  /**
+   * Frequency implied by a phrase, used when none is given explicitly.
+   * The first phrase to imply one wins
+   * @private
+   */
+  imply(state, freq) {
+    if (!state.impliedFreq) state.impliedFreq = freq;
+  }
+
+  /**
+   * First and last day of a written date; a month alone covers the month.
+   * A date without a year is the first one on or after the start
+   * @private
+   */
+  readDate(value, start) {
+    let year = null;
+    let month = null;
+    let day = null;
+    let alternative = null;
+
+    let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (match) {
+      [year, month, day] = match.slice(1).map(Number);
+    } else if ((match = value.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/))) {
+      const [a, b] = [Number(match[1]), Number(match[2])];
+      [month, day] = this.dayFirst ? [b, a] : [a, b];
+      year = match[3] ? Number(match[3]) + (match[3].length === 2 ? 2000 : 0) : null;
+      if (a !== b && a <= 12 && b <= 12) alternative = { month: day, day: month };
+    } else {
+      const monthName = value.match(new RegExp(MONTH))[0];
+      month = MONTH_NAMES[monthName];
+      const rest = value.replace(monthName, ' ');
+      const dayMatch = rest.match(/\b(\d{1,2})(?:st|nd|rd|th)?\b/);
+      const yearMatch = rest.match(/\b(\d{4})\b/);
+      day = dayMatch ? Number(dayMatch[1]) : null;
+      year = yearMatch ? Number(yearMatch[1]) : null;
+    }
+
+    const missing = [];
+    if (!day) missing.push('day');
+    if (!year) missing.push('year');
+
+    const build = (y, m, d) => {
+      const first = new Date(y, m - 1, d || 1);
+      const last = d ? first : new Date(y, m, 0);
+      return first.getMonth() === m - 1 && first.getDate() === (d || 1) ? { first, last } : null;
+    };
+
+    if (!year) {
+      year = start.getFullYear();
+      const period = build(year, month, day);
+      if (
+        period &&
+        period.last < new Date(start.getFullYear(), start.getMonth(), start.getDate())
+      ) {
+        year++;
+      }
+    }
+
+    const period = build(year, month, day);
+    if (!period) return null;
+
+    return {
+      ...period,
+      missing,
+      alternative: alternative && (build(year, alternative.month, alternative.day) || {}).first
+    };
+  }
+
+  /**
+   * @private
+   */
+  splitList(text) {
+    return text
+      .split(/\s*,\s*(?:and\s+|or\s+)?|\s+(?:and|or)\s+/)
+      .map(item => item.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Weekday codes of a day name, plural or group ("weekdays")
+   * @private
+   */
+  toWeekdays(name) {
+    const word = name.replace(/\s+days?$/, '').replace(/s$/, '');
+    if (DAY_GROUPS[word]) return DAY_GROUPS[word];
+    return [WEEKDAY_NAMES[word] || WEEKDAY_NAMES[name]];
+  }
+
+  /**
+   * @private
+   */
+  toOrdinal(text) {
+    const word = text.replace(/\s+/g, ' ');
+    return ORDINAL_WORDS[word] || parseInt(word, 10);
+  }
+
+  /**
+   * Hour and minute of a time of day. An hour alone from 1 to 11 could be
+   * either half of the day, so the other reading is returned with it
+   * @private
+   */
+  toTime(text) {
+    if (text === 'noon') return { hour: 12, minute: 0 };
+    if (text === 'midnight') return { hour: 0, minute: 0 };
+
+    const match = text.match(/^(\d{1,2})(?::(\d{2}))?\s*([ap]m)?$/);
+    if (!match) return null;
+    let hour = parseInt(match[1], 10);
+    const minute = match[2] ? parseInt(match[2], 10) : 0;
+    const meridiem = match[3];
+
+    if (meridiem) {
+      if (hour < 1 || hour > 12) return null;
+      hour = (hour % 12) + (meridiem === 'pm' ? 12 : 0);
+    }
+    if (hour > 23 || minute > 59) return null;
+
+    const time = { hour, minute };
+    if (!meridiem && !match[2] && hour >= 1 && hour <= 11) time.alternative = hour + 12;
+    return time;
+  }
+
+  /**
+   * @private
+   */
+  toNumber(text) {
+    const value = NUMBER_WORDS[text] || parseInt(text, 10);
+    return value > 0 ? value : null;
+  }
+
+  /**
+   * @private
+   */
+  addUnique(list, values) {
+    for (const value of values) {
+      if (!list.includes(value)) list.push(value);
+    }
+  }
+
+  /**
+   * @private
+   */
+  formatDate(date) {
+    return [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, '0'),
+      String(date.getDate()).padStart(2, '0')
+    ].join('-');
+  }
+}
@@ -0,0 +1,245 @@
+/**
+ * SeriesEditor - Edits a recurring event from one of its occurrences
+ * Supports the usual calendar choices: this occurrence only, this and the
+ * following occurrences (splitting the series), or every occurrence
+ */
+
+import { RRuleParser } from './RRuleParser.js';
+import { TimezoneManager } from '../timezone/TimezoneManager.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EDIT_SCOPES = ['this', 'following', 'all'];
+
+// Fields that describe the series rather than one of its occurrences
+const SERIES_FIELDS = [
+  'id',
+  'recurring',
+  'recurrenceRule',
+  'excludeDates',
+  'additionalDates',
+  'modifiedInstances'
+];
+
+export class SeriesEditor {
+  /**
+   * Create a new SeriesEditor
+   * @param {import('./EventStore.js').EventStore} eventStore - Store holding the series
+   */
+  constructor(eventStore) {
+    this.eventStore = eventStore;
+    this.recurrenceEngine = eventStore.recurrenceEngine;
+    this.timezoneManager = TimezoneManager.getInstance();
+  }
+
+  /**
+   * Edit a recurring event from one of its occurrences. Start and end in
+   * `changes` are the new times of that occurrence; for the 'following' and
+   * 'all' scopes the other occurrences move by the same amount
+   * @param {string} eventId - The recurring event ID
+   * @param {Date} occurrenceDate - Original start of the occurrence
+   * @param {Object} changes - Changed fields
+   * @param {'this'|'following'|'all'} [scope='this'] - Occurrences the change applies to
+   * @returns {import('./Event.js').Event} The event now holding the edited occurrence
+   */
+  edit(eventId, occurrenceDate, changes, scope = 'this') {
+    if (!EDIT_SCOPES.includes(scope)) {
+      throw new Error(`Invalid edit scope: ${scope}. Must be one of: ${EDIT_SCOPES.join(', ')}`);
+    }
+
+    const series = this.eventStore.getEvent(eventId);
+    if (!series || !series.recurring) {
+      throw new Error('Event not found or not recurring');
+    }
+
+    const originalStart = this.getOriginalStart(series, occurrenceDate);
+    if (scope === 'this') {
+      return this.editOccurrence(series, originalStart, changes);
+    }
+    if (scope === 'following' && originalStart > series.start) {
+      return this.editFollowing(series, originalStart, changes);
+    }
+    // Following from the first occurrence is the whole series
+    return this.eventStore.updateEvent(
+      series.id,
+      this.getSeriesUpdates(series, originalStart, changes)
+    );
+  }
+
+  /**
+   * Store the changes as a modified instance, merged with earlier changes
+   * to the same occurrence
+   * @private
+   */
+  editOccurrence(series, originalStart, changes) {
+    const seriesFields = Object.keys(changes).filter(field => SERIES_FIELDS.includes(field));
+    if (seriesFields.length > 0) {
+      throw new Error(`Cannot change ${seriesFields.join(', ')} of a single occurrence`);
+    }
+
+    const existing = this.recurrenceEngine.getModifiedInstance(series, originalStart);
+    const { recurrenceId: _recurrenceId, ...earlierChanges } = existing || {};
+
+    return this.eventStore.updateEvent(series.id, {
+      modifiedInstances: this.recurrenceEngine.withModifiedInstance(series, originalStart, {
+        ...earlierChanges,
+        ...changes
+      })
+    });
+  }
+
+  /**
+   * End the series before the occurrence and start a new series there,
+   * carrying over the exceptions and overrides from that point on
+   * @private
+   */
+  editFollowing(series, splitAt, changes) {
+    const isLater = date => date >= splitAt;
+    const rule = RRuleParser.parse(series.recurrenceRule);
+    const ruleParts = this.getRuleParts(series.recurrenceRule);
+
+    // COUNT is shared between the two series
+    let recurrenceRule = series.recurrenceRule;
+    if (rule.count) {
+      const remaining = rule.count - this.countRuleOccurrences(series, splitAt);
+      recurrenceRule = [
+        ...ruleParts.filter(part => !part.startsWith('COUNT=')),
+        `COUNT=${Math.max(remaining, 1)}`
+      ].join(';');
+    }
+
+    // Named after the instant of the split, which is the same on every host
+    const splitInstant = this.timezoneManager.toUTC(splitAt, series.timeZone || 'UTC');
+    const following = series.clone({
+      id: `${series.id}_${splitInstant.getTime()}`,
+      start: splitAt,
+      end: new Date(splitAt.getTime() + (series.end - series.start)),
+      recurrenceRule,
+      excludeDates: series.excludeDates.filter(isLater),
+      additionalDates: series.additionalDates.filter(value => isLater(value.start || value)),
+      modifiedInstances: series.modifiedInstances.filter(instance => isLater(instance.recurrenceId))
+    });
+
+    this.eventStore.updateEvent(series.id, {
+      recurrenceRule: [
+        ...ruleParts.filter(part => !part.startsWith('COUNT=') && !part.startsWith('UNTIL=')),
+        `UNTIL=${this.formatUntil(series, splitAt)}`
+      ].join(';'),
+      excludeDates: series.excludeDates.filter(date => !isLater(date)),
+      additionalDates: series.additionalDates.filter(value => !isLater(value.start || value)),
+      modifiedInstances: series.modifiedInstances.filter(
+        instance => !isLater(instance.recurrenceId)
+      )
+    });
+
+    return this.eventStore.addEvent(
+      following.clone(this.getSeriesUpdates(following, splitAt, changes))
+    );
+  }
+
+  /**
+   * Updates applying an occurrence's changes to a whole series. Exceptions
+   * and overrides move with the series; overrides of a changed field give
+   * way to the new value, other overrides are kept
+   * @private
+   */
+  getSeriesUpdates(series, originalStart, changes) {
+    const { start, end, ...fields } = changes;
+    const updates = { ...fields };
+
+    const shift = start ? start - originalStart : 0;
+    const move = date => new Date(date.getTime() + shift);
+
+    if (start || end) {
+      const duration = end ? end - (start || originalStart) : series.end - series.start;
+      updates.start = move(series.start);
+      updates.end = new Date(updates.start.getTime() + duration);
+    }
+
+    if (!fields.excludeDates) {
+      updates.excludeDates = series.excludeDates.map(move);
+    }
+    if (!fields.additionalDates) {
+      updates.additionalDates = series.additionalDates.map(value =>
+        value instanceof Date ? move(value) : { start: move(value.start), end: move(value.end) }
+      );
+    }
+    if (!fields.modifiedInstances) {
+      updates.modifiedInstances = series.modifiedInstances
+        .map(instance => this.mergeInstance(instance, changes, move))
+        .filter(Boolean);
+    }
+
+    return updates;
+  }
+
+  /**
+   * Drop the fields a series change overrides from a modified instance.
+   * Cancelled occurrences stay cancelled
+   * @private
+   */
+  mergeInstance(instance, changes, move) {
+    const merged = { ...instance, recurrenceId: move(instance.recurrenceId) };
+    for (const field of Object.keys(changes)) {
+      if (field === 'status' && instance.status === 'cancelled') continue;
+      delete merged[field];
+    }
+
+    // Nothing left to override
+    return Object.keys(merged).length > 1 ? merged : null;
+  }
+
+  /**
+   * Original start of an occurrence, which may have been moved
+   * @private
+   */
+  getOriginalStart(series, occurrenceDate) {
+    const instance = this.recurrenceEngine.getModifiedInstance(series, occurrenceDate);
+    return new Date(instance ? instance.recurrenceId : occurrenceDate);
+  }
+
+  /**
+   * Number of occurrences the rule produces before a date
+   * @private
+   */
+  countRuleOccurrences(series, date) {
+    const rule = series.clone({ excludeDates: [], additionalDates: [], modifiedInstances: [] });
+    let count = 0;
+    for (const occurrence of this.recurrenceEngine.generateOccurrences(rule)) {
+      if (occurrence.recurrenceId >= date) break;
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * UNTIL value ending a series just before a date: a UTC date-time, or
+   * the previous day for all-day series
+   * @private
+   */
+  formatUntil(series, date) {
+    if (series.allDay) {
+      const day = new Date(date.getTime() - DAY_MS);
+      return [
+        day.getFullYear(),
+        String(day.getMonth() + 1).padStart(2, '0'),
+        String(day.getDate()).padStart(2, '0')
+      ].join('');
+    }
+
+    const instant = this.timezoneManager.toUTC(date, series.timeZone || 'UTC');
+    return RRuleParser.formatDateTime(new Date(instant.getTime() - 1000));
+  }
+
+  /**
+   * RRULE parts of a rule string or object
+   * @private
+   */
+  getRuleParts(rule) {
+    const value = typeof rule === 'string' ? rule : RRuleParser.buildRRule(RRuleParser.parse(rule));
+    return value
+      .replace(/^RRULE:/i, '')
+      .split(';')
+      .map(part => part.toUpperCase());
+  }
+}
@@ -0,0 +1,413 @@
+/**
+ * Task class - represents a to-do item (iCalendar VTODO)
+ * Pure JavaScript, no DOM dependencies
+ * Locker Service compatible
+ */
+
+import { TimezoneManager } from '../timezone/TimezoneManager.js';
+import { ZonedDateTime } from '../timezone/ZonedDateTime.js';
+import { PlainDate } from '../timezone/PlainDate.js';
+
+export class Task {
+  /**
+   * Normalize task data. startUTC and dueUTC are set to the exact instants
+   * of ZonedDateTime values, which their wall-clock times alone may not pin
+   * down, and to null otherwise
+   * @param {import('../../types.js').TaskData} data - Raw task data
+   * @returns {import('../../types.js').TaskData} Normalized task data
+   */
+  static normalize(data) {
+    const normalized = { ...data, startUTC: null, dueUTC: null };
+
+    // ZonedDateTime and PlainDate values become wall-clock Dates. A
+    // ZonedDateTime supplies the timezone unless one is given, due first
+    for (const field of ['due', 'start']) {
+      if (normalized[field] instanceof ZonedDateTime) {
+        normalized.timeZone = normalized.timeZone || normalized[field].timeZone;
+        normalized[`${field}UTC`] = new Date(normalized[field].epochMilliseconds);
+        normalized[field] = normalized[field].withTimeZone(normalized.timeZone).toDate();
+      } else if (normalized[field] instanceof PlainDate) {
+        normalized[field] = normalized[field].toDate();
+      }
+    }
+
+    // Always clone Date objects to avoid mutating caller's data
+    for (const field of ['start', 'due', 'completed']) {
+      normalized[field] = normalized[field] ? new Date(normalized[field]) : null;
+    }
+
+    // All-day tasks are due at the end of the day
+    if (normalized.allDay) {
+      if (normalized.start) normalized.start.setHours(0, 0, 0, 0);
+      if (normalized.due) normalized.due.setHours(23, 59, 59, 999);
+      normalized.startUTC = null;
+      normalized.dueUTC = null;
+    }
+
+    // Normalize string fields
+    normalized.id = String(normalized.id || '').trim();
+    normalized.title = String(normalized.title || '').trim();
+    normalized.description = String(normalized.description || '').trim();
+    normalized.location = String(normalized.location || '').trim();
+
+    // Normalize arrays
+    normalized.attendees = Array.isArray(normalized.attendees) ? normalized.attendees : [];
+    normalized.reminders = Array.isArray(normalized.reminders) ? normalized.reminders : [];
+    normalized.categories = Array.isArray(normalized.categories) ? normalized.categories : [];
+    normalized.relatedTo = Array.isArray(normalized.relatedTo) ? normalized.relatedTo : [];
+
+    normalized.sequence = Number(normalized.sequence) || 0;
+    normalized.priority = Number(normalized.priority) || 0;
+    normalized.percentComplete = Number(normalized.percentComplete) || 0;
+
+    const validStatuses = ['needs-action', 'in-process', 'completed', 'cancelled'];
+    if (!validStatuses.includes(normalized.status)) {
+      normalized.status = normalized.completed ? 'completed' : 'needs-action';
+    }
+
+    // Keep completion date, status and progress consistent
+    if (normalized.status === 'completed') {
+      normalized.percentComplete = 100;
+    } else {
+      normalized.completed = null;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Validate task data
+   * @param {import('../../types.js').TaskData} data - Normalized task data
+   * @throws {Error} If validation fails
+   */
+  static validate(data) {
+    if (!data.id) {
+      throw new Error('Task must have an id');
+    }
+    if (!data.title) {
+      throw new Error('Task must have a title');
+    }
+
+    for (const field of ['start', 'due', 'completed']) {
+      if (data[field] && isNaN(data[field].getTime())) {
+        throw new Error(`Invalid ${field} date`);
+      }
+    }
+
+    if (data.start && data.due && data.due < data.start) {
+      throw new Error('Task due date cannot be before start date');
+    }
+
+    if (
+      !Number.isInteger(data.percentComplete) ||
+      data.percentComplete < 0 ||
+      data.percentComplete > 100
+    ) {
+      throw new Error('Task percentComplete must be an integer between 0 and 100');
+    }
+
+    // RFC 5545: 0 is undefined, 1 is the highest and 9 the lowest priority
+    if (!Number.isInteger(data.priority) || data.priority < 0 || data.priority > 9) {
+      throw new Error('Task priority must be an integer between 0 and 9');
+    }
+
+    if (!Number.isInteger(data.sequence) || data.sequence < 0) {
+      throw new Error('Task sequence must be a non-negative integer');
+    }
+
+    data.relatedTo.forEach((relation, index) => {
+      if (!relation || !relation.id) {
+        throw new Error(`Related-to entry at index ${index} must have an id`);
+      }
+    });
+
+    data.reminders.forEach((reminder, index) => {
+      if (!reminder.method || reminder.minutesBefore == null) {
+        throw new Error(`Reminder at index ${index} must have method and minutesBefore`);
+      }
+      // Negative values alert after the anchor
+      if (!Number.isFinite(reminder.minutesBefore)) {
+        throw new Error('Reminder minutesBefore must be a number');
+      }
+    });
+
+    // Zones in the loaded tzdata are valid even where Intl supports no timezones
+    if (data.timeZone && !TimezoneManager.getInstance().isValidTimezone(data.timeZone)) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: data.timeZone });
+      } catch (e) {
+        throw new Error(`Invalid timezone: ${data.timeZone}`);
+      }
+    }
+  }
+
+  /**
+   * Create a new Task instance
+   * @param {import('../../types.js').TaskData} taskData - Task data object
+   * @throws {Error} If required fields are missing or invalid
+   */
+  constructor({
+    id,
+    title,
+    start = null,
+    due = null,
+    completed = null,
+    allDay = false,
+    description = '',
+    location = '',
+    status = null,
+    percentComplete = 0,
+    priority = 0,
+    timeZone = null,
+    recurrenceRule = null,
+    organizer = null,
+    attendees = [],
+    reminders = [],
+    categories = [],
+    relatedTo = [],
+    sequence = 0,
+    metadata = {}
+  }) {
+    const normalized = Task.normalize({
+      id,
+      title,
+      start,
+      due,
+      completed,
+      allDay,
+      description,
+      location,
+      status,
+      percentComplete,
+      priority,
+      timeZone,
+      recurrenceRule,
+      organizer,
+      attendees,
+      reminders,
+      categories,
+      relatedTo,
+      sequence,
+      metadata
+    });
+
+    Task.validate(normalized);
+
+    this.id = normalized.id;
+    this.title = normalized.title;
+
+    this._timezoneManager = TimezoneManager.getInstance();
+
+    // Start and due are wall-clock times in the task timezone
+    this.timeZone = normalized.timeZone || this._timezoneManager.getSystemTimezone();
+    this.start = normalized.start;
+    this.due = normalized.due;
+    this.allDay = normalized.allDay;
+
+    // Exact instants of ZonedDateTime values, used while the times they were given for stand
+    this._instants = {};
+    for (const field of ['start', 'due']) {
+      const utc = normalized[`${field}UTC`];
+      if (utc) {
+        this._instants[field] = { wall: this[field].getTime(), timeZone: this.timeZone, utc };
+      }
+    }
+
+    // Completion is an absolute instant (ICS COMPLETED is always UTC)
+    this.completed = normalized.completed;
+    this.status = normalized.status;
+    this.percentComplete = normalized.percentComplete;
+    this.priority = normalized.priority;
+
+    this.description = normalized.description;
+    this.location = normalized.location;
+    this.recurrenceRule = normalized.recurrenceRule;
+
+    this.organizer = normalized.organizer;
+    this.attendees = [...normalized.attendees];
+    this.reminders = [...normalized.reminders];
+    this.categories = [...normalized.categories];
+    this.relatedTo = normalized.relatedTo.map(relation => ({
+      id: relation.id,
+      relType: (relation.relType || 'parent').toLowerCase()
+    }));
+
+    this.sequence = normalized.sequence;
+    this.metadata = { ...normalized.metadata };
+  }
+
+  /**
+   * Start date in UTC
+   * @returns {Date|null} Start instant or null if the task has no start date
+   */
+  get startUTC() {
+    return this.start ? this._toUTC('start') : null;
+  }
+
+  /**
+   * Due date in UTC
+   * @returns {Date|null} Due instant or null if the task has no due date
+   */
+  get dueUTC() {
+    return this.due ? this._toUTC('due') : null;
+  }
+
+  /**
+   * Instant of the start or due time: the exact one it was given as, or
+   * else its wall-clock time resolved in the task timezone
+   * @private
+   */
+  _toUTC(field) {
+    const instant = this._instants[field];
+    if (instant && instant.wall === this[field].getTime() && instant.timeZone === this.timeZone) {
+      return new Date(instant.utc);
+    }
+    return this._timezoneManager.toUTC(this[field], this.timeZone);
+  }
+
+  /**
+   * Get start date in a specific timezone
+   * @param {string} timezone - Target timezone
+   * @returns {Date|null} Start date in specified timezone, or null without a start date
+   */
+  getStartInTimezone(timezone) {
+    if (!this.start) return null;
+    if (timezone === this.timeZone) {
+      return new Date(this.start);
+    }
+    return this._timezoneManager.fromUTC(this.startUTC, timezone);
+  }
+
+  /**
+   * Get due date in a specific timezone
+   * @param {string} timezone - Target timezone
+   * @returns {Date|null} Due date in specified timezone, or null without a due date
+   */
+  getDueInTimezone(timezone) {
+    if (!this.due) return null;
+    if (timezone === this.timeZone) {
+      return new Date(this.due);
+    }
+    return this._timezoneManager.fromUTC(this.dueUTC, timezone);
+  }
+
+  /**
+   * Check if the task is completed
+   * @returns {boolean} True if task is completed
+   */
+  get isCompleted() {
+    return this.status === 'completed';
+  }
+
+  /**
+   * Check if the task is cancelled
+   * @returns {boolean} True if task is cancelled
+   */
+  get isCancelled() {
+    return this.status === 'cancelled';
+  }
+
+  /**
+   * Check if the task is past its due date and still open
+   * @param {Date} [now=new Date()] - Reference instant
+   * @returns {boolean} True if task is overdue
+   */
+  isOverdue(now = new Date()) {
+    if (!this.due || this.isCompleted || this.isCancelled) {
+      return false;
+    }
+    return this.dueUTC < now;
+  }
+
+  /**
+   * Check if the task is due on a specific date
+   * @param {Date|string} date - The date to check
+   * @returns {boolean} True if task is due on the given date
+   */
+  isDueOn(date) {
+    if (!this.due) return false;
+    if (!(date instanceof Date)) {
+      date = new Date(date);
+    }
+    return this.due.toDateString() === date.toDateString();
+  }
+
+  /**
+   * Get the id of the parent task, if any
+   * @returns {string|null} Parent task id
+   */
+  get parentId() {
+    const parent = this.relatedTo.find(relation => relation.relType === 'parent');
+    return parent ? parent.id : null;
+  }
+
+  /**
+   * Clone the task with optional updates
+   * @param {Partial<import('../../types.js').TaskData>} [updates={}] - Properties to update in the clone
+   * @returns {Task} New Task instance with updated properties
+   */
+  clone(updates = {}) {
+    return new Task({
+      id: this.id,
+      title: this.title,
+      start: this.start ? new Date(this.start) : null,
+      due: this.due ? new Date(this.due) : null,
+      completed: this.completed ? new Date(this.completed) : null,
+      allDay: this.allDay,
+      description: this.description,
+      location: this.location,
+      // Let a completion date or progress in the updates decide the status
+      status: 'completed' in updates ? null : this.status,
+      percentComplete: this.percentComplete,
+      priority: this.priority,
+      timeZone: this.timeZone,
+      recurrenceRule: this.recurrenceRule,
+      organizer: this.organizer ? { ...this.organizer } : null,
+      attendees: this.attendees.map(a => ({ ...a })),
+      reminders: this.reminders.map(r => ({ ...r })),
+      categories: [...this.categories],
+      relatedTo: this.relatedTo.map(r => ({ ...r })),
+      sequence: this.sequence,
+      metadata: { ...this.metadata },
+      ...updates
+    });
+  }
+
+  /**
+   * Convert task to plain object
+   * @returns {import('../../types.js').TaskData} Plain object representation of the task
+   */
+  toObject() {
+    return {
+      id: this.id,
+      title: this.title,
+      start: this.start ? this.start.toISOString() : null,
+      due: this.due ? this.due.toISOString() : null,
+      completed: this.completed ? this.completed.toISOString() : null,
+      allDay: this.allDay,
+      description: this.description,
+      location: this.location,
+      status: this.status,
+      percentComplete: this.percentComplete,
+      priority: this.priority,
+      timeZone: this.timeZone,
+      recurrenceRule: this.recurrenceRule,
+      organizer: this.organizer,
+      attendees: this.attendees,
+      reminders: this.reminders,
+      categories: this.categories,
+      relatedTo: this.relatedTo,
+      sequence: this.sequence,
+      metadata: { ...this.metadata }
+    };
+  }
+
+  /**
+   * Create Task from plain object
+   * @param {import('../../types.js').TaskData} obj - Plain object with task properties
+   * @returns {Task} New Task instance
+   */
+  static fromObject(obj) {
+    return new Task(obj);
+  }
+}
@@ -4,90 +4,110 @@
  */
 
 import { ICSParser } from './ICSParser.js';
+import { ICSStreamParser } from './ICSStreamParser.js';
+import { ICSValidator } from './ICSValidator.js';
 import { Event } from '../events/Event.js';
 
 export class ICSHandler {
   constructor(calendar) {
     this.calendar = calendar;
     this.parser = new ICSParser();
+    this.validator = new ICSValidator();
   }
 
   /**
-   * Import events from ICS file or string
-   * @param {string|File|Blob} input - ICS data source
+   * Import events from ICS file or string.
+   * Strings are parsed in one pass; Blobs, ReadableStreams and iterables of
+   * chunks go through ICSStreamParser. Events are added in batches, with
+   * control returned to the event loop between batches.
+   * With `strict`, the data is validated first and nothing is imported if the
+   * validator reports errors; its diagnostics are returned on the results.
+   * VTODO components are added as tasks and VJOURNAL components are returned
+   * on `results.journals`
+   * @param {string|File|Blob|ReadableStream|AsyncIterable} input - ICS data source
    * @param {Object} options - Import options
    * @returns {Promise<Object>} Import results
    */
   async import(input, options = {}) {
     const {
       merge = true, // Merge with existing events
-      updateExisting = false, // Update events with matching IDs
-      skipDuplicates = true, // Skip if event already exists
-      dateRange = null, // Only import events in range
-      categories = null // Only import specific categories
+      strict = false, // Validate against RFC 5545 before importing
+      batchSize = 500, // Events added per EventStore batch
+      onProgress = null // Called after each batch with running counts
     } = options;
 
     try {
-      // Get ICS string from input
-      const icsString = await this.getICSString(input);
-
-      // Parse ICS to events
-      const parsedEvents = this.parser.parse(icsString);
-
       // Process each event
       const results = {
         imported: [],
         skipped: [],
         updated: [],
-        errors: []
+        errors: [],
+        tasks: [],
+        journals: []
       };
 
-      for (const eventData of parsedEvents) {
-        try {
-          // Apply filters
-          if (dateRange && !this.isInDateRange(eventData, dateRange)) {
-            results.skipped.push({ event: eventData, reason: 'out_of_range' });
-            continue;
+      if (strict) {
+        // Validation needs the whole document, so streams are read in full
+        input = typeof input === 'string' ? input : await this.readText(input);
+
+        const validation = this.validator.validate(input);
+        results.diagnostics = validation.diagnostics;
+        if (!validation.valid) {
+          for (const diagnostic of validation.diagnostics) {
+            if (diagnostic.severity !== 'error') continue;
+            results.errors.push({
+              event: null,
+              error: this.formatDiagnostic(diagnostic),
+              diagnostic
+            });
           }
+          return results;
+        }
+      }
 
-          if (categories && !categories.includes(eventData.category)) {
-            results.skipped.push({ event: eventData, reason: 'category_filtered' });
-            continue;
-          }
+      const importedIds = new Set();
+      const importedTaskIds = new Set();
+      const store = this.getBatchStore();
+      let processed = 0;
+      let batchCount = 0;
+
+      const handlers = {
+        onTask: taskData => {
+          this.importTask(taskData, options, results);
+          importedTaskIds.add(taskData.id);
+        },
+        onJournal: journal => results.journals.push(journal)
+      };
 
-          // Check for existing event
-          const existingEvent = this.calendar.getEvent(eventData.id);
-
-          if (existingEvent) {
-            if (updateExisting) {
-              // Update existing event
-              this.calendar.updateEvent(eventData.id, eventData);
-              results.updated.push(eventData);
-            } else if (skipDuplicates) {
-              results.skipped.push({ event: eventData, reason: 'duplicate' });
-            } else {
-              // Create new event with different ID
-              eventData.id = this.generateNewId(eventData.id);
-              this.calendar.addEvent(eventData);
-              results.imported.push(eventData);
-            }
-          } else {
-            // Add new event
-            this.calendar.addEvent(eventData);
-            results.imported.push(eventData);
-          }
-        } catch (error) {
-          results.errors.push({
-            event: eventData,
-            error: error.message
-          });
+      for await (const eventData of this.readEvents(input, handlers)) {
+        if (store && batchCount === 0) {
+          store.startBatch();
+        }
+
+        this.importEvent(eventData, options, results);
+        importedIds.add(eventData.id);
+        processed++;
+        batchCount++;
+
+        if (batchCount >= batchSize) {
+          if (store) store.commitBatch();
+          batchCount = 0;
+          this.reportProgress(onProgress, processed, results);
+
+          // Let rendering and input handling run between batches
+          await new Promise(resolve => setTimeout(resolve, 0));
         }
       }
 
+      if (batchCount > 0) {
+        if (store) store.commitBatch();
+        this.reportProgress(onProgress, processed, results);
+      }
+
       // Clear and replace if not merging
       if (!merge) {
         // Remove existing events not in import
-        const importedIds = new Set(parsedEvents.map(e => e.id));
         const existingEvents = this.calendar.getEvents();
 
         for (const event of existingEvents) {
@@ -95,14 +115,200 @@ export class ICSHandler {
             this.calendar.removeEvent(event.id);
           }
         }
+
+        for (const task of this.calendar.getTasks()) {
+          if (!importedTaskIds.has(task.id)) {
+            this.calendar.removeTask(task.id);
+          }
+        }
       }
 
       return results;
     } catch (error) {
+      const store = this.getBatchStore();
+      if (store && store.isBatchMode) store.commitBatch();
       throw new Error(`ICS import failed: ${error.message}`);
     }
   }
 
+  /**
+   * Parse events from any supported input; tasks and journal entries are
+   * passed to the onTask/onJournal handlers
+   * @private
+   */
+  async *readEvents(input, handlers = {}) {
+    if (this.isLegacyBlob(input)) {
+      input = await this.getICSString(input);
+    }
+
+    if (typeof input === 'string') {
+      const { events, tasks, journals } = this.parser.parseCalendar(input);
+      if (handlers.onTask) tasks.forEach(handlers.onTask);
+      if (handlers.onJournal) journals.forEach(handlers.onJournal);
+      yield* events;
+      return;
+    }
+
+    yield* ICSStreamParser.parse(input, { parser: this.parser, ...handlers });
+  }
+
+  /**
+   * Whether the input is a Blob too old to have stream(), read whole with
+   * text() or FileReader. Checked by shape, as Blob is not defined everywhere
+   * @private
+   */
+  isLegacyBlob(input) {
+    return (
+      !!input &&
+      typeof input.stream !== 'function' &&
+      typeof input.slice === 'function' &&
+      typeof input.size === 'number'
+    );
+  }
+
+  /**
+   * Read a Blob, stream or iterable of chunks into a string
+   * @private
+   */
+  async readText(input) {
+    if (this.isLegacyBlob(input)) {
+      return this.getICSString(input);
+    }
+
+    const decoder = new TextDecoder();
+    let text = '';
+    for await (const chunk of ICSStreamParser.readChunks(input)) {
+      text += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    }
+    return text + decoder.decode();
+  }
+
+  /**
+   * Filter and add or update a single parsed event
+   * @private
+   */
+  importEvent(eventData, options, results) {
+    const {
+      updateExisting = false, // Update events with matching IDs
+      skipDuplicates = true, // Skip if event already exists
+      dateRange = null, // Only import events in range
+      categories = null, // Only import events with these categories
+      matchAllCategories = false // Require every category (AND) instead of any (OR)
+    } = options;
+
+    try {
+      // Apply filters
+      if (dateRange && !this.isInDateRange(eventData, dateRange)) {
+        results.skipped.push({ event: eventData, reason: 'out_of_range' });
+        return;
+      }
+
+      if (
+        categories &&
+        categories.length > 0 &&
+        !this.matchesCategories(eventData.categories, categories, matchAllCategories)
+      ) {
+        results.skipped.push({ event: eventData, reason: 'category_filtered' });
+        return;
+      }
+
+      // EXDATE, RDATE and RECURRENCE-ID overrides are stored on the event itself
+      this.prepareRecurrenceData(eventData);
+
+      // Check for existing event
+      const existingEvent = this.calendar.getEvent(eventData.id);
+
+      if (existingEvent) {
+        if (updateExisting) {
+          // Update existing event
+          this.calendar.updateEvent(eventData.id, eventData);
+          results.updated.push(eventData);
+        } else if (skipDuplicates) {
+          results.skipped.push({ event: eventData, reason: 'duplicate' });
+        } else {
+          // Create new event with different ID
+          eventData.id = this.generateNewId(eventData.id);
+          this.calendar.addEvent(eventData);
+          results.imported.push(eventData);
+        }
+      } else {
+        // Add new event
+        this.calendar.addEvent(eventData);
+        results.imported.push(eventData);
+      }
+    } catch (error) {
+      results.errors.push({
+        event: eventData,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Add or update a single parsed task
+   * @private
+   */
+  importTask(taskData, options, results) {
+    const { updateExisting = false, skipDuplicates = true } = options;
+
+    try {
+      if (this.calendar.getTask(taskData.id)) {
+        if (updateExisting) {
+          this.calendar.updateTask(taskData.id, taskData);
+        } else if (skipDuplicates) {
+          results.skipped.push({ task: taskData, reason: 'duplicate' });
+          return;
+        } else {
+          taskData.id = this.generateNewId(taskData.id);
+          this.calendar.addTask(taskData);
+        }
+      } else {
+        this.calendar.addTask(taskData);
+      }
+      results.tasks.push(taskData);
+    } catch (error) {
+      results.errors.push({
+        task: taskData,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Case-insensitive category match with the any/all semantics of
+   * EventStore.queryEvents
+   * @private
+   */
+  matchesCategories(eventCategories = [], categories, matchAll = false) {
+    const own = new Set(eventCategories.map(c => c.trim().toLowerCase()));
+    const has = category => own.has(category.trim().toLowerCase());
+    return matchAll ? categories.every(has) : categories.some(has);
+  }
+
+  /**
+   * @private
+   */
+  reportProgress(onProgress, processed, results) {
+    if (!onProgress) return;
+
+    onProgress({
+      processed,
+      imported: results.imported.length,
+      updated: results.updated.length,
+      skipped: results.skipped.length,
+      errors: results.errors.length
+    });
+  }
+
+  /**
+   * Event store supporting batched notifications, if any
+   * @private
+   */
+  getBatchStore() {
+    const store = this.calendar.eventStore;
+    return store && typeof store.startBatch === 'function' ? store : null;
+  }
+
   /**
    * Export calendar events to ICS format
    * @param {Object} options - Export options
@@ -111,10 +317,13 @@ export class ICSHandler {
   export(options = {}) {
     const {
       dateRange = null, // Only export events in range
-      categories = null, // Only export specific categories
+      categories = null, // Only export events with these categories
+      matchAllCategories = false, // Require every category (AND) instead of any (OR)
       calendarName = 'Lightning Calendar Export',
       includeRecurring = true,
-      expandRecurring = false // Expand recurring events to instances
+      expandRecurring = false, // Expand recurring events to instances
+      includeTasks = true, // Export tasks as VTODO components
+      journals = [] // Journal entries to export as VJOURNAL components
     } = options;
 
     // Get events to export
@@ -125,19 +334,35 @@ export class ICSHandler {
       events = events.filter(event => this.isInDateRange(event, dateRange));
     }
 
-    if (categories) {
-      events = events.filter(event => categories.includes(event.category));
+    if (categories && categories.length > 0) {
+      events = events.filter(event =>
+        this.matchesCategories(event.categories, categories, matchAllCategories)
+      );
     }
 
     // Handle recurring events
     if (expandRecurring) {
       events = this.expandRecurringEvents(events, dateRange);
     } else if (!includeRecurring) {
-      events = events.filter(event => !event.recurrence);
+      events = events.filter(event => !event.recurring);
     }
 
     // Generate ICS
-    return this.parser.export(events, calendarName);
+    const tasks = includeTasks ? this.calendar.getTasks() : [];
+    return this.parser.export(events, calendarName, { tasks, journals });
+  }
+
+  /**
+   * Default the EXDATE, RDATE and override lists of a parsed event, so an
+   * update replaces the ones stored on the existing event
+   * @private
+   */
+  prepareRecurrenceData(eventData) {
+    for (const field of ['excludeDates', 'additionalDates', 'modifiedInstances']) {
+      if (!eventData[field]) {
+        eventData[field] = [];
+      }
+    }
   }
 
   /**
@@ -251,7 +476,11 @@ export class ICSHandler {
       return input;
     }
 
-    if (input instanceof File || input instanceof Blob) {
+    // Checked by shape, as Blob and File are not defined everywhere
+    if (input && typeof input.text === 'function') {
+      return input.text();
+    }
+    if (input && typeof input.size === 'number' && typeof input.slice === 'function') {
       return new Promise((resolve, reject) => {
         const reader = new FileReader();
         reader.onload = () => resolve(reader.result);
@@ -300,30 +529,17 @@ export class ICSHandler {
     const rangeEnd = dateRange?.end || new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
 
     for (const event of events) {
-      if (!event.recurrence) {
+      if (!event.recurring) {
         expanded.push(event);
         continue;
       }
 
-      // TODO: Get instances from calendar's recurrence engine when implemented
-      // For now, just include the base event
-      const instances = [
-        {
-          start: event.start,
-          end: event.end
-        }
-      ];
+      // Occurrences come from the calendar's store, with exceptions and overrides applied
+      const instances = this.calendar.eventStore.expandRecurringEvent(event, rangeStart, rangeEnd);
 
-      // Add each instance as a separate event
+      // Add each instance as a separate event; metadata.recurringEventId references the original
       for (const instance of instances) {
-        expanded.push({
-          ...event,
-          id: `${event.id}-${instance.start.getTime()}`,
-          start: instance.start,
-          end: instance.end,
-          recurrence: null, // Remove recurrence from instances
-          parentId: event.id // Reference to original
-        });
+        expanded.push(instance.clone({ recurring: false, recurrenceRule: null }));
       }
     }
 
@@ -333,15 +549,27 @@ export class ICSHandler {
   /**
    * Validate ICS string
    * @param {string} icsString - ICS content to validate
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.strict=false] - Check against RFC 5545 and include
+   *   line/column diagnostics from ICSValidator
    * @returns {Object} Validation results
    */
-  validate(icsString) {
+  validate(icsString, options = {}) {
     const results = {
       valid: true,
       errors: [],
       warnings: []
     };
 
+    if (options.strict) {
+      const { valid, diagnostics } = this.validator.validate(icsString);
+      for (const diagnostic of diagnostics) {
+        const list = diagnostic.severity === 'error' ? results.errors : results.warnings;
+        list.push(this.formatDiagnostic(diagnostic));
+      }
+      return { ...results, valid, diagnostics };
+    }
+
     try {
       // Check basic structure
       if (!icsString.includes('BEGIN:VCALENDAR')) {
@@ -386,4 +614,12 @@ export class ICSHandler {
 
     return results;
   }
+
+  /**
+   * Describe a validator diagnostic in one line
+   * @private
+   */
+  formatDiagnostic({ line, column, message, rfcSection }) {
+    return `Line ${line}, column ${column}: ${message} (RFC 5545 section ${rfcSection})`;
+  }
 }
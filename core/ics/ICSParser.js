@@ -4,6 +4,58 @@
  * RFC 5545 compliant
  */
 
+import { ICSTimezone } from './ICSTimezone.js';
+import { TimezoneManager } from '../timezone/TimezoneManager.js';
+
+// ATTENDEE ROLE values (RFC 5545 section 3.2.16) to Attendee.role
+const ROLE_MAP = {
+  'REQ-PARTICIPANT': 'required',
+  'OPT-PARTICIPANT': 'optional',
+  'NON-PARTICIPANT': 'non-participant',
+  CHAIR: 'chair'
+};
+
+// PARTSTAT values (RFC 5545 section 3.2.12) supported by Attendee.responseStatus
+const PARTSTATS = ['NEEDS-ACTION', 'ACCEPTED', 'DECLINED', 'TENTATIVE', 'DELEGATED'];
+
+// Property parameters (name=value or name="quoted",list)
+const PARAMETER_PATTERN = /;([A-Za-z0-9-]+)=((?:"[^"]*"|[^;",]*)(?:,(?:"[^"]*"|[^;",]*))*)/g;
+
+// Parameters the parser maps and regenerates; any other parameter is preserved as written
+const MODELED_PARAMETERS = [
+  'TZID',
+  'VALUE',
+  'CN',
+  'ROLE',
+  'PARTSTAT',
+  'RSVP',
+  'CUTYPE',
+  'DELEGATED-TO',
+  'DELEGATED-FROM',
+  'SENT-BY',
+  'RELTYPE'
+];
+
+// Properties regenerated on export rather than preserved
+const GENERATED_PROPERTIES = ['DTSTAMP'];
+
+// CLASS values (RFC 5545 section 3.8.1.3); unrecognized values are treated as PRIVATE
+const CLASS_VALUES = ['PUBLIC', 'PRIVATE', 'CONFIDENTIAL'];
+
+// Allowed ranges of the integer properties; other values are preserved as written
+const INTEGER_RANGES = {
+  SEQUENCE: [0, Infinity],
+  'PERCENT-COMPLETE': [0, 100],
+  PRIORITY: [0, 9]
+};
+
+// STATUS values allowed per component (RFC 5545 section 3.8.1.11); the first is the default
+const COMPONENT_STATUSES = {
+  VEVENT: ['CONFIRMED', 'TENTATIVE', 'CANCELLED'],
+  VTODO: ['NEEDS-ACTION', 'IN-PROCESS', 'COMPLETED', 'CANCELLED'],
+  VJOURNAL: ['FINAL', 'DRAFT', 'CANCELLED']
+};
+
 export class ICSParser {
   constructor() {
     // ICS line folding max width
@@ -17,269 +69,1618 @@ export class ICSParser {
       DTSTART: 'start',
       DTEND: 'end',
       UID: 'id',
-      CATEGORIES: 'category',
+      CATEGORIES: 'categories',
       STATUS: 'status',
       TRANSP: 'showAs',
       ORGANIZER: 'organizer',
       ATTENDEE: 'attendees',
-      RRULE: 'recurrence',
-      EXDATE: 'excludeDates'
+      RRULE: 'recurrenceRule',
+      EXDATE: 'excludeDates',
+      RDATE: 'additionalDates',
+      'RECURRENCE-ID': 'recurrenceId',
+      SEQUENCE: 'sequence',
+      COMMENT: 'comment',
+      DUE: 'due',
+      COMPLETED: 'completed',
+      'PERCENT-COMPLETE': 'percentComplete',
+      PRIORITY: 'priority',
+      'RELATED-TO': 'relatedTo',
+      CLASS: 'visibility',
+      URL: 'url',
+      GEO: 'geo',
+      DURATION: 'duration'
+    };
+  }
+
+  /**
+   * Parse ICS string into events
+   * @param {string} icsString - The ICS formatted string
+   * @returns {Array} Array of event objects
+   */
+  parse(icsString) {
+    return this.parseCalendar(icsString).events;
+  }
+
+  /**
+   * Parse ICS string into events, tasks (VTODO) and journal entries (VJOURNAL)
+   * @param {string} icsString - The ICS formatted string
+   * @returns {{events: Array, tasks: Array, journals: Array}} Parsed components
+   */
+  parseCalendar(icsString) {
+    const components = { VEVENT: [], VTODO: [], VJOURNAL: [] };
+    const reader = this.createReader((component, type) => components[type].push(component));
+
+    for (const line of this.unfoldLines(icsString)) {
+      reader.readLine(line);
+    }
+
+    // VTIMEZONE components may appear after the components that reference them
+    const { timezones } = reader;
+    const events = components.VEVENT.map(event => this.resolveEvent(event, timezones));
+
+    return {
+      events: this.attachOverrides(events),
+      tasks: components.VTODO.map(task => this.resolveTask(task, timezones)),
+      journals: components.VJOURNAL.map(journal => this.resolveJournal(journal, timezones))
+    };
+  }
+
+  /**
+   * Create a reader that consumes unfolded lines one at a time, keeping
+   * component state between calls
+   * @param {Function} onComponent - Called with each raw VEVENT, VTODO or VJOURNAL
+   *   and its component name as its END line is read
+   * @returns {{readLine: Function, timezones: Map<string, ICSTimezone>}} Reader
+   * @private
+   */
+  createReader(onComponent) {
+    const timezones = new Map();
+    let currentEvent = null;
+    let currentAlarm = null;
+    let currentTimezone = null;
+    let currentObservance = null;
+    let componentType = null;
+    let inAlarm = false;
+
+    const readLine = line => {
+      // Skip empty lines
+      if (!line.trim()) return;
+
+      // Parse property and value
+      const colonIndex = this.findValueSeparator(line);
+      if (colonIndex === -1) return;
+
+      const property = line.substring(0, colonIndex);
+      const value = line.substring(colonIndex + 1);
+
+      // Handle component boundaries
+      if (property === 'BEGIN') {
+        if (value === 'VEVENT') {
+          componentType = value;
+          currentEvent = this.createEmptyEvent();
+        } else if (value === 'VTODO') {
+          componentType = value;
+          currentEvent = this.createEmptyTask();
+        } else if (value === 'VJOURNAL') {
+          componentType = value;
+          currentEvent = this.createEmptyJournal();
+        } else if (value === 'VALARM') {
+          inAlarm = true;
+          currentAlarm = componentType ? {} : null;
+        } else if (value === 'VTIMEZONE') {
+          currentTimezone = new ICSTimezone(null);
+        } else if ((value === 'STANDARD' || value === 'DAYLIGHT') && currentTimezone) {
+          currentObservance = { type: value, rdates: [] };
+        }
+      } else if (property === 'END') {
+        if (value === componentType && currentEvent) {
+          onComponent(currentEvent, componentType);
+          currentEvent = null;
+          componentType = null;
+        } else if (value === 'VALARM') {
+          if (currentAlarm && currentEvent) {
+            if (!currentEvent._alarms) currentEvent._alarms = [];
+            currentEvent._alarms.push(currentAlarm);
+          }
+          currentAlarm = null;
+          inAlarm = false;
+        } else if (value === 'VTIMEZONE' && currentTimezone) {
+          if (currentTimezone.tzid) {
+            timezones.set(currentTimezone.tzid, currentTimezone);
+          }
+          currentTimezone = null;
+        } else if ((value === 'STANDARD' || value === 'DAYLIGHT') && currentObservance) {
+          if (currentObservance.start) {
+            currentTimezone.addObservance(currentObservance);
+          }
+          currentObservance = null;
+        }
+      } else if (componentType && !inAlarm && currentEvent) {
+        // Parse event, task or journal properties
+        this.parseProperty(property, value, currentEvent, componentType);
+      } else if (inAlarm && currentAlarm) {
+        this.parseAlarmProperty(property, value, currentAlarm);
+      } else if (currentTimezone) {
+        this.parseTimezoneProperty(property, value, currentTimezone, currentObservance);
+      }
     };
+
+    return { readLine, timezones };
+  }
+
+  /**
+   * Resolve zones and alarms of a raw VEVENT; alarms need the event's
+   * resolved start and end
+   * @param {Object} event - Raw event from the reader
+   * @param {Map<string, ICSTimezone>} timezones - VTIMEZONE definitions by TZID
+   * @returns {Object} Event object
+   * @private
+   */
+  resolveEvent(event, timezones) {
+    this.resolveTimezones(event, timezones);
+    this.applyDuration(event, 'end');
+    return this.normalizeEvent(this.resolveAlarms(event));
+  }
+
+  /**
+   * Resolve zones and alarms of a raw VTODO. Reminders are relative to
+   * the due date, or to the start when there is none
+   * @param {Object} task - Raw task from the reader
+   * @param {Map<string, ICSTimezone>} timezones - VTIMEZONE definitions by TZID
+   * @returns {Object} Task object
+   * @private
+   */
+  resolveTask(task, timezones) {
+    this.resolveTaskTimezones(task, timezones);
+    this.applyDuration(task, 'due');
+
+    for (const alarm of task._alarms || []) {
+      const reminder = this.alarmToTaskReminder(alarm, task);
+      if (reminder) {
+        task.reminders.push(reminder);
+      }
+    }
+    delete task._alarms;
+
+    if (!task.id) task.id = this.generateUID();
+    if (!task.title) task.title = 'Untitled Task';
+    return task;
+  }
+
+  /**
+   * Resolve the zone of a raw VJOURNAL
+   * @param {Object} journal - Raw journal entry from the reader
+   * @param {Map<string, ICSTimezone>} timezones - VTIMEZONE definitions by TZID
+   * @returns {Object} Journal object
+   * @private
+   */
+  resolveJournal(journal, timezones) {
+    this.resolveTimezones(journal, timezones);
+    delete journal._alarms;
+
+    if (!journal.id) journal.id = this.generateUID();
+    if (!journal.title) journal.title = 'Untitled Journal Entry';
+    return journal;
+  }
+
+  /**
+   * Derive DTEND/DUE from DTSTART and DURATION
+   * @private
+   */
+  applyDuration(component, field) {
+    if (component._duration !== undefined && component.start && !component[field]) {
+      component[field] = new Date(component.start.getTime() + component._duration * 60000);
+    }
+    delete component._duration;
+  }
+
+  /**
+   * Read the calendar-level iTIP method
+   * @param {string} icsString - The ICS formatted string
+   * @returns {string|null} Upper-case METHOD value, or null if absent
+   */
+  parseMethod(icsString) {
+    let depth = 0;
+    for (const line of this.unfoldLines(icsString)) {
+      const colonIndex = this.findValueSeparator(line);
+      if (colonIndex === -1) continue;
+
+      const property = line.substring(0, colonIndex).split(';')[0].toUpperCase();
+      const value = line.substring(colonIndex + 1).trim();
+
+      if (property === 'BEGIN') {
+        depth++;
+      } else if (property === 'END') {
+        depth--;
+      } else if (property === 'METHOD' && depth === 1) {
+        return value.toUpperCase();
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Export events to ICS format
+   * @param {Array} events - Array of event objects
+   * @param {string} calendarName - Name of the calendar
+   * @param {Object} [options] - Export options
+   * @param {Function} [options.getRecurrenceData] - Returns {excludeDates, additionalDates,
+   *   modifiedInstances} for a recurring event, overriding the values stored on it
+   * @param {string} [options.method='PUBLISH'] - iTIP method (RFC 5546), e.g. REQUEST or REPLY
+   * @param {Array} [options.tasks=[]] - Tasks to export as VTODO components
+   * @param {Array} [options.journals=[]] - Journal entries to export as VJOURNAL components
+   * @returns {string} ICS formatted string
+   */
+  export(events, calendarName = 'Lightning Calendar', options = {}) {
+    const { getRecurrenceData = null, method = 'PUBLISH', tasks = [], journals = [] } = options;
+
+    const lines = [];
+
+    // Calendar header
+    lines.push('BEGIN:VCALENDAR');
+    lines.push('VERSION:2.0');
+    lines.push('PRODID:-//Force Calendar Core//EN');
+    lines.push(`X-WR-CALNAME:${calendarName}`);
+    lines.push(`METHOD:${method.toUpperCase()}`);
+
+    // Timezone definitions for every zone referenced by a DTSTART/DTEND/DUE
+    const zones = new Set();
+    let referenceYear = null;
+    for (const component of [...events, ...tasks, ...journals]) {
+      const anchor = component.start || component.due;
+      if (component.allDay || !anchor) continue;
+      this.getEventTimezones(component).forEach(tz => zones.add(tz));
+      const year = new Date(anchor).getFullYear();
+      if (referenceYear === null || year < referenceYear) {
+        referenceYear = year;
+      }
+    }
+
+    for (const tzid of zones) {
+      if (tzid === 'UTC') continue;
+      const timezone = ICSTimezone.fromIANA(tzid, referenceYear);
+      if (timezone) {
+        lines.push(...this.timezoneToICS(timezone));
+      }
+    }
+
+    // Add each event
+    for (const event of events) {
+      const recurrence = getRecurrenceData ? getRecurrenceData(event) : null;
+      lines.push(...this.eventToICS(event, recurrence || {}));
+    }
+
+    for (const task of tasks) {
+      lines.push(...this.taskToICS(task));
+    }
+
+    for (const journal of journals) {
+      lines.push(...this.journalToICS(journal));
+    }
+
+    // Calendar footer
+    lines.push('END:VCALENDAR');
+
+    // Fold long lines and join
+    return this.foldLines(lines).join('\r\n');
+  }
+
+  /**
+   * Convert timezone definition to VTIMEZONE lines
+   * @param {ICSTimezone} timezone - Timezone definition
+   * @returns {string[]} ICS lines
+   */
+  timezoneToICS(timezone) {
+    const lines = [];
+    lines.push('BEGIN:VTIMEZONE');
+    lines.push(`TZID:${timezone.tzid}`);
+    if (timezone.location) {
+      lines.push(`X-LIC-LOCATION:${timezone.location}`);
+    }
+
+    for (const observance of timezone.observances) {
+      lines.push(`BEGIN:${observance.type}`);
+      lines.push(`DTSTART:${this.formatDate(observance.start)}`);
+      lines.push(`TZOFFSETFROM:${ICSTimezone.formatOffset(observance.offsetFrom)}`);
+      lines.push(`TZOFFSETTO:${ICSTimezone.formatOffset(observance.offsetTo)}`);
+      if (observance.name) {
+        lines.push(`TZNAME:${observance.name}`);
+      }
+      if (observance.rrule) {
+        lines.push(`RRULE:${observance.rrule}`);
+      }
+      if (observance.rdates.length > 0) {
+        lines.push(`RDATE:${observance.rdates.map(d => this.formatDate(d)).join(',')}`);
+      }
+      lines.push(`END:${observance.type}`);
+    }
+
+    lines.push('END:VTIMEZONE');
+    return lines;
+  }
+
+  /**
+   * Convert single event to ICS lines
+   * @private
+   */
+  eventToICS(event, recurrence = {}) {
+    const lines = [];
+    lines.push('BEGIN:VEVENT');
+
+    // UID (required)
+    lines.push(`UID:${event.id || this.generateUID()}`);
+
+    // Timestamps
+    lines.push(`DTSTAMP:${this.formatUTCDate(new Date())}`);
+
+    // Start and end dates
+    const [startZone, endZone] = this.getEventTimezones(event);
+    lines.push(this.formatDateProperty('DTSTART', event.start, startZone, event.allDay));
+    if (event.end) {
+      lines.push(this.formatDateProperty('DTEND', event.end, endZone, event.allDay));
+    }
+
+    // Override of a single occurrence
+    if (event.recurrenceId) {
+      lines.push(
+        this.formatDateProperty('RECURRENCE-ID', event.recurrenceId, startZone, event.allDay)
+      );
+    }
+
+    // Basic properties
+    if (event.title) lines.push(`SUMMARY:${this.escapeText(event.title)}`);
+    if (event.description) lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${this.escapeText(event.location)}`);
+    if (event.comment) lines.push(`COMMENT:${this.escapeText(event.comment)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.geo) lines.push(`GEO:${event.geo.latitude};${event.geo.longitude}`);
+
+    // Scheduling revision
+    if (Number.isInteger(event.sequence)) {
+      lines.push(`SEQUENCE:${event.sequence}`);
+    }
+
+    // Status
+    if (event.status) {
+      const statusMap = {
+        tentative: 'TENTATIVE',
+        confirmed: 'CONFIRMED',
+        cancelled: 'CANCELLED'
+      };
+      lines.push(`STATUS:${statusMap[event.status] || 'CONFIRMED'}`);
+    }
+
+    // Access classification; PUBLIC is the default
+    if (event.visibility && event.visibility !== 'public') {
+      lines.push(`CLASS:${event.visibility.toUpperCase()}`);
+    }
+
+    if (event.priority > 0) {
+      lines.push(`PRIORITY:${event.priority}`);
+    }
+
+    // Show as
+    if (event.showAs) {
+      const transpMap = {
+        busy: 'OPAQUE',
+        free: 'TRANSPARENT'
+      };
+      lines.push(`TRANSP:${transpMap[event.showAs] || 'OPAQUE'}`);
+    }
+
+    // Categories
+    lines.push(...this.categoryLines(event));
+
+    // Organizer and attendees
+    lines.push(...this.calendarUserLines(event));
+
+    // Recurrence
+    const recurrenceRule = event.recurrenceRule || event.recurrence;
+    const { excludeDates, additionalDates, modifiedInstances } = this.getRecurrenceData(
+      event,
+      recurrence
+    );
+
+    if (recurrenceRule) {
+      lines.push(`RRULE:${this.formatRRule(recurrenceRule)}`);
+    }
+    if (excludeDates.length > 0) {
+      lines.push(this.formatDateProperty('EXDATE', excludeDates, startZone, event.allDay));
+    }
+    // PERIOD values need a DATE-TIME start, so all-day events keep only the date
+    const isPeriod = value => typeof value === 'object' && !(value instanceof Date);
+    const periods = event.allDay ? [] : additionalDates.filter(isPeriod);
+    const rdates = additionalDates
+      .filter(value => !periods.includes(value))
+      .map(value => (isPeriod(value) ? value.start : value));
+    if (rdates.length > 0) {
+      lines.push(this.formatDateProperty('RDATE', rdates, startZone, event.allDay));
+    }
+    if (periods.length > 0) {
+      lines.push(this.formatPeriodProperty('RDATE', periods, startZone));
+    }
+
+    // Properties and parameters this parser does not model
+    this.restoreExtensions(lines, event);
+
+    // Reminders/Alarms
+    if (event.reminders && event.reminders.length > 0) {
+      for (const reminder of event.reminders) {
+        if (reminder.enabled === false) continue;
+        lines.push(...this.reminderToICS(reminder, event));
+      }
+    }
+
+    lines.push('END:VEVENT');
+
+    // Modified occurrences are separate components sharing the UID
+    for (const instance of modifiedInstances) {
+      lines.push(...this.eventToICS(this.overrideToEvent(event, instance)));
+    }
+
+    return lines;
+  }
+
+  /**
+   * Convert a task to VTODO lines
+   * @private
+   */
+  taskToICS(task) {
+    const lines = [];
+    lines.push('BEGIN:VTODO');
+    lines.push(`UID:${task.id || this.generateUID()}`);
+    lines.push(`DTSTAMP:${this.formatUTCDate(new Date())}`);
+
+    const [zone] = this.getEventTimezones(task);
+    if (task.start) {
+      lines.push(this.formatDateProperty('DTSTART', task.start, zone, task.allDay));
+    }
+    if (task.due) {
+      lines.push(this.formatDateProperty('DUE', task.due, zone, task.allDay));
+    }
+    if (task.completed) {
+      lines.push(`COMPLETED:${this.formatUTCDate(new Date(task.completed))}`);
+    }
+
+    if (task.title) lines.push(`SUMMARY:${this.escapeText(task.title)}`);
+    if (task.description) lines.push(`DESCRIPTION:${this.escapeText(task.description)}`);
+    if (task.location) lines.push(`LOCATION:${this.escapeText(task.location)}`);
+
+    if (Number.isInteger(task.sequence)) {
+      lines.push(`SEQUENCE:${task.sequence}`);
+    }
+    if (task.status) {
+      lines.push(`STATUS:${task.status.toUpperCase()}`);
+    }
+    if (task.percentComplete > 0) {
+      lines.push(`PERCENT-COMPLETE:${task.percentComplete}`);
+    }
+    if (task.priority > 0) {
+      lines.push(`PRIORITY:${task.priority}`);
+    }
+
+    lines.push(...this.categoryLines(task));
+    lines.push(...this.relatedToLines(task));
+    lines.push(...this.calendarUserLines(task));
+
+    if (task.recurrenceRule) {
+      lines.push(`RRULE:${this.formatRRule(task.recurrenceRule)}`);
+    }
+
+    this.restoreExtensions(lines, task);
+
+    // Task reminders count back from the due date
+    for (const reminder of task.reminders || []) {
+      if (reminder.enabled === false) continue;
+      lines.push(...this.reminderToICS(reminder, task, task.due ? 'END' : null));
+    }
+
+    lines.push('END:VTODO');
+    return lines;
+  }
+
+  /**
+   * Convert a journal entry to VJOURNAL lines
+   * @private
+   */
+  journalToICS(journal) {
+    const lines = [];
+    lines.push('BEGIN:VJOURNAL');
+    lines.push(`UID:${journal.id || this.generateUID()}`);
+    lines.push(`DTSTAMP:${this.formatUTCDate(new Date())}`);
+
+    if (journal.start) {
+      const [zone] = this.getEventTimezones(journal);
+      lines.push(this.formatDateProperty('DTSTART', journal.start, zone, journal.allDay));
+    }
+
+    if (journal.title) lines.push(`SUMMARY:${this.escapeText(journal.title)}`);
+    if (journal.description) lines.push(`DESCRIPTION:${this.escapeText(journal.description)}`);
+
+    if (Number.isInteger(journal.sequence)) {
+      lines.push(`SEQUENCE:${journal.sequence}`);
+    }
+    if (journal.status) {
+      lines.push(`STATUS:${journal.status.toUpperCase()}`);
+    }
+
+    lines.push(...this.categoryLines(journal));
+    lines.push(...this.relatedToLines(journal));
+    lines.push(...this.calendarUserLines(journal));
+    this.restoreExtensions(lines, journal);
+
+    lines.push('END:VJOURNAL');
+    return lines;
+  }
+
+  /**
+   * ORGANIZER and ATTENDEE lines of a component
+   * @private
+   */
+  calendarUserLines(component) {
+    const lines = [];
+
+    if (component.organizer) {
+      const organizer =
+        typeof component.organizer === 'string'
+          ? { email: component.organizer }
+          : component.organizer;
+      if (organizer.email) {
+        lines.push(this.formatCalendarUser('ORGANIZER', organizer));
+      }
+    }
+
+    for (const attendee of component.attendees || []) {
+      const user = typeof attendee === 'string' ? { email: attendee } : attendee;
+      if (user.email) {
+        lines.push(this.formatCalendarUser('ATTENDEE', user));
+      }
+    }
+
+    return lines;
+  }
+
+  /**
+   * CATEGORIES line of a component; plain objects may carry a single category
+   * @private
+   */
+  categoryLines(component) {
+    const categories = component.categories || (component.category ? [component.category] : []);
+    if (categories.length === 0) return [];
+    return [`CATEGORIES:${categories.map(c => this.escapeText(c)).join(',')}`];
+  }
+
+  /**
+   * RELATED-TO lines; PARENT is the default relationship type
+   * @private
+   */
+  relatedToLines(component) {
+    return (component.relatedTo || []).map(({ id, relType }) => {
+      const type = (relType || 'parent').toUpperCase();
+      return type === 'PARENT' ? `RELATED-TO:${id}` : `RELATED-TO;RELTYPE=${type}:${id}`;
+    });
+  }
+
+  /**
+   * Collect EXDATE, RDATE and overrides for an event.
+   * EXDATE parts embedded in a rule string are moved to EXDATE
+   * @private
+   */
+  getRecurrenceData(event, recurrence = {}) {
+    const rule = event.recurrenceRule || event.recurrence;
+    const ruleExdates = [];
+    if (typeof rule === 'string') {
+      const exdatePart = rule.split(';').find(part => part.toUpperCase().startsWith('EXDATE='));
+      if (exdatePart) {
+        ruleExdates.push(
+          ...exdatePart
+            .substring(7)
+            .split(',')
+            .map(d => this.parseDate(d))
+        );
+      }
+    }
+
+    return {
+      excludeDates: recurrence.excludeDates || [...(event.excludeDates || []), ...ruleExdates],
+      additionalDates: recurrence.additionalDates || event.additionalDates || [],
+      modifiedInstances: recurrence.modifiedInstances || event.modifiedInstances || []
+    };
+  }
+
+  /**
+   * Format a recurrence rule for the RRULE property
+   * @private
+   */
+  formatRRule(rule) {
+    if (typeof rule === 'object') {
+      return this.objectToRRule(rule);
+    }
+
+    return rule
+      .replace(/^RRULE:/, '')
+      .split(';')
+      .filter(part => !part.toUpperCase().startsWith('EXDATE='))
+      .join(';');
+  }
+
+  /**
+   * Build the component for a modified occurrence of a recurring event
+   * @private
+   */
+  overrideToEvent(master, instance) {
+    const recurrenceId = new Date(instance.recurrenceId);
+    const duration = master.end ? master.end - master.start : 0;
+    const override = {
+      id: master.id,
+      title: master.title,
+      description: master.description,
+      location: master.location,
+      status: master.status,
+      showAs: master.showAs,
+      categories: master.categories,
+      organizer: master.organizer,
+      attendees: master.attendees,
+      reminders: master.reminders,
+      allDay: master.allDay,
+      timeZone: master.timeZone,
+      endTimeZone: master.endTimeZone,
+      sequence: master.sequence,
+      start: recurrenceId,
+      end: master.end ? new Date(recurrenceId.getTime() + duration) : null,
+      recurrenceId
+    };
+
+    for (const field of ['title', 'description', 'location', 'status', 'allDay']) {
+      if (instance[field] !== undefined) {
+        override[field] = instance[field];
+      }
+    }
+    if (instance.start) override.start = new Date(instance.start);
+    if (instance.end) override.end = new Date(instance.end);
+    if (instance.attendees) override.attendees = instance.attendees;
+
+    return override;
+  }
+
+  /**
+   * Parse ICS property into event object
+   * @private
+   */
+  parseProperty(property, value, event, component = 'VEVENT') {
+    // Extract actual property name (before parameters)
+    const propName = property.split(';')[0];
+    const params = this.parseParameters(property);
+
+    // Map to event property; anything else is kept for export
+    const eventProp = this.propertyMap[propName];
+    if (!eventProp) {
+      if (!GENERATED_PROPERTIES.includes(propName)) {
+        this.preserveProperty(property, value, event);
+      }
+      return;
+    }
+
+    if (propName !== 'ORGANIZER' && propName !== 'ATTENDEE') {
+      this.preserveParameters(propName, property, event);
+    }
+
+    switch (propName) {
+      case 'DTSTART':
+      case 'DTEND':
+      case 'DUE':
+        event[eventProp] = this.parseDate(value, property);
+        if (params.VALUE === 'DATE') {
+          event.allDay = true;
+        } else if (params.TZID || value.endsWith('Z')) {
+          // Zones are resolved once all VTIMEZONE components have been read
+          if (!event._tzids) event._tzids = {};
+          event._tzids[eventProp] = value.endsWith('Z') ? 'UTC' : params.TZID;
+        }
+        break;
+
+      case 'SUMMARY':
+      case 'DESCRIPTION':
+      case 'LOCATION':
+      case 'COMMENT':
+        event[eventProp] = this.unescapeText(value);
+        break;
+
+      case 'UID':
+        event.id = value;
+        break;
+
+      case 'SEQUENCE':
+      case 'PERCENT-COMPLETE':
+      case 'PRIORITY': {
+        const [min, max] = INTEGER_RANGES[propName];
+        const number = /^[+-]?\d+$/.test(value.trim()) ? Number(value) : NaN;
+        if (number >= min && number <= max) {
+          event[eventProp] = number;
+        } else {
+          this.preserveProperty(property, value, event);
+        }
+        break;
+      }
+
+      case 'COMPLETED':
+        event.completed = this.parseUTCDate(value);
+        break;
+
+      case 'CLASS':
+        event.visibility = CLASS_VALUES.includes(value) ? value.toLowerCase() : 'private';
+        break;
+
+      case 'URL':
+        event.url = value;
+        break;
+
+      case 'GEO': {
+        const parts = value.split(';');
+        const [latitude, longitude] = parts.map(part => (part.trim() ? Number(part) : NaN));
+        if (parts.length === 2 && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180) {
+          event.geo = { latitude, longitude };
+        } else {
+          this.preserveProperty(property, value, event);
+        }
+        break;
+      }
+
+      case 'DURATION':
+        // Applied once DTSTART is known, in place of DTEND or DUE
+        event._duration = this.parseDuration(value);
+        break;
+
+      case 'RELATED-TO':
+        if (!event.relatedTo) event.relatedTo = [];
+        event.relatedTo.push({ id: value, relType: (params.RELTYPE || 'PARENT').toLowerCase() });
+        break;
+
+      case 'CATEGORIES':
+        // May repeat; each line holds a comma-separated list
+        event.categories.push(...this.splitTextList(value).filter(Boolean));
+        break;
+
+      case 'STATUS': {
+        const statuses = COMPONENT_STATUSES[component];
+        event.status = (statuses.includes(value) ? value : statuses[0]).toLowerCase();
+        break;
+      }
+
+      case 'TRANSP':
+        event.showAs = value === 'TRANSPARENT' ? 'free' : 'busy';
+        break;
+
+      case 'ORGANIZER':
+        event.organizer = this.parseOrganizer(value, params);
+        this.preserveParameters(propName, property, event.organizer);
+        break;
+
+      case 'ATTENDEE': {
+        if (!event.attendees) event.attendees = [];
+        const attendee = this.parseAttendee(value, params);
+        this.preserveParameters(propName, property, attendee);
+        event.attendees.push(attendee);
+        break;
+      }
+
+      case 'RRULE':
+        event.recurring = true;
+        event.recurrenceRule = value;
+        break;
+
+      case 'EXDATE':
+      case 'RDATE': {
+        // Lists are converted to the event's zone once DTSTART is resolved
+        const tzid = value.endsWith('Z') ? 'UTC' : params.TZID || null;
+        const listKey = `_${eventProp}`;
+        if (!event[listKey]) event[listKey] = [];
+        for (const item of value.split(',')) {
+          const [startValue, endValue] = item.split('/');
+          const entry = {
+            date: this.parseDate(startValue, property),
+            tzid: startValue.endsWith('Z') ? 'UTC' : tzid
+          };
+          // RDATE PERIOD values end at a date-time or after a duration
+          if (endValue && eventProp === 'additionalDates') {
+            entry.end = endValue.startsWith('P')
+              ? new Date(entry.date.getTime() + this.parseDuration(endValue) * 60000)
+              : this.parseDate(endValue, property);
+          }
+          event[listKey].push(entry);
+        }
+        break;
+      }
+
+      case 'RECURRENCE-ID':
+        event.recurrenceId = this.parseDate(value, property);
+        if (params.TZID || value.endsWith('Z')) {
+          if (!event._tzids) event._tzids = {};
+          event._tzids.recurrenceId = value.endsWith('Z') ? 'UTC' : params.TZID;
+        }
+        break;
+    }
+  }
+
+  /**
+   * Keep an unrecognized property, or one whose value the model cannot hold,
+   * with its parameters and value as written, under metadata.icsProperties
+   * @private
+   */
+  preserveProperty(property, value, component) {
+    if (!component.metadata) component.metadata = {};
+    if (!component.metadata.icsProperties) component.metadata.icsProperties = [];
+    component.metadata.icsProperties.push({ name: property.split(';')[0], property, value });
+  }
+
+  /**
+   * Keep the unrecognized parameters of a mapped property as written.
+   * Calendar users carry them on the organizer/attendee object itself,
+   * other properties under metadata.icsParameters keyed by property name
+   * @private
+   */
+  preserveParameters(propName, property, target) {
+    const extra = [];
+    for (const match of property.matchAll(PARAMETER_PATTERN)) {
+      if (!MODELED_PARAMETERS.includes(match[1].toUpperCase())) {
+        extra.push(match[0].substring(1));
+      }
+    }
+    if (extra.length === 0) return;
+
+    if (propName === 'ORGANIZER' || propName === 'ATTENDEE') {
+      target.icsParameters = extra;
+      return;
+    }
+
+    if (!target.metadata) target.metadata = {};
+    if (!target.metadata.icsParameters) target.metadata.icsParameters = {};
+    target.metadata.icsParameters[propName] = extra;
+  }
+
+  /**
+   * Re-apply preserved parameters to the component's own lines and append
+   * its preserved properties. A preserved value the model could not hold
+   * replaces the default the component was given in its place; once the
+   * model has a value of its own, that value is exported instead
+   * @private
+   */
+  restoreExtensions(lines, component) {
+    const metadata = component.metadata || {};
+    const parameters = metadata.icsParameters || {};
+
+    for (let i = 1; i < lines.length; i++) {
+      const name = lines[i].match(/^[A-Za-z0-9-]+/)[0];
+      if (parameters[name]) {
+        lines[i] = `${name};${parameters[name].join(';')}${lines[i].substring(name.length)}`;
+      }
+    }
+
+    const ownNames = lines.map(line => line.match(/^[A-Za-z0-9-]+/)[0]);
+    for (const { name, property, value } of metadata.icsProperties || []) {
+      const own = ownNames.indexOf(name);
+      if (own === -1) {
+        lines.push(`${property}:${value}`);
+      } else if (lines[own] === `${name}:0`) {
+        lines[own] = `${property}:${value}`;
+      }
+    }
+  }
+
+  /**
+   * Convert a reminder to VALARM lines
+   * @private
+   */
+  reminderToICS(reminder, event, related = null) {
+    const lines = [];
+    const message = reminder.message || event.title || 'Reminder';
+
+    // EMAIL alarms need a recipient (RFC 5545 section 3.6.6): the reminder's
+    // own, else the organizer, else the attendees. With none of those the
+    // reminder is shown instead
+    const organizer =
+      event.organizer &&
+      (typeof event.organizer === 'string' ? event.organizer : event.organizer.email);
+    let recipients = reminder.recipients || [];
+    if (!recipients.length) {
+      recipients = organizer
+        ? [organizer]
+        : (event.attendees || []).map(attendee => attendee.email).filter(Boolean);
+    }
+    const isEmail = reminder.method === 'email' && recipients.length > 0;
+
+    lines.push('BEGIN:VALARM');
+    lines.push(`ACTION:${isEmail ? 'EMAIL' : 'DISPLAY'}`);
+
+    if (reminder.triggerAt) {
+      const triggerAt = new Date(reminder.triggerAt);
+      lines.push(`TRIGGER;VALUE=DATE-TIME:${this.formatUTCDate(triggerAt)}`);
+    } else {
+      const trigger = related ? `TRIGGER;RELATED=${related}` : 'TRIGGER';
+      // Negative minutesBefore is an alert after the start
+      lines.push(`${trigger}:${this.formatDuration(-(reminder.minutesBefore ?? 15))}`);
+    }
+
+    if (reminder.repeat > 0 && reminder.repeatIntervalMinutes > 0) {
+      lines.push(`REPEAT:${reminder.repeat}`);
+      lines.push(`DURATION:${this.formatDuration(reminder.repeatIntervalMinutes)}`);
+    }
+
+    lines.push(`DESCRIPTION:${this.escapeText(message)}`);
+
+    // EMAIL alarms also require a subject
+    if (isEmail) {
+      lines.push(`SUMMARY:${this.escapeText(event.title || 'Reminder')}`);
+      recipients.forEach(recipient => lines.push(`ATTENDEE:mailto:${recipient}`));
+    }
+
+    lines.push('END:VALARM');
+    return lines;
+  }
+
+  /**
+   * Parse ORGANIZER into an Organizer object
+   * @private
+   */
+  parseOrganizer(value, params) {
+    const email = this.parseCalAddress(value);
+    const organizer = { name: params.CN || email, email };
+
+    if (params['SENT-BY']) {
+      organizer.sentBy = this.parseCalAddress(params['SENT-BY']);
+    }
+
+    return organizer;
+  }
+
+  /**
+   * Parse ATTENDEE and its parameters into an Attendee object
+   * @private
+   */
+  parseAttendee(value, params) {
+    const email = this.parseCalAddress(value);
+    const attendee = {
+      name: params.CN || email,
+      email,
+      responseStatus: 'needs-action',
+      role: 'required'
+    };
+
+    if (params.ROLE) {
+      attendee.role = ROLE_MAP[params.ROLE.toUpperCase()] || 'required';
+      attendee.optional = attendee.role === 'optional';
+    }
+
+    if (params.PARTSTAT && PARTSTATS.includes(params.PARTSTAT.toUpperCase())) {
+      attendee.responseStatus = params.PARTSTAT.toLowerCase();
+    }
+
+    if (params.RSVP) {
+      attendee.rsvp = params.RSVP.toUpperCase() === 'TRUE';
+    }
+
+    if (params.CUTYPE) {
+      attendee.userType = params.CUTYPE.toLowerCase();
+      attendee.resource = attendee.userType === 'room' || attendee.userType === 'resource';
+    }
+
+    if (params['DELEGATED-TO']) {
+      attendee.delegatedTo = this.parseParameterList(params['DELEGATED-TO']).map(v =>
+        this.parseCalAddress(v)
+      );
+    }
+
+    if (params['DELEGATED-FROM']) {
+      attendee.delegatedFrom = this.parseParameterList(params['DELEGATED-FROM']).map(v =>
+        this.parseCalAddress(v)
+      );
+    }
+
+    if (params['SENT-BY']) {
+      attendee.sentBy = this.parseCalAddress(params['SENT-BY']);
+    }
+
+    return attendee;
+  }
+
+  /**
+   * Format ORGANIZER/ATTENDEE with its parameters
+   * @private
+   */
+  formatCalendarUser(name, user) {
+    const params = [];
+
+    if (user.name && user.name !== user.email) {
+      params.push(`CN=${this.formatParameterValue(user.name)}`);
+    }
+
+    if (name === 'ATTENDEE') {
+      const role = Object.keys(ROLE_MAP).find(key => ROLE_MAP[key] === user.role);
+      if (role && role !== 'REQ-PARTICIPANT') {
+        params.push(`ROLE=${role}`);
+      } else if (!role && user.optional) {
+        params.push('ROLE=OPT-PARTICIPANT');
+      }
+
+      if (user.responseStatus && PARTSTATS.includes(user.responseStatus.toUpperCase())) {
+        params.push(`PARTSTAT=${user.responseStatus.toUpperCase()}`);
+      }
+
+      if (user.rsvp) {
+        params.push('RSVP=TRUE');
+      }
+
+      if (user.userType) {
+        params.push(`CUTYPE=${user.userType.toUpperCase()}`);
+      } else if (user.resource) {
+        params.push('CUTYPE=RESOURCE');
+      }
+
+      for (const [param, list] of [
+        ['DELEGATED-TO', user.delegatedTo],
+        ['DELEGATED-FROM', user.delegatedFrom]
+      ]) {
+        if (list && list.length > 0) {
+          params.push(`${param}=${list.map(email => `"mailto:${email}"`).join(',')}`);
+        }
+      }
+    }
+
+    if (user.sentBy) {
+      params.push(`SENT-BY="mailto:${user.sentBy}"`);
+    }
+
+    if (user.icsParameters) {
+      params.push(...user.icsParameters);
+    }
+
+    const prefix = params.length > 0 ? `${name};${params.join(';')}` : name;
+    return `${prefix}:mailto:${user.email}`;
+  }
+
+  /**
+   * Strip the mailto: scheme from a calendar user address
+   * @private
+   */
+  parseCalAddress(value) {
+    return value.trim().replace(/^mailto:/i, '');
+  }
+
+  /**
+   * Split a multi-valued parameter (e.g. "mailto:a@x.com","mailto:b@x.com")
+   * @private
+   */
+  parseParameterList(value) {
+    return (value.match(/"[^"]*"|[^,]+/g) || []).map(item => item.replace(/^"(.*)"$/, '$1'));
+  }
+
+  /**
+   * Quote a parameter value when it contains separators
+   * @private
+   */
+  formatParameterValue(value) {
+    const clean = String(value).replace(/"/g, "'");
+    return /[;:,]/.test(clean) ? `"${clean}"` : clean;
+  }
+
+  /**
+   * Parse a property inside a VALARM component
+   * @private
+   */
+  parseAlarmProperty(property, value, alarm) {
+    const propName = property.split(';')[0];
+
+    switch (propName) {
+      case 'ACTION':
+        alarm.action = value.toUpperCase();
+        break;
+
+      case 'TRIGGER':
+        alarm.trigger = value;
+        alarm.triggerParams = this.parseParameters(property);
+        break;
+
+      case 'REPEAT':
+        alarm.repeat = parseInt(value, 10) || 0;
+        break;
+
+      case 'DURATION':
+        alarm.duration = value;
+        break;
+
+      case 'DESCRIPTION':
+        alarm.description = this.unescapeText(value);
+        break;
+
+      case 'ATTENDEE':
+        alarm.attendees = [...(alarm.attendees || []), value.replace(/^mailto:/i, '')];
+        break;
+    }
+  }
+
+  /**
+   * Convert the VALARMs collected for an event into reminders
+   * @private
+   */
+  resolveAlarms(event) {
+    if (!event._alarms) return event;
+
+    for (const alarm of event._alarms) {
+      const reminder = this.alarmToReminder(alarm, event);
+      if (reminder) {
+        event.reminders.push(reminder);
+      }
+    }
+
+    delete event._alarms;
+    return event;
+  }
+
+  /**
+   * Map a VALARM onto the Event reminder model
+   * @private
+   */
+  alarmToReminder(alarm, event) {
+    if (!alarm.trigger || !event.start) return null;
+
+    const reminder = {
+      method: alarm.action === 'EMAIL' ? 'email' : 'popup',
+      minutesBefore: 0
+    };
+
+    const params = alarm.triggerParams || {};
+    if (params.VALUE === 'DATE-TIME') {
+      // Absolute trigger, always UTC per RFC 5545 section 3.8.6.3
+      const triggerAt = this.parseUTCDate(alarm.trigger);
+      const start = event.timeZone
+        ? TimezoneManager.getInstance().toUTC(event.start, event.timeZone)
+        : event.start;
+      reminder.triggerAt = triggerAt;
+      reminder.minutesBefore = Math.round((start - triggerAt) / 60000);
+    } else {
+      let offset = this.parseDuration(alarm.trigger);
+      if (params.RELATED === 'END' && event.end) {
+        offset += Math.round((event.end - event.start) / 60000);
+      }
+      reminder.minutesBefore = -offset;
+    }
+
+    if (alarm.repeat > 0 && alarm.duration) {
+      reminder.repeat = alarm.repeat;
+      reminder.repeatIntervalMinutes = this.parseDuration(alarm.duration);
+    }
+
+    if (alarm.description) {
+      reminder.message = alarm.description;
+    }
+
+    if (alarm.action === 'EMAIL' && alarm.attendees) {
+      reminder.recipients = alarm.attendees;
+    }
+
+    return reminder;
   }
 
   /**
-   * Parse ICS string into events
-   * @param {string} icsString - The ICS formatted string
-   * @returns {Array} Array of event objects
+   * Map a VTODO alarm onto a reminder relative to the due date
+   * @private
    */
-  parse(icsString) {
-    const events = [];
-    const lines = this.unfoldLines(icsString);
-    let currentEvent = null;
-    let inEvent = false;
-    let inAlarm = false;
-
-    for (const line of lines) {
-      // Skip empty lines
-      if (!line.trim()) continue;
+  alarmToTaskReminder(alarm, task) {
+    const anchor = task.due || task.start;
+    if (!alarm.trigger || !anchor) return null;
+
+    const params = alarm.triggerParams || {};
+    let trigger = alarm.trigger;
+    if (params.VALUE !== 'DATE-TIME' && params.RELATED !== 'END' && task.start && task.due) {
+      // Relative triggers default to DTSTART; shift them onto DUE
+      const lead = Math.round((task.due - task.start) / 60000);
+      trigger = this.formatDuration(this.parseDuration(trigger) - lead);
+    }
 
-      // Parse property and value
-      const colonIndex = line.indexOf(':');
-      const semicolonIndex = line.indexOf(';');
-      const separatorIndex =
-        semicolonIndex > -1 && semicolonIndex < colonIndex ? semicolonIndex : colonIndex;
+    return this.alarmToReminder(
+      { ...alarm, trigger, triggerParams: { VALUE: params.VALUE } },
+      { start: anchor, end: anchor, timeZone: task.timeZone }
+    );
+  }
 
-      if (separatorIndex === -1) continue;
+  /**
+   * Parse an ICS duration (e.g. -PT15M, P1DT2H) into minutes
+   * @param {string} value - Duration value
+   * @returns {number} Signed duration in minutes
+   * @private
+   */
+  parseDuration(value) {
+    const match = String(value)
+      .trim()
+      .match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return 0;
+
+    const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part || '0');
+    const total =
+      parseInt(weeks, 10) * 10080 +
+      parseInt(days, 10) * 1440 +
+      parseInt(hours, 10) * 60 +
+      parseInt(minutes, 10) +
+      Math.round(parseInt(seconds, 10) / 60);
+
+    return sign === '-' ? -total : total;
+  }
 
-      const property = line.substring(0, separatorIndex);
-      const value = line.substring(colonIndex + 1);
+  /**
+   * Format minutes as an ICS duration
+   * @private
+   */
+  formatDuration(minutes) {
+    const sign = minutes < 0 ? '-' : '';
+    const abs = Math.abs(minutes);
 
-      // Handle component boundaries
-      if (property === 'BEGIN') {
-        if (value === 'VEVENT') {
-          inEvent = true;
-          currentEvent = this.createEmptyEvent();
-        } else if (value === 'VALARM') {
-          inAlarm = true;
-        }
-      } else if (property === 'END') {
-        if (value === 'VEVENT' && currentEvent) {
-          events.push(this.normalizeEvent(currentEvent));
-          currentEvent = null;
-          inEvent = false;
-        } else if (value === 'VALARM') {
-          inAlarm = false;
-        }
-      } else if (inEvent && !inAlarm && currentEvent) {
-        // Parse event properties
-        this.parseProperty(property, value, currentEvent);
-      }
+    if (abs > 0 && abs % 1440 === 0) {
+      return `${sign}P${abs / 1440}D`;
     }
 
-    return events;
+    const hours = Math.floor(abs / 60);
+    const mins = abs % 60;
+    let time = '';
+    if (hours) time += `${hours}H`;
+    if (mins || !hours) time += `${mins}M`;
+    return `${sign}PT${time}`;
   }
 
   /**
-   * Export events to ICS format
-   * @param {Array} events - Array of event objects
-   * @param {string} calendarName - Name of the calendar
-   * @returns {string} ICS formatted string
+   * Parse a UTC DATE-TIME value into an absolute Date
+   * @private
    */
-  export(events, calendarName = 'Lightning Calendar') {
-    const lines = [];
+  parseUTCDate(value) {
+    const wall = this.parseDate(value);
+    if (!value.endsWith('Z')) return wall;
+    return new Date(
+      Date.UTC(
+        wall.getFullYear(),
+        wall.getMonth(),
+        wall.getDate(),
+        wall.getHours(),
+        wall.getMinutes(),
+        wall.getSeconds()
+      )
+    );
+  }
 
-    // Calendar header
-    lines.push('BEGIN:VCALENDAR');
-    lines.push('VERSION:2.0');
-    lines.push('PRODID:-//Force Calendar Core//EN');
-    lines.push(`X-WR-CALNAME:${calendarName}`);
-    lines.push('METHOD:PUBLISH');
+  /**
+   * Format an absolute Date as a UTC DATE-TIME value
+   * @private
+   */
+  formatUTCDate(date) {
+    return `${date.toISOString().replace(/[-:]/g, '').split('.')[0]}Z`;
+  }
 
-    // Add each event
-    for (const event of events) {
-      lines.push(...this.eventToICS(event));
+  /**
+   * Parse a property inside a VTIMEZONE component
+   * @private
+   */
+  parseTimezoneProperty(property, value, timezone, observance) {
+    const propName = property.split(';')[0];
+
+    if (!observance) {
+      if (propName === 'TZID') {
+        timezone.tzid = value;
+      } else if (propName === 'X-LIC-LOCATION') {
+        timezone.location = value;
+      }
+      return;
     }
 
-    // Calendar footer
-    lines.push('END:VCALENDAR');
+    switch (propName) {
+      case 'DTSTART':
+        observance.start = this.parseDate(value, property);
+        break;
 
-    // Fold long lines and join
-    return this.foldLines(lines).join('\r\n');
+      case 'TZOFFSETFROM':
+        observance.offsetFrom = ICSTimezone.parseOffset(value);
+        break;
+
+      case 'TZOFFSETTO':
+        observance.offsetTo = ICSTimezone.parseOffset(value);
+        break;
+
+      case 'TZNAME':
+        observance.name = value;
+        break;
+
+      case 'RRULE':
+        observance.rrule = value;
+        break;
+
+      case 'RDATE':
+        observance.rdates.push(...value.split(',').map(d => this.parseDate(d, property)));
+        break;
+    }
   }
 
   /**
-   * Convert single event to ICS lines
+   * Apply the TZIDs recorded on DTSTART/DTEND to an event.
+   * IANA-resolvable zones become Event.timeZone/endTimeZone; zones only
+   * described by their VTIMEZONE are converted to UTC. RECURRENCE-ID,
+   * EXDATE and RDATE values are expressed in the resulting start zone
    * @private
    */
-  eventToICS(event) {
-    const lines = [];
-    lines.push('BEGIN:VEVENT');
+  resolveTimezones(event, timezones) {
+    const tzids = event._tzids || {};
+
+    const zones = {};
+    for (const field of ['start', 'end']) {
+      const tzid = tzids[field];
+      if (!tzid || !event[field]) continue;
+
+      const { zone, definition } = this.resolveZone(tzid, timezones);
+      if (zone) {
+        zones[field] = zone;
+      } else if (definition) {
+        event[field] = this.toUTCWallTime(definition.toUTC(event[field]));
+        zones[field] = 'UTC';
+      }
+      // Unknown TZID without a definition: keep as floating time
+    }
 
-    // UID (required)
-    lines.push(`UID:${event.id || this.generateUID()}`);
+    if (zones.start) {
+      event.timeZone = zones.start;
+    }
+    if (zones.end && zones.end !== zones.start) {
+      event.endTimeZone = zones.end;
+    }
 
-    // Timestamps
-    lines.push(`DTSTAMP:${this.formatDate(new Date())}`);
+    const target = event.timeZone || null;
+    if (event.recurrenceId && tzids.recurrenceId) {
+      event.recurrenceId = this.convertWallTime(
+        event.recurrenceId,
+        tzids.recurrenceId,
+        target,
+        timezones
+      );
+    }
 
-    // Start and end dates
-    if (event.allDay) {
-      lines.push(`DTSTART;VALUE=DATE:${this.formatDate(event.start, true)}`);
-      if (event.end) {
-        lines.push(`DTEND;VALUE=DATE:${this.formatDate(event.end, true)}`);
-      }
-    } else {
-      const tzid = event.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
-      lines.push(`DTSTART;TZID=${tzid}:${this.formatDate(event.start)}`);
-      if (event.end) {
-        lines.push(`DTEND;TZID=${tzid}:${this.formatDate(event.end)}`);
-      }
+    for (const list of ['excludeDates', 'additionalDates']) {
+      const raw = event[`_${list}`];
+      if (!raw) continue;
+      const convert = (date, tzid) =>
+        tzid ? this.convertWallTime(date, tzid, target, timezones) : date;
+      event[list] = raw.map(({ date, tzid, end }) =>
+        end ? { start: convert(date, tzid), end: convert(end, tzid) } : convert(date, tzid)
+      );
+      delete event[`_${list}`];
     }
 
-    // Basic properties
-    if (event.title) lines.push(`SUMMARY:${this.escapeText(event.title)}`);
-    if (event.description) lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
-    if (event.location) lines.push(`LOCATION:${this.escapeText(event.location)}`);
+    delete event._tzids;
+    return event;
+  }
 
-    // Status
-    if (event.status) {
-      const statusMap = {
-        tentative: 'TENTATIVE',
-        confirmed: 'CONFIRMED',
-        cancelled: 'CANCELLED'
-      };
-      lines.push(`STATUS:${statusMap[event.status] || 'CONFIRMED'}`);
+  /**
+   * Apply the TZIDs recorded on DUE/DTSTART to a task. The due date sets
+   * the task zone; a start in another zone is converted to it
+   * @private
+   */
+  resolveTaskTimezones(task, timezones) {
+    const tzids = task._tzids || {};
+    const primary = task.due ? 'due' : 'start';
+    const secondary = primary === 'due' ? 'start' : 'due';
+
+    if (tzids[primary]) {
+      const { zone, definition } = this.resolveZone(tzids[primary], timezones);
+      if (zone) {
+        task.timeZone = zone;
+      } else if (definition) {
+        task[primary] = this.toUTCWallTime(definition.toUTC(task[primary]));
+        task.timeZone = 'UTC';
+      }
     }
 
-    // Show as
-    if (event.showAs) {
-      const transpMap = {
-        busy: 'OPAQUE',
-        free: 'TRANSPARENT'
-      };
-      lines.push(`TRANSP:${transpMap[event.showAs] || 'OPAQUE'}`);
+    if (task[secondary] && tzids[secondary]) {
+      task[secondary] = this.convertWallTime(
+        task[secondary],
+        tzids[secondary],
+        task.timeZone || null,
+        timezones
+      );
     }
 
-    // Categories
-    if (event.category) {
-      lines.push(`CATEGORIES:${event.category}`);
+    delete task._tzids;
+    return task;
+  }
+
+  /**
+   * Resolve a TZID to an IANA zone and/or its VTIMEZONE definition
+   * @private
+   */
+  resolveZone(tzid, timezones) {
+    if (tzid === 'UTC') {
+      return { zone: 'UTC', definition: null };
     }
+    const definition = timezones.get(tzid) || null;
+    return { zone: ICSTimezone.resolveIANA(tzid, definition), definition };
+  }
 
-    // Organizer
-    if (event.organizer) {
-      const org =
-        typeof event.organizer === 'string'
-          ? event.organizer
-          : event.organizer.email || event.organizer.name;
-      lines.push(`ORGANIZER:mailto:${org}`);
+  /**
+   * Convert a wall-clock time from a TZID to the wall clock of another zone
+   * @private
+   */
+  convertWallTime(date, tzid, targetZone, timezones) {
+    // Floating events keep their dates as written
+    if (!targetZone) return date;
+
+    const { zone, definition } = this.resolveZone(tzid, timezones);
+    if (zone === targetZone) return date;
+
+    const tzManager = TimezoneManager.getInstance();
+    let instant;
+    if (zone) {
+      instant = tzManager.toUTC(date, zone);
+    } else if (definition) {
+      instant = definition.toUTC(date);
+    } else {
+      return date;
     }
 
-    // Attendees
-    if (event.attendees && event.attendees.length > 0) {
-      for (const attendee of event.attendees) {
-        const email = attendee.email || attendee;
-        if (email) {
-          lines.push(`ATTENDEE:mailto:${email}`);
-        }
+    return tzManager.fromUTC(instant, targetZone);
+  }
+
+  /**
+   * Wall-clock Date holding the UTC fields of an instant
+   * @private
+   */
+  toUTCWallTime(instant) {
+    return new Date(
+      instant.getUTCFullYear(),
+      instant.getUTCMonth(),
+      instant.getUTCDate(),
+      instant.getUTCHours(),
+      instant.getUTCMinutes(),
+      instant.getUTCSeconds()
+    );
+  }
+
+  /**
+   * Attach RECURRENCE-ID components to their master event as modified instances.
+   * Overrides without a recurring master in the feed are kept as standalone
+   * events with a unique id
+   * @private
+   */
+  attachOverrides(events) {
+    const masters = new Map();
+    for (const event of events) {
+      if (!event.recurrenceId && !masters.has(event.id)) {
+        masters.set(event.id, event);
       }
     }
 
-    // Recurrence
-    if (event.recurrence) {
-      if (typeof event.recurrence === 'string') {
-        // Already in RRULE format
-        if (event.recurrence.startsWith('RRULE:')) {
-          lines.push(event.recurrence);
-        } else {
-          lines.push(`RRULE:${event.recurrence}`);
-        }
-      } else if (typeof event.recurrence === 'object') {
-        // Convert object to RRULE
-        lines.push(`RRULE:${this.objectToRRule(event.recurrence)}`);
+    const result = [];
+    for (const event of events) {
+      if (!event.recurrenceId) {
+        result.push(event);
+        continue;
       }
-    }
 
-    // Reminders/Alarms
-    if (event.reminders && event.reminders.length > 0) {
-      for (const reminder of event.reminders) {
-        lines.push('BEGIN:VALARM');
-        lines.push('ACTION:DISPLAY');
-        lines.push(`TRIGGER:-PT${reminder.minutes || 15}M`);
-        lines.push(`DESCRIPTION:${event.title || 'Reminder'}`);
-        lines.push('END:VALARM');
+      const master = masters.get(event.id);
+      if (master && master.recurring) {
+        if (!master.modifiedInstances) master.modifiedInstances = [];
+        master.modifiedInstances.push(this.toModifiedInstance(event, master));
+      } else {
+        event.metadata = {
+          ...event.metadata,
+          recurringEventId: event.id,
+          recurrenceId: event.recurrenceId
+        };
+        event.id = `${event.id}_${this.formatDate(event.recurrenceId, event.allDay)}`;
+        delete event.recurrenceId;
+        result.push(event);
       }
     }
 
-    lines.push('END:VEVENT');
-    return lines;
+    return result;
   }
 
   /**
-   * Parse ICS property into event object
+   * Describe an override component relative to its master event
    * @private
    */
-  parseProperty(property, value, event) {
-    // Extract actual property name (before parameters)
-    const propName = property.split(';')[0];
+  toModifiedInstance(override, master) {
+    const instance = { recurrenceId: override.recurrenceId };
+
+    // Overrides may be written in another zone than the series
+    const masterZone = master.timeZone || null;
+    const tzManager = TimezoneManager.getInstance();
+    for (const field of ['start', 'end']) {
+      const zone = field === 'end' ? override.endTimeZone || override.timeZone : override.timeZone;
+      if (!override[field]) continue;
+      instance[field] =
+        masterZone && zone && zone !== masterZone
+          ? tzManager.fromUTC(tzManager.toUTC(override[field], zone), masterZone)
+          : override[field];
+    }
 
-    // Map to event property
-    const eventProp = this.propertyMap[propName];
-    if (!eventProp) return;
+    for (const field of ['title', 'description', 'location', 'status', 'allDay']) {
+      if (override[field] !== master[field]) {
+        instance[field] = override[field];
+      }
+    }
 
-    switch (propName) {
-      case 'DTSTART':
-      case 'DTEND':
-        event[eventProp] = this.parseDate(value, property);
-        if (property.includes('VALUE=DATE')) {
-          event.allDay = true;
-        }
-        break;
+    return instance;
+  }
 
-      case 'SUMMARY':
-      case 'DESCRIPTION':
-      case 'LOCATION':
-        event[eventProp] = this.unescapeText(value);
-        break;
+  /**
+   * Parse property parameters (e.g. DTSTART;TZID=Europe/Paris;VALUE=DATE-TIME)
+   * @param {string} property - Property name with parameters
+   * @returns {Object} Parameter values keyed by upper-case name
+   * @private
+   */
+  parseParameters(property) {
+    const params = {};
 
-      case 'UID':
-        event.id = value;
-        break;
+    for (const match of property.matchAll(PARAMETER_PATTERN)) {
+      // Single quoted values are unquoted; lists are split by the caller
+      params[match[1].toUpperCase()] = match[2].replace(/^"([^"]*)"$/, '$1');
+    }
 
-      case 'CATEGORIES':
-        event.category = value.split(',')[0]; // Take first category
-        break;
+    return params;
+  }
 
-      case 'STATUS': {
-        const statusMap = {
-          TENTATIVE: 'tentative',
-          CONFIRMED: 'confirmed',
-          CANCELLED: 'cancelled'
-        };
-        event.status = statusMap[value] || 'confirmed';
-        break;
+  /**
+   * Find the colon separating property from value, skipping quoted parameters
+   * @private
+   */
+  findValueSeparator(line) {
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (char === '"') {
+        inQuotes = !inQuotes;
+      } else if (char === ':' && !inQuotes) {
+        return i;
       }
+    }
+    return -1;
+  }
 
-      case 'TRANSP':
-        event.showAs = value === 'TRANSPARENT' ? 'free' : 'busy';
-        break;
+  /**
+   * Timezones used by an event's start and end
+   * @private
+   */
+  getEventTimezones(event) {
+    const startZone =
+      event.timeZone || event.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return [startZone, event.endTimeZone || startZone];
+  }
 
-      case 'ORGANIZER':
-        event.organizer = value.replace('mailto:', '');
-        break;
+  /**
+   * Format a date property line (DTSTART, EXDATE, ...) in a timezone
+   * @private
+   */
+  formatDateProperty(name, dates, timeZone, dateOnly = false) {
+    const values = (Array.isArray(dates) ? dates : [dates]).map(d => new Date(d));
 
-      case 'ATTENDEE': {
-        if (!event.attendees) event.attendees = [];
-        const email = value.replace('mailto:', '');
-        event.attendees.push({
-          email: email,
-          name: email.split('@')[0] // Use email prefix as name
-        });
-        break;
-      }
+    if (dateOnly) {
+      return `${name};VALUE=DATE:${values.map(d => this.formatDate(d, true)).join(',')}`;
+    }
+    if (timeZone === 'UTC') {
+      return `${name}:${values.map(d => `${this.formatDate(d)}Z`).join(',')}`;
+    }
+    return `${name};TZID=${timeZone}:${values.map(d => this.formatDate(d)).join(',')}`;
+  }
 
-      case 'RRULE':
-        event.recurrence = value;
-        break;
+  /**
+   * Format a PERIOD property line (RDATE;VALUE=PERIOD) in a timezone
+   * @private
+   */
+  formatPeriodProperty(name, periods, timeZone) {
+    const suffix = timeZone === 'UTC' ? 'Z' : '';
+    const values = periods
+      .map(({ start, end }) =>
+        [start, end].map(d => `${this.formatDate(new Date(d))}${suffix}`).join('/')
+      )
+      .join(',');
+
+    if (timeZone === 'UTC') {
+      return `${name};VALUE=PERIOD:${values}`;
     }
+    return `${name};VALUE=PERIOD;TZID=${timeZone}:${values}`;
   }
 
   /**
@@ -291,7 +1692,7 @@ export class ICSParser {
     dateString = dateString.replace(/^TZID=[^:]+:/, '');
 
     // Check if it's a date-only value
-    if (property.includes('VALUE=DATE') || dateString.length === 8) {
+    if (this.parseParameters(property).VALUE === 'DATE' || dateString.length === 8) {
       // YYYYMMDD format
       const year = dateString.substr(0, 4);
       const month = dateString.substr(4, 2);
@@ -307,11 +1708,7 @@ export class ICSParser {
     const minute = parseInt(dateString.substr(11, 2)) || 0;
     const second = parseInt(dateString.substr(13, 2)) || 0;
 
-    if (dateString.endsWith('Z')) {
-      // UTC time
-      return new Date(Date.UTC(year, month, day, hour, minute, second));
-    }
-    // Local time
+    // Wall-clock time; UTC values are tagged with the 'UTC' zone by the caller
     return new Date(year, month, day, hour, minute, second);
   }
 
@@ -340,7 +1737,8 @@ export class ICSParser {
    * @private
    */
   unfoldLines(icsString) {
-    return icsString.replace(/\r\n /g, '').replace(/\n /g, '').split(/\r?\n/);
+    // Continuation lines start with a space or horizontal tab (RFC 5545 section 3.1)
+    return icsString.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
   }
 
   /**
@@ -399,6 +1797,28 @@ export class ICSParser {
       .replace(/\\\\/g, '\\');
   }
 
+  /**
+   * Split a comma-separated TEXT list, honouring escaped commas
+   * @private
+   */
+  splitTextList(value) {
+    const items = [];
+    let current = '';
+    for (let i = 0; i < value.length; i++) {
+      if (value[i] === '\\' && i + 1 < value.length) {
+        current += value[i] + value[i + 1];
+        i++;
+      } else if (value[i] === ',') {
+        items.push(current);
+        current = '';
+      } else {
+        current += value[i];
+      }
+    }
+    items.push(current);
+    return items.map(item => this.unescapeText(item.trim()));
+  }
+
   /**
    * Generate unique ID
    * @private
@@ -422,7 +1842,7 @@ export class ICSParser {
       end: null,
       allDay: false,
       location: '',
-      category: '',
+      categories: [],
       status: 'confirmed',
       showAs: 'busy',
       attendees: [],
@@ -430,6 +1850,48 @@ export class ICSParser {
     };
   }
 
+  /**
+   * Create empty task object
+   * @private
+   */
+  createEmptyTask() {
+    return {
+      id: null,
+      title: '',
+      description: '',
+      location: '',
+      start: null,
+      due: null,
+      completed: null,
+      allDay: false,
+      status: 'needs-action',
+      percentComplete: 0,
+      priority: 0,
+      categories: [],
+      relatedTo: [],
+      attendees: [],
+      reminders: []
+    };
+  }
+
+  /**
+   * Create empty journal object
+   * @private
+   */
+  createEmptyJournal() {
+    return {
+      id: null,
+      title: '',
+      description: '',
+      start: null,
+      allDay: false,
+      status: 'final',
+      categories: [],
+      relatedTo: [],
+      attendees: []
+    };
+  }
+
   /**
    * Normalize event object
    * @private
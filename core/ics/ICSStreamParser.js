@@ -0,0 +1,238 @@
+/**
+ * Streaming ICS Parser
+ * Parses large feeds incrementally: chunks are fed in as they arrive and
+ * events are emitted as soon as their VEVENT block completes. Recurring
+ * events are the exception: RFC 5545 lets their RECURRENCE-ID overrides
+ * come anywhere in the feed, so series are emitted at the end of input.
+ * VTODO and VJOURNAL components are handed to optional callbacks
+ */
+
+import { ICSParser } from './ICSParser.js';
+
+export class ICSStreamParser {
+  /**
+   * Create a push parser
+   * @param {Object} [options] - Parser options
+   * @param {ICSParser} [options.parser] - Parser used for property handling
+   * @param {Function} [options.onTask] - Called with each parsed VTODO
+   * @param {Function} [options.onJournal] - Called with each parsed VJOURNAL
+   */
+  constructor(options = {}) {
+    this.parser = options.parser || new ICSParser();
+    this.onTask = options.onTask || null;
+    this.onJournal = options.onJournal || null;
+    this.reader = this.parser.createReader((component, type) =>
+      this.handleComponent(component, type)
+    );
+
+    // Text after the last line break, waiting for the rest of its line
+    this.buffer = '';
+    // Last complete line, held until we know the next one is not a continuation
+    this.pendingLine = null;
+    this.decoder = null;
+
+    // Series masters by UID, and RECURRENCE-ID components by UID, held until
+    // the end of input so overrides attach whatever order they come in
+    this.masters = new Map();
+    this.overrides = new Map();
+    // UIDs whose first event is not recurring; their overrides stand alone
+    this.singleIds = new Set();
+
+    this.ready = [];
+  }
+
+  /**
+   * Feed a chunk of ICS data
+   * @param {string|Uint8Array} chunk - Text or UTF-8 bytes
+   * @returns {Array} Events completed by this chunk
+   */
+  write(chunk) {
+    if (typeof chunk !== 'string') {
+      if (!this.decoder) this.decoder = new TextDecoder();
+      chunk = this.decoder.decode(chunk, { stream: true });
+    }
+
+    const lines = (this.buffer + chunk).split(/\r?\n/);
+    this.buffer = lines.pop();
+    for (const line of lines) {
+      this.readPhysicalLine(line);
+    }
+
+    return this.takeReady();
+  }
+
+  /**
+   * Signal the end of input
+   * @returns {Array} Remaining events
+   */
+  end() {
+    if (this.decoder) {
+      this.buffer += this.decoder.decode();
+    }
+    if (this.buffer) {
+      this.readPhysicalLine(this.buffer);
+      this.buffer = '';
+    }
+    if (this.pendingLine !== null) {
+      this.reader.readLine(this.pendingLine);
+      this.pendingLine = null;
+    }
+
+    this.flushSeries();
+    return this.takeReady();
+  }
+
+  /**
+   * Parse a source into an async iterator of events.
+   * VTIMEZONE definitions apply to the events that follow them.
+   * Recurring series are held until the end of input so RECURRENCE-ID
+   * overrides attach to their master wherever they appear; overrides whose
+   * master never comes, or is not recurring, are emitted as standalone events
+   * @param {string|Blob|ReadableStream|AsyncIterable|Iterable} source - ICS data
+   * @param {Object} [options] - Parser options
+   * @param {number} [options.chunkSize=65536] - Characters per chunk for string sources
+   * @param {Function} [options.onTask] - Called with each parsed VTODO
+   * @param {Function} [options.onJournal] - Called with each parsed VJOURNAL
+   * @returns {AsyncGenerator<Object>} Parsed events
+   */
+  static async *parse(source, options = {}) {
+    const stream = new ICSStreamParser(options);
+
+    for await (const chunk of ICSStreamParser.readChunks(source, options.chunkSize)) {
+      yield* stream.write(chunk);
+    }
+    yield* stream.end();
+  }
+
+  /**
+   * Iterate over the chunks of a string, Blob, ReadableStream or iterable
+   * @param {string|Blob|ReadableStream|AsyncIterable|Iterable} source - ICS data
+   * @param {number} [chunkSize=65536] - Characters per chunk for string sources
+   * @returns {AsyncGenerator<string|Uint8Array>} Chunks
+   */
+  static async *readChunks(source, chunkSize = 65536) {
+    if (typeof source === 'string') {
+      for (let i = 0; i < source.length; i += chunkSize) {
+        yield source.substring(i, i + chunkSize);
+      }
+      return;
+    }
+
+    // Blob and File expose their contents as a ReadableStream
+    const stream = source && typeof source.stream === 'function' ? source.stream() : source;
+
+    if (stream && typeof stream.getReader === 'function') {
+      const reader = stream.getReader();
+      try {
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          yield value;
+        }
+      } finally {
+        reader.releaseLock();
+      }
+      return;
+    }
+
+    if (stream && (stream[Symbol.asyncIterator] || stream[Symbol.iterator])) {
+      yield* stream;
+      return;
+    }
+
+    throw new Error('Invalid input type. Expected string, Blob, ReadableStream or iterable.');
+  }
+
+  /**
+   * Unfold continuation lines across chunk boundaries
+   * @private
+   */
+  readPhysicalLine(line) {
+    if ((line.startsWith(' ') || line.startsWith('\t')) && this.pendingLine !== null) {
+      this.pendingLine += line.substring(1);
+      return;
+    }
+
+    if (this.pendingLine !== null) {
+      this.reader.readLine(this.pendingLine);
+    }
+    this.pendingLine = line;
+  }
+
+  /**
+   * Route a completed component
+   * @private
+   */
+  handleComponent(raw, type) {
+    const { timezones } = this.reader;
+    if (type === 'VEVENT') {
+      this.handleEvent(raw);
+    } else if (type === 'VTODO') {
+      if (this.onTask) this.onTask(this.parser.resolveTask(raw, timezones));
+    } else if (this.onJournal) {
+      this.onJournal(this.parser.resolveJournal(raw, timezones));
+    }
+  }
+
+  /**
+   * Resolve a completed VEVENT and group overrides with their master, as
+   * ICSParser#parse does for the whole file
+   * @private
+   */
+  handleEvent(raw) {
+    const event = this.parser.resolveEvent(raw, this.reader.timezones);
+
+    if (event.recurrenceId) {
+      if (this.singleIds.has(event.id)) {
+        this.ready.push(...this.parser.attachOverrides([event]));
+      } else {
+        this.overrides.set(event.id, [...(this.overrides.get(event.id) || []), event]);
+      }
+      return;
+    }
+
+    if (this.masters.has(event.id) || this.singleIds.has(event.id)) {
+      // Later events with a UID already seen take no overrides
+      this.ready.push(event);
+    } else if (event.recurring) {
+      this.masters.set(event.id, event);
+    } else {
+      this.singleIds.add(event.id);
+      this.ready.push(event);
+      // Overrides that came first stand alone, as they would after it
+      const early = this.overrides.get(event.id);
+      if (early) {
+        this.overrides.delete(event.id);
+        this.ready.push(...this.parser.attachOverrides(early));
+      }
+    }
+  }
+
+  /**
+   * Emit the held series with their overrides, and overrides whose series
+   * never came as events of their own
+   * @private
+   */
+  flushSeries() {
+    for (const [id, master] of this.masters) {
+      const overrides = this.overrides.get(id) || [];
+      this.overrides.delete(id);
+      this.ready.push(...this.parser.attachOverrides([master, ...overrides]));
+    }
+    for (const overrides of this.overrides.values()) {
+      this.ready.push(...this.parser.attachOverrides(overrides));
+    }
+    this.masters.clear();
+    this.overrides.clear();
+    this.singleIds.clear();
+  }
+
+  /**
+   * @private
+   */
+  takeReady() {
+    const events = this.ready;
+    this.ready = [];
+    return events;
+  }
+}
@@ -0,0 +1,493 @@
+/**
+ * ICS Timezone - VTIMEZONE component model
+ * Resolves TZID references against VTIMEZONE definitions or IANA zones
+ * and derives VTIMEZONE definitions for IANA zones on export
+ * RFC 5545 section 3.6.5
+ */
+
+import { RRuleParser } from '../events/RRuleParser.js';
+import { TimezoneManager } from '../timezone/TimezoneManager.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Convert a wall-clock Date (local fields) to a "floating" timestamp
+ * whose UTC fields carry the same wall-clock values
+ */
+function toFloating(date) {
+  return Date.UTC(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate(),
+    date.getHours(),
+    date.getMinutes(),
+    date.getSeconds()
+  );
+}
+
+/**
+ * Convert a floating timestamp back to a wall-clock Date (local fields)
+ */
+function fromFloating(floating) {
+  const d = new Date(floating);
+  return new Date(
+    d.getUTCFullYear(),
+    d.getUTCMonth(),
+    d.getUTCDate(),
+    d.getUTCHours(),
+    d.getUTCMinutes(),
+    d.getUTCSeconds()
+  );
+}
+
+/**
+ * Find the offset transitions of a zone within a calendar year, from the
+ * same source TimezoneManager uses (compiled tzdata when loaded, Intl otherwise)
+ * @returns {Array<{utc: number, offsetFrom: number, offsetTo: number, abbreviation: string|null}>}
+ *   Offsets in minutes east of UTC
+ */
+function findTransitions(tzid, year) {
+  return TimezoneManager.getInstance()
+    .getTransitions(tzid, new Date(Date.UTC(year, 0, 1)), new Date(Date.UTC(year + 1, 0, 1)))
+    .map(({ date, oldOffset, newOffset, abbreviation }) => ({
+      utc: date.getTime(),
+      offsetFrom: 0 - oldOffset,
+      offsetTo: 0 - newOffset,
+      abbreviation
+    }));
+}
+
+/**
+ * Check whether the host's Intl implementation knows a zone
+ */
+function isIntlTimeZone(tzid) {
+  if (!tzid || typeof Intl === 'undefined' || !Intl.DateTimeFormat) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tzid });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+export class ICSTimezone {
+  /**
+   * Create a VTIMEZONE definition
+   * @param {string} tzid - TZID of the component
+   */
+  constructor(tzid) {
+    this.tzid = tzid;
+
+    // X-LIC-LOCATION, commonly carries the IANA name
+    this.location = null;
+
+    /** @type {Array<Object>} STANDARD and DAYLIGHT sub-components */
+    this.observances = [];
+
+    // Onsets per year, computed lazily
+    this._onsetCache = new Map();
+  }
+
+  /**
+   * Add a STANDARD or DAYLIGHT observance
+   * @param {Object} observance - Observance data
+   * @param {('STANDARD'|'DAYLIGHT')} observance.type - Sub-component type
+   * @param {Date} observance.start - DTSTART as wall-clock time in the TZOFFSETFROM offset
+   * @param {number} observance.offsetFrom - TZOFFSETFROM in minutes east of UTC
+   * @param {number} observance.offsetTo - TZOFFSETTO in minutes east of UTC
+   * @param {string} [observance.rrule] - RRULE value describing recurring onsets
+   * @param {Date[]} [observance.rdates] - Additional onsets
+   * @param {string} [observance.name] - TZNAME
+   */
+  addObservance(observance) {
+    this.observances.push({
+      rrule: null,
+      rdates: [],
+      name: null,
+      ...observance
+    });
+    this._onsetCache.clear();
+  }
+
+  /**
+   * Get the UTC offset in effect at an instant
+   * @param {Date} instant - Absolute point in time
+   * @returns {number} Offset in minutes east of UTC
+   */
+  getOffsetAt(instant) {
+    const time = instant.getTime();
+
+    let active = null;
+    for (const observance of this.observances) {
+      const onset = this._getLatestOnset(observance, time);
+      if (onset !== null && (!active || onset > active.utc)) {
+        active = { utc: onset, offsetTo: observance.offsetTo };
+      }
+    }
+
+    if (active) {
+      return active.offsetTo;
+    }
+
+    // Before the first onset the earliest observance's TZOFFSETFROM applies
+    const earliest = this.observances.reduce(
+      (first, o) => (!first || o.start < first.start ? o : first),
+      null
+    );
+    return earliest ? earliest.offsetFrom : 0;
+  }
+
+  /**
+   * Convert a wall-clock time in this zone to an absolute instant.
+   * Times skipped by a forward transition use the offset before the gap,
+   * repeated times resolve to the first occurrence (RFC 5545 section 3.3.5)
+   * @param {Date} wallClock - Wall-clock Date (local fields)
+   * @returns {Date} Absolute instant
+   */
+  toUTC(wallClock) {
+    const floating = toFloating(wallClock);
+    const before = this.getOffsetAt(new Date(floating - DAY_MS));
+    const after = this.getOffsetAt(new Date(floating + DAY_MS));
+
+    const candidates = [before, after]
+      .map(offset => floating - offset * MINUTE_MS)
+      .filter(utc => floating - this.getOffsetAt(new Date(utc)) * MINUTE_MS === utc);
+
+    if (candidates.length > 0) {
+      return new Date(Math.min(...candidates));
+    }
+
+    return new Date(floating - before * MINUTE_MS);
+  }
+
+  /**
+   * Latest onset of an observance at or before an instant, as a UTC timestamp
+   * @private
+   */
+  _getLatestOnset(observance, time) {
+    const startYear = new Date(toFloating(observance.start)).getUTCFullYear();
+
+    // Wall-clock onsets can fall in the next calendar year relative to UTC
+    for (let year = new Date(time).getUTCFullYear() + 1; year >= startYear; year--) {
+      const onsets = this._getOnsets(observance, year)
+        .map(floating => floating - observance.offsetFrom * MINUTE_MS)
+        .filter(utc => utc <= time);
+
+      if (onsets.length > 0) {
+        return Math.max(...onsets);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Wall-clock onsets (floating timestamps) of one observance in a year
+   * @private
+   */
+  _getOnsets(observance, year) {
+    const cacheKey = `${this.observances.indexOf(observance)}_${year}`;
+    if (this._onsetCache.has(cacheKey)) {
+      return this._onsetCache.get(cacheKey);
+    }
+
+    const start = toFloating(observance.start);
+    const startDate = new Date(start);
+    const startYear = startDate.getUTCFullYear();
+    const onsets = new Set();
+
+    if (startYear === year) {
+      onsets.add(start);
+    }
+
+    for (const rdate of observance.rdates) {
+      const floating = toFloating(rdate);
+      if (new Date(floating).getUTCFullYear() === year) {
+        onsets.add(floating);
+      }
+    }
+
+    if (observance.rrule && year >= startYear) {
+      const rule = RRuleParser.parse(observance.rrule);
+      const yearIndex = (year - startYear) / rule.interval;
+
+      // Time zone rules are yearly in practice
+      if (
+        rule.freq === 'YEARLY' &&
+        Number.isInteger(yearIndex) &&
+        (!rule.count || yearIndex < rule.count)
+      ) {
+        const months = rule.byMonth.length > 0 ? rule.byMonth : [startDate.getUTCMonth() + 1];
+
+        for (const month of months) {
+          for (const day of this._matchDays(year, month - 1, rule, startDate.getUTCDate())) {
+            const floating = Date.UTC(
+              year,
+              month - 1,
+              day,
+              startDate.getUTCHours(),
+              startDate.getUTCMinutes(),
+              startDate.getUTCSeconds()
+            );
+            const utc = floating - observance.offsetFrom * MINUTE_MS;
+
+            if (floating >= start && (!rule.until || utc <= rule.until.getTime())) {
+              onsets.add(floating);
+            }
+          }
+        }
+      }
+    }
+
+    const result = Array.from(onsets);
+    this._onsetCache.set(cacheKey, result);
+    return result;
+  }
+
+  /**
+   * Days of a month matching a rule's BYDAY/BYMONTHDAY parts
+   * @private
+   */
+  _matchDays(year, month, rule, defaultDay) {
+    const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+    if (rule.byDay.length === 0 && rule.byMonthDay.length === 0) {
+      return defaultDay <= daysInMonth ? [defaultDay] : [];
+    }
+
+    const days = [];
+    for (let day = 1; day <= daysInMonth; day++) {
+      if (
+        rule.byMonthDay.length > 0 &&
+        !rule.byMonthDay.some(d => (d > 0 ? d : daysInMonth + d + 1) === day)
+      ) {
+        continue;
+      }
+
+      if (rule.byDay.length > 0) {
+        const weekday = WEEKDAYS[new Date(Date.UTC(year, month, day)).getUTCDay()];
+        const fromStart = Math.ceil(day / 7);
+        const fromEnd = -(Math.floor((daysInMonth - day) / 7) + 1);
+
+        const matches = rule.byDay.some(byDay => {
+          const match = byDay.match(/^([+-]?\d+)?([A-Z]{2})$/);
+          if (!match || match[2] !== weekday) return false;
+          if (!match[1]) return true;
+          const nth = parseInt(match[1], 10);
+          return nth === fromStart || nth === fromEnd;
+        });
+
+        if (!matches) continue;
+      }
+
+      days.push(day);
+    }
+
+    return days;
+  }
+
+  /**
+   * Resolve a TZID to an IANA zone the host can use.
+   * Checks the TZID itself, X-LIC-LOCATION, vendor-prefixed names
+   * (e.g. /mozilla.org/20050126_1/Europe/Berlin), Windows zone names
+   * and TimezoneManager aliases
+   * @param {string} tzid - TZID parameter value
+   * @param {ICSTimezone} [definition] - VTIMEZONE defined for the TZID, if any
+   * @returns {string|null} IANA identifier or null if unresolvable
+   */
+  static resolveIANA(tzid, definition = null) {
+    if (!tzid) return null;
+
+    const candidates = [tzid];
+    if (definition && definition.location) {
+      candidates.push(definition.location);
+    }
+    const pathMatch = tzid.match(/([A-Za-z]+\/[A-Za-z0-9_+-]+(?:\/[A-Za-z0-9_+-]+)?)$/);
+    if (pathMatch) {
+      candidates.push(pathMatch[1]);
+    }
+
+    const database = TimezoneManager.getInstance().database;
+
+    for (const candidate of candidates) {
+      const resolved = database.resolveWindowsZone(candidate) || database.resolveAlias(candidate);
+      if (isIntlTimeZone(resolved)) {
+        return resolved;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build a VTIMEZONE definition for an IANA zone.
+   * Observances are derived from the zone's transitions in the reference year
+   * and carry a yearly RRULE when the following year repeats the pattern
+   * @param {string} tzid - IANA timezone identifier
+   * @param {number} [year] - Reference year (usually the earliest exported event)
+   * @returns {ICSTimezone|null} Definition or null if the zone is unknown
+   */
+  static fromIANA(tzid, year = new Date().getFullYear()) {
+    const tzManager = TimezoneManager.getInstance();
+    const yearStart = new Date(Date.UTC(year, 0, 1));
+    const type = tzManager.database.getLocalTimeType(tzid, yearStart);
+    if (!type && !isIntlTimeZone(tzid)) {
+      return ICSTimezone._fromDatabase(tzid);
+    }
+
+    const timezone = new ICSTimezone(tzid);
+    const transitions = findTransitions(tzid, year);
+    const nextYear = findTransitions(tzid, year + 1);
+
+    if (transitions.length === 0) {
+      const offset = 0 - tzManager.getTimezoneOffset(yearStart, tzid);
+      timezone.addObservance({
+        type: 'STANDARD',
+        start: new Date(1970, 0, 1),
+        offsetFrom: offset,
+        offsetTo: offset,
+        name: type ? type.abbreviation : ICSTimezone._getAbbreviation(yearStart, tzid)
+      });
+      return timezone;
+    }
+
+    for (const transition of transitions) {
+      const local = new Date(transition.utc + transition.offsetFrom * MINUTE_MS);
+      const following = nextYear.find(
+        t => t.offsetFrom === transition.offsetFrom && t.offsetTo === transition.offsetTo
+      );
+
+      timezone.addObservance({
+        type: transition.offsetTo > transition.offsetFrom ? 'DAYLIGHT' : 'STANDARD',
+        start: fromFloating(local.getTime()),
+        offsetFrom: transition.offsetFrom,
+        offsetTo: transition.offsetTo,
+        rrule: ICSTimezone._describeYearlyRule(local, following),
+        name:
+          transition.abbreviation ?? ICSTimezone._getAbbreviation(new Date(transition.utc), tzid)
+      });
+    }
+
+    return timezone;
+  }
+
+  /**
+   * Fallback for hosts without Intl zone support: use TimezoneDatabase rules
+   * @private
+   */
+  static _fromDatabase(tzid) {
+    const tzData = TimezoneManager.getInstance().database.getTimezone(tzid);
+    if (!tzData) return null;
+
+    const timezone = new ICSTimezone(tzid);
+    const standard = tzData.offset;
+
+    if (!tzData.dst) {
+      timezone.addObservance({
+        type: 'STANDARD',
+        start: new Date(1970, 0, 1),
+        offsetFrom: standard,
+        offsetTo: standard
+      });
+      return timezone;
+    }
+
+    const daylight = standard + tzData.dst.offset;
+    const toRule = ({ month, week, day }) =>
+      `FREQ=YEARLY;BYMONTH=${month};BYDAY=${week}${WEEKDAYS[day]}`;
+
+    timezone.addObservance({
+      type: 'DAYLIGHT',
+      start: new Date(1970, 0, 1, 2),
+      offsetFrom: standard,
+      offsetTo: daylight,
+      rrule: toRule(tzData.dst.start)
+    });
+    timezone.addObservance({
+      type: 'STANDARD',
+      start: new Date(1970, 0, 1, 2),
+      offsetFrom: daylight,
+      offsetTo: standard,
+      rrule: toRule(tzData.dst.end)
+    });
+
+    return timezone;
+  }
+
+  /**
+   * Describe a transition as a yearly nth-weekday rule, verified against
+   * the matching transition of the following year
+   * @private
+   */
+  static _describeYearlyRule(local, following) {
+    if (!following) return null;
+
+    const month = local.getUTCMonth();
+    const day = local.getUTCDate();
+    const weekday = WEEKDAYS[local.getUTCDay()];
+    const daysInMonth = new Date(Date.UTC(local.getUTCFullYear(), month + 1, 0)).getUTCDate();
+    const nth = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+
+    const rule = RRuleParser.parse(`FREQ=YEARLY;BYMONTH=${month + 1};BYDAY=${nth}${weekday}`);
+    const next = new Date(following.utc + following.offsetFrom * MINUTE_MS);
+    const expected = new ICSTimezone(null)._matchDays(next.getUTCFullYear(), month, rule, day);
+
+    if (
+      next.getUTCMonth() !== month ||
+      next.getUTCHours() !== local.getUTCHours() ||
+      next.getUTCMinutes() !== local.getUTCMinutes() ||
+      !expected.includes(next.getUTCDate())
+    ) {
+      return null;
+    }
+
+    return RRuleParser.buildRRule(rule);
+  }
+
+  /**
+   * Short zone name at an instant (e.g. EST, CEST), if the host provides one
+   * @private
+   */
+  static _getAbbreviation(instant, tzid) {
+    try {
+      const part = new Intl.DateTimeFormat('en-US', { timeZone: tzid, timeZoneName: 'short' })
+        .formatToParts(instant)
+        .find(p => p.type === 'timeZoneName');
+      return part ? part.value : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Parse a UTC offset value (e.g. -0500, +0530, +013045)
+   * @param {string} value - Offset string
+   * @returns {number} Offset in minutes east of UTC
+   */
+  static parseOffset(value) {
+    const match = String(value)
+      .trim()
+      .match(/^([+-])(\d{2})(\d{2})(\d{2})?$/);
+    if (!match) return 0;
+
+    const sign = match[1] === '-' ? -1 : 1;
+    const minutes =
+      parseInt(match[2], 10) * 60 + parseInt(match[3], 10) + parseInt(match[4] || '0', 10) / 60;
+    return sign * Math.round(minutes);
+  }
+
+  /**
+   * Format minutes east of UTC as a UTC offset value (e.g. -0500)
+   * @param {number} minutes - Offset in minutes east of UTC
+   * @returns {string} Offset string
+   */
+  static formatOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    const hours = String(Math.floor(abs / 60)).padStart(2, '0');
+    const mins = String(abs % 60).padStart(2, '0');
+    return `${sign}${hours}${mins}`;
+  }
+}
@@ -0,0 +1,742 @@
+/**
+ * Strict ICS Validator
+ * Checks iCalendar data against RFC 5545 and reports structured diagnostics
+ * with the line and column of each problem
+ */
+
+import { ICSParser } from './ICSParser.js';
+
+// Components and the components they may appear in (null: top level)
+const COMPONENT_PARENTS = {
+  VCALENDAR: [null],
+  VEVENT: ['VCALENDAR'],
+  VTODO: ['VCALENDAR'],
+  VJOURNAL: ['VCALENDAR'],
+  VFREEBUSY: ['VCALENDAR'],
+  VTIMEZONE: ['VCALENDAR'],
+  STANDARD: ['VTIMEZONE'],
+  DAYLIGHT: ['VTIMEZONE'],
+  VALARM: ['VEVENT', 'VTODO']
+};
+
+// Required properties per component, with the RFC 5545 section defining them
+const SCHEDULING_REQUIRED = [
+  ['UID', '3.8.4.7'],
+  ['DTSTAMP', '3.8.7.2']
+];
+const OBSERVANCE_REQUIRED = [
+  ['DTSTART', '3.8.2.4'],
+  ['TZOFFSETFROM', '3.8.3.3'],
+  ['TZOFFSETTO', '3.8.3.4']
+];
+const REQUIRED_PROPERTIES = {
+  VCALENDAR: [
+    ['PRODID', '3.7.3'],
+    ['VERSION', '3.7.4']
+  ],
+  VEVENT: SCHEDULING_REQUIRED,
+  VTODO: SCHEDULING_REQUIRED,
+  VJOURNAL: SCHEDULING_REQUIRED,
+  VFREEBUSY: SCHEDULING_REQUIRED,
+  VTIMEZONE: [['TZID', '3.8.3.1']],
+  STANDARD: OBSERVANCE_REQUIRED,
+  DAYLIGHT: OBSERVANCE_REQUIRED,
+  VALARM: [
+    ['ACTION', '3.8.6.1'],
+    ['TRIGGER', '3.8.6.3']
+  ]
+};
+
+// Properties that must not occur more than once
+const SINGLE_PROPERTIES = {
+  VCALENDAR: ['PRODID', 'VERSION', 'CALSCALE', 'METHOD'],
+  VEVENT: [
+    'UID',
+    'DTSTAMP',
+    'DTSTART',
+    'DTEND',
+    'DURATION',
+    'CLASS',
+    'CREATED',
+    'DESCRIPTION',
+    'GEO',
+    'LAST-MODIFIED',
+    'LOCATION',
+    'ORGANIZER',
+    'PRIORITY',
+    'SEQUENCE',
+    'STATUS',
+    'SUMMARY',
+    'TRANSP',
+    'URL',
+    'RECURRENCE-ID'
+  ],
+  VTIMEZONE: ['TZID', 'LAST-MODIFIED', 'TZURL'],
+  VALARM: ['ACTION', 'TRIGGER', 'DURATION', 'REPEAT']
+};
+
+// Properties holding DATE or DATE-TIME values
+const DATE_PROPERTIES = [
+  'DTSTART',
+  'DTEND',
+  'DUE',
+  'DTSTAMP',
+  'RECURRENCE-ID',
+  'EXDATE',
+  'RDATE',
+  'CREATED',
+  'LAST-MODIFIED',
+  'COMPLETED'
+];
+
+// Properties that must be written in UTC
+const UTC_PROPERTIES = ['DTSTAMP', 'CREATED', 'LAST-MODIFIED', 'COMPLETED'];
+
+const EVENT_STATUSES = ['TENTATIVE', 'CONFIRMED', 'CANCELLED'];
+const FREQUENCIES = ['SECONDLY', 'MINUTELY', 'HOURLY', 'DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+const PROPERTY_NAME = /^[A-Za-z0-9-]+$/;
+const PARAMETERS = /^(;[A-Za-z0-9-]+=(?:"[^"]*"|[^;:",]*)(?:,(?:"[^"]*"|[^;:",]*))*)*$/;
+const DURATION = /^[+-]?P(?:\d+W|(?:\d+D)?(?:T(?:\d+H)?(?:\d+M)?(?:\d+S)?)?)$/;
+const UTC_OFFSET = /^[+-]\d{4}(?:\d{2})?$/;
+
+export class ICSValidator {
+  constructor() {
+    this.parser = new ICSParser();
+  }
+
+  /**
+   * Validate ICS data.
+   * Lines are the physical line where a content line starts; columns are
+   * 1-based offsets into the unfolded content line
+   * @param {string} icsString - ICS content to validate
+   * @returns {{valid: boolean, diagnostics: Array<Object>}} Diagnostics with line, column,
+   *   property, severity ('error' or 'warning'), message, rfcSection (RFC 5545) and code
+   */
+  validate(icsString) {
+    this.diagnostics = [];
+    this.stack = [];
+    this.method = null;
+    this.timezoneIds = new Set();
+    this.timezoneRefs = new Map();
+
+    const contentLines = this.readContentLines(icsString);
+
+    if (contentLines.length === 0) {
+      this.report(1, 1, null, 'error', 'No content lines found', '3.4', 'empty');
+    }
+
+    contentLines.forEach(contentLine => this.checkContentLine(contentLine));
+
+    // Components left open at the end of the data
+    for (let i = this.stack.length - 1; i >= 0; i--) {
+      const frame = this.stack[i];
+      this.report(
+        frame.line,
+        1,
+        'BEGIN',
+        'error',
+        `BEGIN:${frame.name} has no matching END`,
+        '3.4',
+        'unclosed-component'
+      );
+    }
+
+    for (const [tzid, ref] of this.timezoneRefs) {
+      if (!this.timezoneIds.has(tzid)) {
+        this.report(
+          ref.line,
+          ref.column,
+          ref.property,
+          'warning',
+          `TZID "${tzid}" has no VTIMEZONE definition`,
+          '3.2.19',
+          'missing-vtimezone'
+        );
+      }
+    }
+
+    this.diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+
+    return {
+      valid: !this.diagnostics.some(d => d.severity === 'error'),
+      diagnostics: this.diagnostics
+    };
+  }
+
+  /**
+   * Split data into unfolded content lines, checking line endings and folding
+   * @private
+   */
+  readContentLines(icsString) {
+    const physicalLines = icsString.split('\n');
+    const contentLines = [];
+    const encoder = new TextEncoder();
+    let reportedLineEnding = false;
+
+    physicalLines.forEach((raw, index) => {
+      const lineNumber = index + 1;
+      const isLast = index === physicalLines.length - 1;
+      const line = raw.endsWith('\r') ? raw.slice(0, -1) : raw;
+
+      if (!raw.endsWith('\r') && !isLast && !reportedLineEnding) {
+        reportedLineEnding = true;
+        this.report(
+          lineNumber,
+          line.length + 1,
+          null,
+          'warning',
+          'Lines must end with CRLF',
+          '3.1',
+          'line-ending'
+        );
+      }
+
+      if (encoder.encode(line).length > 75) {
+        this.report(
+          lineNumber,
+          76,
+          null,
+          'warning',
+          'Line is longer than 75 octets and should be folded',
+          '3.1',
+          'line-too-long'
+        );
+      }
+
+      if (line.startsWith(' ') || line.startsWith('\t')) {
+        const previous = contentLines[contentLines.length - 1];
+        if (!previous || previous.endsBlock) {
+          this.report(
+            lineNumber,
+            1,
+            null,
+            'error',
+            'Continuation line does not follow a content line',
+            '3.1',
+            'invalid-folding'
+          );
+        } else {
+          previous.text += line.substring(1);
+        }
+        return;
+      }
+
+      if (line === '') {
+        if (!isLast) {
+          this.report(lineNumber, 1, null, 'warning', 'Empty line', '3.1', 'empty-line');
+        }
+        // A blank line cannot be continued
+        if (contentLines.length > 0) contentLines[contentLines.length - 1].endsBlock = true;
+        return;
+      }
+
+      contentLines.push({ line: lineNumber, text: line });
+    });
+
+    return contentLines;
+  }
+
+  /**
+   * @private
+   */
+  checkContentLine({ line, text }) {
+    const colonIndex = this.parser.findValueSeparator(text);
+    if (colonIndex === -1) {
+      this.report(
+        line,
+        text.length + 1,
+        null,
+        'error',
+        'Content line has no ":" separating name and value',
+        '3.1',
+        'malformed-line'
+      );
+      return;
+    }
+
+    const head = text.substring(0, colonIndex);
+    const value = text.substring(colonIndex + 1);
+    const semicolon = head.indexOf(';');
+    const name = (semicolon === -1 ? head : head.substring(0, semicolon)).toUpperCase();
+    const paramText = semicolon === -1 ? '' : head.substring(semicolon);
+    const valueColumn = colonIndex + 2;
+
+    if (!PROPERTY_NAME.test(name)) {
+      this.report(line, 1, name, 'error', `Invalid property name "${name}"`, '3.1', 'invalid-name');
+      return;
+    }
+    if (!PARAMETERS.test(paramText)) {
+      this.report(
+        line,
+        semicolon + 1,
+        name,
+        'error',
+        'Malformed property parameters',
+        '3.2',
+        'invalid-parameter'
+      );
+      return;
+    }
+
+    if (name === 'BEGIN') {
+      this.beginComponent(value.toUpperCase(), line, valueColumn);
+      return;
+    }
+    if (name === 'END') {
+      this.endComponent(value.toUpperCase(), line, valueColumn);
+      return;
+    }
+
+    const frame = this.stack[this.stack.length - 1];
+    if (!frame) {
+      this.report(
+        line,
+        1,
+        name,
+        'error',
+        `${name} appears outside of any component`,
+        '3.4',
+        'outside-component'
+      );
+      return;
+    }
+
+    const params = this.parser.parseParameters(head);
+    const property = { name, params, value, line, column: valueColumn };
+    if (!frame.properties.has(name)) frame.properties.set(name, []);
+    frame.properties.get(name).push(property);
+
+    if (params.TZID) {
+      if (!this.timezoneRefs.has(params.TZID)) {
+        this.timezoneRefs.set(params.TZID, { line, column: semicolon + 1, property: name });
+      }
+    }
+
+    this.checkValue(frame, property);
+  }
+
+  /**
+   * @private
+   */
+  beginComponent(name, line, column) {
+    const parent = this.stack[this.stack.length - 1];
+    const parentName = parent ? parent.name : null;
+
+    if (!parent && name !== 'VCALENDAR') {
+      this.report(
+        line,
+        column,
+        'BEGIN',
+        'error',
+        `Expected BEGIN:VCALENDAR, found BEGIN:${name}`,
+        '3.4',
+        'invalid-nesting'
+      );
+    } else if (COMPONENT_PARENTS[name]) {
+      if (!COMPONENT_PARENTS[name].includes(parentName)) {
+        this.report(
+          line,
+          column,
+          'BEGIN',
+          'error',
+          `${name} cannot appear inside ${parentName}`,
+          '3.6',
+          'invalid-nesting'
+        );
+      }
+    } else if (!name.startsWith('X-')) {
+      this.report(
+        line,
+        column,
+        'BEGIN',
+        'warning',
+        `Unknown component ${name}`,
+        '3.6',
+        'unknown-component'
+      );
+    }
+
+    this.stack.push({ name, line, properties: new Map(), children: [] });
+    if (parent) parent.children.push(name);
+  }
+
+  /**
+   * @private
+   */
+  endComponent(name, line, column) {
+    const index = this.stack.map(frame => frame.name).lastIndexOf(name);
+    if (index === -1) {
+      this.report(
+        line,
+        column,
+        'END',
+        'error',
+        `END:${name} has no matching BEGIN`,
+        '3.4',
+        'mismatched-end'
+      );
+      return;
+    }
+
+    // Components opened after the one being closed were never ended
+    while (this.stack.length - 1 > index) {
+      const open = this.stack.pop();
+      this.report(
+        line,
+        column,
+        'END',
+        'error',
+        `END:${name} closes ${name} while ${open.name} (line ${open.line}) is still open`,
+        '3.4',
+        'mismatched-end'
+      );
+      this.checkComponent(open);
+    }
+
+    this.checkComponent(this.stack.pop());
+  }
+
+  /**
+   * Check required, duplicated and conflicting properties once a component ends
+   * @private
+   */
+  checkComponent(frame) {
+    const { name, line, properties } = frame;
+    const has = property => properties.has(property);
+
+    if (name === 'VCALENDAR') {
+      if (!frame.children.some(child => child !== 'VTIMEZONE')) {
+        this.report(
+          line,
+          1,
+          'BEGIN',
+          'warning',
+          'Calendar contains no components',
+          '3.6',
+          'empty-calendar'
+        );
+      }
+    }
+
+    for (const [property, section] of REQUIRED_PROPERTIES[name] || []) {
+      if (!has(property)) {
+        this.report(
+          line,
+          1,
+          property,
+          'error',
+          `${name} is missing required property ${property}`,
+          section,
+          'missing-property'
+        );
+      }
+    }
+
+    const singles = SINGLE_PROPERTIES[name === 'VTODO' || name === 'VJOURNAL' ? 'VEVENT' : name];
+    for (const property of singles || []) {
+      const occurrences = properties.get(property) || [];
+      for (const duplicate of occurrences.slice(1)) {
+        this.report(
+          duplicate.line,
+          1,
+          property,
+          'error',
+          `${property} must not occur more than once in ${name}`,
+          name === 'VCALENDAR' ? '3.6' : '3.6.1',
+          'duplicate-property'
+        );
+      }
+    }
+
+    if (name === 'VEVENT') {
+      this.checkEvent(frame);
+    } else if (name === 'VTIMEZONE') {
+      if (!frame.children.some(child => child === 'STANDARD' || child === 'DAYLIGHT')) {
+        this.report(
+          line,
+          1,
+          'BEGIN',
+          'error',
+          'VTIMEZONE needs at least one STANDARD or DAYLIGHT component',
+          '3.6.5',
+          'missing-component'
+        );
+      }
+      const [tzid] = properties.get('TZID') || [];
+      if (tzid) this.timezoneIds.add(tzid.value);
+    } else if (name === 'VALARM') {
+      this.checkAlarm(frame);
+    }
+  }
+
+  /**
+   * @private
+   */
+  checkEvent({ line, properties }) {
+    const [start] = properties.get('DTSTART') || [];
+    const [end] = properties.get('DTEND') || [];
+
+    // DTSTART may only be omitted when METHOD supplies it elsewhere
+    if (!start && !this.method) {
+      this.report(
+        line,
+        1,
+        'DTSTART',
+        'error',
+        'VEVENT is missing required property DTSTART',
+        '3.6.1',
+        'missing-property'
+      );
+    }
+
+    if (end && properties.has('DURATION')) {
+      const [duration] = properties.get('DURATION');
+      this.report(
+        duration.line,
+        1,
+        'DURATION',
+        'error',
+        'DTEND and DURATION cannot both be set',
+        '3.6.1',
+        'conflicting-properties'
+      );
+    }
+
+    if (start && end) {
+      const startIsDate = start.params.VALUE === 'DATE' || /^\d{8}$/.test(start.value);
+      const endIsDate = end.params.VALUE === 'DATE' || /^\d{8}$/.test(end.value);
+
+      if (startIsDate !== endIsDate) {
+        this.report(
+          end.line,
+          end.column,
+          'DTEND',
+          'error',
+          'DTEND must have the same value type as DTSTART',
+          '3.6.1',
+          'value-type-mismatch'
+        );
+      } else if (
+        start.params.TZID === end.params.TZID &&
+        start.value.endsWith('Z') === end.value.endsWith('Z') &&
+        end.value < start.value
+      ) {
+        this.report(
+          end.line,
+          end.column,
+          'DTEND',
+          'error',
+          'DTEND is before DTSTART',
+          '3.8.2.2',
+          'invalid-range'
+        );
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  checkAlarm({ line, properties }) {
+    const [action] = properties.get('ACTION') || [];
+    const required = {
+      DISPLAY: ['DESCRIPTION'],
+      EMAIL: ['DESCRIPTION', 'SUMMARY', 'ATTENDEE']
+    }[action && action.value.toUpperCase()];
+
+    for (const property of required || []) {
+      if (!properties.has(property)) {
+        this.report(
+          line,
+          1,
+          property,
+          'error',
+          `${action.value} alarm is missing required property ${property}`,
+          '3.6.6',
+          'missing-property'
+        );
+      }
+    }
+
+    if (properties.has('REPEAT') !== properties.has('DURATION')) {
+      this.report(
+        line,
+        1,
+        properties.has('REPEAT') ? 'REPEAT' : 'DURATION',
+        'error',
+        'REPEAT and DURATION must be set together',
+        '3.6.6',
+        'missing-property'
+      );
+    }
+  }
+
+  /**
+   * Check a property value against its type
+   * @private
+   */
+  checkValue(frame, property) {
+    const { name, params, value, line, column } = property;
+    const invalid = (message, section, code = 'invalid-value', offset = 0) =>
+      this.report(line, column + offset, name, 'error', message, section, code);
+
+    if (DATE_PROPERTIES.includes(name)) {
+      let offset = 0;
+      for (const item of value.split(',')) {
+        const message = this.checkDateValue(item, params.VALUE, name);
+        if (message) {
+          invalid(message, params.VALUE === 'DATE' ? '3.3.4' : '3.3.5', 'invalid-date', offset);
+        } else if (UTC_PROPERTIES.includes(name) && !item.endsWith('Z')) {
+          invalid(`${name} must be specified in UTC`, '3.8.7.2', 'invalid-date', offset);
+        }
+        offset += item.length + 1;
+      }
+      return;
+    }
+
+    switch (name) {
+      case 'METHOD':
+        this.method = value;
+        break;
+
+      case 'VERSION':
+        if (value !== '2.0') {
+          invalid(`Unsupported VERSION "${value}"`, '3.7.4');
+        }
+        break;
+
+      case 'SEQUENCE':
+      case 'REPEAT':
+        if (!/^\d+$/.test(value)) {
+          invalid(
+            `${name} must be a non-negative integer`,
+            name === 'SEQUENCE' ? '3.8.7.4' : '3.8.6.2'
+          );
+        }
+        break;
+
+      case 'PRIORITY':
+        if (!/^\d$/.test(value)) {
+          invalid('PRIORITY must be an integer from 0 to 9', '3.8.1.9');
+        }
+        break;
+
+      case 'STATUS':
+        if (frame.name === 'VEVENT' && !EVENT_STATUSES.includes(value.toUpperCase())) {
+          invalid(`Invalid VEVENT STATUS "${value}"`, '3.8.1.11');
+        }
+        break;
+
+      case 'TRANSP':
+        if (!['OPAQUE', 'TRANSPARENT'].includes(value.toUpperCase())) {
+          invalid(`Invalid TRANSP "${value}"`, '3.8.2.7');
+        }
+        break;
+
+      case 'TZOFFSETFROM':
+      case 'TZOFFSETTO':
+        if (!UTC_OFFSET.test(value)) {
+          invalid(`Invalid UTC offset "${value}"`, '3.3.14');
+        }
+        break;
+
+      case 'DURATION':
+        if (!DURATION.test(value)) {
+          invalid(`Invalid duration "${value}"`, '3.3.6');
+        }
+        break;
+
+      case 'TRIGGER':
+        if (params.VALUE === 'DATE-TIME') {
+          const message = this.checkDateValue(value, 'DATE-TIME', name);
+          if (message || !value.endsWith('Z')) {
+            invalid(message || 'Absolute TRIGGER must be specified in UTC', '3.8.6.3');
+          }
+        } else if (!DURATION.test(value)) {
+          invalid(`Invalid TRIGGER duration "${value}"`, '3.8.6.3');
+        }
+        break;
+
+      case 'RRULE':
+        this.checkRecurrenceRule(value, invalid);
+        break;
+    }
+  }
+
+  /**
+   * @private
+   */
+  checkRecurrenceRule(value, invalid) {
+    const parts = {};
+    for (const part of value.split(';')) {
+      const [key, partValue] = part.split('=');
+      parts[key.toUpperCase()] = partValue;
+    }
+
+    if (!parts.FREQ) {
+      invalid('RRULE is missing FREQ', '3.3.10', 'invalid-rrule');
+    } else if (!FREQUENCIES.includes(parts.FREQ.toUpperCase())) {
+      invalid(`Invalid RRULE FREQ "${parts.FREQ}"`, '3.3.10', 'invalid-rrule');
+    }
+    if (parts.COUNT && parts.UNTIL) {
+      invalid('RRULE cannot have both COUNT and UNTIL', '3.3.10', 'invalid-rrule');
+    }
+    if (parts.COUNT && !/^\d+$/.test(parts.COUNT)) {
+      invalid(`Invalid RRULE COUNT "${parts.COUNT}"`, '3.3.10', 'invalid-rrule');
+    }
+    if (parts.UNTIL && this.checkDateValue(parts.UNTIL, null, 'RRULE')) {
+      invalid(`Invalid RRULE UNTIL "${parts.UNTIL}"`, '3.3.10', 'invalid-rrule');
+    }
+  }
+
+  /**
+   * Check a DATE, DATE-TIME or PERIOD value
+   * @returns {string|null} Problem description, or null if valid
+   * @private
+   */
+  checkDateValue(value, valueType, property) {
+    if (valueType === 'PERIOD') {
+      const [start, end] = value.split('/');
+      if (!end) return `Invalid period "${value}"`;
+
+      const startProblem = this.checkDateValue(start, 'DATE-TIME', property);
+      if (startProblem) return startProblem;
+      if (end.startsWith('P') || end.startsWith('+P') || end.startsWith('-P')) {
+        return DURATION.test(end) ? null : `Invalid period duration "${end}"`;
+      }
+      return this.checkDateValue(end, 'DATE-TIME', property);
+    }
+
+    const match =
+      valueType === 'DATE'
+        ? /^(\d{4})(\d{2})(\d{2})$/.exec(value)
+        : /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+    if (!match) {
+      return valueType === 'DATE'
+        ? `Invalid date "${value}", expected YYYYMMDD`
+        : `Invalid date-time "${value}", expected YYYYMMDDTHHMMSS`;
+    }
+    if (!match[4] && valueType !== 'DATE' && property !== 'RRULE') {
+      return `Date "${value}" requires VALUE=DATE`;
+    }
+
+    const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1).map(Number);
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    if (month < 1 || month > 12 || day < 1 || day > daysInMonth) {
+      return `Invalid date "${value}"`;
+    }
+    if (hour > 23 || minute > 59 || second > 60) {
+      return `Invalid time in "${value}"`;
+    }
+
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  report(line, column, property, severity, message, rfcSection, code) {
+    this.diagnostics.push({ line, column, property, severity, message, rfcSection, code });
+  }
+}
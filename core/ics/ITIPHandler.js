@@ -0,0 +1,623 @@
+/**
+ * iTIP Scheduling Handler (RFC 5546)
+ * Builds and processes REQUEST, REPLY, CANCEL, COUNTER and DECLINECOUNTER
+ * messages on top of the ICS import/export layer
+ */
+
+import { ICSHandler } from './ICSHandler.js';
+
+const SUPPORTED_METHODS = ['REQUEST', 'REPLY', 'CANCEL', 'COUNTER', 'DECLINECOUNTER'];
+
+// Fields an attendee may propose changing in a COUNTER
+const COUNTER_FIELDS = ['title', 'description', 'location', 'start', 'end', 'timeZone'];
+
+// Messages about a single component carry no series data
+const SINGLE_COMPONENT = {
+  recurring: false,
+  recurrenceRule: null,
+  excludeDates: [],
+  additionalDates: [],
+  modifiedInstances: []
+};
+
+export class ITIPHandler {
+  constructor(calendar) {
+    this.calendar = calendar;
+    this.icsHandler = new ICSHandler(calendar);
+    this.parser = this.icsHandler.parser;
+
+    // Proposals received from attendees, keyed by event id
+    this.pendingCounters = new Map();
+  }
+
+  // ============ Outgoing Messages ============
+
+  /**
+   * Build a REQUEST inviting the event's attendees
+   * @param {import('../events/Event.js').Event} event - Event to send
+   * @param {Object} [options] - Message options
+   * @param {string} [options.calendarName] - X-WR-CALNAME of the message
+   * @returns {string} ICS formatted iTIP message
+   */
+  createRequest(event, options = {}) {
+    if (!this.getOrganizerEmail(event)) {
+      throw new Error('REQUEST requires an organizer');
+    }
+    if (!event.attendees || event.attendees.length === 0) {
+      throw new Error('REQUEST requires at least one attendee');
+    }
+
+    // EXDATE, RDATE and overrides travel with the series
+    return this.parser.export([this.toMessageEvent(event)], options.calendarName, {
+      method: 'REQUEST'
+    });
+  }
+
+  /**
+   * Build a CANCEL for the whole event or a single occurrence
+   * @param {import('../events/Event.js').Event} event - Event being cancelled
+   * @param {Object} [options] - Message options
+   * @param {Date} [options.occurrence] - Start of the occurrence to cancel
+   * @param {string} [options.comment] - Note for the attendees
+   * @returns {string} ICS formatted iTIP message
+   */
+  createCancel(event, options = {}) {
+    const { occurrence = null, comment = null } = options;
+
+    if (!this.getOrganizerEmail(event)) {
+      throw new Error('CANCEL requires an organizer');
+    }
+
+    // A cancellation is a significant change, so it supersedes the current revision
+    const overrides = {
+      status: 'cancelled',
+      sequence: (event.sequence || 0) + 1,
+      comment
+    };
+
+    if (occurrence) {
+      Object.assign(overrides, this.toOccurrence(event, occurrence));
+    }
+
+    return this.parser.export([this.toMessageEvent(event, overrides)], undefined, {
+      method: 'CANCEL'
+    });
+  }
+
+  /**
+   * Build an attendee's REPLY to an invitation
+   * @param {import('../events/Event.js').Event} event - Event being answered
+   * @param {string} attendeeEmail - Email of the replying attendee
+   * @param {import('../../types.js').AttendeeResponseStatus} responseStatus - The response
+   * @param {Object} [options] - Message options
+   * @param {string} [options.comment] - Note for the organizer
+   * @param {string[]} [options.delegatedTo] - Emails the attendee delegates to
+   * @param {Date} [options.occurrence] - Start of the single occurrence being answered
+   * @returns {string} ICS formatted iTIP message
+   */
+  createReply(event, attendeeEmail, responseStatus, options = {}) {
+    const { comment = null, delegatedTo = null, occurrence = null } = options;
+    const attendee = this.findAttendee(event.attendees, attendeeEmail);
+    if (!attendee) {
+      throw new Error(`Attendee not found: ${attendeeEmail}`);
+    }
+
+    const reply = { ...attendee, responseStatus };
+    if (delegatedTo) {
+      reply.delegatedTo = delegatedTo;
+    }
+
+    return this.parser.export(
+      [
+        this.toMessageEvent(event, {
+          ...(occurrence ? this.toOccurrence(event, occurrence) : SINGLE_COMPONENT),
+          attendees: [reply],
+          status: null,
+          comment
+        })
+      ],
+      undefined,
+      { method: 'REPLY' }
+    );
+  }
+
+  /**
+   * Build an attendee's COUNTER proposal
+   * @param {import('../events/Event.js').Event} event - Event being countered
+   * @param {Partial<import('../../types.js').EventData>} proposedChanges - Proposed values
+   * @param {string} attendeeEmail - Email of the proposing attendee
+   * @param {Object} [options] - Message options
+   * @param {string} [options.comment] - Reason for the proposal
+   * @returns {string} ICS formatted iTIP message
+   */
+  createCounter(event, proposedChanges, attendeeEmail, options = {}) {
+    const attendee = this.findAttendee(event.attendees, attendeeEmail);
+    if (!attendee) {
+      throw new Error(`Attendee not found: ${attendeeEmail}`);
+    }
+
+    const changes = {};
+    for (const field of COUNTER_FIELDS) {
+      if (proposedChanges[field] !== undefined) {
+        changes[field] = proposedChanges[field];
+      }
+    }
+
+    return this.parser.export(
+      [
+        this.toMessageEvent(event, {
+          ...changes,
+          attendees: [attendee],
+          comment: options.comment || null
+        })
+      ],
+      undefined,
+      { method: 'COUNTER' }
+    );
+  }
+
+  /**
+   * Build the organizer's DECLINECOUNTER for an attendee's proposal
+   * @param {import('../events/Event.js').Event} event - Event that was countered
+   * @param {string} attendeeEmail - Email of the proposing attendee
+   * @param {Object} [options] - Message options
+   * @param {string} [options.comment] - Reason for declining
+   * @returns {string} ICS formatted iTIP message
+   */
+  createDeclineCounter(event, attendeeEmail, options = {}) {
+    const attendee = this.findAttendee(event.attendees, attendeeEmail);
+    if (!attendee) {
+      throw new Error(`Attendee not found: ${attendeeEmail}`);
+    }
+
+    return this.parser.export(
+      [
+        this.toMessageEvent(event, {
+          ...SINGLE_COMPONENT,
+          attendees: [attendee],
+          status: null,
+          comment: options.comment || null
+        })
+      ],
+      undefined,
+      { method: 'DECLINECOUNTER' }
+    );
+  }
+
+  // ============ Incoming Messages ============
+
+  /**
+   * Apply an incoming iTIP message to the calendar.
+   * Messages carrying a lower SEQUENCE than the stored event are rejected as stale
+   * @param {string|File|Blob} input - iTIP message
+   * @param {Object} [options] - Processing options
+   * @param {boolean} [options.removeCancelled=false] - Remove cancelled events instead of
+   *   marking them with status 'cancelled'
+   * @returns {Promise<Object>} Results with method, processed, rejected and errors
+   */
+  async process(input, options = {}) {
+    const { removeCancelled = false } = options;
+
+    const icsString = await this.icsHandler.getICSString(input);
+    const method = this.parser.parseMethod(icsString);
+
+    if (!method) {
+      throw new Error('iTIP message is missing the METHOD property');
+    }
+    if (!SUPPORTED_METHODS.includes(method)) {
+      throw new Error(`Unsupported iTIP method: ${method}`);
+    }
+
+    const results = {
+      method,
+      processed: [],
+      rejected: [],
+      errors: []
+    };
+
+    for (const eventData of this.parser.parse(icsString)) {
+      try {
+        let outcome;
+        switch (method) {
+          case 'REQUEST':
+            outcome = this.processRequest(eventData);
+            break;
+          case 'REPLY':
+            outcome = this.processReply(eventData);
+            break;
+          case 'CANCEL':
+            outcome = this.processCancel(eventData, removeCancelled);
+            break;
+          case 'COUNTER':
+            outcome = this.processCounter(eventData);
+            break;
+          case 'DECLINECOUNTER':
+            outcome = this.processDeclineCounter(eventData);
+            break;
+        }
+
+        if (outcome.reason) {
+          results.rejected.push(outcome);
+        } else {
+          results.processed.push(outcome);
+        }
+      } catch (error) {
+        results.errors.push({
+          event: eventData,
+          error: error.message
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Get the COUNTER proposals waiting for the organizer
+   * @param {string} eventId - Event ID
+   * @returns {Array<Object>} Proposals with attendee, sequence, changes and comment
+   */
+  getPendingCounters(eventId) {
+    return this.pendingCounters.get(eventId) || [];
+  }
+
+  /**
+   * Apply an attendee's proposal and build the REQUEST announcing the change
+   * @param {string} eventId - Event ID
+   * @param {string} attendeeEmail - Email of the proposing attendee
+   * @returns {string} ICS formatted REQUEST with the next sequence number
+   */
+  acceptCounter(eventId, attendeeEmail) {
+    const counter = this.takeCounter(eventId, attendeeEmail);
+    const event = this.calendar.getEvent(eventId);
+
+    const updated = this.calendar.updateEvent(eventId, {
+      ...counter.changes,
+      sequence: (event.sequence || 0) + 1
+    });
+
+    // Proposals against the previous revision no longer apply
+    this.pendingCounters.delete(eventId);
+
+    return this.createRequest(updated);
+  }
+
+  /**
+   * Reject an attendee's proposal
+   * @param {string} eventId - Event ID
+   * @param {string} attendeeEmail - Email of the proposing attendee
+   * @param {Object} [options] - Message options passed to createDeclineCounter
+   * @returns {string} ICS formatted DECLINECOUNTER
+   */
+  declineCounter(eventId, attendeeEmail, options = {}) {
+    this.takeCounter(eventId, attendeeEmail);
+    return this.createDeclineCounter(this.calendar.getEvent(eventId), attendeeEmail, options);
+  }
+
+  /**
+   * Add or update the event described by a REQUEST
+   * @private
+   */
+  processRequest(eventData) {
+    // An update to one occurrence (RFC 5546 section 3.2.2) is stored on its series
+    const series = this.findSeries(eventData);
+    if (series) {
+      if (this.isStale(eventData, series)) {
+        return this.staleResult(eventData, series);
+      }
+      const { recurrenceId } = eventData.metadata;
+      this.calendar.modifyOccurrence(
+        series.id,
+        recurrenceId,
+        this.parser.toModifiedInstance(eventData, series)
+      );
+      return { eventId: series.id, action: 'occurrence-updated', recurrenceId };
+    }
+
+    const existing = this.calendar.getEvent(eventData.id);
+    if (existing && this.isStale(eventData, existing)) {
+      return this.staleResult(eventData, existing);
+    }
+
+    // Keep locally configured reminders unless the organizer sent alarms
+    if (existing && eventData.reminders.length === 0) {
+      delete eventData.reminders;
+    }
+    eventData.recurring = Boolean(eventData.recurring);
+    eventData.recurrenceRule = eventData.recurrenceRule || null;
+
+    this.icsHandler.prepareRecurrenceData(eventData);
+    if (existing) {
+      this.calendar.updateEvent(eventData.id, eventData);
+    } else {
+      this.calendar.addEvent(eventData);
+    }
+
+    return { eventId: eventData.id, action: existing ? 'updated' : 'added' };
+  }
+
+  /**
+   * Record attendee responses from a REPLY
+   * @private
+   */
+  processReply(eventData) {
+    const series = this.findSeries(eventData);
+    const event = series || this.findTarget(eventData);
+    if (!event) {
+      return { eventId: eventData.id, reason: 'not-found' };
+    }
+    if (this.isStale(eventData, event)) {
+      return this.staleResult(eventData, event);
+    }
+
+    // A reply about one occurrence changes the attendees of that occurrence only
+    const { recurrenceId } = eventData.metadata || {};
+    const instance = series
+      ? this.calendar.recurrenceEngine.getModifiedInstance(series, recurrenceId)
+      : null;
+    const updated = event.clone(
+      series ? { attendees: (instance?.attendees || series.attendees).map(a => ({ ...a })) } : {}
+    );
+    for (const reply of eventData.attendees) {
+      let attendee = this.findAttendee(updated.attendees, reply.email);
+
+      // Delegates reply on behalf of the attendee that invited them
+      if (!attendee && reply.delegatedFrom) {
+        const delegator = reply.delegatedFrom.some(email =>
+          this.findAttendee(updated.attendees, email)
+        );
+        if (delegator) {
+          updated.addAttendee({ ...reply });
+          attendee = this.findAttendee(updated.attendees, reply.email);
+        }
+      }
+
+      if (!attendee) {
+        return { eventId: event.id, reason: 'unknown-attendee', attendee: reply.email };
+      }
+
+      updated.updateAttendeeResponse(attendee.email, reply.responseStatus);
+      if (reply.delegatedTo) attendee.delegatedTo = reply.delegatedTo;
+      if (eventData.comment) attendee.comment = eventData.comment;
+    }
+
+    if (series) {
+      const { recurrenceId: _recurrenceId, ...changes } = instance || {};
+      this.calendar.modifyOccurrence(series.id, recurrenceId, {
+        ...changes,
+        attendees: updated.attendees
+      });
+      return { eventId: series.id, action: 'attendee-updated', recurrenceId };
+    }
+
+    this.calendar.updateEvent(event.id, { attendees: updated.attendees });
+    return { eventId: event.id, action: 'attendee-updated' };
+  }
+
+  /**
+   * Cancel a whole event or a single occurrence
+   * @private
+   */
+  processCancel(eventData, removeCancelled) {
+    const master = this.findSeries(eventData);
+    if (master) {
+      if (this.isStale(eventData, master)) {
+        return this.staleResult(eventData, master);
+      }
+      const { recurrenceId } = eventData.metadata;
+      this.calendar.cancelOccurrence(master.id, recurrenceId);
+      return { eventId: master.id, action: 'occurrence-cancelled', recurrenceId };
+    }
+
+    const event = this.calendar.getEvent(eventData.id);
+    if (!event) {
+      return { eventId: eventData.id, reason: 'not-found' };
+    }
+    if (this.isStale(eventData, event)) {
+      return this.staleResult(eventData, event);
+    }
+
+    if (removeCancelled) {
+      this.calendar.removeEvent(event.id);
+      return { eventId: event.id, action: 'removed' };
+    }
+
+    this.calendar.updateEvent(event.id, {
+      status: 'cancelled',
+      sequence: Math.max(event.sequence, eventData.sequence || 0)
+    });
+    return { eventId: event.id, action: 'cancelled' };
+  }
+
+  /**
+   * Store an attendee's proposal for the organizer to accept or decline
+   * @private
+   */
+  processCounter(eventData) {
+    const event = this.calendar.getEvent(eventData.id);
+    if (!event) {
+      return { eventId: eventData.id, reason: 'not-found' };
+    }
+    if (this.isStale(eventData, event)) {
+      return this.staleResult(eventData, event);
+    }
+
+    const proposer = eventData.attendees[0];
+    if (!proposer || !this.findAttendee(event.attendees, proposer.email)) {
+      return { eventId: event.id, reason: 'unknown-attendee', attendee: proposer?.email };
+    }
+
+    const changes = {};
+    for (const field of COUNTER_FIELDS) {
+      const proposed = eventData[field];
+      if (proposed === undefined || proposed === null) continue;
+
+      const current = event[field];
+      const changed =
+        proposed instanceof Date && current instanceof Date
+          ? proposed.getTime() !== current.getTime()
+          : proposed !== current;
+      if (changed) {
+        changes[field] = proposed;
+      }
+    }
+
+    // A newer proposal from the same attendee replaces the earlier one
+    const counters = this.getPendingCounters(event.id).filter(
+      counter => counter.attendee.toLowerCase() !== proposer.email.toLowerCase()
+    );
+    counters.push({
+      attendee: proposer.email,
+      sequence: eventData.sequence || 0,
+      changes,
+      comment: eventData.comment || null,
+      receivedAt: new Date()
+    });
+    this.pendingCounters.set(event.id, counters);
+
+    return { eventId: event.id, action: 'counter-received' };
+  }
+
+  /**
+   * Acknowledge the organizer declining our proposal
+   * @private
+   */
+  processDeclineCounter(eventData) {
+    const event = this.calendar.getEvent(eventData.id);
+    if (!event) {
+      return { eventId: eventData.id, reason: 'not-found' };
+    }
+    if (this.isStale(eventData, event)) {
+      return this.staleResult(eventData, event);
+    }
+
+    return { eventId: event.id, action: 'counter-declined', comment: eventData.comment || null };
+  }
+
+  /**
+   * Remove and return a pending proposal
+   * @private
+   */
+  takeCounter(eventId, attendeeEmail) {
+    const counters = this.getPendingCounters(eventId);
+    const counter = counters.find(c => c.attendee.toLowerCase() === attendeeEmail.toLowerCase());
+    if (!counter) {
+      throw new Error(`No pending COUNTER from ${attendeeEmail} for event ${eventId}`);
+    }
+
+    this.pendingCounters.set(
+      eventId,
+      counters.filter(c => c !== counter)
+    );
+    return counter;
+  }
+
+  /**
+   * Stored event a message refers to: the event itself or its series
+   * @private
+   */
+  findTarget(eventData) {
+    const event = this.calendar.getEvent(eventData.id);
+    if (event) return event;
+
+    const { recurringEventId } = eventData.metadata || {};
+    return recurringEventId ? this.calendar.getEvent(recurringEventId) : null;
+  }
+
+  /**
+   * Stored recurring series a message about a single occurrence belongs to
+   * @private
+   */
+  findSeries(eventData) {
+    const { recurringEventId, recurrenceId } = eventData.metadata || {};
+    const series = recurrenceId ? this.calendar.getEvent(recurringEventId) : null;
+    return series && series.recurring ? series : null;
+  }
+
+  /**
+   * Whether a message refers to an older revision than the stored event
+   * @private
+   */
+  isStale(eventData, event) {
+    return (eventData.sequence || 0) < (event.sequence || 0);
+  }
+
+  /**
+   * @private
+   */
+  staleResult(eventData, event) {
+    return {
+      eventId: event.id,
+      reason: 'stale-sequence',
+      sequence: eventData.sequence || 0,
+      currentSequence: event.sequence || 0
+    };
+  }
+
+  /**
+   * Find an attendee by email, ignoring case
+   * @private
+   */
+  findAttendee(attendees = [], email) {
+    if (!email) return null;
+    const target = email.toLowerCase();
+    return attendees.find(a => a.email && a.email.toLowerCase() === target) || null;
+  }
+
+  /**
+   * @private
+   */
+  getOrganizerEmail(event) {
+    const { organizer } = event;
+    return typeof organizer === 'string' ? organizer : organizer?.email || null;
+  }
+
+  /**
+   * Message fields for a single occurrence of a series, identified by its
+   * RECURRENCE-ID
+   * @private
+   */
+  toOccurrence(event, occurrence) {
+    const start = new Date(occurrence);
+    const duration = event.end ? event.end - event.start : 0;
+    return {
+      ...SINGLE_COMPONENT,
+      start,
+      end: event.end ? new Date(start.getTime() + duration) : null,
+      recurrenceId: start
+    };
+  }
+
+  /**
+   * Plain component data for a message; local reminders are never sent
+   * @private
+   */
+  toMessageEvent(event, overrides = {}) {
+    return {
+      id: event.id,
+      title: event.title,
+      description: event.description,
+      location: event.location,
+      start: event.start,
+      end: event.end,
+      allDay: event.allDay,
+      timeZone: event.timeZone,
+      endTimeZone: event.endTimeZone,
+      status: event.status,
+      visibility: event.visibility,
+      priority: event.priority,
+      url: event.url,
+      geo: event.geo,
+      categories: event.categories || (event.category ? [event.category] : []),
+      recurring: event.recurring,
+      recurrenceRule: event.recurrenceRule,
+      excludeDates: event.excludeDates,
+      additionalDates: event.additionalDates,
+      modifiedInstances: event.modifiedInstances,
+      organizer: event.organizer,
+      attendees: event.attendees,
+      sequence: event.sequence || 0,
+      ...overrides
+    };
+  }
+}
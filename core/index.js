@@ -7,13 +7,21 @@
 // Core exports
 export { Calendar } from './calendar/Calendar.js';
 export { Event } from './events/Event.js';
+export { Task } from './events/Task.js';
 export { EventStore } from './events/EventStore.js';
 export { StateManager } from './state/StateManager.js';
 export { DateUtils } from './calendar/DateUtils.js';
+export { TimezoneManager } from './timezone/TimezoneManager.js';
+export { ZonedDateTime } from './timezone/ZonedDateTime.js';
+export { PlainDate } from './timezone/PlainDate.js';
 
 // ICS Import/Export
 export { ICSParser } from './ics/ICSParser.js';
 export { ICSHandler } from './ics/ICSHandler.js';
+export { ICSStreamParser } from './ics/ICSStreamParser.js';
+export { ICSValidator } from './ics/ICSValidator.js';
+export { ICSTimezone } from './ics/ICSTimezone.js';
+export { ITIPHandler } from './ics/ITIPHandler.js';
 
 // Search and Filtering
 export { EventSearch } from './search/EventSearch.js';
@@ -23,6 +31,12 @@ export { SearchWorkerManager, InvertedIndex } from './search/SearchWorkerManager
 export { RecurrenceEngine } from './events/RecurrenceEngine.js';
 export { RecurrenceEngineV2 } from './events/RecurrenceEngineV2.js';
 export { RRuleParser } from './events/RRuleParser.js';
+export { RRuleValidator } from './events/RRuleValidator.js';
+export { RRuleExpander } from './events/RRuleExpander.js';
+export { RecurrenceDescriber } from './events/RecurrenceDescriber.js';
+export { RecurrenceTextParser } from './events/RecurrenceTextParser.js';
+export { OccurrenceIterator } from './events/OccurrenceIterator.js';
+export { SeriesEditor } from './events/SeriesEditor.js';
 
 // Enhanced Integration
 export { EnhancedCalendar } from './integration/EnhancedCalendar.js';
@@ -5,7 +5,6 @@
 
 import { Calendar } from '../calendar/Calendar.js';
 import { SearchWorkerManager } from '../search/SearchWorkerManager.js';
-import { RecurrenceEngineV2 } from '../events/RecurrenceEngineV2.js';
 
 export class EnhancedCalendar extends Calendar {
   constructor(config) {
@@ -13,7 +12,6 @@ export class EnhancedCalendar extends Calendar {
 
     // Initialize enhanced components
     this.searchManager = new SearchWorkerManager(this.eventStore);
-    this.recurrenceEngine = new RecurrenceEngineV2();
 
     // Performance monitoring
     this.performanceMetrics = {
@@ -60,79 +58,56 @@ export class EnhancedCalendar extends Calendar {
   async getEventsInRange(startDate, endDate, options = {}) {
     const startTime = performance.now();
 
-    const regularEvents = [];
-    const recurringEvents = [];
-
-    // Separate regular and recurring events
-    const allEvents = this.eventStore.getEventsInDateRange(startDate, endDate);
-
-    for (const event of allEvents) {
-      if (event.recurring) {
-        recurringEvents.push(event);
-      } else {
-        regularEvents.push(event);
-      }
-    }
-
-    // Expand recurring events with enhanced engine
-    const expandedOccurrences = [];
-
-    for (const event of recurringEvents) {
-      const occurrences = this.recurrenceEngine.expandEvent(event, startDate, endDate, {
+    // Same expansion as Calendar, with the engine options exposed
+    const events = this.eventStore.getEventsInRange(
+      startDate,
+      endDate,
+      true,
+      options.timezone || this.config.timeZone,
+      {
         maxOccurrences: options.maxOccurrences || 365,
         includeModified: options.includeModified !== false,
         includeCancelled: options.includeCancelled || false,
-        timezone: options.timezone || event.timeZone,
         handleDST: options.handleDST !== false
-      });
-
-      expandedOccurrences.push(...occurrences);
-    }
+      }
+    );
 
     const endTime = performance.now();
     this.recordMetric('expansionTime', endTime - startTime);
 
-    // Combine and sort
-    const allEventsInRange = [...regularEvents, ...expandedOccurrences];
-    allEventsInRange.sort((a, b) => a.start - b.start);
-
-    return allEventsInRange;
+    return events;
   }
 
   /**
    * Modify a single occurrence of a recurring event
    */
   modifyOccurrence(eventId, occurrenceDate, modifications) {
-    // Add to modified instances
-    this.recurrenceEngine.addModifiedInstance(eventId, occurrenceDate, modifications);
+    const event = super.modifyOccurrence(eventId, occurrenceDate, modifications);
 
     // Emit change event
-    this.emit('occurrence:modified', {
+    this._emit('occurrence:modified', {
       eventId,
       occurrenceDate,
       modifications
     });
 
-    // Trigger re-render if in view
-    this.refreshView();
+    return event;
   }
 
   /**
    * Cancel a single occurrence of a recurring event
    */
   cancelOccurrence(eventId, occurrenceDate, reason = 'Cancelled') {
-    // Add exception
-    this.recurrenceEngine.addException(eventId, occurrenceDate, reason);
+    const event = super.cancelOccurrence(eventId, occurrenceDate, reason);
 
     // Emit change event
-    this.emit('occurrence:cancelled', {
+    this._emit('occurrence:cancelled', {
       eventId,
       occurrenceDate,
       reason
     });
 
-    // Trigger re-render
-    this.refreshView();
+    return event;
   }
 
   /**
@@ -147,19 +122,23 @@ export class EnhancedCalendar extends Calendar {
     // Get all occurrences in range
     const occurrences = this.recurrenceEngine.expandEvent(event, dateRange.start, dateRange.end);
 
-    // Apply modifications to each
+    // Apply modifications to each, then store them in one update
+    let { modifiedInstances } = event;
     for (const occurrence of occurrences) {
-      this.recurrenceEngine.addModifiedInstance(eventId, occurrence.start, modifications);
+      modifiedInstances = this.recurrenceEngine.withModifiedInstance(
+        { modifiedInstances },
+        occurrence.recurrenceId,
+        modifications
+      );
     }
+    this.updateEvent(eventId, { modifiedInstances });
 
     // Emit bulk change event
-    this.emit('occurrences:bulk-modified', {
+    this._emit('occurrences:bulk-modified', {
       eventId,
       count: occurrences.length,
       modifications
     });
-
-    this.refreshView();
   }
 
   /**
@@ -180,7 +159,7 @@ export class EnhancedCalendar extends Calendar {
         { includeModified: true }
       );
 
-      const expandedIds = new Set(expandedEvents.map(e => e.recurringEventId || e.id));
+      const expandedIds = new Set(expandedEvents.map(e => e.metadata.recurringEventId || e.id));
 
       filtered = filtered.filter(e => expandedIds.has(e.id));
     }
@@ -198,10 +177,7 @@ export class EnhancedCalendar extends Calendar {
 
     // Modified only filter
     if (filters.modifiedOnly) {
-      filtered = filtered.filter(e => {
-        const modifications = this.recurrenceEngine.modifiedInstances.get(e.id);
-        return modifications && modifications.size > 0;
-      });
+      filtered = filtered.filter(e => e.modifiedInstances && e.modifiedInstances.length > 0);
     }
 
     return filtered;
@@ -302,25 +278,14 @@ export class EnhancedCalendar extends Calendar {
   }
 
   /**
-   * Export calendar with recurrence data
+   * Export calendar with recurrence data. Exceptions, additional dates and
+   * modified instances are part of each event
    */
   exportWithRecurrence(format = 'json') {
     const data = {
-      events: this.eventStore.getAllEvents(),
-      modifiedInstances: {},
-      exceptions: {}
+      events: this.eventStore.getAllEvents().map(event => event.toObject())
     };
 
-    // Include modified instances
-    for (const [eventId, modifications] of this.recurrenceEngine.modifiedInstances) {
-      data.modifiedInstances[eventId] = Array.from(modifications.entries());
-    }
-
-    // Include exceptions
-    for (const [eventId, exceptions] of this.recurrenceEngine.exceptionStore) {
-      data.exceptions[eventId] = Array.from(exceptions.entries());
-    }
-
     if (format === 'json') {
       return JSON.stringify(data, null, 2);
     }
@@ -330,7 +295,8 @@ export class EnhancedCalendar extends Calendar {
   }
 
   /**
-   * Import calendar with recurrence data
+   * Import calendar with recurrence data. Exports from before instance data
+   * moved onto events list it per event id, and are still accepted
    */
   importWithRecurrence(data, format = 'json') {
     if (format === 'json') {
@@ -345,7 +311,7 @@ export class EnhancedCalendar extends Calendar {
       if (parsed.modifiedInstances) {
         for (const [eventId, modifications] of Object.entries(parsed.modifiedInstances)) {
           for (const [dateKey, mods] of modifications) {
-            this.recurrenceEngine.addModifiedInstance(eventId, new Date(dateKey), mods);
+            this.modifyOccurrence(eventId, this.getOccurrenceDate(eventId, dateKey), mods);
           }
         }
       }
@@ -354,13 +320,33 @@ export class EnhancedCalendar extends Calendar {
       if (parsed.exceptions) {
         for (const [eventId, exceptions] of Object.entries(parsed.exceptions)) {
           for (const [dateKey, reason] of exceptions) {
-            this.recurrenceEngine.addException(eventId, new Date(dateKey), reason);
+            this.cancelOccurrence(eventId, this.getOccurrenceDate(eventId, dateKey), reason);
           }
         }
       }
+
+      // Import additional occurrence dates
+      if (parsed.additionalDates) {
+        for (const [eventId, dates] of Object.entries(parsed.additionalDates)) {
+          const event = this.getEvent(eventId);
+          this.updateEvent(eventId, {
+            additionalDates: [...event.additionalDates, ...dates.map(date => new Date(date))]
+          });
+        }
+      }
     }
   }
 
+  /**
+   * Rebuild an occurrence start from a YYYY-MM-DD key and the series start time
+   * @private
+   */
+  getOccurrenceDate(eventId, dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const start = this.getEvent(eventId).start;
+    return new Date(year, month - 1, day, start.getHours(), start.getMinutes(), start.getSeconds());
+  }
+
   /**
    * Clean up resources
    */
@@ -370,11 +356,6 @@ export class EnhancedCalendar extends Calendar {
       this.searchManager.destroy();
     }
 
-    // Clear caches
-    if (this.recurrenceEngine) {
-      this.recurrenceEngine.occurrenceCache.clear();
-    }
-
     // Call parent destroy if exists
     if (super.destroy) {
       super.destroy();
@@ -27,6 +27,7 @@ export class StateManager {
 
       // Time configuration
       timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      secondaryTimeZones: [], // Shown alongside timeZone in week/day views
       locale: 'en-US',
       hourFormat: '12h', // '12h' or '24h'
 
@@ -0,0 +1,184 @@
+/**
+ * PlainDate - Immutable calendar date without a time or timezone
+ * Used for all-day events and calendar view days, where a Date's time and
+ * epoch only get in the way
+ */
+
+import { ZonedDateTime } from './ZonedDateTime.js';
+
+const ISO_DATE = /^([+-]\d{6}|\d{4})-(\d{2})-(\d{2})$/;
+
+export class PlainDate {
+  /**
+   * Create a PlainDate
+   * @param {number} year - Full year
+   * @param {number} month - Month (1-12)
+   * @param {number} day - Day of the month (1-31)
+   * @throws {Error} If the date does not exist
+   */
+  constructor(year, month, day) {
+    if (![year, month, day].every(Number.isInteger)) {
+      throw new Error('PlainDate year, month and day must be integers');
+    }
+    if (month < 1 || month > 12 || day < 1 || day > PlainDate.daysInMonth(year, month)) {
+      throw new Error(`Invalid date: ${year}-${month}-${day}`);
+    }
+
+    this.year = year;
+    this.month = month;
+    this.day = day;
+    Object.freeze(this);
+  }
+
+  /**
+   * Create a PlainDate from another PlainDate, a ZonedDateTime, an ISO date
+   * string, a {year, month, day} object or a wall-clock Date
+   * @param {PlainDate|ZonedDateTime|string|Date|{year: number, month: number, day: number}} value
+   * @returns {PlainDate}
+   */
+  static from(value) {
+    if (value instanceof PlainDate) {
+      return value;
+    }
+    if (value instanceof ZonedDateTime) {
+      return value.toPlainDate();
+    }
+    if (value instanceof Date) {
+      return PlainDate.fromDate(value);
+    }
+    if (typeof value === 'string') {
+      const match = value.match(ISO_DATE);
+      if (!match) {
+        throw new Error(`Invalid PlainDate string: ${value}`);
+      }
+      return new PlainDate(Number(match[1]), Number(match[2]), Number(match[3]));
+    }
+    if (value && typeof value === 'object') {
+      return new PlainDate(value.year, value.month, value.day);
+    }
+    throw new Error(`Cannot convert ${value} to a PlainDate`);
+  }
+
+  /**
+   * Create a PlainDate from the local fields of a wall-clock Date, the way
+   * Event and the calendar views store dates
+   * @param {Date} date - Wall-clock date
+   * @returns {PlainDate}
+   */
+  static fromDate(date) {
+    if (!(date instanceof Date) || isNaN(date.getTime())) {
+      throw new Error('Invalid date');
+    }
+    return new PlainDate(date.getFullYear(), date.getMonth() + 1, date.getDate());
+  }
+
+  /**
+   * Compare two dates
+   * @param {PlainDate} a
+   * @param {PlainDate} b
+   * @returns {number} -1, 0 or 1
+   */
+  static compare(a, b) {
+    a = PlainDate.from(a);
+    b = PlainDate.from(b);
+    return Math.sign(a.year - b.year || a.month - b.month || a.day - b.day);
+  }
+
+  /**
+   * Number of days in a month
+   * @param {number} year - Full year
+   * @param {number} month - Month (1-12)
+   * @returns {number}
+   */
+  static daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+  }
+
+  /**
+   * Day of the week, 0 = Sunday as with Date#getDay
+   * @returns {number}
+   */
+  get dayOfWeek() {
+    return new Date(Date.UTC(this.year, this.month - 1, this.day)).getUTCDay();
+  }
+
+  /**
+   * Add a duration. Years and months keep the day of the month, clamped to
+   * the end of shorter months
+   * @param {{years?: number, months?: number, weeks?: number, days?: number}} duration
+   * @returns {PlainDate}
+   */
+  add({ years = 0, months = 0, weeks = 0, days = 0 } = {}) {
+    const monthIndex = this.year * 12 + (this.month - 1) + years * 12 + months;
+    const year = Math.floor(monthIndex / 12);
+    const month = monthIndex - year * 12 + 1;
+    const day = Math.min(this.day, PlainDate.daysInMonth(year, month));
+
+    const result = new Date(Date.UTC(year, month - 1, day + weeks * 7 + days));
+    return new PlainDate(result.getUTCFullYear(), result.getUTCMonth() + 1, result.getUTCDate());
+  }
+
+  /**
+   * Number of days from this date until another
+   * @param {PlainDate} other
+   * @returns {number}
+   */
+  until(other) {
+    other = PlainDate.from(other);
+    const from = Date.UTC(this.year, this.month - 1, this.day);
+    const to = Date.UTC(other.year, other.month - 1, other.day);
+    return Math.round((to - from) / (24 * 60 * 60 * 1000));
+  }
+
+  /**
+   * Check if two dates are the same day
+   * @param {PlainDate} other
+   * @returns {boolean}
+   */
+  equals(other) {
+    return PlainDate.compare(this, other) === 0;
+  }
+
+  /**
+   * Start of this day in a timezone
+   * @param {string} timeZone - IANA timezone
+   * @returns {ZonedDateTime}
+   */
+  toZonedDateTime(timeZone) {
+    return ZonedDateTime.from({ year: this.year, month: this.month, day: this.day, timeZone });
+  }
+
+  /**
+   * Compatibility: local midnight as a Date, the form Event and the
+   * calendar views use for dates
+   * @returns {Date}
+   */
+  toDate() {
+    return new Date(this.year, this.month - 1, this.day);
+  }
+
+  /**
+   * ISO 8601 date string (YYYY-MM-DD)
+   * @returns {string}
+   */
+  toString() {
+    const year =
+      this.year >= 0 && this.year <= 9999
+        ? String(this.year).padStart(4, '0')
+        : (this.year < 0 ? '-' : '+') + String(Math.abs(this.year)).padStart(6, '0');
+    return `${year}-${String(this.month).padStart(2, '0')}-${String(this.day).padStart(2, '0')}`;
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+
+  /**
+   * PlainDates are not numbers; comparing them with < or > would compare
+   * strings, so that is refused
+   * @throws {Error}
+   */
+  valueOf() {
+    throw new Error('Use PlainDate.compare() or equals() to compare dates');
+  }
+}
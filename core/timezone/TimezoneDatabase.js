@@ -1,9 +1,28 @@
 /**
  * TimezoneDatabase - Comprehensive IANA timezone database
- * Contains timezone rules for all major zones worldwide
+ * Contains timezone rules for all major zones worldwide, and the offset
+ * changes compiled from IANA tzdata for exact historical offsets once
+ * that table is loaded
  */
 
+import { TransitionTable } from './TransitionTable.js';
+
+// Offset changes compiled from IANA tzdata by scripts/generate-tzdata.js.
+// Empty until loadTzdata is called, shared by every database
+let transitionTable = new TransitionTable({ version: null, startYear: null, zones: {}, links: {} });
+
 export class TimezoneDatabase {
+  /**
+   * Load the compiled IANA tzdata. It is over 100 KB, so nothing imports it
+   * unless asked to; without it offsets come from Intl, or from the rules
+   * below where Intl has no timezone support
+   * @param {{version: string, startYear: number, zones: Object<string, string>, links: Object<string, string>}} data -
+   *   TZDATA from core/timezone/tzdata.js ('@forcecalendar/core/tzdata')
+   */
+  static loadTzdata(data) {
+    transitionTable = new TransitionTable(data);
+  }
+
   constructor() {
     // Comprehensive IANA timezone offset data (Standard Time)
     // Offsets in minutes from UTC
@@ -497,6 +516,64 @@ export class TimezoneDatabase {
       'Australia/North': 'Australia/Darwin',
       NZ: 'Pacific/Auckland'
     };
+
+    // Windows timezone names (used by Outlook/Exchange TZIDs) to IANA
+    this.windowsZones = {
+      'Dateline Standard Time': 'Etc/GMT+12',
+      'Hawaiian Standard Time': 'Pacific/Honolulu',
+      'Alaskan Standard Time': 'America/Anchorage',
+      'Pacific Standard Time': 'America/Los_Angeles',
+      'Pacific Standard Time (Mexico)': 'America/Tijuana',
+      'US Mountain Standard Time': 'America/Phoenix',
+      'Mountain Standard Time': 'America/Denver',
+      'Central America Standard Time': 'America/Guatemala',
+      'Central Standard Time': 'America/Chicago',
+      'Central Standard Time (Mexico)': 'America/Mexico_City',
+      'Canada Central Standard Time': 'America/Regina',
+      'SA Pacific Standard Time': 'America/Bogota',
+      'Eastern Standard Time': 'America/New_York',
+      'US Eastern Standard Time': 'America/Indianapolis',
+      'Atlantic Standard Time': 'America/Halifax',
+      'SA Western Standard Time': 'America/La_Paz',
+      'Pacific SA Standard Time': 'America/Santiago',
+      'Newfoundland Standard Time': 'America/St_Johns',
+      'E. South America Standard Time': 'America/Sao_Paulo',
+      'Argentina Standard Time': 'America/Buenos_Aires',
+      UTC: 'UTC',
+      'GMT Standard Time': 'Europe/London',
+      'Greenwich Standard Time': 'Atlantic/Reykjavik',
+      'W. Europe Standard Time': 'Europe/Berlin',
+      'Central Europe Standard Time': 'Europe/Budapest',
+      'Romance Standard Time': 'Europe/Paris',
+      'Central European Standard Time': 'Europe/Warsaw',
+      'W. Central Africa Standard Time': 'Africa/Lagos',
+      'GTB Standard Time': 'Europe/Bucharest',
+      'FLE Standard Time': 'Europe/Kiev',
+      'Israel Standard Time': 'Asia/Jerusalem',
+      'Egypt Standard Time': 'Africa/Cairo',
+      'South Africa Standard Time': 'Africa/Johannesburg',
+      'Russian Standard Time': 'Europe/Moscow',
+      'Arab Standard Time': 'Asia/Riyadh',
+      'Arabian Standard Time': 'Asia/Dubai',
+      'Iran Standard Time': 'Asia/Tehran',
+      'Pakistan Standard Time': 'Asia/Karachi',
+      'India Standard Time': 'Asia/Kolkata',
+      'Nepal Standard Time': 'Asia/Katmandu',
+      'Bangladesh Standard Time': 'Asia/Dhaka',
+      'SE Asia Standard Time': 'Asia/Bangkok',
+      'China Standard Time': 'Asia/Shanghai',
+      'Singapore Standard Time': 'Asia/Singapore',
+      'Taipei Standard Time': 'Asia/Taipei',
+      'W. Australia Standard Time': 'Australia/Perth',
+      'Tokyo Standard Time': 'Asia/Tokyo',
+      'Korea Standard Time': 'Asia/Seoul',
+      'Cen. Australia Standard Time': 'Australia/Adelaide',
+      'AUS Central Standard Time': 'Australia/Darwin',
+      'E. Australia Standard Time': 'Australia/Brisbane',
+      'AUS Eastern Standard Time': 'Australia/Sydney',
+      'Tasmania Standard Time': 'Australia/Hobart',
+      'New Zealand Standard Time': 'Pacific/Auckland'
+    };
   }
 
   /**
@@ -513,6 +590,54 @@ export class TimezoneDatabase {
     return this.timezones[timezone] || null;
   }
 
+  /**
+   * Offset changes from the compiled tzdata, empty if it is not loaded
+   * @returns {TransitionTable}
+   */
+  get transitions() {
+    return transitionTable;
+  }
+
+  /**
+   * Release of the loaded tzdata
+   * @returns {string|null} Version, or null if tzdata is not loaded
+   */
+  get tzdataVersion() {
+    return transitionTable.version;
+  }
+
+  /**
+   * Exact UTC offset at an instant from the compiled tzdata
+   * @param {string} timezone - Timezone identifier or alias
+   * @param {Date} date - The instant
+   * @returns {number|null} Minutes east of UTC, or null if the zone is not in tzdata
+   */
+  getOffset(timezone, date) {
+    return this.transitions.getOffset(this.resolveAlias(timezone), date);
+  }
+
+  /**
+   * Offset, abbreviation and DST flag at an instant from the compiled tzdata
+   * @param {string} timezone - Timezone identifier or alias
+   * @param {Date} date - The instant
+   * @returns {{offset: number, abbreviation: string, dst: boolean}|null} Offset in minutes
+   *   east of UTC, or null if the zone is not in tzdata
+   */
+  getLocalTimeType(timezone, date) {
+    return this.transitions.getType(this.resolveAlias(timezone), date);
+  }
+
+  /**
+   * Offset changes between two instants from the compiled tzdata
+   * @param {string} timezone - Timezone identifier or alias
+   * @param {Date} start - Start of the range (inclusive)
+   * @param {Date} end - End of the range (exclusive)
+   * @returns {Array<{time: number, from: Object, to: Object}>|null} See TransitionTable#getTransitions
+   */
+  getTransitions(timezone, start, end) {
+    return this.transitions.getTransitions(this.resolveAlias(timezone), start, end);
+  }
+
   /**
    * Get all available timezone identifiers
    * @returns {string[]} Array of timezone identifiers
@@ -527,7 +652,11 @@ export class TimezoneDatabase {
    * @returns {boolean} True if valid
    */
   isValidTimezone(timezone) {
-    return this.aliases[timezone] !== undefined || this.timezones[timezone] !== undefined;
+    return (
+      this.aliases[timezone] !== undefined ||
+      this.timezones[timezone] !== undefined ||
+      this.transitions.has(timezone)
+    );
   }
 
   /**
@@ -539,6 +668,15 @@ export class TimezoneDatabase {
     return this.aliases[timezone] || timezone;
   }
 
+  /**
+   * Resolve a Windows timezone name to an IANA identifier
+   * @param {string} timezone - Windows timezone name (e.g. 'Eastern Standard Time')
+   * @returns {string|null} IANA identifier or null if not a known Windows name
+   */
+  resolveWindowsZone(timezone) {
+    return this.windowsZones[timezone] || null;
+  }
+
   /**
    * Get timezones by offset
    * @param {number} offsetMinutes - Offset in minutes from UTC
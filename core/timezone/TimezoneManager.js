@@ -10,6 +10,37 @@ import { TimezoneDatabase } from './TimezoneDatabase.js';
 // Singleton instance for shared use across the application
 let sharedInstance = null;
 
+const MINUTE_MS = 60 * 1000;
+const QUARTER_HOUR_MS = 15 * MINUTE_MS;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// How a local time that is skipped or repeated by an offset change resolves,
+// as in Temporal
+const DISAMBIGUATIONS = ['compatible', 'earlier', 'later', 'reject'];
+
+let intlTimeZoneSupport = null;
+
+/**
+ * Check that Intl formats in a requested timezone. Locker Service and some
+ * older runtimes accept only UTC, or quietly ignore the timeZone option
+ * @returns {boolean}
+ */
+function supportsIntlTimeZones() {
+  if (intlTimeZoneSupport === null) {
+    try {
+      const hour = new Intl.DateTimeFormat('en-US', {
+        timeZone: 'Asia/Tokyo',
+        hour: 'numeric',
+        hourCycle: 'h23'
+      }).format(new Date(Date.UTC(2020, 0, 1, 0)));
+      intlTimeZoneSupport = Number(hour) === 9;
+    } catch (e) {
+      intlTimeZoneSupport = false;
+    }
+  }
+  return intlTimeZoneSupport;
+}
+
 export class TimezoneManager {
   /**
    * Get the shared singleton instance of TimezoneManager
@@ -23,6 +54,22 @@ export class TimezoneManager {
     return sharedInstance;
   }
 
+  /**
+   * Use the compiled IANA tzdata for offsets, transitions and validation
+   * where Intl falls short, such as under Locker Service:
+   *
+   *   import { TZDATA } from '@forcecalendar/core/tzdata';
+   *   TimezoneManager.loadTzdata(TZDATA);
+   *
+   * @param {Object} data - TZDATA from core/timezone/tzdata.js
+   */
+  static loadTzdata(data) {
+    TimezoneDatabase.loadTzdata(data);
+    if (sharedInstance) {
+      sharedInstance.clearCache();
+    }
+  }
+
   /**
    * Reset the singleton instance (useful for testing)
    * @private
@@ -41,11 +88,16 @@ export class TimezoneManager {
     // Cache timezone offsets for performance
     this.offsetCache = new Map();
     this.dstCache = new Map();
+    this.formatterCache = new Map();
 
     // Cache size management
     this.maxCacheSize = 1000;
     this.cacheHits = 0;
     this.cacheMisses = 0;
+
+    // Offsets come from Intl when it supports timezones, otherwise from the
+    // compiled tzdata (see loadTzdata). Set to false to always use the tzdata
+    this.useIntl = supportsIntlTimeZones();
   }
 
   /**
@@ -53,34 +105,63 @@ export class TimezoneManager {
    * @param {Date} date - Date to convert
    * @param {string} fromTimezone - Source timezone (IANA identifier)
    * @param {string} toTimezone - Target timezone (IANA identifier)
+   * @param {{disambiguation?: 'compatible'|'earlier'|'later'|'reject'}} [options] - How to
+   *   resolve a date skipped or repeated in the source timezone (see toUTC)
    * @returns {Date} Converted date
    */
-  convertTimezone(date, fromTimezone, toTimezone) {
+  convertTimezone(date, fromTimezone, toTimezone, options = {}) {
     if (!date) return null;
     if (fromTimezone === toTimezone) return new Date(date);
 
-    // Get offset difference
-    const fromOffset = this.getTimezoneOffset(date, fromTimezone);
-    const toOffset = this.getTimezoneOffset(date, toTimezone);
-    const offsetDiff = (toOffset - fromOffset) * 60 * 1000; // Convert to milliseconds
-
-    return new Date(date.getTime() + offsetDiff);
+    return this.fromUTC(this.toUTC(date, fromTimezone, options), toTimezone);
   }
 
   /**
-   * Convert date to UTC
-   * @param {Date} date - Date in local timezone
+   * Convert date to UTC. A local time can be skipped when clocks go forward
+   * or repeated when they go back; `disambiguation` picks the instant:
+   * - 'compatible' (default): the later instant for skipped times, so 02:30
+   *   on a spring-forward day is 03:30, and the earlier for repeated ones
+   * - 'earlier' / 'later': the instant before or after the change
+   * - 'reject': throw instead
+   * @param {Date|import('../types.js').LocalDateTimeFields} date - Date in local timezone
+   *   (wall-clock Date), or its fields when the host timezone might not hold it
    * @param {string} timezone - Source timezone
+   * @param {{disambiguation?: 'compatible'|'earlier'|'later'|'reject'}} [options]
    * @returns {Date} Date in UTC
+   * @throws {Error} For an unknown disambiguation, or a skipped or repeated time with 'reject'
    */
-  toUTC(date, timezone) {
+  toUTC(date, timezone, options = {}) {
     if (!date) return null;
-    if (timezone === 'UTC') return new Date(date);
 
+    const { disambiguation = 'compatible' } = options;
+    if (!DISAMBIGUATIONS.includes(disambiguation)) {
+      throw new Error(
+        `Invalid disambiguation: ${disambiguation}. Must be one of: ${DISAMBIGUATIONS.join(', ')}`
+      );
+    }
+    if (timezone === 'UTC') return new Date(this._getWallTime(date));
+
+    const instants = this.getPossibleInstants(date, timezone);
+    if (instants.length === 1) {
+      return instants[0];
+    }
+
+    if (disambiguation === 'reject') {
+      const problem = instants.length === 0 ? 'does not exist' : 'is ambiguous';
+      throw new Error(`Local time ${this._formatLocal(date)} ${problem} in ${timezone}`);
+    }
+
+    if (instants.length === 2) {
+      return disambiguation === 'later' ? instants[1] : instants[0];
+    }
+
+    // Skipped: read the time with the offset from before or after the change.
     // offset is positive for timezones behind UTC (e.g., NYC = +300)
     // To convert local to UTC, we ADD the offset
-    const offset = this.getTimezoneOffset(date, timezone);
-    return new Date(date.getTime() + offset * 60 * 1000);
+    const wall = this._getWallTime(date);
+    const { before, after } = this._getSurroundingOffsets(wall, timezone);
+    const offset = disambiguation === 'earlier' ? after : before;
+    return new Date(wall + offset * MINUTE_MS);
   }
 
   /**
@@ -91,26 +172,73 @@ export class TimezoneManager {
    */
   fromUTC(utcDate, timezone) {
     if (!utcDate) return null;
-    if (timezone === 'UTC') return new Date(utcDate);
+    if (timezone === 'UTC') return this._toWallDate(new Date(utcDate).getTime());
 
     // offset is positive for timezones behind UTC (e.g., NYC = +300)
     // To convert UTC to local, we SUBTRACT the offset
     const offset = this.getTimezoneOffset(utcDate, timezone);
-    return new Date(utcDate.getTime() - offset * 60 * 1000);
+    return this._toWallDate(utcDate.getTime() - offset * MINUTE_MS);
+  }
+
+  /**
+   * Instants a local time stands for: one normally, none when an offset
+   * change skips it and two when a change repeats it
+   * @param {Date|import('../types.js').LocalDateTimeFields} date - Local time, as a
+   *   wall-clock Date or its fields
+   * @param {string} timezone - IANA timezone
+   * @returns {Date[]} Instants in order
+   */
+  getPossibleInstants(date, timezone) {
+    const wall = this._getWallTime(date);
+    const { before, after } = this._getSurroundingOffsets(wall, timezone);
+
+    const instants = [];
+    for (const offset of new Set([before, after])) {
+      const instant = new Date(wall + offset * MINUTE_MS);
+      if (this.getTimezoneOffset(instant, timezone) === offset) {
+        instants.push(instant);
+      }
+    }
+    return instants.sort((a, b) => a - b);
+  }
+
+  /**
+   * Check if a local time is skipped by an offset change, like 02:30 when
+   * clocks go forward at 02:00
+   * @param {Date|import('../types.js').LocalDateTimeFields} date - Local time, as a
+   *   wall-clock Date or its fields
+   * @param {string} timezone - IANA timezone
+   * @returns {boolean}
+   */
+  isSkippedTime(date, timezone) {
+    return this.getPossibleInstants(date, timezone).length === 0;
+  }
+
+  /**
+   * Check if a local time happens twice, like 01:30 when clocks go back at 02:00
+   * @param {Date|import('../types.js').LocalDateTimeFields} date - Local time, as a
+   *   wall-clock Date or its fields
+   * @param {string} timezone - IANA timezone
+   * @returns {boolean}
+   */
+  isRepeatedTime(date, timezone) {
+    return this.getPossibleInstants(date, timezone).length === 2;
   }
 
   /**
    * Get timezone offset in minutes
    * @param {Date} date - Date to check (for DST calculation)
    * @param {string} timezone - Timezone identifier
-   * @returns {number} Offset in minutes from UTC
+   * @returns {number} Offset in minutes from UTC, positive behind UTC as with
+   *   Date#getTimezoneOffset (e.g., NYC = +300)
    */
   getTimezoneOffset(date, timezone) {
     // Resolve any aliases
     timezone = this.database.resolveAlias(timezone);
 
-    // Check cache first
-    const cacheKey = `${timezone}_${date.getFullYear()}_${date.getMonth()}_${date.getDate()}`;
+    // Check cache first. Offsets only change on quarter-hour boundaries, so
+    // caching per quarter hour stays exact on DST transition days
+    const cacheKey = `${timezone}_${Math.floor(date.getTime() / QUARTER_HOUR_MS)}`;
     if (this.offsetCache.has(cacheKey)) {
       this.cacheHits++;
       this._manageCacheSize();
@@ -119,41 +247,50 @@ export class TimezoneManager {
 
     this.cacheMisses++;
 
+    let offset = null;
+
     // Try using Intl API if available (best option for browser/Node.js environments)
-    if (typeof Intl !== 'undefined' && Intl.DateTimeFormat) {
+    if (this.useIntl) {
       try {
-        const formatter = new Intl.DateTimeFormat('en-US', {
-          timeZone: timezone,
-          year: 'numeric',
-          month: '2-digit',
-          day: '2-digit',
-          hour: '2-digit',
-          minute: '2-digit',
-          second: '2-digit',
-          hour12: false
-        });
-
-        // Create same date in target timezone
-        const parts = formatter.formatToParts(date);
-        const tzDate = new Date(
-          parts.find(p => p.type === 'year').value,
-          parts.find(p => p.type === 'month').value - 1,
-          parts.find(p => p.type === 'day').value,
-          parts.find(p => p.type === 'hour').value,
-          parts.find(p => p.type === 'minute').value,
-          parts.find(p => p.type === 'second').value
+        // Wall-clock fields of the instant in the timezone, read as UTC. The
+        // fields stop at seconds, so leave the milliseconds out
+        const parts = this._getFormatter(timezone).formatToParts(date);
+        const part = type => Number(parts.find(p => p.type === type).value);
+        const wall = Date.UTC(
+          part('year'),
+          part('month') - 1,
+          part('day'),
+          part('hour'),
+          part('minute'),
+          part('second')
         );
-
-        const offset = (tzDate.getTime() - date.getTime()) / (1000 * 60);
-        this.offsetCache.set(cacheKey, -offset);
-        this._manageCacheSize();
-        return -offset;
+        offset = (date.getTime() - date.getUTCMilliseconds() - wall) / MINUTE_MS;
       } catch (e) {
         // Fallback to database calculation
       }
     }
 
-    // Fallback: Use timezone database
+    if (offset === null) {
+      offset = 0 - this._getDatabaseOffset(date, timezone);
+    }
+
+    this.offsetCache.set(cacheKey, offset);
+    this._manageCacheSize();
+    return offset;
+  }
+
+  /**
+   * Offset without Intl: exact from the compiled tzdata, or else from the
+   * database's standard offset and current DST rule
+   * @private
+   * @returns {number} Minutes east of UTC
+   */
+  _getDatabaseOffset(date, timezone) {
+    const tzdataOffset = this.database.getOffset(timezone, date);
+    if (tzdataOffset !== null) {
+      return tzdataOffset;
+    }
+
     const tzData = this.database.getTimezone(timezone);
     if (!tzData) {
       throw new Error(`Unknown timezone: ${timezone}`);
@@ -166,13 +303,13 @@ export class TimezoneManager {
       offset += tzData.dst.offset;
     }
 
-    this.offsetCache.set(cacheKey, offset);
-    this._manageCacheSize();
     return offset;
   }
 
   /**
-   * Check if date is in DST for given timezone
+   * Check if date is in DST for given timezone. Without a rule the compiled
+   * tzdata answers exactly, including negative DST such as Europe/Dublin's;
+   * without tzdata the offsets from Intl do, as getTimezoneOffset uses them
    * @param {Date} date - Date to check
    * @param {string} timezone - Timezone identifier
    * @param {Object} [dstRule] - DST rule object (optional, will fetch if not provided)
@@ -181,6 +318,12 @@ export class TimezoneManager {
   isDST(date, timezone, dstRule = null) {
     // Get DST rule if not provided
     if (!dstRule) {
+      const type = this.database.getLocalTimeType(timezone, date);
+      if (type) return type.dst;
+
+      const fromOffsets = this._isDSTFromOffsets(date, timezone);
+      if (fromOffsets !== null) return fromOffsets;
+
       const tzData = this.database.getTimezone(timezone);
       if (!tzData || !tzData.dst) return false;
       dstRule = tzData.dst;
@@ -208,6 +351,121 @@ export class TimezoneManager {
     return date >= dstStart && date < dstEnd;
   }
 
+  /**
+   * Whether an instant is in DST judged by the Intl offsets: ahead of the
+   * year's standard offset, the smaller of its January and July offsets.
+   * Null where Intl does not know the timezone
+   * @private
+   */
+  _isDSTFromOffsets(date, timezone) {
+    if (!this.useIntl) return null;
+    try {
+      this._getFormatter(this.database.resolveAlias(timezone));
+    } catch (e) {
+      return null;
+    }
+
+    const year = date.getUTCFullYear();
+    const standard = Math.max(
+      this.getTimezoneOffset(new Date(Date.UTC(year, 0, 1)), timezone),
+      this.getTimezoneOffset(new Date(Date.UTC(year, 6, 1)), timezone)
+    );
+    return this.getTimezoneOffset(date, timezone) < standard;
+  }
+
+  /**
+   * Offset transitions of a timezone between two instants, such as DST
+   * changes, exact from the compiled tzdata when loaded and found through
+   * Intl otherwise. Offsets are minutes behind UTC, as with Date#getTimezoneOffset.
+   * Through Intl, `abbreviation` is Intl's short name, which for some zones is
+   * a GMT offset such as 'GMT+1', and `isDST` compares with the year's standard offset
+   * @param {string} timezone - IANA timezone
+   * @param {Date} start - Start of the range (inclusive)
+   * @param {Date} end - End of the range (exclusive)
+   * @returns {Array<{date: Date, oldOffset: number, newOffset: number, abbreviation: string|null, isDST: boolean|null, type: 'spring-forward'|'fall-back'}>}
+   *   Transitions in order; `date` is the first instant with the new offset,
+   *   `abbreviation` and `isDST` describe the time from then on
+   */
+  getTransitions(timezone, start, end) {
+    const changes = this.database.getTransitions(timezone, start, end);
+    if (!changes) {
+      return this._scanTransitions(timezone, start, end);
+    }
+
+    return changes.map(({ time, from, to }) => ({
+      date: new Date(time),
+      oldOffset: 0 - from.offset,
+      newOffset: 0 - to.offset,
+      abbreviation: to.abbreviation,
+      isDST: to.dst,
+      type: to.offset > from.offset ? 'spring-forward' : 'fall-back'
+    }));
+  }
+
+  /**
+   * Transitions for zones Intl knows but the loaded tzdata does not,
+   * found by checking the offset each day and narrowing down to the minute
+   * @private
+   */
+  _scanTransitions(timezone, start, end) {
+    const offsetAt = time => {
+      const fields = this._getFormatter(timezone).formatToParts(new Date(time));
+      const part = type => Number(fields.find(p => p.type === type).value);
+      const wall = Date.UTC(
+        part('year'),
+        part('month') - 1,
+        part('day'),
+        part('hour'),
+        part('minute'),
+        part('second')
+      );
+      return (wall - (time - (time % 1000))) / MINUTE_MS;
+    };
+
+    const transitions = [];
+    // A minute early, so a change right at the start is found too
+    let current = start.getTime() - MINUTE_MS;
+    let lastOffset;
+    try {
+      if (!this.useIntl) throw new Error('No Intl timezone support');
+      lastOffset = offsetAt(current);
+    } catch (e) {
+      throw new Error(`Unknown timezone: ${timezone}`);
+    }
+    while (current < end.getTime()) {
+      const next = Math.min(current + DAY_MS, end.getTime());
+      const offset = offsetAt(next);
+
+      if (offset !== lastOffset) {
+        let low = current;
+        let high = next;
+        while (high - low > MINUTE_MS) {
+          const mid = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+          if (offsetAt(mid) === lastOffset) {
+            low = mid;
+          } else {
+            high = mid;
+          }
+        }
+
+        if (high < end.getTime()) {
+          transitions.push({
+            date: new Date(high),
+            oldOffset: 0 - lastOffset,
+            newOffset: 0 - offset,
+            abbreviation: this._getAbbreviation(new Date(high), timezone),
+            isDST: this._isDSTFromOffsets(new Date(high), timezone),
+            type: offset > lastOffset ? 'spring-forward' : 'fall-back'
+          });
+        }
+      }
+
+      lastOffset = offset;
+      current = next;
+    }
+    return transitions;
+  }
+
   /**
    * Get nth weekday of month
    * @private
@@ -358,18 +616,20 @@ export class TimezoneManager {
   parseTimezone(tzString) {
     if (!tzString) return 'UTC';
 
-    // Check if it's already an IANA identifier
-    if (Object.prototype.hasOwnProperty.call(this.database.timezones, tzString)) {
-      return tzString;
+    // Check abbreviations and other aliases
+    const { aliases } = this.database;
+    for (const alias of [tzString, tzString.toUpperCase()]) {
+      if (Object.prototype.hasOwnProperty.call(aliases, alias)) {
+        return aliases[alias];
+      }
     }
 
-    // Check abbreviations
-    const upperTz = tzString.toUpperCase();
+    // Check if it's already an IANA identifier
     if (
-      this.database.abbreviations &&
-      Object.prototype.hasOwnProperty.call(this.database.abbreviations, upperTz)
+      Object.prototype.hasOwnProperty.call(this.database.timezones, tzString) ||
+      this.database.transitions.has(tzString)
     ) {
-      return this.database.abbreviations[upperTz];
+      return tzString;
     }
 
     // Try to parse offset format (e.g., "+05:30", "-08:00")
@@ -423,6 +683,14 @@ export class TimezoneManager {
     return this.database.isValidTimezone(timezone);
   }
 
+  /**
+   * Release of the loaded IANA tzdata
+   * @returns {string|null} tzdata version, e.g. '2025b', or null if not loaded
+   */
+  getTzdataVersion() {
+    return this.database.tzdataVersion;
+  }
+
   /**
    * Get cache statistics
    * @returns {Object} Cache stats
@@ -443,6 +711,97 @@ export class TimezoneManager {
     };
   }
 
+  /**
+   * Offsets a day before and after a local time, which bracket any change
+   * affecting it
+   * @private
+   */
+  _getSurroundingOffsets(wall, timezone) {
+    return {
+      before: this.getTimezoneOffset(new Date(wall - DAY_MS), timezone),
+      after: this.getTimezoneOffset(new Date(wall + DAY_MS), timezone)
+    };
+  }
+
+  /**
+   * Wall-clock fields of a local time as milliseconds, read as if they were
+   * UTC, so offsets apply to them without the host timezone getting in
+   * @private
+   */
+  _getWallTime(date) {
+    if (!(date instanceof Date)) {
+      const { year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 } = date;
+      return Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+    }
+    return Date.UTC(
+      date.getFullYear(),
+      date.getMonth(),
+      date.getDate(),
+      date.getHours(),
+      date.getMinutes(),
+      date.getSeconds(),
+      date.getMilliseconds()
+    );
+  }
+
+  /**
+   * Wall-clock Date whose local fields are those of a wall time from
+   * _getWallTime
+   * @private
+   */
+  _toWallDate(wall) {
+    const fields = new Date(wall);
+    return new Date(
+      fields.getUTCFullYear(),
+      fields.getUTCMonth(),
+      fields.getUTCDate(),
+      fields.getUTCHours(),
+      fields.getUTCMinutes(),
+      fields.getUTCSeconds(),
+      fields.getUTCMilliseconds()
+    );
+  }
+
+  /**
+   * Local time as YYYY-MM-DDTHH:MM:SS for error messages
+   * @private
+   */
+  _formatLocal(date) {
+    return new Date(this._getWallTime(date)).toISOString().slice(0, 19);
+  }
+
+  /**
+   * Short name of the time in a timezone at an instant, as Intl gives it
+   * @private
+   */
+  _getAbbreviation(date, timezone) {
+    const parts = this._getFormatter(timezone).formatToParts(date);
+    return parts.find(p => p.type === 'timeZoneName').value;
+  }
+
+  /**
+   * Get a reusable formatter that splits an instant into fields in a timezone
+   * @private
+   */
+  _getFormatter(timezone) {
+    let formatter = this.formatterCache.get(timezone);
+    if (!formatter) {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23',
+        timeZoneName: 'short'
+      });
+      this.formatterCache.set(timezone, formatter);
+    }
+    return formatter;
+  }
+
   /**
    * Manage cache size - evict old entries if needed
    * @private
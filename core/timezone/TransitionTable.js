@@ -0,0 +1,312 @@
+/**
+ * TransitionTable - UTC offset lookups from compiled IANA tzdata
+ * Reads the compact table written by scripts/generate-tzdata.js: for each
+ * zone the local time types in effect (offset, abbreviation, DST), the
+ * instants they change, and the POSIX TZ rule that continues the pattern
+ * after the last listed change. Needs no Intl timezone support, so it
+ * works where Locker Service limits Intl
+ */
+
+const SECOND_MS = 1000;
+
+/**
+ * Read a signed base-36 integer
+ */
+function decodeInt(value) {
+  return value[0] === '-' ? -parseInt(value.slice(1), 36) : parseInt(value, 36);
+}
+
+/**
+ * Seconds of a POSIX [+-]hh[:mm[:ss]] value
+ */
+function parseTime(value) {
+  const sign = value[0] === '-' ? -1 : 1;
+  const [hours, minutes = 0, seconds = 0] = value.replace(/^[+-]/, '').split(':').map(Number);
+  return sign * (hours * 3600 + minutes * 60 + seconds);
+}
+
+/**
+ * Parse a POSIX date rule (Mm.w.d, Jn or n) with its optional /time
+ */
+function parseDateRule(value) {
+  const [date, time] = value.split('/');
+  const rule = { time: time === undefined ? 7200 : parseTime(time) };
+
+  let match = date.match(/^M(\d+)\.(\d)\.(\d)$/);
+  if (match) {
+    return { ...rule, month: Number(match[1]), week: Number(match[2]), day: Number(match[3]) };
+  }
+  match = date.match(/^(J?)(\d+)$/);
+  if (match) {
+    return { ...rule, julian: match[1] === 'J', dayOfYear: Number(match[2]) };
+  }
+  throw new Error(`Invalid POSIX TZ date rule: ${value}`);
+}
+
+/**
+ * Local time type from its encoded form offset:abbreviation[:d]
+ */
+function decodeType(value) {
+  const [offset, abbreviation, dst] = value.split(':');
+  return { offset: decodeInt(offset), abbreviation, dst: dst === 'd' };
+}
+
+/**
+ * Start of the day a POSIX date rule falls on in a year, as a UTC timestamp
+ * of the local date
+ */
+function ruleDate(rule, year) {
+  if (rule.month) {
+    const first = new Date(Date.UTC(year, rule.month - 1, 1)).getUTCDay();
+    let day = 1 + ((rule.day - first + 7) % 7) + (rule.week - 1) * 7;
+    // Week 5 is the last such weekday of the month
+    const lastDay = new Date(Date.UTC(year, rule.month, 0)).getUTCDate();
+    while (day > lastDay) day -= 7;
+    return Date.UTC(year, rule.month - 1, day);
+  }
+
+  // Jn counts 1-365 and never includes February 29; n counts from 0 and does
+  let dayIndex = rule.dayOfYear;
+  if (rule.julian) {
+    const isLeap = new Date(Date.UTC(year, 1, 29)).getUTCMonth() === 1;
+    dayIndex = dayIndex - 1 + (isLeap && dayIndex >= 60 ? 1 : 0);
+  }
+  return Date.UTC(year, 0, 1 + dayIndex);
+}
+
+/**
+ * Instants a POSIX rule changes to and from DST in a year. The change to
+ * DST happens in standard time, the change back in DST
+ */
+function ruleChanges(rule, year) {
+  return {
+    start: ruleDate(rule.start, year) + (rule.start.time - rule.std) * SECOND_MS,
+    end: ruleDate(rule.end, year) + (rule.end.time - rule.dst) * SECOND_MS
+  };
+}
+
+export class TransitionTable {
+  /**
+   * Create a table from generated tzdata
+   * @param {{version: string, startYear: number, zones: Object<string, string>, links: Object<string, string>}} data
+   */
+  constructor(data) {
+    this.version = data.version;
+    this.startYear = data.startYear;
+    this.zones = data.zones;
+    this.links = data.links;
+
+    // Zones are decoded the first time they are used
+    this.decoded = new Map();
+  }
+
+  /**
+   * Parse a POSIX TZ string such as EST5EDT,M3.2.0,M11.1.0. Offsets are
+   * returned in seconds east of UTC; POSIX writes them the other way round
+   * @param {string} value - POSIX TZ string
+   * @returns {{std: number, dst: number|null, stdName: string, dstName: string|null, start: Object|null, end: Object|null}}
+   */
+  static parsePosixRule(value) {
+    const name = '(<[^>]*>|[A-Za-z]{3,})';
+    const offset = '([+-]?\\d{1,3}(?::\\d{2}){0,2})';
+    const match = value.match(
+      new RegExp(`^${name}${offset}(?:${name}${offset}?(?:,(.+),(.+))?)?$`)
+    );
+    if (!match) {
+      throw new Error(`Invalid POSIX TZ string: ${value}`);
+    }
+
+    const [, stdName, stdOffset, dstName, dstOffset, start, end] = match;
+    const std = -parseTime(stdOffset);
+    const unquote = abbreviation => abbreviation.replace(/^<|>$/g, '');
+    if (!dstName) {
+      return { std, dst: null, stdName: unquote(stdName), dstName: null, start: null, end: null };
+    }
+
+    return {
+      std,
+      dst: dstOffset ? -parseTime(dstOffset) : std + 3600,
+      stdName: unquote(stdName),
+      dstName: unquote(dstName),
+      // POSIX leaves the dates to the implementation; use the current US rule
+      start: parseDateRule(start || 'M3.2.0'),
+      end: parseDateRule(end || 'M11.1.0')
+    };
+  }
+
+  /**
+   * Offset a parsed POSIX rule gives at an instant
+   * @param {Object} rule - Result of parsePosixRule
+   * @param {number} time - Epoch milliseconds
+   * @returns {number} Offset in seconds east of UTC
+   */
+  static getRuleOffset(rule, time) {
+    return TransitionTable.getRuleType(rule, time).offset;
+  }
+
+  /**
+   * Local time type a parsed POSIX rule gives at an instant
+   * @param {Object} rule - Result of parsePosixRule
+   * @param {number} time - Epoch milliseconds
+   * @returns {{offset: number, abbreviation: string, dst: boolean}} Offset in seconds east of UTC
+   */
+  static getRuleType(rule, time) {
+    const std = { offset: rule.std, abbreviation: rule.stdName, dst: false };
+    if (rule.dst === null) {
+      return std;
+    }
+
+    const year = new Date(time + rule.std * SECOND_MS).getUTCFullYear();
+    const { start, end } = ruleChanges(rule, year);
+    const inDST = start < end ? time >= start && time < end : time >= start || time < end;
+    return inDST ? { offset: rule.dst, abbreviation: rule.dstName, dst: true } : std;
+  }
+
+  /**
+   * Canonical zone name for a zone or link, or null if not in the table
+   * @param {string} timezone - IANA timezone
+   * @returns {string|null}
+   */
+  resolve(timezone) {
+    if (this.zones[timezone] !== undefined) return timezone;
+    const target = this.links[timezone];
+    return target && this.zones[target] !== undefined ? target : null;
+  }
+
+  /**
+   * Check if the table has a zone or link
+   * @param {string} timezone - IANA timezone
+   * @returns {boolean}
+   */
+  has(timezone) {
+    return this.resolve(timezone) !== null;
+  }
+
+  /**
+   * Offset in effect at an instant
+   * @param {string} timezone - IANA timezone
+   * @param {Date|number} date - The instant
+   * @returns {number|null} Minutes east of UTC, or null if the zone is unknown
+   */
+  getOffset(timezone, date) {
+    const type = this.getType(timezone, date);
+    return type ? type.offset : null;
+  }
+
+  /**
+   * Local time type in effect at an instant
+   * @param {string} timezone - IANA timezone
+   * @param {Date|number} date - The instant
+   * @returns {{offset: number, abbreviation: string, dst: boolean}|null} Offset in minutes
+   *   east of UTC, or null if the zone is unknown
+   */
+  getType(timezone, date) {
+    const zone = this.getZone(timezone);
+    if (!zone) return null;
+
+    const type = this._typeAt(zone, date instanceof Date ? date.getTime() : date);
+    return { ...type, offset: type.offset / 60 };
+  }
+
+  /**
+   * Offset changes between two instants, including those the POSIX rule
+   * adds after the last listed change. Changes of abbreviation or DST flag
+   * alone are left out
+   * @param {string} timezone - IANA timezone
+   * @param {Date|number} start - Start of the range (inclusive)
+   * @param {Date|number} end - End of the range (exclusive)
+   * @returns {Array<{time: number, from: Object, to: Object}>|null} Changes in order, with
+   *   the local time types before and after (offsets in minutes east of UTC), or null if
+   *   the zone is unknown
+   */
+  getTransitions(timezone, start, end) {
+    const zone = this.getZone(timezone);
+    if (!zone) return null;
+
+    const from = start instanceof Date ? start.getTime() : start;
+    const to = end instanceof Date ? end.getTime() : end;
+    const { times, rule } = zone;
+
+    const candidates = times.filter(time => time >= from && time < to);
+    const last = times.length ? times[times.length - 1] : -Infinity;
+    if (rule && rule.dst !== null && to > last) {
+      const firstYear = new Date(Math.max(from, last)).getUTCFullYear() - 1;
+      const lastYear = new Date(to).getUTCFullYear() + 1;
+      for (let year = firstYear; year <= lastYear; year++) {
+        const changes = ruleChanges(rule, year);
+        for (const time of [changes.start, changes.end]) {
+          if (time > last && time >= from && time < to) candidates.push(time);
+        }
+      }
+    }
+
+    const toMinutes = type => ({ ...type, offset: type.offset / 60 });
+    return candidates
+      .sort((a, b) => a - b)
+      .map(time => ({
+        time,
+        from: toMinutes(this._typeAt(zone, time - 1)),
+        to: toMinutes(this._typeAt(zone, time))
+      }))
+      .filter(change => change.from.offset !== change.to.offset);
+  }
+
+  /**
+   * Decoded zone: `times` are the instants the local time type changes
+   * (epoch ms), `types[0]` is the type before the first change and
+   * `types[i + 1]` the type from `times[i]`, with offsets in seconds east
+   * of UTC. After the last change `rule` applies
+   * @param {string} timezone - IANA timezone
+   * @returns {{times: number[], types: Array<{offset: number, abbreviation: string, dst: boolean}>, rule: Object|null}|null}
+   */
+  getZone(timezone) {
+    const name = this.resolve(timezone);
+    if (!name) return null;
+
+    if (!this.decoded.has(name)) {
+      // types|type index per period|first change and deltas|POSIX rule
+      const [typeList, indices, changes, posix] = this.zones[name].split('|');
+      const typeValues = typeList.split(' ').map(decodeType);
+
+      const times = [];
+      let time = 0;
+      for (const [i, value] of (changes ? changes.split(' ') : []).entries()) {
+        time = i === 0 ? decodeInt(value) : time + decodeInt(value);
+        times.push(time * SECOND_MS);
+      }
+
+      this.decoded.set(name, {
+        times,
+        types: [...indices].map(index => typeValues[parseInt(index, 36)]),
+        rule: posix ? TransitionTable.parsePosixRule(posix) : null
+      });
+    }
+    return this.decoded.get(name);
+  }
+
+  /**
+   * Local time type of a decoded zone at an instant, offset in seconds
+   * @private
+   */
+  _typeAt(zone, time) {
+    const { times, types, rule } = zone;
+
+    // Last change at or before the instant
+    let low = 0;
+    let high = times.length - 1;
+    let index = -1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (times[middle] <= time) {
+        index = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return index === times.length - 1 && rule
+      ? TransitionTable.getRuleType(rule, time)
+      : types[index + 1];
+  }
+}
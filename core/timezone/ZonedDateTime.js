@@ -0,0 +1,353 @@
+/**
+ * ZonedDateTime - Immutable date and time in an IANA timezone
+ * Holds the wall-clock fields, the timezone and the exact instant together,
+ * so the fields are always the ones shown in that timezone and the instant
+ * is always the real one. Unlike a Date from DateUtils.toTimeZone, the
+ * epoch is never shifted
+ */
+
+import { TimezoneManager } from './TimezoneManager.js';
+import { PlainDate } from './PlainDate.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Timezones already checked
+const validTimeZones = new Set();
+
+// YYYY-MM-DDTHH:MM[:SS[.mmm]][Z|±HH:MM][[Zone]]
+const ISO_DATE_TIME =
+  /^([+-]\d{6}|\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?(Z|[+-]\d{2}:?\d{2})?(?:\[([^\]]+)\])?$/i;
+
+export class ZonedDateTime {
+  /**
+   * Create a ZonedDateTime for an instant
+   * @param {number} epochMilliseconds - The instant, in milliseconds since the epoch
+   * @param {string} timeZone - IANA timezone
+   * @throws {Error} If the instant or timezone is invalid
+   */
+  constructor(epochMilliseconds, timeZone) {
+    if (!Number.isFinite(epochMilliseconds)) {
+      throw new Error('Invalid instant');
+    }
+    const timezoneManager = TimezoneManager.getInstance();
+    if (!validTimeZones.has(timeZone)) {
+      if (!timezoneManager.isValidTimezone(timeZone)) {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone });
+        } catch (e) {
+          throw new Error(`Invalid timezone: ${timeZone}`);
+        }
+      }
+      validTimeZones.add(timeZone);
+    }
+
+    // Minutes ahead of UTC, as in ISO 8601 (TimezoneManager counts the other way)
+    const offsetMinutes =
+      0 - timezoneManager.getTimezoneOffset(new Date(epochMilliseconds), timeZone);
+    // The wall-clock fields, read in UTC so the host timezone plays no part
+    const wall = new Date(epochMilliseconds + offsetMinutes * MINUTE_MS);
+
+    this.year = wall.getUTCFullYear();
+    this.month = wall.getUTCMonth() + 1;
+    this.day = wall.getUTCDate();
+    this.hour = wall.getUTCHours();
+    this.minute = wall.getUTCMinutes();
+    this.second = wall.getUTCSeconds();
+    this.millisecond = wall.getUTCMilliseconds();
+    this.timeZone = timeZone;
+    this.epochMilliseconds = epochMilliseconds;
+    this.offsetMinutes = Math.round(offsetMinutes);
+    Object.freeze(this);
+  }
+
+  /**
+   * Create a ZonedDateTime from another ZonedDateTime, an ISO 8601 string
+   * or wall-clock fields. Strings may carry an offset, a bracketed zone
+   * (2025-03-30T10:00+02:00[Europe/Paris]) or both; without an offset the
+   * time is read as wall-clock time in the zone
+   * @param {ZonedDateTime|string|{year: number, month: number, day: number, hour?: number, minute?: number, second?: number, millisecond?: number, timeZone?: string}} value
+   * @param {string} [timeZone] - Timezone when the value does not name one
+   * @param {{disambiguation?: 'compatible'|'earlier'|'later'|'reject'}} [options] - How to
+   *   resolve a wall-clock time skipped or repeated by a DST change (see TimezoneManager#toUTC)
+   * @returns {ZonedDateTime}
+   */
+  static from(value, timeZone, options = {}) {
+    if (value instanceof ZonedDateTime) {
+      return timeZone ? value.withTimeZone(timeZone) : value;
+    }
+
+    if (typeof value === 'string') {
+      const match = value.match(ISO_DATE_TIME);
+      if (!match) {
+        throw new Error(`Invalid ZonedDateTime string: ${value}`);
+      }
+      const [, year, month, day, hour, minute, second, fraction, offset, zone] = match;
+      const fields = {
+        year: Number(year),
+        month: Number(month),
+        day: Number(day),
+        hour: Number(hour),
+        minute: Number(minute),
+        second: Number(second || 0),
+        millisecond: Number((fraction || '0').padEnd(3, '0')),
+        timeZone: zone || timeZone || (offset ? 'UTC' : null)
+      };
+      if (!offset) {
+        return ZonedDateTime.from(fields, null, options);
+      }
+
+      const offsetMinutes =
+        offset.toUpperCase() === 'Z'
+          ? 0
+          : (offset[0] === '-' ? -1 : 1) *
+            (Number(offset.slice(1, 3)) * 60 + Number(offset.slice(-2)));
+      const wall = Date.UTC(
+        fields.year,
+        fields.month - 1,
+        fields.day,
+        fields.hour,
+        fields.minute,
+        fields.second,
+        fields.millisecond
+      );
+      return new ZonedDateTime(wall - offsetMinutes * MINUTE_MS, fields.timeZone);
+    }
+
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      const zone = value.timeZone || timeZone;
+      if (!zone) {
+        throw new Error('ZonedDateTime requires a timeZone');
+      }
+      const date = PlainDate.from(value);
+      // Resolved from the fields, so a time the host timezone skips still works
+      const instant = TimezoneManager.getInstance().toUTC(
+        {
+          year: date.year,
+          month: date.month,
+          day: date.day,
+          hour: value.hour || 0,
+          minute: value.minute || 0,
+          second: value.second || 0,
+          millisecond: value.millisecond || 0
+        },
+        zone,
+        options
+      );
+      return new ZonedDateTime(instant.getTime(), zone);
+    }
+
+    throw new Error(`Cannot convert ${value} to a ZonedDateTime; use fromInstant or fromDate`);
+  }
+
+  /**
+   * Compatibility: create a ZonedDateTime from a wall-clock Date, the form
+   * Event#start and the calendar views use, whose local fields hold the
+   * time in `timeZone`
+   * @param {Date} wallDate - Wall-clock date
+   * @param {string} timeZone - IANA timezone the fields are in
+   * @param {{disambiguation?: 'compatible'|'earlier'|'later'|'reject'}} [options]
+   * @returns {ZonedDateTime}
+   */
+  static fromDate(wallDate, timeZone, options = {}) {
+    if (!(wallDate instanceof Date) || isNaN(wallDate.getTime())) {
+      throw new Error('Invalid date');
+    }
+    const instant = TimezoneManager.getInstance().toUTC(wallDate, timeZone, options);
+    return new ZonedDateTime(instant.getTime(), timeZone);
+  }
+
+  /**
+   * Create a ZonedDateTime for an exact instant, such as Event#startUTC or
+   * Date.now()
+   * @param {Date|number} instant - Date or epoch milliseconds
+   * @param {string} timeZone - IANA timezone
+   * @returns {ZonedDateTime}
+   */
+  static fromInstant(instant, timeZone) {
+    return new ZonedDateTime(instant instanceof Date ? instant.getTime() : instant, timeZone);
+  }
+
+  /**
+   * The current time in a timezone
+   * @param {string} timeZone - IANA timezone
+   * @returns {ZonedDateTime}
+   */
+  static now(timeZone) {
+    return new ZonedDateTime(Date.now(), timeZone);
+  }
+
+  /**
+   * Compare the instants of two values
+   * @param {ZonedDateTime} a
+   * @param {ZonedDateTime} b
+   * @returns {number} -1, 0 or 1
+   */
+  static compare(a, b) {
+    return Math.sign(a.epochMilliseconds - b.epochMilliseconds);
+  }
+
+  /**
+   * Day of the week, 0 = Sunday as with Date#getDay
+   * @returns {number}
+   */
+  get dayOfWeek() {
+    return this.toPlainDate().dayOfWeek;
+  }
+
+  /**
+   * Offset from UTC as ±HH:MM
+   * @returns {string}
+   */
+  get offset() {
+    const minutes = Math.abs(this.offsetMinutes);
+    const sign = this.offsetMinutes < 0 ? '-' : '+';
+    return `${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * The same instant in another timezone
+   * @param {string} timeZone - IANA timezone
+   * @returns {ZonedDateTime}
+   */
+  withTimeZone(timeZone) {
+    return new ZonedDateTime(this.epochMilliseconds, timeZone);
+  }
+
+  /**
+   * Replace wall-clock fields, keeping the timezone
+   * @param {{year?: number, month?: number, day?: number, hour?: number, minute?: number, second?: number, millisecond?: number}} fields
+   * @returns {ZonedDateTime}
+   */
+  with(fields) {
+    return ZonedDateTime.from({
+      year: this.year,
+      month: this.month,
+      day: this.day,
+      hour: this.hour,
+      minute: this.minute,
+      second: this.second,
+      millisecond: this.millisecond,
+      ...fields,
+      timeZone: this.timeZone
+    });
+  }
+
+  /**
+   * Add a duration. Years, months, weeks and days move the wall-clock date
+   * and keep the time of day across DST changes; hours and smaller units
+   * are exact elapsed time
+   * @param {{years?: number, months?: number, weeks?: number, days?: number, hours?: number, minutes?: number, seconds?: number, milliseconds?: number}} duration
+   * @returns {ZonedDateTime}
+   */
+  add({
+    years = 0,
+    months = 0,
+    weeks = 0,
+    days = 0,
+    hours = 0,
+    minutes = 0,
+    seconds = 0,
+    milliseconds = 0
+  } = {}) {
+    let result = this;
+    if (years || months || weeks || days) {
+      const date = this.toPlainDate().add({ years, months, weeks, days });
+      result = this.with({ year: date.year, month: date.month, day: date.day });
+    }
+
+    const elapsed = hours * HOUR_MS + minutes * MINUTE_MS + seconds * 1000 + milliseconds;
+    return elapsed ? new ZonedDateTime(result.epochMilliseconds + elapsed, this.timeZone) : result;
+  }
+
+  /**
+   * Start of the day in this timezone
+   * @returns {ZonedDateTime}
+   */
+  startOfDay() {
+    return this.toPlainDate().toZonedDateTime(this.timeZone);
+  }
+
+  /**
+   * Check if two values are the same instant in the same timezone
+   * @param {ZonedDateTime} other
+   * @returns {boolean}
+   */
+  equals(other) {
+    return (
+      other instanceof ZonedDateTime &&
+      other.epochMilliseconds === this.epochMilliseconds &&
+      other.timeZone === this.timeZone
+    );
+  }
+
+  /**
+   * The calendar date in this timezone
+   * @returns {PlainDate}
+   */
+  toPlainDate() {
+    return new PlainDate(this.year, this.month, this.day);
+  }
+
+  /**
+   * The exact instant as a Date
+   * @returns {Date}
+   */
+  toInstant() {
+    return new Date(this.epochMilliseconds);
+  }
+
+  /**
+   * Compatibility: the wall-clock Date that Event#start and the calendar
+   * views use, whose local fields hold the time in this timezone. Its epoch
+   * is not the instant; use toInstant() for that
+   * @returns {Date}
+   */
+  toDate() {
+    return new Date(
+      this.year,
+      this.month - 1,
+      this.day,
+      this.hour,
+      this.minute,
+      this.second,
+      this.millisecond
+    );
+  }
+
+  /**
+   * Format with Intl in this timezone
+   * @param {string} [locale='en-US'] - Locale identifier
+   * @param {Intl.DateTimeFormatOptions} [options={}] - Formatting options
+   * @returns {string}
+   */
+  toLocaleString(locale = 'en-US', options = {}) {
+    return new Date(this.epochMilliseconds).toLocaleString(locale, {
+      ...options,
+      timeZone: this.timeZone
+    });
+  }
+
+  /**
+   * ISO 8601 string with offset and zone, e.g. 2025-03-30T10:00:00+02:00[Europe/Paris]
+   * @returns {string}
+   */
+  toString() {
+    const pad = value => String(value).padStart(2, '0');
+    const time = `${pad(this.hour)}:${pad(this.minute)}:${pad(this.second)}`;
+    const fraction = this.millisecond ? `.${String(this.millisecond).padStart(3, '0')}` : '';
+    return `${this.toPlainDate()}T${time}${fraction}${this.offset}[${this.timeZone}]`;
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+
+  /**
+   * Comparing with < or > would compare strings, so that is refused
+   * @throws {Error}
+   */
+  valueOf() {
+    throw new Error('Use ZonedDateTime.compare() or equals() to compare date-times');
+  }
+}
@@ -0,0 +1,861 @@
+/**
+ * IANA tzdata 2025b local time changes from 1970
+ * Generated by scripts/generate-tzdata.js, do not edit
+ */
+
+export const TZDATA = {
+  version: '2025b',
+  startYear: 1970,
+  zones: {
+    'Africa/Abidjan': '0:GMT|0||GMT0',
+    'Africa/Accra': '0:GMT|0||GMT0',
+    'Africa/Addis_Ababa': '8c0:EAT|0||EAT-3',
+    'Africa/Algiers':
+      '0:WET 2s0:WEST:d 2s0:CET 5k0:CEST:d|01012320102|oot80 7x6o0 2xco40 8n180 7x9g0 9d440 kiqg0 9d440 9q2s0 9cyk0|CET-1',
+    'Africa/Asmara': '8c0:EAT|0||EAT-3',
+    'Africa/Bamako': '0:GMT|0||GMT0',
+    'Africa/Bangui': '2s0:WAT|0||WAT-1',
+    'Africa/Banjul': '0:GMT|0||GMT0',
+    'Africa/Bissau': '-2s0:-01 0:GMT|01|2lxk40|GMT0',
+    'Africa/Blantyre': '5k0:CAT|0||CAT-2',
+    'Africa/Brazzaville': '2s0:WAT|0||WAT-1',
+    'Africa/Bujumbura': '5k0:CAT|0||CAT-2',
+    'Africa/Cairo':
+      '5k0:EET 8c0:EEST:d|010101010101010101010101010101010101010101010101010101010101010101010101010101010101010101|66580 7ves0 awik0 7ves0 ayd80 7ves0 awik0 7ves0 awik0 7ves0 awik0 7ves0 ayd80 7ves0 awik0 7ves0 awik0 7ves0 awik0 7ves0 ayd80 7ves0 awik0 7ves0 f9x80 3i040 eluk0 462s0 ayd80 7ves0 awik0 7ves0 awik0 7ves0 awik0 7ves0 ayd80 7ves0 b5rw0 7m5g0 awik0 7ves0 awik0 7ves0 ayd80 7ves0 awik0 7ves0 awik0 7ves0 aqvs0 7x3w0 asys0 7x3w0 asys0 7x3w0 asys0 7x3w0 b5xg0 7x3w0 asys0 7x3w0 asys0 7x3w0 asys0 7x3w0 asys0 7x3w0 b5xg0 7x3w0 asys0 7x3w0 asys0 7k580 b5xg0 6u7w0 bvus0 6h980 c8tg0 64ak0 cyqs0 5anw0 1jms0 12t80 1w22s0 25p80 1sw40 2vmk0 4hbhg0|EET-2EEST,M4.5.5/0,M10.5.4/24',
+    'Africa/Casablanca':
+      '0:+00 2s0:+01:d 2s0:+01 0:+00:d|010101010201010101010101010101010101010101010123232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232|2c3s00 3jp80 va040 4qak0 e1ms0 7pp80 cnms0 3afw0 2xi840 xqqk0 bp56s0 4qak0 e1ms0 45x80 d2g40 51ek0 c8tg0 64ak0 e1sc0 47uo0 1leo0 23xc0 asw00 3lmo0 1qyo0 40g00 7x6o0 4mo00 1stc0 4deo0 7x6o0 3ylc0 1stc0 51hc0 7x6o0 3lmo0 1stc0 5reo0 7k800 2vpc0 25s00 64dc0 7k800 2iqo0 1stc0 6uao0 9q000 1stc0 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 1stc0 gkao0 1stc0 g7c00 25s00 g7c00 1stc0 gkao0 1stc0 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 1stc0 gkao0 1stc0 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 1stc0 gkao0 1stc0 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 1stc0 gkao0 1stc0 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 1stc0 gkao0 1stc0 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 1stc0 gkao0 1stc0 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 1stc0 gkao0 1stc0 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 1stc0 gkao0 1stc0 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 1stc0 gkao0 1stc0 g7c00 25s00 g7c00 1stc0 gkao0 1stc0 g7c00 25s00|<+01>-1',
+    'Africa/Ceuta':
+      '0:WET 2s0:WEST:d 2s0:CET 5k0:CEST:d|0101010102323232323232323232323|2c3s00 3jp80 va040 4qak0 e1ms0 7pp80 cnms0 3afw0 2xi840 129us0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    'Africa/Conakry': '0:GMT|0||GMT0',
+    'Africa/Dakar': '0:GMT|0||GMT0',
+    'Africa/Dar_es_Salaam': '8c0:EAT|0||EAT-3',
+    'Africa/Djibouti': '8c0:EAT|0||EAT-3',
+    'Africa/Douala': '2s0:WAT|0||WAT-1',
+    'Africa/El_Aaiun':
+      '-2s0:-01 0:+00 2s0:+01:d 2s0:+01 0:+00:d|012121212121212121212121212121212121212121234343434343434343434343434343434343434343434343434343434343434343434343434343434343434343434343434343434343434343434343434343434343434343434343|3a22s0 vek0 4qak0 e1ms0 7pp80 cnms0 3afw0 fke5g0 4qak0 e1ms0 45x80 d2g40 51ek0 c8tg0 64ak0 e1sc0 47uo0 1leo0 23xc0 asw00 3lmo0 1qyo0 40g00 7x6o0 4mo00 1stc0 4deo0 7x6o0 3ylc0 1stc0 51hc0 7x6o0 3lmo0 1stc0 5reo0 7k800 2vpc0 25s00 64dc0 7k800 2iqo0 1stc0 6uao0 9q000 1stc0 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 1stc0 gkao0 1stc0 g7c00 25s00 g7c00 1stc0 gkao0 1stc0 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 1stc0 gkao0 1stc0 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 1stc0 gkao0 1stc0 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 1stc0 gkao0 1stc0 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 1stc0 gkao0 1stc0 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 1stc0 gkao0 1stc0 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 1stc0 gkao0 1stc0 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 1stc0 gkao0 1stc0 g7c00 25s00 g7c00 1stc0 g7c00 25s00 g7c00 1stc0 gkao0 1stc0 g7c00 25s00 g7c00 1stc0 gkao0 1stc0 g7c00 25s00|<+01>-1',
+    'Africa/Freetown': '0:GMT|0||GMT0',
+    'Africa/Gaborone': '5k0:CAT|0||CAT-2',
+    'Africa/Harare': '5k0:CAT|0||CAT-2',
+    'Africa/Johannesburg': '5k0:SAST|0||SAST-2',
+    'Africa/Juba':
+      '5k0:CAT 8c0:CAST:d 8c0:EAT|01010101010101010101010101010101020|662g0 8l6k0 a4w40 8n180 a6qs0 8n180 a31g0 8ovw0 a16s0 8qqk0 9zc40 8sl80 9xhg0 8wak0 9ts40 8y580 a4w40 8n180 a31g0 8ovw0 a16s0 8sl80 9xhg0 8ufw0 9vms0 8wak0 9ts40 8y580 a4w40 8ovw0 a16s0 8qqk0 7frw40 azg180|CAT-2',
+    'Africa/Kampala': '8c0:EAT|0||EAT-3',
+    'Africa/Khartoum':
+      '5k0:CAT 8c0:CAST:d 8c0:EAT|01010101010101010101010101010101020|662g0 8l6k0 a4w40 8n180 a6qs0 8n180 a31g0 8ovw0 a16s0 8qqk0 9zc40 8sl80 9xhg0 8wak0 9ts40 8y580 a4w40 8n180 a31g0 8ovw0 a16s0 8sl80 9xhg0 8ufw0 9vms0 8wak0 9ts40 8y580 a4w40 8ovw0 a16s0 8qqk0 7frw40 9ac180|CAT-2',
+    'Africa/Kigali': '5k0:CAT|0||CAT-2',
+    'Africa/Kinshasa': '2s0:WAT|0||WAT-1',
+    'Africa/Lagos': '2s0:WAT|0||WAT-1',
+    'Africa/Libreville': '2s0:WAT|0||WAT-1',
+    'Africa/Lome': '0:GMT|0||GMT0',
+    'Africa/Luanda': '2s0:WAT|0||WAT-1',
+    'Africa/Lubumbashi': '5k0:CAT|0||CAT-2',
+    'Africa/Lusaka': '5k0:CAT|0||CAT-2',
+    'Africa/Malabo': '2s0:WAT|0||WAT-1',
+    'Africa/Maputo': '5k0:CAT|0||CAT-2',
+    'Africa/Maseru': '5k0:SAST|0||SAST-2',
+    'Africa/Mbabane': '5k0:SAST|0||SAST-2',
+    'Africa/Mogadishu': '8c0:EAT|0||EAT-3',
+    'Africa/Monrovia': '-226:MMT 0:GMT|01|11v0q6|GMT0',
+    'Africa/Nairobi': '8c0:EAT|0||EAT-3',
+    'Africa/Ndjamena': '2s0:WAT 5k0:WAST:d|010|53sl80 7iak0|WAT-1',
+    'Africa/Niamey': '2s0:WAT|0||WAT-1',
+    'Africa/Nouakchott': '0:GMT|0||GMT0',
+    'Africa/Ouagadougou': '0:GMT|0||GMT0',
+    'Africa/Porto-Novo': '2s0:WAT|0||WAT-1',
+    'Africa/Sao_Tome': '0:GMT 2s0:WAT|010|p1uqs0 irxc0|GMT0',
+    'Africa/Tripoli':
+      '5k0:EET 2s0:CET 5k0:CEST:d|0121212121212121210120120|69gig0 4mqs0 9et80 9d440 9et80 9eys0 9et80 9mdg0 95jw0 9io40 9cyk0 99es0 9et80 9eys0 9et80 9d440 9et80 b2840 3cf3w0 9kis0 9et80 7vqyw0 75eo0 asw00|EET-2',
+    'Africa/Tunis':
+      '2s0:CET 5k0:CEST:d|0101010101010101010|3tnh80 7k800 b9k00 7vc00 51mw00 5ytc0 9d1c0 9d1c0 b9k00 7thc0 7m0tc0 7tk40 93us0 b5uo0 7k800 b5uo0 7x6o0 asw00|CET-1',
+    'Africa/Windhoek':
+      '5k0:SAST 5k0:CAT 2s0:WAT:d|01212121212121212121212121212121212121212121212121|ajtx40 235k00 8lho0 ast80 7x9g0 b5rw0 7kas0 b5rw0 7x9g0 ast80 7x9g0 ast80 7x9g0 ast80 7x9g0 ast80 7x9g0 b5rw0 7kas0 b5rw0 7x9g0 ast80 7x9g0 ast80 7x9g0 ast80 7x9g0 ast80 7x9g0 b5rw0 7x9g0 ast80 7x9g0 ast80 7x9g0 ast80 7x9g0 ast80 7x9g0 b5rw0 7kas0 b5rw0 7x9g0 ast80 7x9g0 ast80 7x9g0 ast80 7x9g0|CAT-2',
+    'America/Adak':
+      '-uk0:BST -rs0:BDT:d -rs0:AHST -rs0:HST -p00:HDT:d|01010101010101010101010101012343434343434343434343434343434343434343434343434|5xys0 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 3lpg0 f4d80 64g40 clmk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 1l940 7rs80 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|HST10HDT,M3.2.0,M11.1.0',
+    'America/Anchorage':
+      '-rs0:AHST -p00:AHDT:d -p00:YST -p00:AKST -m80:AKDT:d|01010101010101010101010101012343434343434343434343434343434343434343434343434|5xw00 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 3lpg0 f4d80 64g40 clmk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 1l940 7rs80 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|AKST9AKDT,M3.2.0,M11.1.0',
+    'America/Anguilla': '-b40:AST|0||AST4',
+    'America/Antigua': '-b40:AST|0||AST4',
+    'America/Araguaina':
+      '-8c0:-03 -5k0:-02:d|01010101010101010101010101010|89jcc0 6u7w0 biw40 5rbw0 d0lg0 5ed80 cyqs0 5ed80 dbpg0 64ak0 2yl440 64ak0 c8tg0 6u7w0 bxpg0 7iak0 biw40 6u7w0 biw40 7k580 biw40 6u7w0 c8tg0 6h980 dbpg0 5ed80 51udg0 64ak0|<-03>3',
+    'America/Argentina/Buenos_Aires':
+      '-8c0:-03 -5k0:-02:d -8c0:-03:d|0101010101010201010|24aj00 51ek0 7m2qs0 4tzw0 biw40 776k0 bvus0 6u7w0 bvus0 6u7w0 bvus0 776k0 3fidg0 7thc0 430lc0 3yik0 b5xg0 7k580|<-03>3',
+    'America/Argentina/Catamarca':
+      '-8c0:-03 -5k0:-02:d -b40:-04 -8c0:-03:d|0101010121010302010|24aj00 51ek0 7m2qs0 4tzw0 biw40 776k0 bvus0 6u7w0 bvxk0 6u540 bvus0 776k0 3fidg0 7thc0 27s800 z9g0 1u93w0 3yik0|<-03>3',
+    'America/Argentina/Cordoba':
+      '-8c0:-03 -5k0:-02:d -b40:-04 -8c0:-03:d|0101010121010301010|24aj00 51ek0 7m2qs0 4tzw0 biw40 776k0 bvus0 6u7w0 bvxk0 6u540 bvus0 776k0 3fidg0 7thc0 430lc0 3yik0 b5xg0 7k580|<-03>3',
+    'America/Argentina/Jujuy':
+      '-8c0:-03 -5k0:-02:d -b40:-04 -8c0:-03:d|01010123210103010|24aj00 51ek0 7m2qs0 4tzw0 biw40 776k0 c8w80 776k0 ag040 7k2g0 bvus0 776k0 3fidg0 7thc0 430lc0 3yik0|<-03>3',
+    'America/Argentina/La_Rioja':
+      '-8c0:-03 -5k0:-02:d -b40:-04 -8c0:-03:d|01010101201010302010|24aj00 51ek0 7m2qs0 4tzw0 biw40 776k0 bvus0 6qik0 3g880 8jbw0 6u7w0 bvus0 776k0 3fidg0 7thc0 27s800 z9g0 1u93w0 3yik0|<-03>3',
+    'America/Argentina/Mendoza':
+      '-8c0:-03 -5k0:-02:d -b40:-04 -8c0:-03:d|0101012323210302010|24aj00 51ek0 7m2qs0 4tzw0 biw40 776k0 bktk0 71mk0 bqas0 73h80 bvus0 773s0 3fidg0 7thc0 27bk00 6hes0 1p7mk0 3yik0|<-03>3',
+    'America/Argentina/Rio_Gallegos':
+      '-8c0:-03 -5k0:-02:d -8c0:-03:d -b40:-04|0101010101010203010|24aj00 51ek0 7m2qs0 4tzw0 biw40 776k0 bvus0 6u7w0 bvus0 6u7w0 bvus0 776k0 3fidg0 7thc0 27s800 z9g0 1u93w0 3yik0|<-03>3',
+    'America/Argentina/Salta':
+      '-8c0:-03 -5k0:-02:d -b40:-04 -8c0:-03:d|01010101210103010|24aj00 51ek0 7m2qs0 4tzw0 biw40 776k0 bvus0 6u7w0 bvxk0 6u540 bvus0 776k0 3fidg0 7thc0 430lc0 3yik0|<-03>3',
+    'America/Argentina/San_Juan':
+      '-8c0:-03 -5k0:-02:d -b40:-04 -8c0:-03:d|01010101201010302010|24aj00 51ek0 7m2qs0 4tzw0 biw40 776k0 bvus0 6qik0 3g880 8jbw0 6u7w0 bvus0 776k0 3fidg0 7thc0 27qdc0 2txg0 1sgak0 3yik0|<-03>3',
+    'America/Argentina/San_Luis':
+      '-8c0:-03 -5k0:-02:d -b40:-04 -8c0:-03:d|01010123203020132320|24aj00 51ek0 7m2qs0 4tzw0 biw40 7pp80 b2aw0 71mk0 4qg40 4conw0 7thc0 27qdc0 2txg0 1sgak0 14nw0 2gys0 b5xg0 7k580 b5xg0|<-03>3',
+    'America/Argentina/Tucuman':
+      '-8c0:-03 -5k0:-02:d -b40:-04 -8c0:-03:d|010101012101030201010|24aj00 51ek0 7m2qs0 4tzw0 biw40 776k0 bvus0 6u7w0 bvxk0 6u540 bvus0 776k0 3fidg0 7thc0 27s800 mas0 1um2k0 3yik0 b5xg0 7k580|<-03>3',
+    'America/Argentina/Ushuaia':
+      '-8c0:-03 -5k0:-02:d -8c0:-03:d -b40:-04|0101010101010203010|24aj00 51ek0 7m2qs0 4tzw0 biw40 776k0 bvus0 6u7w0 bvus0 6u7w0 bvus0 776k0 3fidg0 7thc0 27oio0 12ys0 1u93w0 3yik0|<-03>3',
+    'America/Aruba': '-b40:AST|0||AST4',
+    'America/Asuncion':
+      '-b40:-04 -8c0:-03 -8c0:-03:d|0102020202020202020202020202020202020202020202020202020202020202020202020202020202020202020202020202021|1fnkg0 s4vw0 s6w40 7tek0 b0dg0 7rjw0 b0dg0 7rjw0 b0dg0 9cyk0 9eys0 9et80 9eys0 9cyk0 9eys0 9cyk0 9eys0 9cyk0 9eys0 9et80 9eys0 9cyk0 9eys0 9cyk0 9eys0 9cyk0 9eys0 9et80 9eys0 9cyk0 ahus0 8a2k0 9eys0 9cyk0 9o840 7k580 b7s40 93p80 9gtg0 7nuk0 b42s0 7lzw0 b5xg0 7tek0 b9ms0 776k0 biw40 7k580 b5xg0 7x3w0 asys0 7x3w0 asys0 7x3w0 b5xg0 9cyk0 7kas0 b5rw0 7x9g0 ast80 a31g0 7k580 b5xg0 7k580 b5xg0 7k580 biw40 776k0 biw40 776k0 biw40 8zzw0 905g0 9px80 905g0 9px80 9d440 8n180 a31g0 8n180 a31g0 8n180 a31g0 8zzw0 9q2s0 8zzw0 9q2s0 8zzw0 a31g0 8n180 a31g0 8n180 a31g0 8zzw0 9q2s0 8zzw0 9q2s0 8zzw0 9q2s0 8zzw0 a31g0 gl80|<-03>3',
+    'America/Atikokan': '-dw0:EST|0||EST5',
+    'America/Bahia':
+      '-8c0:-03 -5k0:-02:d|010101010101010101010101010101010101010|89jcc0 6u7w0 biw40 5rbw0 d0lg0 5ed80 cyqs0 5ed80 dbpg0 64ak0 cyqs0 64ak0 cls40 5rbw0 dbpg0 51ek0 dbpg0 6h980 c8tg0 6h980 c8tg0 64ak0 c8tg0 6u7w0 bxpg0 7iak0 biw40 6u7w0 biw40 7k580 biw40 6u7w0 c8tg0 6h980 dbpg0 5ed80 4irc40 6u7w0|<-03>3',
+    'America/Bahia_Banderas':
+      '-jg0:MST -go0:MDT:d -dw0:CDT:d -go0:CST|0101010101010101010101010101023232323232323232323232323|dphic0 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 9q2s0 7k580 9q2s0 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 asqg0 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80|CST6',
+    'America/Barbados':
+      '-b40:AST -8c0:ADT:d|010101010|3vvnc0 5rbw0 a31g0 8n180 a31g0 8n180 ag040 84ik0|AST4',
+    'America/Belem': '-8c0:-03 -5k0:-02:d|0101010|89jcc0 6u7w0 biw40 5rbw0 d0lg0 5ed80|<-03>3',
+    'America/Belize': '-go0:CST -dw0:CDT:d|01010|21s0o0 3e580 4mcys0 2vmk0|CST6',
+    'America/Blanc-Sablon': '-b40:AST|0||AST4',
+    'America/Boa_Vista':
+      '-b40:-04 -8c0:-03:d|01010101010|89jf40 6u7w0 biw40 5rbw0 d0lg0 5ed80 62xk40 7k580 biw40 cvw0|<-04>4',
+    'America/Bogota': '-dw0:-05 -b40:-04:d|010|bnnsk0 eefw0|<-05>5',
+    'America/Boise':
+      '-jg0:MST -go0:MDT:d|0101010101010101010101010101010101010101010101010101010101010101010101010101|5xno0 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 51k40 doik0 64g40 clmk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|MST7MDT,M3.2.0,M11.1.0',
+    'America/Cambridge_Bay':
+      '-jg0:MST -go0:MDT:d -go0:CST -dw0:CDT:d -dw0:EST|0101010101010101010101010101010101010101010101010101010123421010101010101|17qro0 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x6o0 ast80 ct40 7kj40 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|MST7MDT,M3.2.0,M11.1.0',
+    'America/Campo_Grande':
+      '-b40:-04 -8c0:-03:d|010101010101010101010101010101010101010101010101010101010101010101010|89jf40 6u7w0 biw40 5rbw0 d0lg0 5ed80 cyqs0 5ed80 dbpg0 64ak0 cyqs0 64ak0 cls40 5rbw0 dbpg0 51ek0 dbpg0 6h980 c8tg0 6h980 c8tg0 64ak0 c8tg0 6u7w0 bxpg0 7iak0 biw40 6u7w0 biw40 7k580 biw40 6u7w0 c8tg0 6h980 dbpg0 5ed80 cls40 64ak0 dfes0 5nmk0 c8tg0 6h980 dbpg0 5rbw0 bvus0 6h980 cls40 64ak0 cls40 6h980 c8tg0 6h980 c8tg0 6u7w0 c8tg0 64ak0 cls40 64ak0 cls40 6h980 c8tg0 6h980 c8tg0 6h980 c8tg0 6h980 dbpg0 5ed80|<-04>4',
+    'America/Cancun':
+      '-go0:CST -dw0:EST -dw0:CDT:d -b40:EDT:d|0102021320202020202020202020202020202020201|696680 j8d00 6x2wc0 afuk0 8a840 afuk0 8a5c0 64ak0 4bms0 8a840 ast80 7x9g0 ast80 9q2s0 7k580 9q2s0 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 51k40|EST5',
+    'America/Caracas': '-b40:-04 -ci0:-0430|010|jsrss0 4dps00|<-04>4',
+    'America/Cayenne': '-8c0:-03|0||<-03>3',
+    'America/Cayman': '-dw0:EST|0||EST5',
+    'America/Chicago':
+      '-go0:CST -dw0:CDT:d|0101010101010101010101010101010101010101010101010101010101010101010101010101|5xkw0 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 3lpg0 f4d80 64g40 clmk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|CST6CDT,M3.2.0,M11.1.0',
+    'America/Chihuahua':
+      '-go0:CST -dw0:CDT:d -go0:MDT:d -jg0:MST|0101023232323232323232323232323232323232323232323232320|dphfk0 afuk0 8a840 afuk0 8aaw0 afuk0 8a840 ast80 7x9g0 ast80 9q2s0 7k580 9q2s0 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80|CST6',
+    'America/Ciudad_Juarez':
+      '-go0:CST -dw0:CDT:d -go0:MDT:d -jg0:MST|01010232323232323232323232323232323232323232323232323203|dphfk0 afuk0 8a840 afuk0 8aaw0 afuk0 8a840 ast80 7x9g0 ast80 9q2s0 7k580 9q2s0 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 77c40 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6udg0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6udg0 c8nw0 6hes0 bvp80 1l940|MST7MDT,M3.2.0,M11.1.0',
+    'America/Costa_Rica':
+      '-go0:CST -dw0:CDT:d|010101010|4rxco0 51ek0 doo40 51ek0 5jso40 8drw0 acas0 2xh80|CST6',
+    'America/Coyhaique':
+      '-8c0:-03:d -b40:-04 -8c0:-03|01010101010101010101010101010101010101010101010101010101010101010101010101010101010101010101010101010101010102|4hcc0 a31g0 7x3w0 asys0 7x3w0 b5xg0 7k580 ag040 8a2k0 b5xg0 7k580 b5xg0 7x3w0 asys0 7x3w0 asys0 7x3w0 b5xg0 7k580 b5xg0 7k580 b5xg0 7x3w0 asys0 7x3w0 asys0 7x3w0 asys0 7x3w0 b5xg0 7k580 b5xg0 7k580 b5xg0 9cyk0 9d440 7x3w0 asys0 7x3w0 b5xg0 7k580 9q2s0 8zzw0 b5xg0 7x3w0 asys0 7x3w0 asys0 7x3w0 asys0 7x3w0 b5xg0 7k580 b5xg0 8n180 a31g0 7x3w0 a31g0 9px80 9q2s0 7x3w0 b5xg0 7k580 b5xg0 7k580 b5xg0 7k580 b5xg0 7x3w0 asys0 7x3w0 asys0 7x3w0 b5xg0 7k580 b5xg0 8n180 a31g0 7x3w0 asys0 8zzw0 9q2s0 ast80 5eis0 cyl80 6hes0 c8nw0 6udg0 bvp80 6udg0 vonw0 4olg0 e1h80 4olg0 e1h80 4olg0 c8nw0 7x9g0 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 7x9g0 b5rw0 7x9g0 9xbw0|<-03>3',
+    'America/Creston': '-jg0:MST|0||MST7',
+    'America/Cuiaba':
+      '-b40:-04 -8c0:-03:d|0101010101010101010101010101010101010101010101010101010101010101010|89jf40 6u7w0 biw40 5rbw0 d0lg0 5ed80 cyqs0 5ed80 dbpg0 64ak0 cyqs0 64ak0 cls40 5rbw0 dbpg0 51ek0 dbpg0 6h980 c8tg0 6h980 c8tg0 64ak0 c8tg0 6u7w0 bxpg0 7iak0 biw40 6u7w0 biw40 7k580 biw40 6u7w0 c8tg0 6h980 dbpg0 5ed80 w5hg0 5nmk0 c8tg0 6h980 dbpg0 5rbw0 bvus0 6h980 cls40 64ak0 cls40 6h980 c8tg0 6h980 c8tg0 6u7w0 c8tg0 64ak0 cls40 64ak0 cls40 6h980 c8tg0 6h980 c8tg0 6h980 c8tg0 6h980 dbpg0 5ed80|<-04>4',
+    'America/Curacao': '-b40:AST|0||AST4',
+    'America/Danmarkshavn':
+      '-8c0:-03 -5k0:-02:d 0:GMT|0101010101010101010101010101010102|5ct4k0 8zrk0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 53hk0|GMT0',
+    'America/Dawson':
+      '-p00:YST -m80:PST -jg0:PDT:d -jg0:MST|012121212121212121212121212121212121212121212121212121212121212121212121212121212123|1ztvo0 3e2is0 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6udg0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6udg0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6hes0 c8ic0|MST7',
+    'America/Dawson_Creek':
+      '-m80:PST -jg0:PDT:d -jg0:MST|0101012|5xqg0 9cyk0 9d440 9px80 9d440 69uk0|MST7',
+    'America/Denver':
+      '-jg0:MST -go0:MDT:d|0101010101010101010101010101010101010101010101010101010101010101010101010101|5xno0 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 3lpg0 f4d80 64g40 clmk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|MST7MDT,M3.2.0,M11.1.0',
+    'America/Detroit':
+      '-dw0:EST -b40:EDT:d|0101010101010101010101010101010101010101010101010101010101010101010101|1qgos0 9cyk0 3lpg0 f4d80 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|EST5EDT,M3.2.0,M11.1.0',
+    'America/Dominica': '-b40:AST|0||AST4',
+    'America/Edmonton':
+      '-jg0:MST -go0:MDT:d|010101010101010101010101010101010101010101010101010101010101010101010101|17qro0 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|MST7MDT,M3.2.0,M11.1.0',
+    'America/Eirunepe':
+      '-dw0:-05 -b40:-04:d -b40:-04|01010101020|89jhw0 6u7w0 biw40 5rbw0 d0lg0 5ed80 2yy2s0 6h980 7hg2s0 2t2t80|<-05>5',
+    'America/El_Salvador': '-go0:CST -dw0:CDT:d|01010|91ojc0 7k580 b5xg0 7k580|CST6',
+    'America/Fort_Nelson':
+      '-m80:PST -jg0:PDT:d -jg0:MST|01010101010101010101010101010101010101010101010101010101010101010101010101010101010101010102|5xqg0 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6udg0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6hes0|MST7',
+    'America/Fortaleza':
+      '-8c0:-03 -5k0:-02:d|01010101010101010|89jcc0 6u7w0 biw40 5rbw0 d0lg0 5ed80 cyqs0 5ed80 dbpg0 64ak0 514g40 7k580 biw40 puk0 id6s0 6h980|<-03>3',
+    'America/Glace_Bay':
+      '-b40:AST -8c0:ADT:d|010101010101010101010101010101010101010101010101010101010101010101010101|17qjc0 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|AST4ADT,M3.2.0,M11.1.0',
+    'America/Goose_Bay':
+      '-b40:AST -8c0:ADT:d -5k0:ADDT:d|0101010101010101010101010101010101010201010101010101010101010101010101010101010101010|5xfc0 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a2lo afuk0 8a840 asqg0 7xc80 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6udg0 c8nw0 6hes0 c8tec|AST4ADT,M3.2.0,M11.1.0',
+    'America/Grand_Turk':
+      '-dw0:EST -b40:EDT:d -b40:AST|010101010101010101010101010101010101010101010101010101010101010101010101021|4v63g0 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6udg0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6hes0 1kj6o0|EST5EDT,M3.2.0,M11.1.0',
+    'America/Grenada': '-b40:AST|0||AST4',
+    'America/Guadeloupe': '-b40:AST|0||AST4',
+    'America/Guatemala':
+      '-go0:CST -dw0:CDT:d|010101010|219i00 4ofw0 4tidg0 6djw0 3wwas0 8n180 7n5ms0 7x3w0|CST6',
+    'America/Guayaquil': '-dw0:-05 -b40:-04:d|010|byetw0 3jp80|<-05>5',
+    'America/Guyana': '-af0:-0345 -8c0:-03 -b40:-04|012|2wud30 8p0jd0|<-04>4',
+    'America/Halifax':
+      '-b40:AST -8c0:ADT:d|0101010101010101010101010101010101010101010101010101010101010101010101010101|5xfc0 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|AST4ADT,M3.2.0,M11.1.0',
+    'America/Havana':
+      '-dw0:CST -b40:CDT:d|0101010101010101010101010101010101010101010101010101010101010101010101010101010101|5xck0 9cyk0 9d440 9px80 9d440 8a2k0 ag040 8bx80 ae5g0 8drw0 acas0 9cyk0 9d440 9px80 905g0 9px80 9q2s0 7x3w0 8a840 ast80 7x9g0 ast80 asys0 7x3w0 asys0 7x3w0 asys0 7x3w0 asys0 8a2k0 ag040 8a2k0 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 905g0 a2vw0 905g0 9q000 902o0 9q000 902o0 9q000 902o0 9q000 902o0 9q000 9d1c0 9d1c0 9d1c0 9q000 8n400 asw00 7x6o0 b5uo0 7x6o0 asw00 7x6o0 asw00 8a5c0 afxc0 8a5c0 afxc0 7x6o0 1cm000 6uao0 bvs00 779c0 bitc0 6uao0 bvs00 779c0 bvs00 779c0 c8qo0 779c0|CST5CDT,M3.2.0/0,M11.1.0/1',
+    'America/Hermosillo': '-jg0:MST -go0:MDT:d|0101010|dphic0 afuk0 8a840 afuk0 8a840 afuk0|MST7',
+    'America/Indiana/Indianapolis':
+      '-dw0:EST -b40:EDT:d|010101|5xi40 9cyk0 ihslg0 ast80 6udg0|EST5EDT,M3.2.0,M11.1.0',
+    'America/Indiana/Knox':
+      '-go0:CST -dw0:CDT:d -dw0:EST|010101010101010101010101010101010101010101012101|5xkw0 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 3lpg0 f4d80 64g40 clmk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 7j5400 asw00 6udg0|CST6CDT,M3.2.0,M11.1.0',
+    'America/Indiana/Marengo':
+      '-dw0:EST -b40:EDT:d -dw0:CDT:d|0101010102010101|5xi40 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 3lpg0 f4g00 64dc0 clmk0 fvt9g0 ast80 6udg0|EST5EDT,M3.2.0,M11.1.0',
+    'America/Indiana/Petersburg':
+      '-go0:CST -dw0:CDT:d -dw0:EST|010101010101010121012|5xkw0 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 3lpg0 f4d80 64g40 clmk0 9d440 9px80 905g0 9px80 eu02o0 asw00 6udg0 c8nw0|EST5EDT,M3.2.0,M11.1.0',
+    'America/Indiana/Tell_City':
+      '-dw0:EST -b40:EDT:d -dw0:CDT:d -go0:CST|010232|5xi40 9cyk0 ihslg0 asw00 6udg0|CST6CDT,M3.2.0,M11.1.0',
+    'America/Indiana/Vevay':
+      '-dw0:EST -b40:EDT:d|0101010101|5xi40 9cyk0 9d440 9px80 9d440 9cyk0 hfzhg0 ast80 6udg0|EST5EDT,M3.2.0,M11.1.0',
+    'America/Indiana/Vincennes':
+      '-dw0:EST -b40:EDT:d -dw0:CDT:d -go0:CST|0102320|5xi40 9cyk0 ihslg0 asw00 6udg0 c8nw0|EST5EDT,M3.2.0,M11.1.0',
+    'America/Indiana/Winamac':
+      '-dw0:EST -b40:EDT:d -dw0:CDT:d -go0:CST|010231|5xi40 9cyk0 ihslg0 asw00 6udg0|EST5EDT,M3.2.0,M11.1.0',
+    'America/Inuvik':
+      '-m80:PST -jg0:PDT:d -go0:MDT:d -jg0:MST|010101010101010232323232323232323232323232323232323232323232323232323232|17qug0 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cvs0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|MST7MDT,M3.2.0,M11.1.0',
+    'America/Iqaluit':
+      '-dw0:EST -b40:EDT:d -go0:CST -dw0:CDT:d|010101010101010101010101010101010101010101010101010101012301010101010101|17qm40 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7xc80 ast80 7x6o0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|EST5EDT,M3.2.0,M11.1.0',
+    'America/Jamaica':
+      '-dw0:EST -b40:EDT:d|010101010101010101010|23fcs0 f4d80 64g40 clmk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80|EST5',
+    'America/Juneau':
+      '-m80:PST -jg0:PDT:d -m80:YDT:d -p00:YST -p00:AKST -m80:AKDT:d|01010101010101010101020101013454545454545454545454545454545454545454545454545|5xqg0 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 3lpg0 f4d80 64g40 clmk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9d1c0 9d1c0 9cyk0 9d440 9px80 905g0 9px80 1leo0 7rs80 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|AKST9AKDT,M3.2.0,M11.1.0',
+    'America/Kentucky/Louisville':
+      '-dw0:EST -b40:EDT:d -dw0:CDT:d|0101010102010101010101010101010101010101010101010101010101010101010101010101|5xi40 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 3lpg0 f4g00 64dc0 clmk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|EST5EDT,M3.2.0,M11.1.0',
+    'America/Kentucky/Monticello':
+      '-go0:CST -dw0:CDT:d -dw0:EST -b40:EDT:d|0101010101010101010101010101010101010101010101010101010101010123232323232323|5xkw0 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 3lpg0 f4d80 64g40 clmk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x6o0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|EST5EDT,M3.2.0,M11.1.0',
+    'America/La_Paz': '-b40:-04|0||<-04>4',
+    'America/Lima':
+      '-dw0:-05 -b40:-04:d|010101010|8cmlw0 4ml80 e5c40 4ml80 1fr1g0 4ml80 1yiys0 4ml80|<-05>5',
+    'America/Los_Angeles':
+      '-m80:PST -jg0:PDT:d|0101010101010101010101010101010101010101010101010101010101010101010101010101|5xqg0 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 3lpg0 f4d80 64g40 clmk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|PST8PDT,M3.2.0,M11.1.0',
+    'America/Maceio':
+      '-8c0:-03 -5k0:-02:d|0101010101010101010|89jcc0 6u7w0 biw40 5rbw0 d0lg0 5ed80 cyqs0 5ed80 dbpg0 64ak0 2yl440 64ak0 1wf1g0 7k580 biw40 puk0 id6s0 6h980|<-03>3',
+    'America/Managua':
+      '-go0:CST -dw0:EST -dw0:CDT:d|010202010102020|1qkbc0 xqqk0 24p6s0 53980 dmtg0 53980 60itw0 dq240 53es0 235h80 4beis0 8zzw0 at4c0 7x140|CST6',
+    'America/Manaus':
+      '-b40:-04 -8c0:-03:d|010101010|89jf40 6u7w0 biw40 5rbw0 d0lg0 5ed80 2yy2s0 6h980|<-04>4',
+    'America/Martinique': '-b40:AST -8c0:ADT:d|010|5ct1s0 8zzw0|AST4',
+    'America/Matamoros':
+      '-go0:CST -dw0:CDT:d|01010101010101010101010101010101|9iyww0 ast80 3vppg0 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 9q2s0 7k580 9q2s0 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 77c40|CST6CDT,M3.2.0,M11.1.0',
+    'America/Mazatlan':
+      '-jg0:MST -go0:MDT:d|0101010101010101010101010101010101010101010101010101010|dphic0 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 9q2s0 7k580 9q2s0 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80|MST7',
+    'America/Menominee':
+      '-dw0:EST -dw0:CDT:d -go0:CST|0121212121212121212121212121212121212121212121212121212121212121212121|1qgos0 9d1c0 3lpg0 f4d80 64g40 clmk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|CST6CDT,M3.2.0,M11.1.0',
+    'America/Merida':
+      '-go0:CST -dw0:EST -dw0:CDT:d|010202020202020202020202020202020202020202020202020202020|696680 fzuk0 70bes0 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 9q2s0 7k580 9q2s0 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80|CST6',
+    'America/Metlakatla':
+      '-m80:PST -jg0:PDT:d -p00:AKST -m80:AKDT:d|0101010101010101010101010101023232302|5xqg0 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 3lpg0 f4d80 64g40 clmk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 gpc840 6udg0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 3ylc0|AKST9AKDT,M3.2.0,M11.1.0',
+    'America/Mexico_City':
+      '-go0:CST -dw0:CDT:d|0101010101010101010101010101010101010101010101010101010|dphfk0 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 9q2s0 7k580 9q2s0 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80|CST6',
+    'America/Miquelon':
+      '-b40:AST -8c0:-03 -5k0:-02:d|0121212121212121212121212121212121212121212|5e3cg0 3m59g0 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|<-03>3<-02>,M3.2.0,M11.1.0',
+    'America/Moncton':
+      '-b40:AST -8c0:ADT:d|01010101010101010101010101010101010101010101010101010101010101010101010101|5xfc0 9cyk0 9d440 9px80 9d440 9cyk0 s36s0 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a2lo ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6uiyc|AST4ADT,M3.2.0,M11.1.0',
+    'America/Monterrey':
+      '-go0:CST -dw0:CDT:d|010101010101010101010101010101010101010101010101010101010|9iyww0 ast80 3vppg0 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 9q2s0 7k580 9q2s0 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80|CST6',
+    'America/Montevideo':
+      '-8c0:-03 -5k0:-02:d -460:-0130:d -6y0:-0230:d|0101023010101010101010101010101010101010101010101010|5vcc0 2kik0 yxhg0 4bh80 s36s0 2vl60 905g0 5rg20 51ek0 weqs0 3yik0 e1ms0 4ofw0 erk40 3yik0 2vs40 gk7w0 41iys0 3wnw0 erk40 4bh80 c8tg0 64ak0 c8tg0 6u7w0 c8tg0 6h980 bvus0 6u7w0 614qs0 9q2s0 a31g0 7x3w0 ag040 8a2k0 asys0 7x3w0 asys0 7x3w0 asys0 8a2k0 ag040 8a2k0 ag040 8a2k0 asys0 7x3w0 asys0 7x3w0 asys0 7x3w0|<-03>3',
+    'America/Montserrat': '-b40:AST|0||AST4',
+    'America/Nassau':
+      '-dw0:EST -b40:EDT:d|0101010101010101010101010101010101010101010101010101010101010101010101010101|5xi40 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|EST5EDT,M3.2.0,M11.1.0',
+    'America/New_York':
+      '-dw0:EST -b40:EDT:d|0101010101010101010101010101010101010101010101010101010101010101010101010101|5xi40 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 3lpg0 f4d80 64g40 clmk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|EST5EDT,M3.2.0,M11.1.0',
+    'America/Nome':
+      '-uk0:BST -rs0:BDT:d -p00:YST -p00:AKST -m80:AKDT:d|01010101010101010101010101012343434343434343434343434343434343434343434343434|5xys0 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 3lpg0 f4d80 64g40 clmk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 1l6c0 7rs80 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|AKST9AKDT,M3.2.0,M11.1.0',
+    'America/Noronha':
+      '-5k0:-02 -2s0:-01:d|01010101010101010|89j9k0 6u7w0 biw40 5rbw0 d0lg0 5ed80 cyqs0 5ed80 dbpg0 64ak0 514g40 7k580 biw40 cvw0 iq5g0 6h980|<-02>2',
+    'America/North_Dakota/Beulah':
+      '-jg0:MST -go0:MDT:d -go0:CST|01010101010101010101010101010101010101010101010101010101010101010101010101010101012|5xno0 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 3lpg0 f4d80 64g40 clmk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6udg0 c8nw0|CST6CDT,M3.2.0,M11.1.0',
+    'America/North_Dakota/Center':
+      '-jg0:MST -go0:MDT:d -go0:CST -dw0:CDT:d|0101010101010101010101010101010101010101010101232323232323232323232323232323|5xno0 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 3lpg0 f4d80 64g40 clmk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a5c0 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|CST6CDT,M3.2.0,M11.1.0',
+    'America/North_Dakota/New_Salem':
+      '-jg0:MST -go0:MDT:d -go0:CST -dw0:CDT:d|0101010101010101010101010101010101010101010101010101010101010101010123232323|5xno0 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 3lpg0 f4d80 64g40 clmk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a5c0 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|CST6CDT,M3.2.0,M11.1.0',
+    'America/Nuuk':
+      '-8c0:-03 -5k0:-02:d -5k0:-02 -2s0:-01:d|01010101010101010101010101010101010101010101010101010101010101010101010101010101010101023|5ct4k0 8zrk0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 j31c0|<-02>2<-01>,M3.5.0/-1,M10.5.0/0',
+    'America/Ojinaga':
+      '-go0:CST -dw0:CDT:d -go0:MDT:d -jg0:MST|01010232323232323232323232323232323232323232323232323201|dphfk0 afuk0 8a840 afuk0 8aaw0 afuk0 8a840 ast80 7x9g0 ast80 9q2s0 7k580 9q2s0 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 77c40 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6udg0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6udg0 c8nw0 6hes0 bvp80 6uao0|CST6CDT,M3.2.0,M11.1.0',
+    'America/Panama': '-dw0:EST|0||EST5',
+    'America/Paramaribo': '-9q0:-0330 -8c0:-03|01|7p4720|<-03>3',
+    'America/Phoenix': '-jg0:MST|0||MST7',
+    'America/Port-au-Prince':
+      '-dw0:EST -b40:EDT:d|01010101010101010101010101010101010101010101|6ys5w0 8zzw0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8aaw0 asw00 7x6o0 asw00 7x6o0 asw00 8a5c0 afxc0 8a5c0 afxc0 8a5c0 asw00 7x6o0 asw00 7x6o0 asw00 8a5c0 afxc0 8a5c0 afxc0 3vpjw0 ast80 7x9g0 ast80 2stv00 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 pkg40|EST5EDT,M3.2.0,M11.1.0',
+    'America/Port_of_Spain': '-b40:AST|0||AST4',
+    'America/Porto_Velho':
+      '-b40:-04 -8c0:-03:d|0101010|89jf40 6u7w0 biw40 5rbw0 d0lg0 5ed80|<-04>4',
+    'America/Puerto_Rico': '-b40:AST|0||AST4',
+    'America/Punta_Arenas':
+      '-8c0:-03:d -b40:-04 -8c0:-03|0101010101010101010101010101010101010101010101010101010101010101010101010101010101010101010102|4hcc0 a31g0 7x3w0 asys0 7x3w0 b5xg0 7k580 ag040 8a2k0 b5xg0 7k580 b5xg0 7x3w0 asys0 7x3w0 asys0 7x3w0 b5xg0 7k580 b5xg0 7k580 b5xg0 7x3w0 asys0 7x3w0 asys0 7x3w0 asys0 7x3w0 b5xg0 7k580 b5xg0 7k580 b5xg0 9cyk0 9d440 7x3w0 asys0 7x3w0 b5xg0 7k580 9q2s0 8zzw0 b5xg0 7x3w0 asys0 7x3w0 asys0 7x3w0 asys0 7x3w0 b5xg0 7k580 b5xg0 8n180 a31g0 7x3w0 a31g0 9px80 9q2s0 7x3w0 b5xg0 7k580 b5xg0 7k580 b5xg0 7k580 b5xg0 7x3w0 asys0 7x3w0 asys0 7x3w0 b5xg0 7k580 b5xg0 8n180 a31g0 7x3w0 asys0 8zzw0 9q2s0 ast80 5eis0 cyl80 6hes0 c8nw0 6udg0 bvp80 6udg0 vonw0 4olg0 5rbw0|<-03>3',
+    'America/Rankin_Inlet':
+      '-go0:CST -dw0:CDT:d -dw0:EST|010101010101010101010101010101010101010101010101010101010121010101010101|17qow0 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|CST6CDT,M3.2.0,M11.1.0',
+    'America/Recife':
+      '-8c0:-03 -5k0:-02:d|01010101010101010|89jcc0 6u7w0 biw40 5rbw0 d0lg0 5ed80 cyqs0 5ed80 dbpg0 64ak0 514g40 7k580 biw40 cvw0 iq5g0 6h980|<-03>3',
+    'America/Regina': '-go0:CST|0||CST6',
+    'America/Resolute':
+      '-go0:CST -dw0:CDT:d -dw0:EST|010101010101010101010101010101010101010101010101010101010121010101010121|17qow0 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|CST6CDT,M3.2.0,M11.1.0',
+    'America/Rio_Branco':
+      '-dw0:-05 -b40:-04:d -b40:-04|010101020|89jhw0 6u7w0 biw40 5rbw0 d0lg0 5ed80 amves0 2t2t80|<-05>5',
+    'America/Santarem':
+      '-b40:-04 -8c0:-03:d -8c0:-03|01010102|89jf40 6u7w0 biw40 5rbw0 d0lg0 5ed80 amves0|<-03>3',
+    'America/Santiago':
+      '-8c0:-03:d -b40:-04|010101010101010101010101010101010101010101010101010101010101010101010101010101010101010101010101010101010|4hcc0 a31g0 7x3w0 asys0 7x3w0 b5xg0 7k580 ag040 8a2k0 b5xg0 7k580 b5xg0 7x3w0 asys0 7x3w0 asys0 7x3w0 b5xg0 7k580 b5xg0 7k580 b5xg0 7x3w0 asys0 7x3w0 asys0 7x3w0 asys0 7x3w0 b5xg0 7k580 b5xg0 7k580 b5xg0 9cyk0 9d440 7x3w0 asys0 7x3w0 b5xg0 7k580 9q2s0 8zzw0 b5xg0 7x3w0 asys0 7x3w0 asys0 7x3w0 asys0 7x3w0 b5xg0 7k580 b5xg0 8n180 a31g0 7x3w0 a31g0 9px80 9q2s0 7x3w0 b5xg0 7k580 b5xg0 7k580 b5xg0 7k580 b5xg0 7x3w0 asys0 7x3w0 asys0 7x3w0 b5xg0 7k580 b5xg0 8n180 a31g0 7x3w0 asys0 8zzw0 9q2s0 ast80 5eis0 cyl80 6hes0 c8nw0 6udg0 bvp80 6udg0 vonw0 4olg0 e1h80 4olg0 e1h80 4olg0 c8nw0 7x9g0 ast80 7x9g0 ast80 7x9g0 ast80 8a840|<-04>4<-03>,M9.1.6/24,M4.1.6/24',
+    'America/Santo_Domingo':
+      '-ci0:-0430:d -dw0:EST -b40:AST|0101010101212|2msi0 cnle0 4h2m0 elyq0 47ta0 ei9e0 4bim0 eek20 4dda0 ecpe0 dkmtg0 1stc0|AST4',
+    'America/Sao_Paulo':
+      '-8c0:-03 -5k0:-02:d|010101010101010101010101010101010101010101010101010101010101010101010|89jcc0 6u7w0 biw40 5rbw0 d0lg0 5ed80 cyqs0 5ed80 dbpg0 64ak0 cyqs0 64ak0 cls40 5rbw0 dbpg0 51ek0 dbpg0 6h980 c8tg0 6h980 c8tg0 64ak0 c8tg0 6u7w0 bxpg0 7iak0 biw40 6u7w0 biw40 7k580 biw40 6u7w0 c8tg0 6h980 dbpg0 5ed80 cls40 64ak0 dfes0 5nmk0 c8tg0 6h980 dbpg0 5rbw0 bvus0 6h980 cls40 64ak0 cls40 6h980 c8tg0 6h980 c8tg0 6u7w0 c8tg0 64ak0 cls40 64ak0 cls40 6h980 c8tg0 6h980 c8tg0 6h980 c8tg0 6h980 dbpg0 5ed80|<-03>3',
+    'America/Scoresbysund':
+      '-5k0:-02 -2s0:-01:d 0:+00:d -2s0:-01|010232323232323232323232323232323232323232323232323232323232323232323232323232323232323231|5ct1s0 902o0 9cvs0 9cyk0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0|<-02>2<-01>,M3.5.0/-1,M10.5.0/0',
+    'America/Sitka':
+      '-m80:PST -jg0:PDT:d -p00:YST -p00:AKST -m80:AKDT:d|01010101010101010101010101012343434343434343434343434343434343434343434343434|5xqg0 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 3lpg0 f4d80 64g40 clmk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 1leo0 7rs80 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|AKST9AKDT,M3.2.0,M11.1.0',
+    'America/St_Johns':
+      '-9q0:NST -6y0:NDT:d -460:NDDT:d|0101010101010101010101010101010101010201010101010101010101010101010101010101010101010|5xdy0 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a2lo afuk0 8a840 asqg0 7xc80 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6udg0 c8nw0 6hes0 c8tec|NST3:30NDT,M3.2.0,M11.1.0',
+    'America/St_Kitts': '-b40:AST|0||AST4',
+    'America/St_Lucia': '-b40:AST|0||AST4',
+    'America/St_Thomas': '-b40:AST|0||AST4',
+    'America/St_Vincent': '-b40:AST|0||AST4',
+    'America/Swift_Current': '-jg0:MST -go0:CST|01|17qro0|CST6',
+    'America/Tegucigalpa': '-go0:CST -dw0:CDT:d|0101010|91ojc0 7k580 b5xg0 7k580 96x1g0 4qak0|CST6',
+    'America/Thule':
+      '-b40:AST -8c0:ADT:d|0101010101010101010101010101010101|b34zc0 9cyk0 9d440 9cyk0 9q2s0 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|AST4ADT,M3.2.0,M11.1.0',
+    'America/Tijuana':
+      '-m80:PST -jg0:PDT:d|0101010101010101010101010101010101010101010101010101010101010101010101|3an540 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 77c40|PST8PDT,M3.2.0,M11.1.0',
+    'America/Toronto':
+      '-dw0:EST -b40:EDT:d|0101010101010101010101010101010101010101010101010101010101010101010101010101|5xi40 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|EST5EDT,M3.2.0,M11.1.0',
+    'America/Tortola': '-b40:AST|0||AST4',
+    'America/Vancouver':
+      '-m80:PST -jg0:PDT:d|0101010101010101010101010101010101010101010101010101010101010101010101010101|5xqg0 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|PST8PDT,M3.2.0,M11.1.0',
+    'America/Whitehorse':
+      '-m80:PST -jg0:PDT:d -jg0:MST|01010101010101010101010101010101010101010101010101010101010101010101010101010101012|5dweg0 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6udg0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6udg0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6hes0 c8nw0 6hes0 c8ic0|MST7',
+    'America/Winnipeg':
+      '-go0:CST -dw0:CDT:d|0101010101010101010101010101010101010101010101010101010101010101010101010101|5xkw0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 902o0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 902o0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 8a5c0 afxc0 8a5c0 asw00 7x6o0 asw00 7x6o0 asw00 8a5c0 afxc0 8a5c0 afxc0 8a5c0 asw00 7x6o0 asw00 7x6o0 asw00 8a5c0 afxc0 8a5c0 afxc0 8a5c0 afxc0 8a5c0 asw00 7x6o0 asw00 7x6o0 asw00 8a5c0 afxc0 8a5c0 afxc0 8a5c0 asw00 7x6o0 asw00 7x6o0 ast80 6udg0|CST6CDT,M3.2.0,M11.1.0',
+    'America/Yakutat':
+      '-p00:YST -m80:YDT:d -p00:AKST -m80:AKDT:d|01010101010101010101010101010232323232323232323232323232323232323232323232323|5xt80 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 3lpg0 f4d80 64g40 clmk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 1lbw0 7rs80 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|AKST9AKDT,M3.2.0,M11.1.0',
+    'Antarctica/Casey':
+      'm80:+08 uk0:+11|01010101010101010|kro7c0 73bo0 uz1o0 60l80 2fnh80 pz9g0 at4c0 89u80 acgc0 80no0 asw1o 89wyc ag5po 89wyc ag5po 84lac|<+08>-8',
+    'Antarctica/Davis': 'jg0:+07 dw0:+05|01010|kroa40 7eqs0 unmk0 60qs0|<+07>-7',
+    'Antarctica/DumontDUrville': 'rs0:+10|0||<+10>-10',
+    'Antarctica/Macquarie':
+      'uk0:AEDT:d rs0:AEST|0101010101010101010101010101010101010101010101010101010101010101010101010101010101|3dls0 bvs00 779c0 bvs00 64dc0 clpc0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6uao0 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 7x6o0 b5uo0 7k800 b5uo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 bvs00 7k800 bitc0 7k800 bitc0 779c0 bitc0 779c0 bitc0 7x6o0 9q000 902o0 9q000 902o0 9q000 902o0 9q000 902o0 9q000 9d1c0 9q000 902o0 9q000 902o0 9q000 902o0 9q000 902o0 7x6o0 asw00 a2yo0 902o0 9q000 902o0 9q000 902o0 9q000 902o0 9q000 9d1c0 9d1c0 902o0 a2yo0 9d1c0 9d1c0 9d1c0 9d1c0 s3400|AEST-10AEDT,M10.1.0,M4.1.0/3',
+    'Antarctica/Mawson': 'go0:+06 dw0:+05|01|krocw0|<+05>-5',
+    'Antarctica/McMurdo':
+      'xc0:NZST 1040:NZDT:d|01010101010101010101010101010101010101010101010101010101010101010101|2ivg80 5reo0 clpc0 6uao0 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6uao0 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6uao0 c8qo0 6hc00 b5uo0 8a5c0 afxc0 8a5c0 afxc0 8a5c0 afxc0 8n400 a2yo0 8n400 a2yo0 8n400 a2yo0 8n400 afxc0 8a5c0 afxc0 8a5c0 afxc0 8n400 a2yo0 8n400 a2yo0 8n400 afxc0 8a5c0 afxc0 8a5c0 afxc0 8n400 a2yo0 8n400 a2yo0 8n400 a2yo0 8n400 a2yo0|NZST-12NZDT,M9.5.0,M4.1.0/3',
+    'Antarctica/Palmer':
+      '-8c0:-03 -5k0:-02:d -b40:-04 -8c0:-03:d|010232323232323232323232323232323232323232323232323232323232323232323230|24aj00 51ek0 46b6s0 8c2s0 7x3w0 asys0 7x3w0 b5xg0 7k580 b5xg0 7k580 b5xg0 9cyk0 9d440 7x3w0 asys0 7x3w0 b5xg0 7k580 9q2s0 8zzw0 b5xg0 7x3w0 asys0 7x3w0 asys0 7x3w0 asys0 7x3w0 b5xg0 7k580 b5xg0 8n180 a31g0 7x3w0 a31g0 9px80 9q2s0 7x3w0 b5xg0 7k580 b5xg0 7k580 b5xg0 7k580 b5xg0 7x3w0 asys0 7x3w0 asys0 7x3w0 b5xg0 7k580 b5xg0 8n180 a31g0 7x3w0 asys0 8zzw0 9q2s0 ast80 5eis0 cyl80 6hes0 c8nw0 6udg0 bvp80 6udg0 vonw0 4olg0 5rbw0|<-03>3',
+    'Antarctica/Rothera': '0:-00 -8c0:-03|01|3lxs00|<-03>3',
+    'Antarctica/Syowa': '8c0:+03|0||<+03>-3',
+    'Antarctica/Troll': '0:-00 0:+00|01|ibruo0|<+00>0<+02>-2,M3.5.0/1,M10.5.0/3',
+    'Antarctica/Vostok': 'jg0:+07 0:-00 dw0:+05|0102|cki780 e23g0 f79gs0|<+05>-5',
+    'Asia/Aden': '8c0:+03|0||<+03>-3',
+    'Asia/Almaty':
+      'go0:+06 jg0:+07:d go0:+06:d dw0:+05|010101010101010101010230101010101010101010101010103|5vay00 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 5reo0 3ljw0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 a37rs0|<+05>-5',
+    'Asia/Amman':
+      '5k0:EET 8c0:EEST:d 8c0:+03|010101010101010101010101010101010101010101010101010101010101010101010101010101010101012|1sed40 60l80 awo40 7v980 awo40 7v980 ayis0 9gnw0 9b9g0 7v980 autg0 7v980 3e6840 9et80 9io40 9cyk0 9d440 9cyk0 9d440 9px80 ayis0 7rjw0 ag040 8a2k0 9zc40 8drw0 a31g0 8zzw0 9d440 9cyk0 9d440 8n180 ag040 8a5c0 afxc0 8n400 a2yo0 8n400 a2yo0 8n400 epmo0 4deo0 9o5c0 9ew00 9b6o0 9ew00 9d1c0 9d1c0 9d1c0 asw00 7x6o0 afxc0 8n400 9d1c0 9d1c0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 wel80 51k40 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 64dc0 clpc0|<+03>-3',
+    'Asia/Anadyr':
+      '1040:+13 12w0:+14:d 1040:+13:d xc0:+12 xc0:+12:d uk0:+11|010232323232323232323453232323232323232323232323232323232323453|5vaek0 9et80 9d440 9ew00 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 5reo0 3ljw0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5xg0 7k800|<+12>-12',
+    'Asia/Aqtau':
+      'dw0:+05 go0:+06 go0:+06:d dw0:+05:d b40:+04|0120202020202020202034020202434343434343434343430|64pws0 9cyk0 9ew00 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 5reo0 3ljw0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d440 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0|<+05>-5',
+    'Asia/Aqtobe':
+      'dw0:+05 go0:+06:d go0:+06 dw0:+05:d b40:+04|01210101010101010101034010101010101010101010101010|5vb0s0 9et80 9d1c0 9ew00 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 5reo0 3ljw0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0|<+05>-5',
+    'Asia/Ashgabat':
+      'dw0:+05 go0:+06:d dw0:+05:d b40:+04|010101010101010101010230|5vb0s0 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 5reo0|<+05>-5',
+    'Asia/Atyrau':
+      'dw0:+05 go0:+06 go0:+06:d dw0:+05:d b40:+04|0120202020202020202034020202020202020343434343430|64pws0 9cyk0 9ew00 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 5reo0 3ljw0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5xg0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0|<+05>-5',
+    'Asia/Baghdad':
+      '8c0:+03 b40:+04:d|01010101010101010101010101010101010101010101010101010|6fmno0 7v980 9b9g0 9gnw0 9eys0 9et80 9d440 9b9g0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9f1k0 9ew00 9ew00 9ew00 9d1c0 9ew00 9d1c0 9ew00 9d1c0 9ew00 9ew00 9ew00 9d1c0 9ew00 9d1c0 9ew00 9d1c0 9ew00 9ew00 9ew00 9d1c0 9ew00 9d1c0 9ew00 9d1c0 9ew00 9ew00 9ew00 9d1c0 9ew00 9d1c0 9ew00 9d1c0 9ew00|<+03>-3',
+    'Asia/Bahrain': 'b40:+04 8c0:+03|01|19d0w0|<+03>-3',
+    'Asia/Baku':
+      'b40:+04 dw0:+05:d b40:+04:d 8c0:+03|01010101010101010101023201010101010101010101010101010101010101010|5vb3k0 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 9d1c0 9d1c0 1twdk0 asw00 7x3w0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00|<+04>-4',
+    'Asia/Bangkok': 'jg0:+07|0||<+07>-7',
+    'Asia/Barnaul':
+      'jg0:+07 m80:+08:d jg0:+07:d go0:+06|010101010101010101010230101010123232323232323232323232323232323030|5vav80 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 5reo0 3ljw0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 38fo0 64og0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 1vbzw0 qnc40|<+07>-7',
+    'Asia/Beirut':
+      '5k0:EET 8c0:EEST:d|0101010101010101010101010101010101010101010101|1ag2g0 56yk0 awo40 7v980 awo40 7v980 awo40 7v980 ayis0 7v980 awo40 7v980 autg0 7v980 2wxus0 8n180 a4w40 8n180 a4w40 8n180 a4w40 8n180 bs5g0 71mk0 alk40 86d80 a4w40 8n180 a4w40 8n180 a6qs0 80t80 905g0 9cyk0 9d440 9cyk0 9d440 9cyk0 9q2s0 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440|EET-2EEST,M3.5.0/0,M10.5.0/0',
+    'Asia/Bishkek':
+      'go0:+06 jg0:+07:d go0:+06:d dw0:+05|010101010101010101010232323232323232323232323232320|5vay00 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 7vc00 bkl80 8n180 a31g0 8n180 a31g0 8n180 a31g0 8n180 a31g0 8zzw0 9db20 ast80 7x9g0 ast80 7x9g0 b5rw0 7kas0 b5rw0 7kas0 b5rw0 7x9g0 ast80 7x9g0 ast80 7x9g0 b5rw0 7kas0 73aa0|<+06>-6',
+    'Asia/Brunei': 'm80:+08|0||<+08>-8',
+    'Asia/Chita':
+      'p00:+09 rs0:+10:d p00:+09:d m80:+08 rs0:+10|01010101010101010101023010101010101010101010101010101010101010430|5vapo0 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 5reo0 3ljw0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 1vbzw0 qnew0|<+09>-9',
+    'Asia/Colombo': 'fa0:+0530 i20:+0630 go0:+06|0120|drxa20 7x5a0 4xvqq0|<+0530>-5:30',
+    'Asia/Damascus':
+      '5k0:EET 8c0:EEST:d 8c0:+03|0101010101010101010101010101010101010101010101010101010101010101010101010101010101010101010101012|66800 7v980 awo40 7v980 ayis0 7v980 awo40 7v980 awo40 7v980 awo40 7v980 ayis0 7v980 awo40 6bp80 cg840 6bp80 2eh1g0 8zzw0 9ts40 8zzw0 pvk40 c33w0 7cw40 cjrw0 6zxg0 btuk0 7rpg0 9gnw0 9d440 9cyk0 9et80 9et80 9rxg0 91uk0 92040 9et80 9o840 9et80 9d440 9et80 9eys0 9et80 9b9g0 9gnw0 99es0 9iik0 9d440 9et80 9eys0 9et80 9d440 9et80 9d440 9et80 9d440 9et80 9eys0 9et80 9d440 9et80 9d440 8y580 9q2s0 b5rw0 7x9g0 aunw0 7ig40 b5rw0 7x9g0 ast80 7x9g0 ast80 7x9g0 ast80 7x9g0 ast80 7x9g0 b5rw0 7kas0 b5rw0 7kas0 b5rw0 7x9g0 ast80 7x9g0 ast80 7x9g0 ast80 7x9g0 b5rw0 7kas0 b5rw0 7kas0 b5rw0|<+03>-3',
+    'Asia/Dhaka': 'go0:+06 jg0:+07:d|010|klhwk0 a1400|<+06>-6',
+    'Asia/Dili': 'p00:+09 m80:+08|010|3b0ho0 cpz440|<+09>-9',
+    'Asia/Dubai': 'b40:+04|0||<+04>-4',
+    'Asia/Dushanbe':
+      'go0:+06 jg0:+07:d go0:+06:d dw0:+05|01010101010101010101023|5vay00 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 8c2s0|<+05>-5',
+    'Asia/Famagusta':
+      '5k0:EET 8c0:EEST:d 8c0:+03|01010101010101010101010101010101010101010101010101010101010101010101010101010101010120|2r67s0 9cyk0 b42s0 7nuk0 8yas0 8zzw0 9q2s0 9et80 9b9g0 9cyk0 9q2s0 8zzw0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9q2s0 9cyk0 9d440 9cyk0 9d440 at4c0 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 8h8w0 leog0|EET-2EEST,M3.5.0/3,M10.5.0/4',
+    'Asia/Gaza':
+      '5k0:IST 8c0:IDT:d 5k0:EET 8c0:EEST:d|010101010101010101010101010101023232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323|2crp40 51ek0 9q2s0 6u7w0 2kjk40 25s00 1weyo0 5reo0 bvs00 776k0 dbpg0 5rbw0 bbhg0 7rjw0 asys0 7k580 c8tg0 6h980 ag040 7x3w0 asys0 8a2k0 asys0 8a2k0 ap9g0 80t80 ap9g0 7nuk0 b2840 80t80 66as0 4vxc0 8n400 a2yo0 8n400 a2yo0 8n400 asw00 9cyk0 9q2s0 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 8n400 a2yo0 8ulg0 97ek0 8y580 9ts40 8hms0 a4qk0 7x3w0 asys0 8a5c0 ahs1o 71mic bzk5o 69uic cg840 902o0 9q000 9cyk0 9d440 ast80 7z440 ar1c0 7z440 b5rw0 7kas0 b5rw0 7kas0 b5rw0 7vc00 aunw0 7x9g0 asw00 7x6o0 b4000 7nxc0 b42s0 9d440 9cyk0 905g0 9px80 8n6s0 a2vw0 7x9g0 ast80 7x9g0 b5rw0 7kas0 b5rw0 7kas0 b5rw0 7x9g0 ast80 7x9g0 ast80 7x9g0 b5rw0 7kas0 b5rw0 7kas0 b5rw0 7kas0 b5rw0 7x9g0 afuk0 8a840 a2vw0 8n6s0 9cyk0 9d440 8zzw0 9q2s0 8a2k0 2itg0 cvw0 7x9g0 7k580 25us0 12t80 7x9g0 776k0 25us0 1frw0 7x9g0 6h980 2itg0 1sqk0 7x9g0 64ak0 25us0 2vmk0 7kas0 5rbw0 25us0 38l80 7kas0 51ek0 2itg0 3ljw0 7x9g0 4bh80 25us0 4bh80 7x9g0 3ljw0 2itg0 4ofw0 7x9g0 38l80 25us0 5rbw0 7kas0 2vmk0 25us0 64ak0 7kas0 25p80 2itg0 6h980 7x9g0 1frw0 25us0 776k0 7x9g0 puk0 2itg0 7k580 7x9g0 cvw0 2itg0 7x3w0 a31g0 8zzw0 9d440 9cyk0 8n6s0 a2vw0 8a840 afuk0 7x9g0 ast80 7x9g0 b5rw0 7kas0 b5rw0 7kas0 b5rw0 7kas0 b5rw0 7x9g0 ast80 7x9g0 ast80 7x9g0 b5rw0 7kas0 b5rw0 7kas0 ast80 8a840 a2vw0 8n6s0 9px80 905g0 8zzw0 9q2s0 8n180 25us0 cvw0 7kas0 8a2k0 25us0 puk0 7kas0 7k580 2itg0 12t80 7x9g0 6u7w0 25us0 1sqk0 7x9g0 64ak0 2itg0 25p80 7x9g0 5rbw0 2itg0 2vmk0 7kas0 5ed80 25us0 3ljw0 7kas0 4ofw0 2itg0 3yik0 7x9g0 3yik0 25us0 4ofw0 7x9g0 3ljw0 25us0 51ek0 7x9g0 2vmk0 2itg0 5ed80 7x9g0 2inw0 25us0 6h980 7kas0 1sqk0 2itg0 6u7w0 7kas0 1frw0 2itg0 776k0 7x9g0 puk0 25us0|EET-2EEST,M3.4.4/50,M10.4.4/50',
+    'Asia/Hebron':
+      '5k0:IST 8c0:IDT:d 5k0:EET 8c0:EEST:d|01010101010101010101010101010102323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323232323|2crp40 51ek0 9q2s0 6u7w0 2kjk40 25s00 1weyo0 5reo0 bvs00 776k0 dbpg0 5rbw0 bbhg0 7rjw0 asys0 7k580 c8tg0 6h980 ag040 7x3w0 asys0 8a2k0 asys0 8a2k0 ap9g0 80t80 ap9g0 7nuk0 b2840 80t80 66as0 4vxc0 8n400 a2yo0 8n400 a2yo0 8n400 asw00 9cyk0 9q2s0 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 8n400 a2yo0 8ulg0 97ek0 8y580 9ts40 8hms0 a4qk0 82nw0 anes0 8a5c0 afxc0 73h80 bzk5o 69uic 1hs40 1lbw0 9d440 902o0 9q000 9cyk0 9d440 ast80 7z440 ar1c0 7z440 b5rw0 7kas0 b5rw0 7kas0 b5rw0 7vc00 aunw0 7x9g0 asw00 7x6o0 b4000 7nxc0 b42s0 9d440 9cyk0 905g0 9px80 8n6s0 a2vw0 7x9g0 ast80 7x9g0 b5rw0 7kas0 b5rw0 7kas0 b5rw0 7x9g0 ast80 7x9g0 ast80 7x9g0 b5rw0 7kas0 b5rw0 7kas0 b5rw0 7kas0 b5rw0 7x9g0 afuk0 8a840 a2vw0 8n6s0 9cyk0 9d440 8zzw0 9q2s0 8a2k0 2itg0 cvw0 7x9g0 7k580 25us0 12t80 7x9g0 776k0 25us0 1frw0 7x9g0 6h980 2itg0 1sqk0 7x9g0 64ak0 25us0 2vmk0 7kas0 5rbw0 25us0 38l80 7kas0 51ek0 2itg0 3ljw0 7x9g0 4bh80 25us0 4bh80 7x9g0 3ljw0 2itg0 4ofw0 7x9g0 38l80 25us0 5rbw0 7kas0 2vmk0 25us0 64ak0 7kas0 25p80 2itg0 6h980 7x9g0 1frw0 25us0 776k0 7x9g0 puk0 2itg0 7k580 7x9g0 cvw0 2itg0 7x3w0 a31g0 8zzw0 9d440 9cyk0 8n6s0 a2vw0 8a840 afuk0 7x9g0 ast80 7x9g0 b5rw0 7kas0 b5rw0 7kas0 b5rw0 7kas0 b5rw0 7x9g0 ast80 7x9g0 ast80 7x9g0 b5rw0 7kas0 b5rw0 7kas0 ast80 8a840 a2vw0 8n6s0 9px80 905g0 8zzw0 9q2s0 8n180 25us0 cvw0 7kas0 8a2k0 25us0 puk0 7kas0 7k580 2itg0 12t80 7x9g0 6u7w0 25us0 1sqk0 7x9g0 64ak0 2itg0 25p80 7x9g0 5rbw0 2itg0 2vmk0 7kas0 5ed80 25us0 3ljw0 7kas0 4ofw0 2itg0 3yik0 7x9g0 3yik0 25us0 4ofw0 7x9g0 3ljw0 25us0 51ek0 7x9g0 2vmk0 2itg0 5ed80 7x9g0 2inw0 25us0 6h980 7kas0 1sqk0 2itg0 6u7w0 7kas0 1frw0 2itg0 776k0 7x9g0 puk0 25us0|EET-2EEST,M3.4.4/50,M10.4.4/50',
+    'Asia/Ho_Chi_Minh': 'm80:+08 jg0:+07|01|2uaps0|<+07>-7',
+    'Asia/Hong_Kong':
+      'm80:HKT p00:HKST:d|01010101010101010|5jni0 9cyk0 9d440 9cyk0 9d440 9px80 9d440 9cyk0 3lpg0 f4d80 9d440 9cyk0 9d440 9cyk0 1c9440 8a2k0|HKT-8',
+    'Asia/Hovd':
+      'go0:+06 jg0:+07 m80:+08:d|01212121212121212121212121212121212121212121212121|46anc0 2qk2k0 9et80 9eys0 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9q2s0 9cyk0 9d440 9cyk0 9d440 9cyk0 1ckdo0 7x3w0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 4fio40 9ct00 9d9o0 9ct00|<+07>-7',
+    'Asia/Irkutsk':
+      'm80:+08 p00:+09:d m80:+08:d jg0:+07 p00:+09|0101010101010101010102301010101010101010101010101010101010101040|5vasg0 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 5reo0 3ljw0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 1vbzw0|<+08>-8',
+    'Asia/Jakarta': 'jg0:WIB|0||WIB-7',
+    'Asia/Jayapura': 'p00:WIT|0||WIT-9',
+    'Asia/Jerusalem':
+      '5k0:IST 8c0:IDT:d|010101010101010101010101010101010101010101010101010101010101010101|2crp40 51ek0 9q2s0 6u7w0 2kjk40 25s00 1weyo0 5reo0 bvs00 776k0 dbpg0 5rbw0 bbhg0 7rjw0 asys0 7k580 c8tg0 6h980 ag040 7x3w0 asys0 8a2k0 asys0 8a2k0 ap9g0 80t80 ap9g0 7nuk0 b2840 80t80 9zc40 9iik0 9kis0 93p80 9mdg0 8qqk0 apf00 7x3w0 biw40 8zx40 9io40 8n180 9kis0 9vh80 8ulg0 9px80 9mdg0 8n180 9tuw0 9tmk0 8wg40 9gnw0 99es0 8qqk0 9zc40 9tmk0 8wg40 9gnw0 99es0 8qqk0 acas0 9gnw0 99es0 93p80 9mdg0|IST-2IDT,M3.4.4/26,M10.5.0',
+    'Asia/Kabul': 'ci0:+0430|0||<+0430>-4:30',
+    'Asia/Kamchatka':
+      'xc0:+12 1040:+13:d xc0:+12:d uk0:+11|010101010101010101010230101010101010101010101010101010101010230|5vahc0 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 5reo0 3ljw0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5xg0 7k800|<+12>-12',
+    'Asia/Karachi':
+      'dw0:+05 dw0:PKT go0:PKST:d|01212121|n33g0 g72qo0 9cyk0 2y85g0 7v980 8hms0 aaak0|PKT-5',
+    'Asia/Kathmandu': 'fa0:+0530 fz0:+0545|01|8clsq0|<+0545>-5:45',
+    'Asia/Khandyga':
+      'p00:+09 rs0:+10:d p00:+09:d m80:+08 rs0:+10 uk0:+11:d uk0:+11|010101010101010101010230101010101010101010101010454545454545454640|5vapo0 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 5reo0 3ljw0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 3fx40 4h6s0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 8ql00 1mlho0|<+09>-9',
+    'Asia/Kolkata': 'fa0:IST|0||IST-5:30',
+    'Asia/Krasnoyarsk':
+      'jg0:+07 m80:+08:d jg0:+07:d go0:+06 m80:+08|0101010101010101010102301010101010101010101010101010101010101040|5vav80 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 5reo0 3ljw0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 1vbzw0|<+07>-7',
+    'Asia/Kuala_Lumpur': 'ku0:+0730 m80:+08|01|69g1s0|<+08>-8',
+    'Asia/Kuching': 'm80:+08|0||<+08>-8',
+    'Asia/Kuwait': '8c0:+03|0||<+03>-3',
+    'Asia/Macau':
+      'm80:CST p00:CDT:d|01010101010101010|5jni0 9cyk0 9d440 9cyk0 9d440 9px80 9d440 9cyk0 3lpg0 f4d80 9d440 9cyk0 9d440 9cyk0 1c9440 8a2k0|CST-8',
+    'Asia/Magadan':
+      'uk0:+11 xc0:+12:d uk0:+11:d rs0:+10 xc0:+12|01010101010101010101023010101010101010101010101010101010101010430|5vak40 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 5reo0 3ljw0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 1vbzw0 s39k0|<+11>-11',
+    'Asia/Makassar': 'm80:WITA|0||WITA-8',
+    'Asia/Manila': 'm80:PST p00:PDT:d|01010|3rxts0 95jw0 6lv1g0 3jp80|PST-8',
+    'Asia/Muscat': 'b40:+04|0||<+04>-4',
+    'Asia/Nicosia':
+      '5k0:EET 8c0:EEST:d|0101010101010101010101010101010101010101010101010|2r67s0 9cyk0 b42s0 7nuk0 8yas0 8zzw0 9q2s0 9et80 9b9g0 9cyk0 9q2s0 8zzw0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9q2s0 9cyk0 9d440 9cyk0 9d440 at4c0|EET-2EEST,M3.5.0/3,M10.5.0/4',
+    'Asia/Novokuznetsk':
+      'jg0:+07 m80:+08:d jg0:+07:d go0:+06|010101010101010101010230101010101010101010101010101010101010230|5vav80 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 5reo0 3ljw0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5xg0 7k800|<+07>-7',
+    'Asia/Novosibirsk':
+      'jg0:+07 m80:+08:d jg0:+07:d go0:+06|010101010101010101010230101232323232323232323232323232323232323030|5vav80 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 5reo0 3ljw0 9d1c0 9d1c0 2vh00 6hn40 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 1vbzw0 wrpg0|<+07>-7',
+    'Asia/Omsk':
+      'go0:+06 jg0:+07:d go0:+06:d dw0:+05 jg0:+07|0101010101010101010102301010101010101010101010101010101010101040|5vay00 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 5reo0 3ljw0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 1vbzw0|<+06>-6',
+    'Asia/Oral':
+      'dw0:+05 go0:+06:d go0:+06 dw0:+05:d b40:+04|01210101010101010343434034343434343434343434343430|5vb0s0 9et80 9d1c0 9ew00 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d440 9d1c0 9q000 9d1c0 9d1c0 5reo0 3ljw0 9d440 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0|<+05>-5',
+    'Asia/Phnom_Penh': 'jg0:+07|0||<+07>-7',
+    'Asia/Pontianak': 'm80:WITA jg0:WIB|01|9e5gg0|WIB-7',
+    'Asia/Pyongyang': 'p00:KST nm0:KST|010|nt2v00 1f4qo0|KST-9',
+    'Asia/Qatar': 'b40:+04 8c0:+03|01|19d0w0|<+03>-3',
+    'Asia/Qostanay':
+      'dw0:+05 go0:+06:d go0:+06 dw0:+05:d b40:+04|012101010101010101010340101010101010101010101010120|5vb0s0 9et80 9d1c0 9ew00 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 5reo0 3ljw0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 a37p00|<+05>-5',
+    'Asia/Qyzylorda':
+      'dw0:+05 go0:+06:d go0:+06 dw0:+05:d|012101010101010101010302101010101010101010101010120|5vb0s0 9et80 9d1c0 9ew00 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 5rbw0 3ljw0 9d440 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7dmqc0|<+05>-5',
+    'Asia/Riyadh': '8c0:+03|0||<+03>-3',
+    'Asia/Sakhalin':
+      'uk0:+11 xc0:+12:d uk0:+11:d rs0:+10|01010101010101010101023010101010102323232323232323232323232323030|5vak40 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 5reo0 3ljw0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asys0 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 1vbzw0 qnc40|<+11>-11',
+    'Asia/Samarkand':
+      'dw0:+05 go0:+06:d go0:+06|01210101010101010101010|5vb0s0 9et80 9d1c0 9ew00 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0|<+05>-5',
+    'Asia/Seoul': 'p00:KST rs0:KDT:d|01010|920hw0 7x6o0 asw00 7x6o0|KST-9',
+    'Asia/Shanghai':
+      'm80:CST p00:CDT:d|0101010101010|8ixjc0 6u7w0 asys0 7x3w0 b5xg0 7k580 b5xg0 7x3w0 asys0 7x3w0 asys0 7x3w0|CST-8',
+    'Asia/Singapore': 'ku0:+0730 m80:+08|01|69g1s0|<+08>-8',
+    'Asia/Srednekolymsk':
+      'uk0:+11 xc0:+12:d uk0:+11:d rs0:+10 xc0:+12|0101010101010101010102301010101010101010101010101010101010101040|5vak40 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 5reo0 3ljw0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 1vbzw0|<+11>-11',
+    'Asia/Taipei': 'm80:CST p00:CDT:d|0101010|27rls0 9et80 9d440 9et80 1yf9g0 4qak0|CST-8',
+    'Asia/Tashkent':
+      'go0:+06 jg0:+07:d go0:+06:d dw0:+05|01010101010101010101023|5vay00 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440|<+05>-5',
+    'Asia/Tbilisi':
+      'b40:+04 dw0:+05:d b40:+04:d 8c0:+03|0101010101010101010102323232010101010101010101230|5vb3k0 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 9cvs0 9cyk0 9d440 9cyk0 9d440 9cyk0 9d1c0 9cyk0 9q2s0 tivw0 7x9g0 ast80 7x9g0 b5rw0 7kas0 b5rw0 7kas0 b5rw0 7x9g0 ast80 7x9g0 ast80 7x9g0 4ofw0 6hn40 7k800|<+04>-4',
+    'Asia/Tehran':
+      '9q0:+0330 ci0:+0430:d b40:+04 dw0:+05:d|0123201010101010101010101010101010101010101010101010101010101010101010|3rmzi0 ayg00 7z2q0 6uao0 51hc0 a4uq0 5wvw0 9gtg0 9kd80 5ja5g0 7avw0 9d440 9gnw0 9b9g0 9gnw0 9b9g0 9gnw0 9b9g0 9gnw0 9b9g0 9gnw0 9d440 9gnw0 9b9g0 9gnw0 9b9g0 9gnw0 9b9g0 9gnw0 9d440 9gnw0 9b9g0 9gnw0 9b9g0 9gnw0 9b9g0 9gnw0 9d440 9gnw0 1av440 9gnw0 9d440 9gnw0 9b9g0 9gnw0 9b9g0 9gnw0 9b9g0 9gnw0 9d440 9gnw0 9b9g0 9gnw0 9b9g0 9gnw0 9b9g0 9gnw0 9d440 9gnw0 9b9g0 9gnw0 9b9g0 9gnw0 9b9g0 9gnw0 9d440 9gnw0 9b9g0 9gnw0|<+0330>-3:30',
+    'Asia/Thimphu': 'fa0:+0530 go0:+06|01|99fa20|<+06>-6',
+    'Asia/Tokyo': 'p00:JST|0||JST-9',
+    'Asia/Tomsk':
+      'jg0:+07 m80:+08:d jg0:+07:d go0:+06|010101010101010101010230101010101010101010101232323232323232323030|5vav80 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 5reo0 3ljw0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 1leo0 97k40 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 1vbzw0 tw040|<+07>-7',
+    'Asia/Ulaanbaatar':
+      'jg0:+07 m80:+08 p00:+09:d|01212121212121212121212121212121212121212121212121|46akk0 2qk2k0 9et80 9eys0 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9q2s0 9cyk0 9d440 9cyk0 9d440 9cyk0 1ckdo0 7x3w0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 4fio40 9ct00 9d9o0 9ct00|<+08>-8',
+    'Asia/Urumqi': 'go0:+06|0||<+06>-6',
+    'Asia/Ust-Nera':
+      'p00:+09 xc0:+12:d uk0:+11 uk0:+11:d rs0:+10 xc0:+12|01212121212121212121234212121212121212121212121212121212121212524|5vapo0 9eno0 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 5reo0 3ljw0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 8ql00 1mlho0|<+10>-10',
+    'Asia/Vientiane': 'jg0:+07|0||<+07>-7',
+    'Asia/Vladivostok':
+      'rs0:+10 uk0:+11:d rs0:+10:d p00:+09 uk0:+11|0101010101010101010102301010101010101010101010101010101010101040|5vamw0 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 5reo0 3ljw0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 1vbzw0|<+10>-10',
+    'Asia/Yakutsk':
+      'p00:+09 rs0:+10:d p00:+09:d m80:+08 rs0:+10|0101010101010101010102301010101010101010101010101010101010101040|5vapo0 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 5reo0 3ljw0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 1vbzw0|<+09>-9',
+    'Asia/Yangon': 'i20:+0630|0||<+0630>-6:30',
+    'Asia/Yekaterinburg':
+      'dw0:+05 go0:+06:d dw0:+05:d b40:+04 go0:+06|0101010101010101010102301010101010101010101010101010101010101040|5vb0s0 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 5reo0 3ljw0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 1vbzw0|<+05>-5',
+    'Asia/Yerevan':
+      'b40:+04 dw0:+05:d b40:+04:d 8c0:+03|0101010101010101010102323232320101010101010101010101010101010|5vb3k0 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 sfzw0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0|<+04>-4',
+    'Atlantic/Azores':
+      '-2s0:-01 0:+00:d 0:WET 2s0:WEST:d|01010101010101010101010231010101|6dw040 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 4olg0 4ofw0 46000 571c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|<-01>1<+00>,M3.5.0/0,M10.5.0/1',
+    'Atlantic/Bermuda':
+      '-b40:AST -8c0:ADT:d|01010101010101010101010101010101010101010101010101010101010101010101|296oo0 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|AST4ADT,M3.2.0,M11.1.0',
+    'Atlantic/Canary':
+      '0:WET 2s0:WEST:d|0101010101010101010101010101010101|5csqo0 905g0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|WET0WEST,M3.5.0/1,M10.5.0',
+    'Atlantic/Cape_Verde': '-5k0:-02 -2s0:-01|01|32t740|<-01>1',
+    'Atlantic/Faroe':
+      '0:WET 2s0:WEST:d|01010101010101010101010101010101|5v5xg0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|WET0WEST,M3.5.0/1,M10.5.0',
+    'Atlantic/Madeira':
+      '0:WET 2s0:WEST:d|010101010101010101010101010101|6e8w00 902o0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d440 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|WET0WEST,M3.5.0/1,M10.5.0',
+    'Atlantic/Reykjavik': '0:GMT|0||GMT0',
+    'Atlantic/South_Georgia': '-5k0:-02|0||<-02>2',
+    'Atlantic/St_Helena': '0:GMT|0||GMT0',
+    'Atlantic/Stanley':
+      '-b40:-04 -8c0:-03 -5k0:-02:d -8c0:-03:d|012121303030303030303030303030303030303030303030303030301|6yf4g0 7k580 b5rw0 77c40 biqk0 77c40 b5uo0 7kas0 b5rw0 7kas0 b5rw0 7kas0 b5rw0 7kas0 biqk0 77c40 biqk0 7kas0 b5rw0 7kas0 b5rw0 7kas0 b5rw0 7kas0 b5rw0 7kas0 biqk0 7kas0 b5rw0 7kas0 b5rw0 7kas0 b5rw0 7kas0 b5rw0 7kas0 b5xg0 77c40 bvp80 6udg0 bvp80 77c40 biqk0 77c40 biqk0 77c40 biqk0 77c40 biqk0 77c40 bvp80 77c40 biqk0 77c40 biqk0 77c40|<-03>3',
+    'Australia/Adelaide':
+      'qe0:ACST t60:ACDT:d|01010101010101010101010101010101010101010101010101010101010101010101010101|ycgi0 64dc0 clpc0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6uao0 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6uao0 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 779c0 b5uo0 7k800 bitc0 7k800 bitc0 779c0 bitc0 779c0 bitc0 6hc00 c8qo0 7k800 b5uo0 6uao0 c8qo0 779c0 bitc0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7x6o0 asw00 7k800 b5uo0|ACST-9:30ACDT,M10.1.0,M4.1.0/3',
+    'Australia/Brisbane':
+      'rs0:AEST uk0:AEDT:d|010101010|ycf40 64dc0 97zuo0 6hc00 c8qo0 6hc00 c8qo0 6hc00|AEST-10',
+    'Australia/Broken_Hill':
+      'qe0:ACST t60:ACDT:d|01010101010101010101010101010101010101010101010101010101010101010101010101|ycgi0 64dc0 clpc0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6uao0 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 8a5c0 asw00 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 779c0 b5uo0 7k800 bitc0 7k800 bitc0 779c0 bitc0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6uao0 c8qo0 6hc00 c8qo0 6hc00 c8qo0 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7x6o0 asw00 7k800 b5uo0|ACST-9:30ACDT,M10.1.0,M4.1.0/3',
+    'Australia/Darwin': 'qe0:ACST|0||ACST-9:30',
+    'Australia/Eucla':
+      'ob0:+0845 r30:+0945:d|0101010101010|2iiql0 6hc00 4ir9c0 6hc00 40r400 5eg00 7p9hc0 5reo0 b5uo0 7x6o0 asw00 7x6o0|<+0845>-8:45',
+    'Australia/Hobart':
+      'uk0:AEDT:d rs0:AEST|01010101010101010101010101010101010101010101010101010101010101010101010101010|3dls0 bvs00 779c0 bvs00 64dc0 clpc0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6uao0 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 7x6o0 b5uo0 7k800 b5uo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 bvs00 7k800 bitc0 7k800 bitc0 779c0 bitc0 779c0 bitc0 7x6o0 9q000 902o0 9q000 902o0 9q000 902o0 9q000 902o0 9q000 9d1c0 9q000 902o0 9q000 902o0 9q000 902o0 9q000 902o0 7x6o0 asw00 a2yo0 902o0 9q000 902o0 9q000 902o0 9q000 902o0 9q000 9d1c0 9d1c0 902o0 a2yo0|AEST-10AEDT,M10.1.0,M4.1.0/3',
+    'Australia/Lindeman':
+      'rs0:AEST uk0:AEDT:d|0101010101010|ycf40 64dc0 97zuo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6uao0 c8qo0 6hc00|AEST-10',
+    'Australia/Lord_Howe':
+      'rs0:AEST t60:+1030 vy0:+1130:d uk0:+11:d|0121212121313131313131313131313131313131313131313131313|5tp880 c8uu0 6u7w0 c8tg0 6h980 c8tg0 6h980 c8tg0 6h980 c8tg0 777y0 b5w20 7k6m0 biuq0 7k6m0 biuq0 777y0 biuq0 6ham0 c8s20 6ham0 c8s20 6ham0 c8s20 6u9a0 c8s20 6ham0 c8s20 6ham0 c8s20 7x5a0 asxe0 7x5a0 asxe0 7x5a0 asxe0 7x5a0 b5w20 7k6m0 7x820 asum0 b5w20 7x5a0 asxe0 7x5a0 asxe0 7x5a0 b5w20 7k6m0 b5w20 7x5a0 asxe0 7k6m0 b5w20|<+1030>-10:30<+11>-11,M10.1.0,M4.1.0',
+    'Australia/Melbourne':
+      'rs0:AEST uk0:AEDT:d|01010101010101010101010101010101010101010101010101010101010101010101010101|ycf40 64dc0 clpc0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6uao0 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6uao0 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 779c0 b5uo0 7k800 b5uo0 7x6o0 bitc0 779c0 bitc0 779c0 bitc0 6hc00 c8qo0 6hc00 c8qo0 6uao0 c8qo0 6hc00 c8qo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 7x6o0 asw00 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7x6o0 asw00 7k800 b5uo0|AEST-10AEDT,M10.1.0,M4.1.0/3',
+    'Australia/Perth':
+      'm80:AWST p00:AWDT:d|0101010101010|2iiso0 6hc00 4ir9c0 6hc00 40r400 5eg00 7p9hc0 5reo0 b5uo0 7x6o0 asw00 7x6o0|AWST-8',
+    'Australia/Sydney':
+      'rs0:AEST uk0:AEDT:d|01010101010101010101010101010101010101010101010101010101010101010101010101|ycf40 64dc0 clpc0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6uao0 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 8a5c0 asw00 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 779c0 b5uo0 7k800 bitc0 7k800 bitc0 779c0 bitc0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6uao0 c8qo0 6hc00 c8qo0 6hc00 c8qo0 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 7x6o0 asw00 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7x6o0 asw00 7k800 b5uo0|AEST-10AEDT,M10.1.0,M4.1.0/3',
+    CET: '2s0:CET 5k0:CEST:d|0101010101010101010101010101010101010101|3s9ms0 902o0 9q000 9d1c0 9d1c0 9d1c0 9q000 902o0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    CST6CDT:
+      '-go0:CST -dw0:CDT:d|0101010101010101010101010101010101010101010101010101010101010101010101010101|5xkw0 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 3lpg0 f4d80 64g40 clmk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|CST6CDT,M3.2.0,M11.1.0',
+    EET: '5k0:EET 8c0:EEST:d|0101010101010101010101010101010101010101|3s9ms0 902o0 9q000 9d1c0 9d1c0 9d1c0 9q000 902o0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|EET-2EEST,M3.5.0/3,M10.5.0/4',
+    EST: '-dw0:EST|0||EST5',
+    EST5EDT:
+      '-dw0:EST -b40:EDT:d|0101010101010101010101010101010101010101010101010101010101010101010101010101|5xi40 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 3lpg0 f4d80 64g40 clmk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|EST5EDT,M3.2.0,M11.1.0',
+    'Etc/GMT': '0:GMT|0||GMT0',
+    'Etc/GMT+1': '-2s0:-01|0||<-01>1',
+    'Etc/GMT+10': '-rs0:-10|0||<-10>10',
+    'Etc/GMT+11': '-uk0:-11|0||<-11>11',
+    'Etc/GMT+12': '-xc0:-12|0||<-12>12',
+    'Etc/GMT+2': '-5k0:-02|0||<-02>2',
+    'Etc/GMT+3': '-8c0:-03|0||<-03>3',
+    'Etc/GMT+4': '-b40:-04|0||<-04>4',
+    'Etc/GMT+5': '-dw0:-05|0||<-05>5',
+    'Etc/GMT+6': '-go0:-06|0||<-06>6',
+    'Etc/GMT+7': '-jg0:-07|0||<-07>7',
+    'Etc/GMT+8': '-m80:-08|0||<-08>8',
+    'Etc/GMT+9': '-p00:-09|0||<-09>9',
+    'Etc/GMT-1': '2s0:+01|0||<+01>-1',
+    'Etc/GMT-10': 'rs0:+10|0||<+10>-10',
+    'Etc/GMT-11': 'uk0:+11|0||<+11>-11',
+    'Etc/GMT-12': 'xc0:+12|0||<+12>-12',
+    'Etc/GMT-13': '1040:+13|0||<+13>-13',
+    'Etc/GMT-14': '12w0:+14|0||<+14>-14',
+    'Etc/GMT-2': '5k0:+02|0||<+02>-2',
+    'Etc/GMT-3': '8c0:+03|0||<+03>-3',
+    'Etc/GMT-4': 'b40:+04|0||<+04>-4',
+    'Etc/GMT-5': 'dw0:+05|0||<+05>-5',
+    'Etc/GMT-6': 'go0:+06|0||<+06>-6',
+    'Etc/GMT-7': 'jg0:+07|0||<+07>-7',
+    'Etc/GMT-8': 'm80:+08|0||<+08>-8',
+    'Etc/GMT-9': 'p00:+09|0||<+09>-9',
+    'Etc/UTC': '0:UTC|0||UTC0',
+    'Europe/Amsterdam':
+      '2s0:CET 5k0:CEST:d|0101010101010101010101010101010101010101|3s9ms0 902o0 9q000 9d1c0 9d1c0 9d1c0 9q000 902o0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    'Europe/Andorra':
+      '2s0:CET 5k0:CEST:d|010101010101010101010101|7yf6s0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    'Europe/Astrakhan':
+      'b40:+04 dw0:+05:d b40:+04:d 8c0:+03|010101010101010102323023232323232323232323232323232323232323030|5vb3k0 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d440 9d1c0 9q000 9d1c0 ipzw0 9d440 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 1vbzw0 qnc40|<+04>-4',
+    'Europe/Athens':
+      '5k0:EET 8c0:EEST:d|01010101010101010101010101010101010101010101|2r4d40 bq800 71uw0 9d1c0 902o0 91xc0 9o5c0 905g0 9qgo0 9akg0 9iik0 99980 9dcg0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|EET-2EEST,M3.5.0/3,M10.5.0/4',
+    'Europe/Belgrade':
+      '2s0:CET 5k0:CEST:d|0101010101010101010101010101|6wm2s0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    'Europe/Berlin':
+      '2s0:CET 5k0:CEST:d|0101010101010101010101010101010101|5cstg0 902o0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    'Europe/Brussels':
+      '2s0:CET 5k0:CEST:d|0101010101010101010101010101010101010101|3s9ms0 902o0 9q000 9d1c0 9d1c0 9d1c0 9q000 902o0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    'Europe/Bucharest':
+      '5k0:EET 8c0:EEST:d|01010101010101010101010101010101010101|4wl940 6h980 9q000 905g0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9cvs0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9cyk0 9d440 9cyk0 9q2s0 ast80 7xhs0|EET-2EEST,M3.5.0/3,M10.5.0/4',
+    'Europe/Budapest':
+      '2s0:CET 5k0:CEST:d|0101010101010101010101010101010101|5csnw0 902o0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d6w0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    'Europe/Chisinau':
+      '8c0:MSK b40:MSD:d 8c0:EEST:d 5k0:EET|01010101010101010101232323232323232|5vb6c0 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 25p80 7kdk0 9d1c0 9d1c0 9cvs0 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9q2s0 ast80 7xf00|EET-2EEST,M3.5.0,M10.5.0/3',
+    'Europe/Copenhagen':
+      '2s0:CET 5k0:CEST:d|0101010101010101010101010101010101|5cstg0 902o0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    'Europe/Dublin':
+      '2s0:IST 0:GMT:d|010101010101010101010101010101010101010101010101010|yd6w0 779c0 bitc0 779c0 bitc0 779c0 bitc0 779c0 bitc0 7k800 b5uo0 7k800 b5uo0 7k800 bitc0 779c0 bitc0 779c0 bitc0 7x3w0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 8a5c0|IST-1GMT0,M10.5.0,M3.5.0/1',
+    'Europe/Gibraltar':
+      '2s0:CET 5k0:CEST:d|010101010101010101010101010101|6dw040 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    'Europe/Guernsey':
+      '2s0:BST 0:GMT 2s0:BST:d|012121212121212121212121212121212121212121212121212|yd6w0 779c0 bitc0 779c0 bitc0 779c0 bitc0 779c0 bitc0 7k800 b5uo0 7k800 b5uo0 7k800 bitc0 779c0 bitc0 779c0 bitc0 7x3w0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 8a5c0|GMT0BST,M3.5.0/1,M10.5.0',
+    'Europe/Helsinki':
+      '5k0:EET 8c0:EEST:d|01010101010101010101010101010101|5v5uo0 9d1c0 9d1c0 9d1c0 9d440 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|EET-2EEST,M3.5.0/3,M10.5.0/4',
+    'Europe/Isle_of_Man':
+      '2s0:BST 0:GMT 2s0:BST:d|012121212121212121212121212121212121212121212121212|yd6w0 779c0 bitc0 779c0 bitc0 779c0 bitc0 779c0 bitc0 7k800 b5uo0 7k800 b5uo0 7k800 bitc0 779c0 bitc0 779c0 bitc0 7x3w0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 8a5c0|GMT0BST,M3.5.0/1,M10.5.0',
+    'Europe/Istanbul':
+      '5k0:EET 8c0:EEST:d 8c0:+03 b40:+04:d|01010101010123201010101010101010101010101010101010101010101010101010101010101012|1s8vw0 7x6o0 7kas0 b5rw0 75hg0 bkl80 77c40 biqk0 7x9g0 a2vw0 8n6s0 4iqc0 2nkw80 38l80 kdes0 8qtc0 8a5c0 9ew00 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 902o0 9q000 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7kdk0 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7m2o0 b4000 7k800 b5uo0 7x6o0 asw00 7z1c0 ar1c0 7x6o0 bitc0 779c0 8fe80|<+03>-3',
+    'Europe/Jersey':
+      '2s0:BST 0:GMT 2s0:BST:d|012121212121212121212121212121212121212121212121212|yd6w0 779c0 bitc0 779c0 bitc0 779c0 bitc0 779c0 bitc0 7k800 b5uo0 7k800 b5uo0 7k800 bitc0 779c0 bitc0 779c0 bitc0 7x3w0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 8a5c0|GMT0BST,M3.5.0/1,M10.5.0',
+    'Europe/Kaliningrad':
+      '8c0:MSK b40:MSD:d 8c0:EEST:d 5k0:EET 8c0:+03|010101010101010102323232323232323232323232323232323232323232343|5vb6c0 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d440 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 1vbzw0|EET-2',
+    'Europe/Kirov':
+      'b40:+04 dw0:+05:d b40:MSD:d 8c0:MSK b40:MSK|01010101010101010232302323232323232323232323232323232323232343|5vb3k0 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d440 9d1c0 9q000 9d1c0 ipzw0 9d440 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 1vbzw0|MSK-3',
+    'Europe/Kyiv':
+      '8c0:MSK b40:MSD:d 8c0:EEST:d 5k0:EET|01010101010101010101232323232323|5vb6c0 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 51ek0 neqw0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asys0|EET-2EEST,M3.5.0/3,M10.5.0/4',
+    'Europe/Lisbon':
+      '2s0:CET 0:WET 2s0:WEST:d 5k0:CEST:d|01212121212121212121212121212121203030302|3ijk00 9d1c0 9d1c0 9q2s0 9d1c0 9d1c0 9d1c0 9q000 902o0 9cyk0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d440 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|WET0WEST,M3.5.0/1,M10.5.0',
+    'Europe/Ljubljana':
+      '2s0:CET 5k0:CEST:d|0101010101010101010101010101|6wm2s0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    'Europe/London':
+      '2s0:BST 0:GMT 2s0:BST:d|012121212121212121212121212121212121212121212121212|yd6w0 779c0 bitc0 779c0 bitc0 779c0 bitc0 779c0 bitc0 7k800 b5uo0 7k800 b5uo0 7k800 bitc0 779c0 bitc0 779c0 bitc0 7x3w0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 asw00 8a5c0|GMT0BST,M3.5.0/1,M10.5.0',
+    'Europe/Luxembourg':
+      '2s0:CET 5k0:CEST:d|0101010101010101010101010101010101010101|3s9ms0 902o0 9q000 9d1c0 9d1c0 9d1c0 9q000 902o0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    'Europe/Madrid':
+      '2s0:CET 5k0:CEST:d|0101010101010101010101010101010101010101010101|28g540 905g0 9px80 905g0 8zzw0 9d440 9px80 905g0 9q5k0 9d1c0 9d1c0 9d1c0 9q000 902o0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    'Europe/Malta':
+      '2s0:CET 5k0:CEST:d|010101010101010101010101010101010101010101010101010101|7pp80 64dc0 c8qo0 6hc00 clpc0 6hc00 9b6o0 9d1c0 ahs00 7m2o0 b45k0 7x3w0 asys0 7x3w0 asys0 7x3w0 asys0 7x3w0 asys0 7x3w0 a4w40 8y580 9q2s0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    'Europe/Minsk':
+      '8c0:MSK b40:MSD:d 8c0:EEST:d 5k0:EET 8c0:+03|010101010101010101023232323232323232323232323232323232323234|5vb6c0 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 sg2o0 9d440 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800|<+03>-3',
+    'Europe/Monaco':
+      '2s0:CET 5k0:CEST:d|010101010101010101010101010101010101010101|396io0 9cyk0 9q5k0 902o0 9q000 9d1c0 9d1c0 9d1c0 9q000 902o0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    'Europe/Moscow':
+      '8c0:MSK b40:MSD:d 8c0:EEST:d 5k0:EET b40:MSK|0101010101010101010102301010101010101010101010101010101010101040|5vb6c0 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 5reo0 3ljw0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 1vbzw0|MSK-3',
+    'Europe/Oslo':
+      '2s0:CET 5k0:CEST:d|0101010101010101010101010101010101|5cstg0 902o0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    'Europe/Paris':
+      '2s0:CET 5k0:CEST:d|010101010101010101010101010101010101010101|396io0 9cyk0 9q5k0 902o0 9q000 9d1c0 9d1c0 9d1c0 9q000 902o0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    'Europe/Prague':
+      '2s0:CET 5k0:CEST:d|010101010101010101010101010101010101|4tps40 9d1c0 9q000 902o0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    'Europe/Riga':
+      '8c0:MSK b40:MSD:d 8c0:EEST:d 5k0:EET|0101010101010101023232323232323232323232|5vb6c0 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d440 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d440 asw00 7x6o0 asw00 7x6o0 b5uo0 qaao0|EET-2EEST,M3.5.0/3,M10.5.0/4',
+    'Europe/Rome':
+      '2s0:CET 5k0:CEST:d|010101010101010101010101010101010101010101010101010101|7pp80 64dc0 c8qo0 6hc00 clpc0 6hc00 clpc0 64dc0 c8qo0 6hc00 clpc0 64dc0 clpc0 64dc0 c8qo0 6hc00 clpc0 6hc00 c8qo0 6hc00 9q5k0 902o0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    'Europe/Samara':
+      'b40:+04 dw0:+05:d b40:+04:d 8c0:+03 8c0:+03:d|010101010101010102323430101010101010101010101010101010101010230|5vb3k0 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d440 9d1c0 9q000 9d1c0 9d440 12w00 89zs0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5xg0 7k800|<+04>-4',
+    'Europe/Sarajevo':
+      '2s0:CET 5k0:CEST:d|0101010101010101010101010101|6wm2s0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    'Europe/Saratov':
+      'b40:+04 dw0:+05:d b40:+04:d 8c0:+03|010101010101010232323023232323232323232323232323232323232323030|5vb3k0 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d440 9d1c0 9d1c0 9d1c0 9q000 9d1c0 ipzw0 9d440 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 1vbzw0 13m040|<+04>-4',
+    'Europe/Simferopol':
+      '8c0:MSK b40:MSD:d 5k0:EET 8c0:EEST:d b40:MSK|0101010101010101010232323101010323232323232323232323232323232323240|5vb6c0 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 eeio0 wrpg0 9d1c0 9d1c0 9d1c0 9d1c0 1sl00 7kdk0 9d1c0 9d1c0 9pug0 at4c0 7x9g0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x3w0 asqg0|MSK-3',
+    'Europe/Skopje':
+      '2s0:CET 5k0:CEST:d|0101010101010101010101010101|6wm2s0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    'Europe/Sofia':
+      '5k0:EET 8c0:EEST:d|01010101010101010101010101010101010101|4tph00 9eys0 9o2k0 92040 9o2k0 90880 9pug0 90b00 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9cvs0 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9q2s0 ast80 7xhs0|EET-2EEST,M3.5.0/3,M10.5.0/4',
+    'Europe/Stockholm':
+      '2s0:CET 5k0:CEST:d|0101010101010101010101010101010101|5cstg0 902o0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    'Europe/Tallinn':
+      '8c0:MSK b40:MSD:d 8c0:EEST:d 5k0:EET|0101010101010101023232323232323232323232|5vb6c0 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d440 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asys0 7x6o0 b5uo0 19dc00|EET-2EEST,M3.5.0/3,M10.5.0/4',
+    'Europe/Tirane':
+      '2s0:CET 5k0:CEST:d|0101010101010101010101010101010101010101010101|29h980 7rjw0 autg0 7x3w0 ayis0 7x3w0 b5xg0 7k580 b42s0 7lzw0 b42s0 7lzw0 b42s0 7x3w0 ahus0 7x3w0 b5xg0 7x3w0 a4w40 8jbw0 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    'Europe/Ulyanovsk':
+      'b40:+04 dw0:+05:d b40:+04:d 8c0:+03 8c0:+03:d 5k0:+02|01010101010101010232345323232323232323232323232323232323232323030|5vb3k0 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d440 9d1c0 9q000 9d1c0 9d440 5reo0 3ljw0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 1vbzw0 qnc40|<+04>-4',
+    'Europe/Vaduz':
+      '2s0:CET 5k0:CEST:d|01010101010101010101010101010101|5v5xg0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    'Europe/Vienna':
+      '2s0:CET 5k0:CEST:d|0101010101010101010101010101010101|5csnw0 8zzw0 9d9o0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    'Europe/Vilnius':
+      '8c0:MSK b40:MSD:d 8c0:EEST:d 5k0:EET 5k0:CEST:d 2s0:CET|0101010101010101023232323232323232345432|5vb6c0 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d440 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x9g0 asw00 7x6o0 b5uo0 1s3eo0|EET-2EEST,M3.5.0/3,M10.5.0/4',
+    'Europe/Volgograd':
+      'b40:+04 dw0:+05:d b40:MSD:d 8c0:MSK b40:MSK|0101010101010102323230232323232323232323232323232323232323234303|5vb3k0 9et80 9d440 9et80 9d440 9et80 9eys0 9d6w0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d440 9d1c0 9d1c0 9d1c0 9q000 9d1c0 ipzw0 9d440 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 asw00 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 b5uo0 7k800 b5uo0 7k800 b5uo0 7x6o0 asw00 7x6o0 asw00 7x6o0 b5uo0 7k800 1vbzw0 239c40 14oqk0|MSK-3',
+    'Europe/Warsaw':
+      '2s0:CET 5k0:CEST:d|0101010101010101010101010101010101010101|3s9k00 902o0 9q000 9d1c0 9d1c0 9d1c0 9q000 902o0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d440 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    'Europe/Zagreb':
+      '2s0:CET 5k0:CEST:d|0101010101010101010101010101|6wm2s0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    'Europe/Zurich':
+      '2s0:CET 5k0:CEST:d|01010101010101010101010101010101|5v5xg0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|CET-1CEST,M3.5.0,M10.5.0/3',
+    Factory: '0:-00|0||<-00>0',
+    HST: '-rs0:HST|0||HST10',
+    'Indian/Antananarivo': '8c0:EAT|0||EAT-3',
+    'Indian/Chagos': 'dw0:+05 go0:+06|01|dkgss0|<+06>-6',
+    'Indian/Christmas': 'jg0:+07|0||<+07>-7',
+    'Indian/Cocos': 'i20:+0630|0||<+0630>-6:30',
+    'Indian/Comoro': '8c0:EAT|0||EAT-3',
+    'Indian/Kerguelen': 'dw0:+05|0||<+05>-5',
+    'Indian/Mahe': 'b40:+04|0||<+04>-4',
+    'Indian/Maldives': 'dw0:+05|0||<+05>-5',
+    'Indian/Mauritius': 'b40:+04 dw0:+05:d|01010|6nykw0 8bx80 dd0wc0 7x3w0|<+04>-4',
+    'Indian/Mayotte': '8c0:EAT|0||EAT-3',
+    'Indian/Reunion': 'b40:+04|0||<+04>-4',
+    MET: '2s0:MET 5k0:MEST:d|0101010101010101010101010101010101010101|3s9ms0 902o0 9q000 9d1c0 9d1c0 9d1c0 9q000 902o0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|MET-1MEST,M3.5.0,M10.5.0/3',
+    MST: '-jg0:MST|0||MST7',
+    MST7MDT:
+      '-jg0:MST -go0:MDT:d|0101010101010101010101010101010101010101010101010101010101010101010101010101|5xno0 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 3lpg0 f4d80 64g40 clmk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|MST7MDT,M3.2.0,M11.1.0',
+    PST8PDT:
+      '-m80:PST -jg0:PDT:d|0101010101010101010101010101010101010101010101010101010101010101010101010101|5xqg0 9cyk0 9d440 9px80 9d440 9cyk0 9d440 9cyk0 3lpg0 f4d80 64g40 clmk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9px80 905g0 9px80 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 8a840 afuk0 8a840 afuk0 8a840 ast80 7x9g0 ast80 7x9g0 ast80 6udg0|PST8PDT,M3.2.0,M11.1.0',
+    'Pacific/Apia':
+      '-uk0:-11 -rs0:-10:d 12w0:+14:d 1040:+13|010123232323232323232323|l9cp80 9odo0 902o0 4zbk0 4qog0 9d1c0 9q000 902o0 9q000 902o0 9q000 902o0 9q000 902o0 9q000 902o0 9q000 9d1c0 9q000 902o0 9q000 902o0 9q000|<+13>-13',
+    'Pacific/Auckland':
+      'xc0:NZST 1040:NZDT:d|01010101010101010101010101010101010101010101010101010101010101010101|2ivg80 5reo0 clpc0 6uao0 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6uao0 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6uao0 c8qo0 6hc00 b5uo0 8a5c0 afxc0 8a5c0 afxc0 8a5c0 afxc0 8n400 a2yo0 8n400 a2yo0 8n400 a2yo0 8n400 afxc0 8a5c0 afxc0 8a5c0 afxc0 8n400 a2yo0 8n400 a2yo0 8n400 afxc0 8a5c0 afxc0 8a5c0 afxc0 8n400 a2yo0 8n400 a2yo0 8n400 a2yo0 8n400 a2yo0|NZST-12NZDT,M9.5.0,M4.1.0/3',
+    'Pacific/Bougainville': 'rs0:+10 uk0:+11|01|nh90g0|<+11>-11',
+    'Pacific/Chatham':
+      'zf0:+1245 1270:+1345:d|01010101010101010101010101010101010101010101010101010101010101010101|2ivg80 5reo0 clpc0 6uao0 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6uao0 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6hc00 c8qo0 6uao0 c8qo0 6hc00 b5uo0 8a5c0 afxc0 8a5c0 afxc0 8a5c0 afxc0 8n400 a2yo0 8n400 a2yo0 8n400 a2yo0 8n400 afxc0 8a5c0 afxc0 8a5c0 afxc0 8n400 a2yo0 8n400 a2yo0 8n400 afxc0 8a5c0 afxc0 8a5c0 afxc0 8n400 a2yo0 8n400 a2yo0 8n400 a2yo0 8n400 a2yo0|<+1245>-12:45<+1345>,M9.5.0/2:45,M4.1.0/3:45',
+    'Pacific/Chuuk': 'rs0:+10|0||<+10>-10',
+    'Pacific/Easter':
+      '-go0:-06:d -jg0:-07 -go0:-06 -dw0:-05:d|010101010101010101010101023232323232323232323232323232323232323232323232323232323232323232323232323232323|4hcc0 a31g0 7x3w0 asys0 7x3w0 b5xg0 7k580 ag040 8a2k0 b5xg0 7k580 b5xg0 7x3w0 asys0 7x3w0 asys0 7x3w0 b5xg0 7k580 b5xg0 7k580 b5xg0 7x3w0 asys0 7x3w0 asys0 7x3w0 asys0 7x3w0 b5xg0 7k580 b5xg0 7k580 b5xg0 9cyk0 9d440 7x3w0 asys0 7x3w0 b5xg0 7k580 9q2s0 8zzw0 b5xg0 7x3w0 asys0 7x3w0 asys0 7x3w0 asys0 7x3w0 b5xg0 7k580 b5xg0 8n180 a31g0 7x3w0 a31g0 9px80 9q2s0 7x3w0 b5xg0 7k580 b5xg0 7k580 b5xg0 7k580 b5xg0 7x3w0 asys0 7x3w0 asys0 7x3w0 b5xg0 7k580 b5xg0 8n180 a31g0 7x3w0 asys0 8zzw0 9q2s0 ast80 5eis0 cyl80 6hes0 c8nw0 6udg0 bvp80 6udg0 vonw0 4olg0 e1h80 4olg0 e1h80 4olg0 c8nw0 7x9g0 ast80 7x9g0 ast80 7x9g0 ast80 8a840|<-06>6<-05>,M9.1.6/22,M4.1.6/22',
+    'Pacific/Efate':
+      'uk0:+11 xc0:+12:d|01010101010101010101010|22nyo0 51hc0 4y8qs0 9cyk0 9d440 9cyk0 9q2s0 8zzw0 9q2s0 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9d440 9cyk0 9q2s0 64ak0 e1ms0 4ofw0|<+11>-11',
+    'Pacific/Fakaofo': '-uk0:-11 1040:+13|01|lx0jw0|<+13>-13',
+    'Pacific/Fiji':
+      'xc0:+12 1040:+13:d|01010101010101010101010101010|f1p2w0 64dc0 cyo00 5reo0 53a5c0 64dc0 asw00 6uao0 bvs00 4oio0 e1k00 4oio0 eeio0 4bh80 erk40 3ylc0 erhc0 3ylc0 f4g00 3lmo0 f4g00 3lmo0 f4g00 3lmo0 fheo0 38o00 hn6o0 1fuo0|<+12>-12',
+    'Pacific/Funafuti': 'xc0:+12|0||<+12>-12',
+    'Pacific/Galapagos': '-dw0:-05 -go0:-06 -dw0:-05:d|0121|8cmlw0 3lsas0 3jp80|<-06>6',
+    'Pacific/Gambier': '-p00:-09|0||<-09>9',
+    'Pacific/Guadalcanal': 'uk0:+11|0||<+11>-11',
+    'Pacific/Guam':
+      'rs0:GST uk0:GDT:d rs0:ChST|010101010102|5wcg0 6u7w0 bvus0 6u7w0 16uo40 3ljw0 16aas0 4ivxo cls2c 6h980 c65zw0|ChST-10',
+    'Pacific/Honolulu': '-rs0:HST|0||HST10',
+    'Pacific/Kanton': '-xc0:-12 -uk0:-11 1040:+13|012|535io0 7yiqk0|<+13>-13',
+    'Pacific/Kiritimati': '-tmo:-1040 -rs0:-10 12w0:+14|012|535eyo 7yirhc|<+14>-14',
+    'Pacific/Kosrae': 'xc0:+12 uk0:+11|01|f4tw00|<+11>-11',
+    'Pacific/Kwajalein': '-xc0:-12 xc0:+12|01|cc3yo0|<+12>-12',
+    'Pacific/Majuro': 'xc0:+12|0||<+12>-12',
+    'Pacific/Marquesas': '-qe0:-0930|0||<-0930>9:30',
+    'Pacific/Midway': '-uk0:SST|0||SST11',
+    'Pacific/Nauru': 'vy0:+1130 xc0:+12|01|4r4dm0|<+12>-12',
+    'Pacific/Niue': '-uk0:-11|0||<-11>11',
+    'Pacific/Norfolk':
+      'vy0:+1130 yq0:+1230:d uk0:+11 xc0:+12:d|01023|2iiiy0 6hc00 l6nk00 239aq0|<+11>-11<+12>,M10.1.0,M4.1.0/3',
+    'Pacific/Noumea': 'uk0:+11 xc0:+12:d|0101010|44ues0 4dbw0 ecqs0 4f6k0 99p700 4oio0|<+11>-11',
+    'Pacific/Pago_Pago': '-uk0:SST|0||SST11',
+    'Pacific/Palau': 'p00:+09|0||<+09>-9',
+    'Pacific/Pitcairn': '-nm0:-0830 -m80:-08|01|es2cy0|<-08>8',
+    'Pacific/Pohnpei': 'uk0:+11|0||<+11>-11',
+    'Pacific/Port_Moresby': 'rs0:+10|0||<+10>-10',
+    'Pacific/Rarotonga':
+      '-t60:-1030 -qe0:-0930:d -rs0:-10|012121212121212121212121212|4mj960 5rbw0 c8s20 6ham0 c8s20 6ham0 c8s20 6u9a0 c8s20 6ham0 c8s20 6ham0 c8s20 6ham0 c8s20 6ham0 c8s20 6ham0 c8s20 6u9a0 c8s20 6ham0 c8s20 6ham0 c8s20 6ham0|<-10>10',
+    'Pacific/Saipan':
+      'rs0:GST uk0:GDT:d rs0:ChST|010101010102|5wcg0 6u7w0 bvus0 6u7w0 16uo40 3ljw0 16aas0 4ivxo cls2c 6h980 c65zw0|ChST-10',
+    'Pacific/Tahiti': '-rs0:-10|0||<-10>10',
+    'Pacific/Tarawa': 'xc0:+12|0||<+12>-12',
+    'Pacific/Tongatapu':
+      '1040:+13 12w0:+14:d|010101010|fj6ms0 8fpc0 bvs00 4bh80 eelg0 4bh80 7pmis0 3lmo0|<+13>-13',
+    'Pacific/Wake': 'xc0:+12|0||<+12>-12',
+    'Pacific/Wallis': 'xc0:+12|0||<+12>-12',
+    WET: '0:WET 2s0:WEST:d|0101010101010101010101010101010101010101|3s9ms0 902o0 9q000 9d1c0 9d1c0 9d1c0 9q000 902o0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9d1c0 9q000|WET0WEST,M3.5.0/1,M10.5.0'
+  },
+  links: {
+    'Africa/Asmera': 'Africa/Nairobi',
+    'Africa/Timbuktu': 'Africa/Abidjan',
+    'America/Argentina/ComodRivadavia': 'America/Argentina/Catamarca',
+    'America/Atka': 'America/Adak',
+    'America/Buenos_Aires': 'America/Argentina/Buenos_Aires',
+    'America/Catamarca': 'America/Argentina/Catamarca',
+    'America/Coral_Harbour': 'America/Panama',
+    'America/Cordoba': 'America/Argentina/Cordoba',
+    'America/Ensenada': 'America/Tijuana',
+    'America/Fort_Wayne': 'America/Indiana/Indianapolis',
+    'America/Godthab': 'America/Nuuk',
+    'America/Indianapolis': 'America/Indiana/Indianapolis',
+    'America/Jujuy': 'America/Argentina/Jujuy',
+    'America/Knox_IN': 'America/Indiana/Knox',
+    'America/Kralendijk': 'America/Puerto_Rico',
+    'America/Louisville': 'America/Kentucky/Louisville',
+    'America/Lower_Princes': 'America/Puerto_Rico',
+    'America/Marigot': 'America/Puerto_Rico',
+    'America/Mendoza': 'America/Argentina/Mendoza',
+    'America/Montreal': 'America/Toronto',
+    'America/Nipigon': 'America/Toronto',
+    'America/Pangnirtung': 'America/Iqaluit',
+    'America/Porto_Acre': 'America/Rio_Branco',
+    'America/Rainy_River': 'America/Winnipeg',
+    'America/Rosario': 'America/Argentina/Cordoba',
+    'America/Santa_Isabel': 'America/Tijuana',
+    'America/Shiprock': 'America/Denver',
+    'America/St_Barthelemy': 'America/Puerto_Rico',
+    'America/Thunder_Bay': 'America/Toronto',
+    'America/Virgin': 'America/Puerto_Rico',
+    'America/Yellowknife': 'America/Edmonton',
+    'Antarctica/South_Pole': 'Pacific/Auckland',
+    'Arctic/Longyearbyen': 'Europe/Berlin',
+    'Asia/Ashkhabad': 'Asia/Ashgabat',
+    'Asia/Calcutta': 'Asia/Kolkata',
+    'Asia/Choibalsan': 'Asia/Ulaanbaatar',
+    'Asia/Chongqing': 'Asia/Shanghai',
+    'Asia/Chungking': 'Asia/Shanghai',
+    'Asia/Dacca': 'Asia/Dhaka',
+    'Asia/Harbin': 'Asia/Shanghai',
+    'Asia/Istanbul': 'Europe/Istanbul',
+    'Asia/Kashgar': 'Asia/Urumqi',
+    'Asia/Katmandu': 'Asia/Kathmandu',
+    'Asia/Macao': 'Asia/Macau',
+    'Asia/Rangoon': 'Asia/Yangon',
+    'Asia/Saigon': 'Asia/Ho_Chi_Minh',
+    'Asia/Tel_Aviv': 'Asia/Jerusalem',
+    'Asia/Thimbu': 'Asia/Thimphu',
+    'Asia/Ujung_Pandang': 'Asia/Makassar',
+    'Asia/Ulan_Bator': 'Asia/Ulaanbaatar',
+    'Atlantic/Faeroe': 'Atlantic/Faroe',
+    'Atlantic/Jan_Mayen': 'Europe/Berlin',
+    'Australia/ACT': 'Australia/Sydney',
+    'Australia/Canberra': 'Australia/Sydney',
+    'Australia/Currie': 'Australia/Hobart',
+    'Australia/LHI': 'Australia/Lord_Howe',
+    'Australia/NSW': 'Australia/Sydney',
+    'Australia/North': 'Australia/Darwin',
+    'Australia/Queensland': 'Australia/Brisbane',
+    'Australia/South': 'Australia/Adelaide',
+    'Australia/Tasmania': 'Australia/Hobart',
+    'Australia/Victoria': 'Australia/Melbourne',
+    'Australia/West': 'Australia/Perth',
+    'Australia/Yancowinna': 'Australia/Broken_Hill',
+    'Brazil/Acre': 'America/Rio_Branco',
+    'Brazil/DeNoronha': 'America/Noronha',
+    'Brazil/East': 'America/Sao_Paulo',
+    'Brazil/West': 'America/Manaus',
+    'Canada/Atlantic': 'America/Halifax',
+    'Canada/Central': 'America/Winnipeg',
+    'Canada/Eastern': 'America/Toronto',
+    'Canada/Mountain': 'America/Edmonton',
+    'Canada/Newfoundland': 'America/St_Johns',
+    'Canada/Pacific': 'America/Vancouver',
+    'Canada/Saskatchewan': 'America/Regina',
+    'Canada/Yukon': 'America/Whitehorse',
+    'Chile/Continental': 'America/Santiago',
+    'Chile/EasterIsland': 'Pacific/Easter',
+    Cuba: 'America/Havana',
+    Egypt: 'Africa/Cairo',
+    Eire: 'Europe/Dublin',
+    'Etc/GMT+0': 'Etc/GMT',
+    'Etc/GMT-0': 'Etc/GMT',
+    'Etc/GMT0': 'Etc/GMT',
+    'Etc/Greenwich': 'Etc/GMT',
+    'Etc/UCT': 'Etc/UTC',
+    'Etc/Universal': 'Etc/UTC',
+    'Etc/Zulu': 'Etc/UTC',
+    'Europe/Belfast': 'Europe/London',
+    'Europe/Bratislava': 'Europe/Prague',
+    'Europe/Busingen': 'Europe/Zurich',
+    'Europe/Kiev': 'Europe/Kyiv',
+    'Europe/Mariehamn': 'Europe/Helsinki',
+    'Europe/Nicosia': 'Asia/Nicosia',
+    'Europe/Podgorica': 'Europe/Belgrade',
+    'Europe/San_Marino': 'Europe/Rome',
+    'Europe/Tiraspol': 'Europe/Chisinau',
+    'Europe/Uzhgorod': 'Europe/Kyiv',
+    'Europe/Vatican': 'Europe/Rome',
+    'Europe/Zaporozhye': 'Europe/Kyiv',
+    GB: 'Europe/London',
+    'GB-Eire': 'Europe/London',
+    GMT: 'Etc/GMT',
+    'GMT+0': 'Etc/GMT',
+    'GMT-0': 'Etc/GMT',
+    GMT0: 'Etc/GMT',
+    Greenwich: 'Etc/GMT',
+    Hongkong: 'Asia/Hong_Kong',
+    Iceland: 'Africa/Abidjan',
+    Iran: 'Asia/Tehran',
+    Israel: 'Asia/Jerusalem',
+    Jamaica: 'America/Jamaica',
+    Japan: 'Asia/Tokyo',
+    Kwajalein: 'Pacific/Kwajalein',
+    Libya: 'Africa/Tripoli',
+    'Mexico/BajaNorte': 'America/Tijuana',
+    'Mexico/BajaSur': 'America/Mazatlan',
+    'Mexico/General': 'America/Mexico_City',
+    NZ: 'Pacific/Auckland',
+    'NZ-CHAT': 'Pacific/Chatham',
+    Navajo: 'America/Denver',
+    PRC: 'Asia/Shanghai',
+    'Pacific/Enderbury': 'Pacific/Kanton',
+    'Pacific/Johnston': 'Pacific/Honolulu',
+    'Pacific/Ponape': 'Pacific/Guadalcanal',
+    'Pacific/Samoa': 'Pacific/Pago_Pago',
+    'Pacific/Truk': 'Pacific/Port_Moresby',
+    'Pacific/Yap': 'Pacific/Port_Moresby',
+    Poland: 'Europe/Warsaw',
+    Portugal: 'Europe/Lisbon',
+    ROC: 'Asia/Taipei',
+    ROK: 'Asia/Seoul',
+    Singapore: 'Asia/Singapore',
+    Turkey: 'Europe/Istanbul',
+    UCT: 'Etc/UTC',
+    'US/Alaska': 'America/Anchorage',
+    'US/Aleutian': 'America/Adak',
+    'US/Arizona': 'America/Phoenix',
+    'US/Central': 'America/Chicago',
+    'US/East-Indiana': 'America/Indiana/Indianapolis',
+    'US/Eastern': 'America/New_York',
+    'US/Hawaii': 'Pacific/Honolulu',
+    'US/Indiana-Starke': 'America/Indiana/Knox',
+    'US/Michigan': 'America/Detroit',
+    'US/Mountain': 'America/Denver',
+    'US/Pacific': 'America/Los_Angeles',
+    'US/Samoa': 'Pacific/Pago_Pago',
+    UTC: 'Etc/UTC',
+    Universal: 'Etc/UTC',
+    'W-SU': 'Europe/Moscow',
+    Zulu: 'Etc/UTC'
+  }
+};
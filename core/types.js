@@ -7,8 +7,11 @@
  * @typedef {Object} EventData
  * @property {string} id - Unique identifier for the event
  * @property {string} title - Event title
- * @property {Date|string} start - Start date/time of the event
- * @property {Date|string} [end] - End date/time of the event
+ * @property {Date|string|import('./core/timezone/ZonedDateTime.js').ZonedDateTime|import('./core/timezone/PlainDate.js').PlainDate} start - Start date/time of the event
+ * @property {Date|string|import('./core/timezone/ZonedDateTime.js').ZonedDateTime|import('./core/timezone/PlainDate.js').PlainDate} [end] - End date/time of the event
+ * @property {Date|string} [startUTC] - Instant of the start, as given by toObject. Kept while
+ *   it shows the start's wall-clock time, so a repeated time keeps the instant it had
+ * @property {Date|string} [endUTC] - Instant of the end, kept on the same terms
  * @property {boolean} [allDay=false] - Whether this is an all-day event
  * @property {string} [description=''] - Event description
  * @property {string} [location=''] - Event location
@@ -18,7 +21,13 @@
  * @property {string} [textColor=null] - Text color for the event
  * @property {boolean} [recurring=false] - Whether this is a recurring event
  * @property {RecurrenceRule|string} [recurrenceRule=null] - Recurrence rule (RRULE string or object)
+ * @property {Array<Date|string>} [excludeDates=[]] - Occurrences removed from the series (ICS EXDATE)
+ * @property {Array<Date|string|RecurrencePeriod>} [additionalDates=[]] - Occurrences added to the
+ *   series (ICS RDATE)
+ * @property {ModifiedInstance[]} [modifiedInstances=[]] - Changed or cancelled occurrences
  * @property {string} [timeZone=null] - IANA timezone for the event
+ * @property {'compatible'|'earlier'|'later'|'reject'} [disambiguation='compatible'] - How a
+ *   start or end skipped or repeated by a DST change resolves (see TimezoneManager#toUTC)
  * @property {EventStatus} [status='confirmed'] - Event status
  * @property {EventVisibility} [visibility='public'] - Event visibility
  * @property {Organizer} [organizer=null] - Event organizer
@@ -27,9 +36,109 @@
  * @property {string[]} [categories=[]] - Event categories/tags
  * @property {Attachment[]} [attachments=[]] - Event attachments
  * @property {ConferenceData} [conferenceData=null] - Virtual meeting information
+ * @property {number} [sequence=0] - Scheduling revision number (ICS SEQUENCE)
+ * @property {number} [priority=0] - Priority (1 highest, 9 lowest, 0 undefined)
+ * @property {string} [url=null] - Link to a representation of the event (ICS URL)
+ * @property {GeoLocation} [geo=null] - Geographic position (ICS GEO)
+ * @property {Object.<string, any>} [metadata={}] - Custom metadata for extensibility.
+ *   ICS import stores unrecognized properties, and known ones whose values are out of
+ *   range, in `icsProperties` and unrecognized parameters of known properties in `icsParameters`; both are written back on export
+ */
+
+/**
+ * @typedef {Object} ModifiedInstance
+ * @property {Date|string} recurrenceId - Original start of the occurrence (ICS RECURRENCE-ID)
+ * @property {Date|string} [start] - New start of the occurrence
+ * @property {Date|string} [end] - New end of the occurrence
+ * @property {string} [title] - Changed title
+ * @property {string} [description] - Changed description
+ * @property {string} [location] - Changed location
+ * @property {Attendee[]} [attendees] - Attendees of the occurrence, with their responses to it
+ * @property {EventStatus} [status] - 'cancelled' removes the occurrence from the series
+ * @property {string} [cancellationReason] - Why a cancelled occurrence was removed
+ */
+
+/**
+ * @typedef {Object} RecurrencePeriod
+ * @property {Date|string} start - Start of the added occurrence
+ * @property {Date|string} end - End of the added occurrence, instead of the series duration
+ */
+
+/**
+ * @typedef {Object} LocalDateTimeFields
+ * Wall-clock time given field by field, so the host timezone cannot shift
+ * a time its own DST change skips
+ * @property {number} year - Full year
+ * @property {number} month - Month (1-12)
+ * @property {number} day - Day of the month
+ * @property {number} [hour=0] - Hour (0-23)
+ * @property {number} [minute=0] - Minute
+ * @property {number} [second=0] - Second
+ * @property {number} [millisecond=0] - Millisecond
+ */
+
+/**
+ * @typedef {Object} GeoLocation
+ * @property {number} latitude - Latitude in degrees (-90 to 90)
+ * @property {number} longitude - Longitude in degrees (-180 to 180)
+ */
+
+/**
+ * @typedef {Object} ICSProperty
+ * @property {string} name - Property name, e.g. X-MICROSOFT-CDO-BUSYSTATUS
+ * @property {string} property - Name and parameters as written
+ * @property {string} value - Raw, still escaped value
+ */
+
+/**
+ * @typedef {Object} TaskData
+ * @property {string} id - Unique identifier for the task
+ * @property {string} title - Task title
+ * @property {Date|string|import('./core/timezone/ZonedDateTime.js').ZonedDateTime|import('./core/timezone/PlainDate.js').PlainDate} [start=null] - When work on the task starts
+ * @property {Date|string|import('./core/timezone/ZonedDateTime.js').ZonedDateTime|import('./core/timezone/PlainDate.js').PlainDate} [due=null] - When the task is due
+ * @property {Date|string} [completed=null] - When the task was completed
+ * @property {boolean} [allDay=false] - Whether start and due are dates without a time
+ * @property {string} [description=''] - Task description
+ * @property {string} [location=''] - Task location
+ * @property {TaskStatus} [status='needs-action'] - Task status
+ * @property {number} [percentComplete=0] - Progress (0-100)
+ * @property {number} [priority=0] - Priority (1 highest, 9 lowest, 0 undefined)
+ * @property {string} [timeZone=null] - IANA timezone for start and due
+ * @property {string} [recurrenceRule=null] - RRULE string
+ * @property {Organizer} [organizer=null] - Task organizer
+ * @property {Attendee[]} [attendees=[]] - Task attendees
+ * @property {Reminder[]} [reminders=[]] - Reminders, relative to the due date
+ * @property {string[]} [categories=[]] - Task categories/tags
+ * @property {RelatedTo[]} [relatedTo=[]] - Links to other components (ICS RELATED-TO)
+ * @property {number} [sequence=0] - Scheduling revision number (ICS SEQUENCE)
  * @property {Object.<string, any>} [metadata={}] - Custom metadata for extensibility
  */
 
+/**
+ * @typedef {('needs-action'|'in-process'|'completed'|'cancelled')} TaskStatus
+ */
+
+/**
+ * @typedef {Object} RelatedTo
+ * @property {string} id - UID of the related component
+ * @property {('parent'|'child'|'sibling')} [relType='parent'] - Relationship type
+ */
+
+/**
+ * @typedef {Object} JournalData
+ * @property {string} id - Unique identifier for the journal entry
+ * @property {string} title - Journal entry summary
+ * @property {Date} [start] - Date the entry is associated with
+ * @property {boolean} [allDay=false] - Whether start is a date without a time
+ * @property {string} [timeZone] - IANA timezone for start
+ * @property {string} [description=''] - Journal text
+ * @property {('draft'|'final'|'cancelled')} [status='final'] - Journal status
+ * @property {string[]} [categories=[]] - Categories/tags
+ * @property {RelatedTo[]} [relatedTo=[]] - Links to other components
+ * @property {Organizer} [organizer=null] - Author
+ * @property {number} [sequence=0] - Revision number
+ */
+
 /**
  * @typedef {('confirmed'|'tentative'|'cancelled')} EventStatus
  */
@@ -43,7 +152,11 @@
  */
 
 /**
- * @typedef {('required'|'optional'|'resource')} AttendeeRole
+ * @typedef {('required'|'optional'|'resource'|'chair'|'non-participant')} AttendeeRole
+ */
+
+/**
+ * @typedef {('individual'|'group'|'resource'|'room'|'unknown')} CalendarUserType
  */
 
 /**
@@ -57,6 +170,8 @@
  * @property {string} email - Organizer's email
  * @property {string} [phoneNumber] - Organizer's phone number
  * @property {string} [photoUrl] - URL to organizer's photo
+ * @property {string} [sentBy] - Email of the user acting on behalf of the organizer
+ * @property {string[]} [icsParameters] - Unrecognized ICS parameters, as written
  */
 
 /**
@@ -72,15 +187,27 @@
  * @property {boolean} [resource=false] - Whether attendee is a resource (room, equipment)
  * @property {string} [comment] - Attendee's comment or note
  * @property {Date} [responseTime] - When the attendee responded
+ * @property {boolean} [rsvp=false] - Whether a reply is requested
+ * @property {CalendarUserType} [userType] - Kind of calendar user (ICS CUTYPE)
+ * @property {string[]} [delegatedTo] - Emails the attendee delegated to
+ * @property {string[]} [delegatedFrom] - Emails the attendee was delegated from
+ * @property {string} [sentBy] - Email of the user acting on behalf of the attendee
+ * @property {string[]} [icsParameters] - Unrecognized ICS parameters, as written
  */
 
 /**
  * @typedef {Object} Reminder
  * @property {string} [id] - Unique identifier for the reminder
  * @property {ReminderMethod} method - Reminder method
- * @property {number} minutesBefore - Minutes before event to trigger reminder
+ * @property {number} minutesBefore - Minutes before event to trigger reminder; negative
+ *   for an alert after the start
  * @property {string} [message] - Custom reminder message
  * @property {boolean} [enabled=true] - Whether reminder is active
+ * @property {Date} [triggerAt] - Absolute trigger time, overrides minutesBefore on export
+ * @property {string[]} [recipients] - Email addresses an email reminder goes to; the
+ *   organizer, else the attendees, when not set
+ * @property {number} [repeat] - Number of additional repetitions after the first alert
+ * @property {number} [repeatIntervalMinutes] - Minutes between repetitions
  */
 
 /**
@@ -110,10 +237,14 @@
  * @property {number} [interval=1] - Interval between occurrences
  * @property {number} [count=null] - Number of occurrences
  * @property {Date} [until=null] - End date for recurrence
- * @property {string[]} [byDay=[]] - Days of week (MO, TU, WE, TH, FR, SA, SU)
- * @property {number[]} [byMonthDay=[]] - Days of month (1-31)
+ * @property {boolean} [untilUTC=false] - Whether until is a UTC instant rather than wall-clock time
+ * @property {string[]} [byDay=[]] - Days of week (MO, TU, WE, TH, FR, SA, SU), optionally numbered (2TU, -1FR)
+ * @property {number[]} [byMonthDay=[]] - Days of month (1-31, negative counts from the end)
+ * @property {number[]} [byYearDay=[]] - Days of year (1-366, negative counts from the end)
+ * @property {number[]} [byWeekNo=[]] - Week numbers (1-53, YEARLY only)
  * @property {number[]} [byMonth=[]] - Months (1-12)
  * @property {number[]} [bySetPos=[]] - Position in set (-1 for last)
+ * @property {string} [wkst='MO'] - First day of the week
  * @property {Date[]} [exceptions=[]] - Exception dates to exclude
  */
 
@@ -124,6 +255,7 @@
  * @property {number} [weekStartsOn=0] - Day week starts on (0=Sunday, 6=Saturday)
  * @property {string} [locale='en-US'] - Locale for formatting
  * @property {string} [timeZone] - IANA timezone
+ * @property {string[]} [secondaryTimeZones=[]] - Timezones shown alongside in week/day views
  * @property {boolean} [showWeekNumbers=false] - Show week numbers
  * @property {boolean} [showWeekends=true] - Show weekend days
  * @property {boolean} [fixedWeekCount=true] - Always show 6 weeks in month view
@@ -154,6 +286,7 @@
  * @property {number} year - Year being displayed
  * @property {number} month - Month being displayed (0-11)
  * @property {string} monthName - Localized month name
+ * @property {string} timeZone - Calendar timezone the view's dates are in
  * @property {WeekData[]} weeks - Array of weeks in the month
  * @property {Date} startDate - First date in the view
  * @property {Date} endDate - Last date in the view
@@ -168,17 +301,21 @@
 /**
  * @typedef {Object} DayData
  * @property {Date} date - Date object for the day
+ * @property {import('./core/timezone/PlainDate.js').PlainDate} plainDate - The day as a PlainDate
  * @property {number} dayOfMonth - Day of the month (1-31)
  * @property {boolean} isCurrentMonth - Whether this day is in the current month
  * @property {boolean} isToday - Whether this is today
  * @property {boolean} isWeekend - Whether this is a weekend day
  * @property {import('./core/events/Event.js').Event[]} events - Events for this day
+ * @property {import('./core/events/Task.js').Task[]} tasks - Tasks due on this day
  */
 
 /**
  * @typedef {Object} WeekViewData
  * @property {ViewType} type - Always 'week'
  * @property {number} weekNumber - Week number in the year
+ * @property {string} timeZone - Calendar timezone the view's dates are in
+ * @property {string[]} secondaryTimeZones - Timezones each hour slot is also given in
  * @property {Date} startDate - First day of the week
  * @property {Date} endDate - Last day of the week
  * @property {WeekDayData[]} days - Array of days with detailed event data
@@ -187,6 +324,7 @@
 /**
  * @typedef {Object} WeekDayData
  * @property {Date} date - Date object for the day
+ * @property {import('./core/timezone/PlainDate.js').PlainDate} plainDate - The day as a PlainDate
  * @property {number} dayOfWeek - Day of week (0-6)
  * @property {string} dayName - Localized day name
  * @property {boolean} isToday - Whether this is today
@@ -194,6 +332,9 @@
  * @property {import('./core/events/Event.js').Event[]} events - All events for this day
  * @property {Array<import('./core/events/Event.js').Event[]>} overlapGroups - Groups of overlapping events
  * @property {function(import('./core/events/Event.js').Event[]): Map<string, EventPosition>} getEventPositions - Function to calculate positions
+ * @property {import('./core/events/Task.js').Task[]} tasks - Tasks due on this day
+ * @property {HourSlot[]|null} hours - Hourly time slots, built when secondary timezones are
+ *   set or a DST change falls in the week; null for a plain 24-hour grid
  */
 
 /**
@@ -206,31 +347,54 @@
  * @typedef {Object} DayViewData
  * @property {ViewType} type - Always 'day'
  * @property {Date} date - Date being displayed
+ * @property {import('./core/timezone/PlainDate.js').PlainDate} plainDate - The day as a PlainDate
+ * @property {string} timeZone - Calendar timezone the view's dates are in
+ * @property {string[]} secondaryTimeZones - Timezones each hour slot is also given in
  * @property {string} dayName - Localized day name
  * @property {boolean} isToday - Whether this is today
  * @property {import('./core/events/Event.js').Event[]} allDayEvents - All-day events
- * @property {HourSlot[]} hours - Hourly time slots
+ * @property {import('./core/events/Task.js').Task[]} tasks - Tasks due on this day
+ * @property {HourSlot[]} hours - Hourly time slots; 23 or 25 on days DST starts or ends
  */
 
 /**
  * @typedef {Object} HourSlot
- * @property {number} hour - Hour (0-23)
+ * @property {number} hour - Hour (0-23); repeated or missing on days DST starts or ends
  * @property {string} time - Formatted time string
+ * @property {import('./core/timezone/ZonedDateTime.js').ZonedDateTime} zonedStart - Start of the hour in the calendar timezone
+ * @property {import('./core/timezone/ZonedDateTime.js').ZonedDateTime} zonedEnd - End of the slot, the next slot's start
+ * @property {SecondarySlot[]} secondary - The slot in each secondary timezone, in order
  * @property {import('./core/events/Event.js').Event[]} events - Events in this hour
  */
 
+/**
+ * @typedef {Object} SecondarySlot
+ * @property {string} timeZone - Secondary timezone
+ * @property {number} hour - Hour the slot starts at in the timezone (0-23)
+ * @property {number} minute - Minute the slot starts at, non-zero for half-hour offsets
+ * @property {string} time - Formatted start time in the timezone
+ * @property {import('./core/timezone/ZonedDateTime.js').ZonedDateTime} zonedStart - Start of the slot in the timezone
+ * @property {import('./core/timezone/PlainDate.js').PlainDate} plainDate - Date in the timezone at the slot start
+ * @property {number} dayOffset - Days the timezone's date is ahead of the calendar's, e.g. 1 or -1
+ * @property {{plainDate: import('./core/timezone/PlainDate.js').PlainDate, minutesIntoSlot: number}|null} dayBoundary -
+ *   Where the timezone's date changes within the slot, or null if it does not
+ */
+
 /**
  * @typedef {Object} ListViewData
  * @property {ViewType} type - Always 'list'
+ * @property {string} timeZone - Calendar timezone the view's dates are in
  * @property {Date} startDate - Start of the list range
  * @property {Date} endDate - End of the list range
  * @property {ListDayData[]} days - Days with events
  * @property {number} totalEvents - Total event count
+ * @property {import('./core/events/Task.js').Task[]} tasks - Tasks due within the range
  */
 
 /**
  * @typedef {Object} ListDayData
  * @property {Date} date - Date object
+ * @property {import('./core/timezone/PlainDate.js').PlainDate} plainDate - The day as a PlainDate
  * @property {string} dayName - Localized day name
  * @property {boolean} isToday - Whether this is today
  * @property {import('./core/events/Event.js').Event[]} events - Events for this day
@@ -249,6 +413,7 @@
  * @property {boolean} showWeekends - Show weekends
  * @property {boolean} fixedWeekCount - Fixed week count in month view
  * @property {string} timeZone - IANA timezone
+ * @property {string[]} secondaryTimeZones - Timezones shown alongside in week/day views
  * @property {string} locale - Locale string
  * @property {('12h'|'24h')} hourFormat - Hour format
  * @property {BusinessHours} businessHours - Business hours
@@ -272,10 +437,13 @@
 
 /**
  * @typedef {Object} EventStoreChange
- * @property {('add'|'update'|'remove'|'clear')} type - Type of change
+ * @property {('add'|'update'|'remove'|'clear'|'batch'|'addTask'|'updateTask'|'removeTask')} type - Type of change
  * @property {import('./core/events/Event.js').Event} [event] - Affected event
+ * @property {import('./core/events/Task.js').Task} [task] - Affected task
+ * @property {import('./core/events/Task.js').Task} [oldTask] - Previous task state (for task updates)
  * @property {import('./core/events/Event.js').Event} [oldEvent] - Previous event state (for updates)
  * @property {import('./core/events/Event.js').Event[]} [oldEvents] - Previous events (for clear)
+ * @property {import('./core/events/Task.js').Task[]} [oldTasks] - Previous tasks (for clear)
  * @property {number} version - Store version number
  */
 
@@ -301,6 +469,7 @@
  * @property {Date} start - Occurrence start date
  * @property {Date} end - Occurrence end date
  * @property {string} recurringEventId - ID of the parent recurring event
+ * @property {Date} recurrenceId - Start the rule gave the occurrence, before modifications
  */
 
 /**
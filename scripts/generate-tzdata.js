@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+/**
+ * Generate core/timezone/tzdata.js from compiled IANA tzdata
+ *
+ * Reads the TZif files zic writes to a zoneinfo directory, together with
+ * the tzdata.zi source in the same directory for the zone and link names
+ * and the release version. Run after a tzdata release:
+ *
+ *   npm run tzdata -- [--zoneinfo /usr/share/zoneinfo] [--start-year 1970]
+ *
+ * Each zone is stored as a string: the distinct local time types (offset in
+ * base 36 seconds, abbreviation and a DST mark), which type each period
+ * uses, the instants the type changes (base 36 seconds, then deltas) and
+ * the POSIX TZ rule from the TZif footer. Changes the rule reproduces are
+ * left out, so the table stays small and still covers any instant after
+ * the start year.
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import prettier from 'prettier';
+import { TransitionTable } from '../core/timezone/TransitionTable.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const OUTPUT = join(ROOT, 'core', 'timezone', 'tzdata.js');
+const YEAR_SECONDS = 365 * 24 * 60 * 60;
+
+function parseArgs(argv) {
+  const options = {
+    zoneinfo: process.env.TZDIR || '/usr/share/zoneinfo',
+    startYear: 1970,
+    output: OUTPUT
+  };
+  for (let i = 0; i < argv.length; i += 2) {
+    const [flag, value] = [argv[i], argv[i + 1]];
+    if (flag === '--zoneinfo') options.zoneinfo = value;
+    else if (flag === '--start-year') options.startYear = Number(value);
+    else if (flag === '--output') options.output = value;
+    else throw new Error(`Unknown option: ${flag}`);
+  }
+  return options;
+}
+
+/**
+ * Zone names, links and version from tzdata.zi
+ */
+function readSource(zoneinfo) {
+  const source = readFileSync(join(zoneinfo, 'tzdata.zi'), 'utf8');
+  const version = (source.match(/^# version (\S+)/m) || [])[1];
+  if (!version) {
+    throw new Error('tzdata.zi has no version line');
+  }
+
+  const zones = [];
+  const links = {};
+  for (const line of source.split('\n')) {
+    const fields = line.trim().split(/\s+/);
+    if (fields[0] === 'Z') zones.push(fields[1]);
+    if (fields[0] === 'L') links[fields[2]] = fields[1];
+  }
+  return { version, zones: zones.sort(), links };
+}
+
+/**
+ * Local time type changes and footer rule of a TZif file (RFC 8536)
+ */
+function readTZif(file) {
+  const buffer = readFileSync(file);
+  if (buffer.toString('latin1', 0, 4) !== 'TZif') {
+    throw new Error(`${file} is not a TZif file`);
+  }
+
+  const readHeader = start => {
+    const counts = [];
+    for (let i = 0; i < 6; i++) counts.push(buffer.readUInt32BE(start + 20 + i * 4));
+    const [isutcnt, isstdcnt, leapcnt, timecnt, typecnt, charcnt] = counts;
+    return { isutcnt, isstdcnt, leapcnt, timecnt, typecnt, charcnt };
+  };
+
+  // Skip the 32-bit block and read the 64-bit one that follows it
+  let header = readHeader(0);
+  let position =
+    44 +
+    header.timecnt * 5 +
+    header.typecnt * 6 +
+    header.charcnt +
+    header.leapcnt * 8 +
+    header.isstdcnt +
+    header.isutcnt;
+  const version = buffer[4];
+  if (version < 0x32) {
+    throw new Error(`${file} has no 64-bit data (TZif version 1)`);
+  }
+  header = readHeader(position);
+  position += 44;
+
+  const times = [];
+  for (let i = 0; i < header.timecnt; i++) {
+    times.push(Number(buffer.readBigInt64BE(position + i * 8)));
+  }
+  position += header.timecnt * 8;
+  const typeIndices = [...buffer.subarray(position, position + header.timecnt)];
+  position += header.timecnt;
+  const chars = position + header.typecnt * 6;
+  const types = [];
+  for (let i = 0; i < header.typecnt; i++) {
+    const record = position + i * 6;
+    const start = chars + buffer[record + 5];
+    types.push({
+      offset: buffer.readInt32BE(record),
+      abbreviation: buffer.toString('latin1', start, buffer.indexOf(0, start)),
+      dst: buffer[record + 4] === 1
+    });
+  }
+  position +=
+    header.typecnt * 6 + header.charcnt + header.leapcnt * 12 + header.isstdcnt + header.isutcnt;
+
+  const footer = buffer.toString('latin1', position).split('\n')[1] || '';
+  return {
+    initial: types[0],
+    changes: times.map((time, i) => ({ time, ...types[typeIndices[i]] })),
+    posix: footer
+  };
+}
+
+/**
+ * Key that tells local time types apart
+ */
+const typeKey = ({ offset, abbreviation, dst }) => `${offset}:${abbreviation}${dst ? ':d' : ''}`;
+
+/**
+ * Changes from the start year on, without changes that keep the local time
+ * type or that the footer rule reproduces
+ */
+function compileZone(name, tzif, startTime) {
+  let initial = tzif.initial;
+  const changes = [];
+  for (const change of tzif.changes) {
+    const previous = changes.length ? changes[changes.length - 1] : initial;
+    if (change.time <= startTime) {
+      initial = change;
+    } else if (typeKey(change) !== typeKey(previous)) {
+      changes.push(change);
+    }
+  }
+
+  const rule = tzif.posix ? TransitionTable.parsePosixRule(tzif.posix) : null;
+  if (rule) {
+    const ruleType = time => typeKey(TransitionTable.getRuleType(rule, time * 1000));
+    // A change can go when the rule already holds from the change before it
+    while (changes.length > 1) {
+      const change = changes[changes.length - 1];
+      const previous = changes[changes.length - 2];
+      const follows =
+        change.time - previous.time < YEAR_SECONDS &&
+        ruleType(previous.time) === typeKey(previous) &&
+        ruleType(change.time - 1) === typeKey(previous) &&
+        ruleType(change.time) === typeKey(change);
+      if (!follows) break;
+      changes.pop();
+    }
+
+    const last = changes[changes.length - 1];
+    if (last && ruleType(last.time) !== typeKey(last)) {
+      throw new Error(`${name}: footer rule ${tzif.posix} does not follow the last change`);
+    }
+  }
+
+  return { initial, changes, posix: tzif.posix };
+}
+
+const encodeInt = value => (value < 0 ? `-${(-value).toString(36)}` : value.toString(36));
+
+function encodeZone({ initial, changes, posix }) {
+  const periods = [initial, ...changes].map(typeKey);
+  const types = [...new Set(periods)];
+  if (types.length > 36) {
+    throw new Error('More than 36 distinct local time types in one zone');
+  }
+
+  const indices = periods.map(key => types.indexOf(key).toString(36)).join('');
+  const times = changes
+    .map((change, i) => encodeInt(i === 0 ? change.time : change.time - changes[i - 1].time))
+    .join(' ');
+  // offset:abbreviation, with :d for DST
+  const typeList = types.map(key => {
+    const [offset, ...rest] = key.split(':');
+    return [encodeInt(Number(offset)), ...rest].join(':');
+  });
+  return [typeList.join(' '), indices, times, posix].join('|');
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const source = readSource(options.zoneinfo);
+  const startTime = Date.UTC(options.startYear, 0, 1) / 1000;
+
+  const zones = source.zones.map(name => [
+    name,
+    encodeZone(compileZone(name, readTZif(join(options.zoneinfo, name)), startTime))
+  ]);
+  const links = Object.keys(source.links)
+    .sort()
+    .filter(name => source.zones.includes(source.links[name]));
+
+  const lines = [
+    '/**',
+    ` * IANA tzdata ${source.version} local time changes from ${options.startYear}`,
+    ' * Generated by scripts/generate-tzdata.js, do not edit',
+    ' */',
+    '',
+    'export const TZDATA = {',
+    `  version: '${source.version}',`,
+    `  startYear: ${options.startYear},`,
+    '  zones: {',
+    zones.map(([name, data]) => `    '${name}': '${data}'`).join(',\n'),
+    '  },',
+    '  links: {',
+    links.map(name => `    '${name}': '${source.links[name]}'`).join(',\n'),
+    '  }',
+    '};',
+    ''
+  ];
+  const config = await prettier.resolveConfig(options.output);
+  writeFileSync(
+    options.output,
+    await prettier.format(lines.join('\n'), { ...config, filepath: options.output })
+  );
+
+  console.log(
+    `Wrote tzdata ${source.version}: ${zones.length} zones, ${links.length} links to ${options.output}`
+  );
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,31 @@
+/**
+ * Shared assertions for the integration tests
+ */
+
+let failures = 0;
+
+/**
+ * Compare a value with the expected one and log the outcome
+ * @param {string} label - What is being checked
+ * @param {*} actual - Value produced by the code under test
+ * @param {*} expected - Value it should equal (strict equality)
+ */
+export function check(label, actual, expected) {
+    if (actual === expected) {
+        console.log(`✅ ${label}`);
+    } else {
+        failures++;
+        console.log(`❌ ${label}: expected ${expected}, got ${actual}`);
+    }
+}
+
+/**
+ * Exit with a failure status if any check failed
+ * @param {string} subject - Name of the checks in the failure message
+ */
+export function exitOnFailures(subject) {
+    if (failures > 0) {
+        console.log(`\n❌ ${failures} ${subject} check(s) failed`);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,200 @@
+/**
+ * Test how local times skipped or repeated by a DST change resolve in
+ * TimezoneManager, ZonedDateTime and Event
+ */
+
+import { TimezoneManager } from '../../core/timezone/TimezoneManager.js';
+import { ZonedDateTime } from '../../core/timezone/ZonedDateTime.js';
+import { Event } from '../../core/events/Event.js';
+import { check, exitOnFailures } from '../helpers/check.js';
+
+console.log('Testing DST disambiguation...\n');
+
+function errorOf(fn) {
+    try {
+        fn();
+        return null;
+    } catch (e) {
+        return e.message;
+    }
+}
+
+const manager = TimezoneManager.getInstance();
+const PARIS = 'Europe/Paris';
+// Clocks go from 02:00 to 03:00 on March 30 and from 03:00 back to 02:00 on October 26
+const skipped = new Date(2025, 2, 30, 2, 30);
+const repeated = new Date(2025, 9, 26, 2, 30);
+const utc = (date, disambiguation) =>
+    manager.toUTC(date, PARIS, disambiguation ? { disambiguation } : {}).toISOString();
+
+// Test 1: Asking about a local time
+console.log('=== Test 1: Skipped and repeated times ===');
+check('Skipped time detected', manager.isSkippedTime(skipped, PARIS), true);
+check('Skipped time is not repeated', manager.isRepeatedTime(skipped, PARIS), false);
+check('Repeated time detected', manager.isRepeatedTime(repeated, PARIS), true);
+check('Repeated time is not skipped', manager.isSkippedTime(repeated, PARIS), false);
+check('Ordinary time is neither', manager.isSkippedTime(new Date(2025, 2, 30, 4), PARIS), false);
+check('No instants for a skipped time', manager.getPossibleInstants(skipped, PARIS).length, 0);
+check(
+    'Both instants for a repeated time',
+    manager
+        .getPossibleInstants(repeated, PARIS)
+        .map(date => date.toISOString())
+        .join(','),
+    '2025-10-26T00:30:00.000Z,2025-10-26T01:30:00.000Z'
+);
+check(
+    'Southern hemisphere',
+    manager.isRepeatedTime(
+        { year: 2025, month: 4, day: 6, hour: 2, minute: 30 },
+        'Australia/Sydney'
+    ),
+    true
+);
+check(
+    'Half-hour change',
+    manager.isSkippedTime(
+        { year: 2025, month: 10, day: 5, hour: 2, minute: 15 },
+        'Australia/Lord_Howe'
+    ),
+    true
+);
+
+// Fields stay exact when the host is in the same timezone and would shift
+// or pick one instance of a Date
+const newYork = (month, day, hour) => ({ year: 2025, month, day, hour, minute: 30 });
+check(
+    'Skipped time from fields',
+    manager.isSkippedTime(newYork(3, 9, 2), 'America/New_York'),
+    true
+);
+check(
+    'Repeated time from fields',
+    manager
+        .getPossibleInstants(newYork(11, 2, 1), 'America/New_York')
+        .map(date => date.toISOString())
+        .join(','),
+    '2025-11-02T05:30:00.000Z,2025-11-02T06:30:00.000Z'
+);
+check(
+    'Later instance from fields',
+    manager.toUTC(newYork(11, 2, 1), 'America/New_York', { disambiguation: 'later' }).toISOString(),
+    '2025-11-02T06:30:00.000Z'
+);
+check(
+    'Reject from fields',
+    errorOf(() =>
+        manager.toUTC(newYork(3, 9, 2), 'America/New_York', { disambiguation: 'reject' })
+    ),
+    'Local time 2025-03-09T02:30:00 does not exist in America/New_York'
+);
+
+// Test 2: Skipped times
+console.log('\n=== Test 2: Gap ===');
+check('Compatible moves forward by the gap', utc(skipped), '2025-03-30T01:30:00.000Z');
+check('Compatible is the default', utc(skipped, 'compatible'), utc(skipped));
+check('Later', utc(skipped, 'later'), '2025-03-30T01:30:00.000Z');
+check('Earlier moves back by the gap', utc(skipped, 'earlier'), '2025-03-30T00:30:00.000Z');
+check(
+    'Reject',
+    errorOf(() => utc(skipped, 'reject')),
+    'Local time 2025-03-30T02:30:00 does not exist in Europe/Paris'
+);
+
+// Test 3: Repeated times
+console.log('\n=== Test 3: Overlap ===');
+check('Compatible takes the first', utc(repeated), '2025-10-26T00:30:00.000Z');
+check('Earlier', utc(repeated, 'earlier'), '2025-10-26T00:30:00.000Z');
+check('Later', utc(repeated, 'later'), '2025-10-26T01:30:00.000Z');
+check(
+    'Reject',
+    errorOf(() => utc(repeated, 'reject')),
+    'Local time 2025-10-26T02:30:00 is ambiguous in Europe/Paris'
+);
+check(
+    'Reject allows ordinary times',
+    utc(new Date(2025, 9, 26, 4), 'reject'),
+    '2025-10-26T03:00:00.000Z'
+);
+check(
+    'Unknown option',
+    errorOf(() => utc(repeated, 'first')),
+    'Invalid disambiguation: first. Must be one of: compatible, earlier, later, reject'
+);
+
+// Test 4: Converting between timezones
+console.log('\n=== Test 4: convertTimezone ===');
+const inLondon = (date, disambiguation) =>
+    manager.convertTimezone(date, PARIS, 'Europe/London', { disambiguation }).getHours();
+check('Earlier instance of the repeated hour', inLondon(repeated, 'earlier'), 1);
+check('Later instance of the repeated hour', inLondon(repeated, 'later'), 1);
+check(
+    'Instances differ by an hour',
+    manager.convertTimezone(repeated, PARIS, 'UTC', { disambiguation: 'later' }) -
+        manager.convertTimezone(repeated, PARIS, 'UTC', { disambiguation: 'earlier' }),
+    60 * 60 * 1000
+);
+check('Skipped time moves forward', inLondon(skipped), 2);
+
+// Test 5: ZonedDateTime
+console.log('\n=== Test 5: ZonedDateTime ===');
+check(
+    'Skipped time moves forward',
+    ZonedDateTime.from('2025-03-30T02:30', PARIS).toString(),
+    '2025-03-30T03:30:00+02:00[Europe/Paris]'
+);
+check(
+    'Later instance of a repeated time',
+    ZonedDateTime.from('2025-10-26T02:30', PARIS, { disambiguation: 'later' }).toString(),
+    '2025-10-26T02:30:00+01:00[Europe/Paris]'
+);
+check(
+    'Reject from fields',
+    errorOf(() =>
+        ZonedDateTime.from(
+            { year: 2025, month: 3, day: 30, hour: 2, minute: 30, timeZone: PARIS },
+            null,
+            { disambiguation: 'reject' }
+        )
+    ),
+    'Local time 2025-03-30T02:30:00 does not exist in Europe/Paris'
+);
+
+// Test 6: Events
+console.log('\n=== Test 6: Event ===');
+const session = data =>
+    new Event({
+        id: 'session',
+        title: 'Session',
+        start: repeated,
+        end: new Date(2025, 9, 26, 4),
+        timeZone: PARIS,
+        ...data
+    });
+check('Compatible by default', session().disambiguation, 'compatible');
+check('Earlier start', session().startUTC.toISOString(), '2025-10-26T00:30:00.000Z');
+check(
+    'Later start',
+    session({ disambiguation: 'later' }).startUTC.toISOString(),
+    '2025-10-26T01:30:00.000Z'
+);
+check('Duration follows', session({ disambiguation: 'later' }).durationHours, 1.5);
+check(
+    'Reject',
+    errorOf(() => session({ disambiguation: 'reject' })),
+    'Local time 2025-10-26T02:30:00 is ambiguous in Europe/Paris'
+);
+check('Kept by clone', session({ disambiguation: 'later' }).clone().disambiguation, 'later');
+check('Kept by toObject', session({ disambiguation: 'later' }).toObject().disambiguation, 'later');
+
+const moved = session({ disambiguation: 'reject', start: new Date(2025, 9, 26, 1) });
+check(
+    'Reject on update',
+    errorOf(() => moved.updateTimes(skipped, new Date(2025, 9, 26, 4))),
+    'Local time 2025-03-30T02:30:00 does not exist in Europe/Paris'
+);
+
+exitOnFailures('DST disambiguation');
+
+console.log('\n✅ DST disambiguation test complete!');
+process.exit(0);
@@ -0,0 +1,120 @@
+/**
+ * Test VALARM import/export
+ */
+
+import { ICSParser } from '../../core/ics/ICSParser.js';
+import { ICSValidator } from '../../core/ics/ICSValidator.js';
+import { Event } from '../../core/events/Event.js';
+import { check, exitOnFailures } from '../helpers/check.js';
+
+console.log('Testing ICS VALARM support...\n');
+
+const parser = new ICSParser();
+
+const ics = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:alarm-1',
+    'SUMMARY:Planning',
+    'DTSTART:20250301T100000Z',
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    'TRIGGER:-PT15M',
+    'REPEAT:2',
+    'DURATION:PT5M',
+    'DESCRIPTION:Planning starts soon',
+    'END:VALARM',
+    'BEGIN:VALARM',
+    'ACTION:EMAIL',
+    'TRIGGER;RELATED=END:-P1D',
+    'SUMMARY:Reminder',
+    'DESCRIPTION:Prepare the agenda',
+    'ATTENDEE:mailto:owner@example.com',
+    'END:VALARM',
+    'BEGIN:VALARM',
+    'ACTION:AUDIO',
+    'TRIGGER;VALUE=DATE-TIME:20250301T080000Z',
+    'END:VALARM',
+    'DTEND:20250301T120000Z',
+    'END:VEVENT',
+    'END:VCALENDAR'
+].join('\r\n');
+
+// Test 1: VALARM components become reminders
+console.log('=== Test 1: Import ===');
+const [parsed] = parser.parse(ics);
+const [display, email, audio] = parsed.reminders;
+check('Three reminders imported', parsed.reminders.length, 3);
+check('DISPLAY maps to popup', display.method, 'popup');
+check('Relative trigger', display.minutesBefore, 15);
+check('Repeat count', display.repeat, 2);
+check('Repeat interval', display.repeatIntervalMinutes, 5);
+check('Description becomes message', display.message, 'Planning starts soon');
+check('EMAIL maps to email', email.method, 'email');
+check('End-related trigger measured from start', email.minutesBefore, 1320);
+check('EMAIL recipient kept', email.recipients.join(), 'owner@example.com');
+check('AUDIO maps to popup', audio.method, 'popup');
+check('Absolute trigger', audio.minutesBefore, 120);
+
+const event = new Event(parsed);
+check('Reminders valid on Event', event.reminders.length, 3);
+
+// Test 2: Reminders are written back as VALARM blocks
+console.log('\n=== Test 2: Round trip ===');
+const exported = parser.export([event]);
+check('VALARM blocks written', exported.split('BEGIN:VALARM').length - 1, 3);
+check('Relative trigger written', exported.includes('TRIGGER:-PT15M'), true);
+check('Absolute trigger written', exported.includes('TRIGGER;VALUE=DATE-TIME:20250301T080000Z'), true);
+check('EMAIL alarm has summary', exported.includes('ACTION:EMAIL\r\nTRIGGER:-PT22H'), true);
+
+const [reparsed] = parser.parse(exported);
+check(
+    'Round trip preserves reminders',
+    JSON.stringify(reparsed.reminders.map(r => [r.method, r.minutesBefore, r.message])),
+    JSON.stringify(event.reminders.map(r => [r.method, r.minutesBefore, r.message || 'Planning']))
+);
+
+// Test 3: Alarms after the start are kept
+console.log('\n=== Test 3: Alarms after the start ===');
+const late = ics
+    .replace('TRIGGER:-PT15M', 'TRIGGER:PT15M')
+    .replace('TRIGGER;RELATED=END:-P1D', 'TRIGGER;RELATED=END:PT10M');
+const [lateParsed] = parser.parse(late);
+check('Positive trigger', lateParsed.reminders[0].minutesBefore, -15);
+check('End-related trigger after the end', lateParsed.reminders[1].minutesBefore, -130);
+const lateExported = parser.export([new Event(lateParsed)]);
+check('Positive trigger written back', lateExported.includes('TRIGGER:PT15M'), true);
+check('End-related trigger written from the start', lateExported.includes('TRIGGER:PT2H10M'), true);
+const [lateReparsed] = parser.parse(lateExported);
+check(
+    'Round trip keeps alarms after the start',
+    lateReparsed.reminders.map(r => r.minutesBefore).join(),
+    '-15,-130,120'
+);
+
+// Test 4: EMAIL alarms always have a recipient
+console.log('\n=== Test 4: EMAIL recipients ===');
+const validator = new ICSValidator();
+check('Exported alarms are valid', validator.validate(exported).valid, true);
+const emailOnly = (data = {}) =>
+    parser.export([
+        new Event({
+            ...parsed,
+            reminders: [{ method: 'email', minutesBefore: 30 }],
+            ...data
+        })
+    ]);
+check(
+    'Attendees receive it without an organizer',
+    emailOnly({ attendees: [{ email: 'guest@example.com', name: 'Guest' }] }).includes(
+        'ATTENDEE:mailto:guest@example.com\r\nEND:VALARM'
+    ),
+    true
+);
+check('Shown when nobody can receive it', emailOnly().includes('ACTION:DISPLAY'), true);
+check('Which is valid', validator.validate(emailOnly()).valid, true);
+
+exitOnFailures('VALARM');
+
+console.log('\n✅ VALARM test complete!');
+process.exit(0);
@@ -0,0 +1,66 @@
+/**
+ * Test ATTENDEE and ORGANIZER parameter import/export
+ */
+
+import { ICSParser } from '../../core/ics/ICSParser.js';
+import { Event } from '../../core/events/Event.js';
+import { check, exitOnFailures } from '../helpers/check.js';
+
+console.log('Testing ICS ATTENDEE/ORGANIZER parameters...\n');
+
+const parser = new ICSParser();
+
+const ics = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:review-1',
+    'SUMMARY:Design review',
+    'DTSTART:20250204T150000Z',
+    'ORGANIZER;CN="Doe, Jane";SENT-BY="mailto:assistant@example.com":mailto:jane@example.com',
+    'ATTENDEE;CN=Bob;ROLE=OPT-PARTICIPANT;PARTSTAT=ACCEPTED;RSVP=TRUE:mailto:bob@example.com',
+    'ATTENDEE;CUTYPE=ROOM;CN="Room 4";PARTSTAT=TENTATIVE:MAILTO:room4@example.com',
+    'ATTENDEE;ROLE=CHAIR;PARTSTAT=DELEGATED;DELEGATED-TO="mailto:amy@example.com","mailto:al@ex',
+    ' ample.com":mailto:carl@example.com',
+    'END:VEVENT',
+    'END:VCALENDAR'
+].join('\r\n');
+
+// Test 1: Parameters map onto the Organizer/Attendee typedefs
+console.log('=== Test 1: Import ===');
+const [parsed] = parser.parse(ics);
+const [bob, room, carl] = parsed.attendees;
+check('Organizer name from CN', parsed.organizer.name, 'Doe, Jane');
+check('Organizer email', parsed.organizer.email, 'jane@example.com');
+check('Organizer SENT-BY', parsed.organizer.sentBy, 'assistant@example.com');
+check('Attendee name from CN', bob.name, 'Bob');
+check('OPT-PARTICIPANT is optional', bob.optional, true);
+check('PARTSTAT maps to responseStatus', bob.responseStatus, 'accepted');
+check('RSVP parsed', bob.rsvp, true);
+check('CUTYPE=ROOM is a resource', room.resource, true);
+check('Uppercase MAILTO stripped', room.email, 'room4@example.com');
+check('Name falls back to email', carl.name, 'carl@example.com');
+check('CHAIR role', carl.role, 'chair');
+check('DELEGATED-TO list', carl.delegatedTo.join(','), 'amy@example.com,al@example.com');
+
+const event = new Event(parsed);
+check('Attendees valid on Event', event.getAttendeeCounts().accepted, 1);
+
+// Test 2: Parameters are written back out
+console.log('\n=== Test 2: Round trip ===');
+const exported = parser.export([event]);
+const [reparsed] = parser.parse(exported);
+check(
+    'Attendees survive round trip',
+    JSON.stringify(reparsed.attendees),
+    JSON.stringify(parsed.attendees)
+);
+check(
+    'Organizer survives round trip',
+    JSON.stringify(reparsed.organizer),
+    JSON.stringify(parsed.organizer)
+);
+
+exitOnFailures('attendee');
+
+console.log('\n✅ Attendee parameter test complete!');
+process.exit(0);
@@ -0,0 +1,265 @@
+/**
+ * Test lossless round-tripping of unknown ICS properties and parameters
+ */
+
+import { Calendar } from '../../core/calendar/Calendar.js';
+import { ICSHandler } from '../../core/ics/ICSHandler.js';
+import { ICSParser } from '../../core/ics/ICSParser.js';
+import { ICSValidator } from '../../core/ics/ICSValidator.js';
+import { check, exitOnFailures } from '../helpers/check.js';
+
+console.log('Testing ICS extension properties...\n');
+
+const ics = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Test//EN',
+    'BEGIN:VEVENT',
+    'UID:extensions@example.com',
+    'DTSTAMP:20250101T000000Z',
+    'DTSTART:20250610T090000Z',
+    'DURATION:PT90M',
+    'SUMMARY;LANGUAGE=de:Besprechung',
+    'CLASS:CONFIDENTIAL',
+    'PRIORITY:2',
+    'URL:https://example.com/meetings/42',
+    'GEO:52.520008;13.404954',
+    'SEQUENCE:3',
+    'ORGANIZER;CN=Ann;X-ORG-ID=17:mailto:ann@example.com',
+    'ATTENDEE;PARTSTAT=ACCEPTED;X-NUM-GUESTS=0:mailto:bob@example.com',
+    'X-MICROSOFT-CDO-BUSYSTATUS:BUSY',
+    'X-GOOGLE-CONFERENCE;X-LABEL="Join, now":https://meet.google.com/abc-defg-hij',
+    'CREATED:20241201T080000Z',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:unknown-class@example.com',
+    'DTSTAMP:20250101T000000Z',
+    'DTSTART:20250611T090000Z',
+    'SUMMARY:Vendor class',
+    'CLASS:X-VENDOR-SECRET',
+    'END:VEVENT',
+    'END:VCALENDAR'
+].join('\r\n');
+
+// Test 1: Parsing
+console.log('=== Test 1: Parse ===');
+const [event, vendor] = new ICSParser().parse(ics);
+check('CLASS mapped to visibility', event.visibility, 'confidential');
+check('Unknown CLASS treated as private', vendor.visibility, 'private');
+check('PRIORITY mapped', event.priority, 2);
+check('URL mapped', event.url, 'https://example.com/meetings/42');
+check('GEO latitude', event.geo.latitude, 52.520008);
+check('GEO longitude', event.geo.longitude, 13.404954);
+check('DURATION sets the end', event.end.getTime() - event.start.getTime(), 90 * 60000);
+check(
+    'Unknown properties preserved in order',
+    event.metadata.icsProperties.map(p => p.name).join(','),
+    'X-MICROSOFT-CDO-BUSYSTATUS,X-GOOGLE-CONFERENCE,CREATED'
+);
+check(
+    'DTSTAMP is not preserved',
+    event.metadata.icsProperties.some(p => p.name === 'DTSTAMP'),
+    false
+);
+check(
+    'Unknown parameter on a known property',
+    event.metadata.icsParameters.SUMMARY[0],
+    'LANGUAGE=de'
+);
+check('Attendee parameters preserved', event.attendees[0].icsParameters[0], 'X-NUM-GUESTS=0');
+check('Organizer parameters preserved', event.organizer.icsParameters[0], 'X-ORG-ID=17');
+
+// Test 2: Round trip through the calendar
+console.log('\n=== Test 2: Round trip ===');
+const calendar = new Calendar({ timeZone: 'UTC' });
+const handler = new ICSHandler(calendar);
+await handler.import(ics);
+const stored = calendar.getEvent('extensions@example.com');
+check('Event keeps priority', stored.priority, 2);
+check('Event keeps geo', stored.geo.latitude, 52.520008);
+check('Event keeps metadata', stored.metadata.icsProperties.length, 3);
+
+const exported = handler.export();
+const unfolded = exported.replace(/\r\n[ \t]/g, '');
+for (const line of [
+    'X-MICROSOFT-CDO-BUSYSTATUS:BUSY',
+    'X-GOOGLE-CONFERENCE;X-LABEL="Join, now":https://meet.google.com/abc-defg-hij',
+    'CREATED:20241201T080000Z',
+    'SUMMARY;LANGUAGE=de:Besprechung',
+    'CLASS:CONFIDENTIAL',
+    'PRIORITY:2',
+    'URL:https://example.com/meetings/42',
+    'GEO:52.520008;13.404954',
+    'SEQUENCE:3',
+    'ORGANIZER;CN=Ann;X-ORG-ID=17:mailto:ann@example.com',
+    'ATTENDEE;PARTSTAT=ACCEPTED;X-NUM-GUESTS=0:mailto:bob@example.com'
+]) {
+    check(`Exported ${line.split(/[;:]/)[0]}`, unfolded.split('\r\n').includes(line), true);
+}
+check('Single DTSTAMP per event', unfolded.split('DTSTAMP:').length - 1, 2);
+check('Export is valid RFC 5545', new ICSValidator().validate(exported).valid, true);
+
+// Test 3: Model validation
+console.log('\n=== Test 3: Validation ===');
+let error = null;
+try {
+    calendar.addEvent({
+        id: 'bad-geo',
+        title: 'Bad',
+        start: new Date(),
+        geo: { latitude: 91, longitude: 0 }
+    });
+} catch (e) {
+    error = e.message;
+}
+check('Invalid geo rejected', error, 'Event geo must have a valid latitude and longitude');
+error = null;
+try {
+    calendar.addEvent({ id: 'bad-priority', title: 'Bad', start: new Date(), priority: 10 });
+} catch (e) {
+    error = e.message;
+}
+check('Invalid priority rejected', error, 'Event priority must be an integer between 0 and 9');
+
+// Test 4: Multi-value CATEGORIES
+console.log('\n=== Test 4: Categories ===');
+const categoriesIcs = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Test//EN',
+    'BEGIN:VEVENT',
+    'UID:cat-1@example.com',
+    'DTSTAMP:20250101T000000Z',
+    'DTSTART:20250612T090000Z',
+    'SUMMARY:Tagged',
+    'CATEGORIES:Work,Sales\\, EMEA',
+    'CATEGORIES:Travel',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:cat-2@example.com',
+    'DTSTAMP:20250101T000000Z',
+    'DTSTART:20250613T090000Z',
+    'SUMMARY:Work only',
+    'CATEGORIES:work',
+    'END:VEVENT',
+    'END:VCALENDAR'
+].join('\r\n');
+
+const [tagged] = new ICSParser().parse(categoriesIcs);
+check('All values and lines parsed', tagged.categories.join('|'), 'Work|Sales, EMEA|Travel');
+
+const anyCalendar = new Calendar({ timeZone: 'UTC' });
+const anyResults = await new ICSHandler(anyCalendar).import(categoriesIcs, {
+    categories: ['work', 'travel']
+});
+check('Any-match filter imports both', anyResults.imported.length, 2);
+
+const allCalendar = new Calendar({ timeZone: 'UTC' });
+const allHandler = new ICSHandler(allCalendar);
+const allResults = await allHandler.import(categoriesIcs, {
+    categories: ['work', 'travel'],
+    matchAllCategories: true
+});
+check('All-match filter imports one', allResults.imported.length, 1);
+check('All-match skip reason', allResults.skipped[0].reason, 'category_filtered');
+check(
+    'Stored event keeps every category',
+    allCalendar.getEvent('cat-1@example.com').categories.length,
+    3
+);
+
+const categoriesOut = allHandler.export().replace(/\r\n[ \t]/g, '');
+check(
+    'All categories exported',
+    categoriesOut.includes('CATEGORIES:Work,Sales\\, EMEA,Travel'),
+    true
+);
+check(
+    'Export filter matches any category',
+    allHandler.export({ categories: ['travel'] }).includes('UID:cat-1@example.com'),
+    true
+);
+
+// Test 5: Out-of-range and non-numeric values
+console.log('\n=== Test 5: Invalid values ===');
+const invalidIcs = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Test//EN',
+    'BEGIN:VEVENT',
+    'UID:out-of-range@example.com',
+    'DTSTAMP:20250101T000000Z',
+    'DTSTART:20250614T090000Z',
+    'SUMMARY:Out of range',
+    'PRIORITY:10',
+    'SEQUENCE:-1',
+    'GEO:95.0;10.0',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:non-numeric@example.com',
+    'DTSTAMP:20250101T000000Z',
+    'DTSTART:20250615T090000Z',
+    'SUMMARY:Non-numeric',
+    'PRIORITY:high',
+    'GEO:north;east',
+    'END:VEVENT',
+    'BEGIN:VTODO',
+    'UID:over-complete@example.com',
+    'DTSTAMP:20250101T000000Z',
+    'SUMMARY:Overdone',
+    'PERCENT-COMPLETE:150',
+    'END:VTODO',
+    'END:VCALENDAR'
+].join('\r\n');
+
+const [outOfRange, nonNumeric] = new ICSParser().parse(invalidIcs);
+check('Out-of-range priority not mapped', outOfRange.priority, undefined);
+check('Out-of-range sequence not mapped', outOfRange.sequence, undefined);
+check('Out-of-range geo not mapped', outOfRange.geo, undefined);
+check(
+    'Out-of-range values preserved',
+    outOfRange.metadata.icsProperties.map(p => `${p.name}:${p.value}`).join(','),
+    'PRIORITY:10,SEQUENCE:-1,GEO:95.0;10.0'
+);
+check(
+    'Non-numeric values preserved',
+    nonNumeric.metadata.icsProperties.map(p => `${p.name}:${p.value}`).join(','),
+    'PRIORITY:high,GEO:north;east'
+);
+
+const invalidCalendar = new Calendar({ timeZone: 'UTC' });
+const invalidHandler = new ICSHandler(invalidCalendar);
+const invalidResults = await invalidHandler.import(invalidIcs);
+check('Events with invalid values import', invalidResults.imported.length, 2);
+check('Task with an invalid value imports', invalidResults.tasks.length, 1);
+check('Nothing fails', invalidResults.errors.length, 0);
+
+const invalidOut = invalidHandler.export().split('\r\n');
+const outOfRangeLines = invalidOut.slice(invalidOut.indexOf('UID:out-of-range@example.com'));
+for (const line of [
+    'PRIORITY:10',
+    'SEQUENCE:-1',
+    'GEO:95.0;10.0',
+    'PRIORITY:high',
+    'GEO:north;east',
+    'PERCENT-COMPLETE:150'
+]) {
+    check(`Round trip keeps ${line}`, invalidOut.includes(line), true);
+}
+check(
+    'No default SEQUENCE beside the preserved one',
+    outOfRangeLines
+        .slice(0, outOfRangeLines.indexOf('END:VEVENT'))
+        .filter(line => line.startsWith('SEQUENCE:')).length,
+    1
+);
+
+invalidCalendar.updateEvent('out-of-range@example.com', { priority: 3 });
+const updatedOut = invalidHandler.export().split('\r\n');
+check('Model value replaces the preserved one', updatedOut.includes('PRIORITY:3'), true);
+check('Preserved value dropped once replaced', updatedOut.includes('PRIORITY:10'), false);
+
+exitOnFailures('extension');
+
+console.log('\n✅ ICS extension test complete!');
+process.exit(0);
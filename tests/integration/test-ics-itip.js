@@ -0,0 +1,242 @@
+/**
+ * Test iTIP scheduling messages (REQUEST/REPLY/CANCEL/COUNTER/DECLINECOUNTER)
+ */
+
+import { Calendar } from '../../core/calendar/Calendar.js';
+import { EnhancedCalendar } from '../../core/integration/EnhancedCalendar.js';
+import { ITIPHandler } from '../../core/ics/ITIPHandler.js';
+import { ICSParser } from '../../core/ics/ICSParser.js';
+import { check, exitOnFailures } from '../helpers/check.js';
+
+console.log('Testing iTIP scheduling messages...\n');
+
+const meeting = {
+    id: 'planning@example.com',
+    title: 'Quarterly planning',
+    start: new Date(2025, 2, 3, 10, 0),
+    end: new Date(2025, 2, 3, 11, 0),
+    timeZone: 'Europe/Paris',
+    organizer: { name: 'Olivia', email: 'olivia@example.com' },
+    attendees: [
+        { name: 'Bob', email: 'bob@example.com', responseStatus: 'needs-action', rsvp: true },
+        { name: 'Carol', email: 'carol@example.com', responseStatus: 'needs-action' }
+    ],
+    reminders: [{ method: 'popup', minutesBefore: 10 }]
+};
+
+// Organizer and attendee each keep their own copy of the event
+const organizerCalendar = new Calendar({ timeZone: 'Europe/Paris' });
+const organizer = new ITIPHandler(organizerCalendar);
+const event = organizerCalendar.addEvent(meeting);
+
+const attendeeCalendar = new Calendar({ timeZone: 'Europe/Paris' });
+const attendee = new ITIPHandler(attendeeCalendar);
+
+// Test 1: REQUEST
+console.log('=== Test 1: REQUEST ===');
+const request = organizer.createRequest(event);
+check('METHOD is REQUEST', new ICSParser().parseMethod(request), 'REQUEST');
+check('SEQUENCE written', request.includes('SEQUENCE:0'), true);
+check('Local reminders not sent', request.includes('BEGIN:VALARM'), false);
+
+let result = await attendee.process(request);
+check('REQUEST adds the event', result.processed[0].action, 'added');
+check('Attendee copy has both attendees', attendeeCalendar.getEvent(event.id).attendees.length, 2);
+
+let threw = false;
+try {
+    organizer.createRequest({ ...meeting, attendees: [] });
+} catch (error) {
+    threw = error.message.includes('attendee');
+}
+check('REQUEST without attendees throws', threw, true);
+
+// Test 2: REPLY
+console.log('\n=== Test 2: REPLY ===');
+const reply = attendee.createReply(attendeeCalendar.getEvent(event.id), 'bob@example.com', 'accepted', {
+    comment: 'See you there'
+});
+check('REPLY only carries the replying attendee', reply.includes('carol@example.com'), false);
+
+result = await organizer.process(reply.replace('bob@example.com', 'BOB@example.com'));
+const bob = organizerCalendar.getEvent(event.id).getAttendee('bob@example.com');
+check('REPLY updates the response', bob.responseStatus, 'accepted');
+check('Email match ignores case', result.processed[0].action, 'attendee-updated');
+check('Response time recorded', bob.responseTime instanceof Date, true);
+check('Reply comment stored', bob.comment, 'See you there');
+
+const stranger = reply.replace(/bob@example\.com/g, 'mallory@example.com');
+result = await organizer.process(stranger);
+check('Unknown attendee rejected', result.rejected[0].reason, 'unknown-attendee');
+
+// Test 3: SEQUENCE tracking
+console.log('\n=== Test 3: Stale messages ===');
+organizerCalendar.updateEvent(event.id, { location: 'Room 2', sequence: 1 });
+result = await attendee.process(organizer.createRequest(organizerCalendar.getEvent(event.id)));
+check('Newer REQUEST updates the event', attendeeCalendar.getEvent(event.id).location, 'Room 2');
+check('Sequence stored', attendeeCalendar.getEvent(event.id).sequence, 1);
+
+result = await attendee.process(request);
+check('Older REQUEST rejected', result.rejected[0].reason, 'stale-sequence');
+check('Stale REQUEST did not apply', attendeeCalendar.getEvent(event.id).location, 'Room 2');
+
+result = await organizer.process(reply);
+check('REPLY to an old revision rejected', result.rejected[0].reason, 'stale-sequence');
+
+// Test 4: COUNTER and DECLINECOUNTER
+console.log('\n=== Test 4: COUNTER ===');
+const counter = attendee.createCounter(
+    attendeeCalendar.getEvent(event.id),
+    { start: new Date(2025, 2, 3, 14, 0), end: new Date(2025, 2, 3, 15, 0) },
+    'carol@example.com',
+    { comment: 'Mornings are busy' }
+);
+result = await organizer.process(counter);
+check('COUNTER stored as pending', result.processed[0].action, 'counter-received');
+const [pending] = organizer.getPendingCounters(event.id);
+check('Proposal holds only changed fields', Object.keys(pending.changes).join(','), 'start,end');
+check('Proposal comment kept', pending.comment, 'Mornings are busy');
+
+const decline = organizer.declineCounter(event.id, 'carol@example.com', { comment: 'Room is taken' });
+check('DECLINECOUNTER method', new ICSParser().parseMethod(decline), 'DECLINECOUNTER');
+check('Declined proposal cleared', organizer.getPendingCounters(event.id).length, 0);
+result = await attendee.process(decline);
+check('DECLINECOUNTER acknowledged', result.processed[0].comment, 'Room is taken');
+
+await organizer.process(counter);
+const update = organizer.acceptCounter(event.id, 'carol@example.com');
+check('Accepted proposal applied', organizerCalendar.getEvent(event.id).start.getHours(), 14);
+check('Accepting bumps the sequence', organizerCalendar.getEvent(event.id).sequence, 2);
+attendeeCalendar.updateEvent(event.id, { reminders: [{ method: 'popup', minutesBefore: 5 }] });
+await attendee.process(update);
+check('Attendee receives the new time', attendeeCalendar.getEvent(event.id).start.getHours(), 14);
+check('Local reminders kept on update', attendeeCalendar.getEvent(event.id).reminders.length, 1);
+
+// Test 5: CANCEL
+console.log('\n=== Test 5: CANCEL ===');
+const cancel = organizer.createCancel(organizerCalendar.getEvent(event.id));
+check('CANCEL bumps the sequence', cancel.includes('SEQUENCE:3'), true);
+result = await attendee.process(cancel);
+check('CANCEL marks the event cancelled', attendeeCalendar.getEvent(event.id).status, 'cancelled');
+
+await attendee.process(update);
+check('REQUEST older than CANCEL ignored', attendeeCalendar.getEvent(event.id).status, 'cancelled');
+
+result = await attendee.process(cancel, { removeCancelled: true });
+check('removeCancelled deletes the event', attendeeCalendar.getEvent(event.id), null);
+
+// Test 6: Cancelling a single occurrence
+console.log('\n=== Test 6: Occurrence CANCEL ===');
+const series = {
+    ...meeting,
+    id: 'weekly@example.com',
+    title: 'Weekly sync',
+    recurring: true,
+    recurrenceRule: 'FREQ=WEEKLY;COUNT=4'
+};
+const occurrence = new Date(2025, 2, 10, 10, 0);
+
+const plainAttendee = new ITIPHandler(new Calendar({ timeZone: 'Europe/Paris' }));
+await plainAttendee.process(organizer.createRequest(series));
+const occurrenceCancel = organizer.createCancel(series, { occurrence });
+check('Occurrence CANCEL has RECURRENCE-ID', occurrenceCancel.includes('RECURRENCE-ID;TZID=Europe/Paris:20250310T100000'), true);
+check('Occurrence CANCEL has no RRULE', occurrenceCancel.includes('RRULE:FREQ=WEEKLY'), false);
+
+result = await plainAttendee.process(occurrenceCancel);
+check('Occurrence cancelled', result.processed[0].action, 'occurrence-cancelled');
+check(
+    'Cancellation stored on the series',
+    plainAttendee.calendar.getEvent(series.id).modifiedInstances[0].status,
+    'cancelled'
+);
+const plainDays = plainAttendee.calendar
+    .getEventsInRange(new Date(2025, 2, 1), new Date(2025, 3, 1))
+    .map(e => e.start.getDate());
+check('Plain calendar skips the cancelled occurrence', plainDays.join(','), '3,17,24');
+
+const enhancedCalendar = new EnhancedCalendar({ timeZone: 'Europe/Paris' });
+const enhancedAttendee = new ITIPHandler(enhancedCalendar);
+await enhancedAttendee.process(organizer.createRequest(series));
+await enhancedAttendee.process(occurrenceCancel);
+const days = enhancedCalendar.recurrenceEngine
+    .expandEvent(enhancedCalendar.getEvent(series.id), new Date(2025, 2, 1), new Date(2025, 3, 1))
+    .map(o => o.start.getDate());
+check('Engine skips the cancelled occurrence', days.join(','), '3,17,24');
+
+// Test 7: Updating and answering a single occurrence
+console.log('\n=== Test 7: Occurrence REQUEST and REPLY ===');
+const moved = new ICSParser().export(
+    [
+        {
+            ...series,
+            recurring: false,
+            recurrenceRule: null,
+            start: new Date(2025, 2, 10, 14, 0),
+            end: new Date(2025, 2, 10, 15, 0),
+            recurrenceId: occurrence,
+            location: 'Room 5'
+        }
+    ],
+    undefined,
+    { method: 'REQUEST' }
+);
+const seriesCalendar = new Calendar({ timeZone: 'Europe/Paris' });
+const seriesAttendee = new ITIPHandler(seriesCalendar);
+await seriesAttendee.process(organizer.createRequest(series));
+result = await seriesAttendee.process(moved);
+check('Occurrence REQUEST updates the series', result.processed[0].action, 'occurrence-updated');
+check('No standalone event added', seriesCalendar.getEvents().length, 1);
+const movedDay = seriesCalendar.getEventsInRange(new Date(2025, 2, 10), new Date(2025, 2, 11));
+check('Only the moved occurrence on its day', movedDay.map(e => e.start.getHours()).join(), '14');
+check('Occurrence changes kept', movedDay[0].location, 'Room 5');
+
+seriesCalendar.updateEvent(series.id, { sequence: 1 });
+result = await seriesAttendee.process(moved);
+check('Occurrence REQUEST checked against the series', result.rejected[0].reason, 'stale-sequence');
+
+const organizerSeries = organizerCalendar.addEvent(series);
+const declineOne = seriesAttendee.createReply(organizerSeries, 'bob@example.com', 'declined', {
+    occurrence
+});
+check('Occurrence REPLY has RECURRENCE-ID', declineOne.includes('RECURRENCE-ID'), true);
+result = await organizer.process(declineOne);
+check('Occurrence REPLY recorded', result.processed[0].action, 'attendee-updated');
+const answered = organizerCalendar.getEvent(series.id);
+check(
+    'Series response unchanged',
+    answered.getAttendee('bob@example.com').responseStatus,
+    'needs-action'
+);
+check(
+    'Response stored on the occurrence',
+    answered.modifiedInstances[0].attendees.find(a => a.email === 'bob@example.com').responseStatus,
+    'declined'
+);
+const answeredDays = organizerCalendar
+    .getEventsInRange(new Date(2025, 2, 1), new Date(2025, 3, 1))
+    .filter(e => e.title === series.title)
+    .map(e => e.start.getDate());
+check('Occurrence still takes place', answeredDays.join(','), '3,10,17,24');
+
+// Test 8: COUNTER against an event without an end
+console.log('\n=== Test 8: COUNTER without a stored end ===');
+const openEnded = organizerCalendar.addEvent({ ...meeting, id: 'open@example.com' });
+openEnded.end = null;
+result = await organizer.process(
+    attendee.createCounter(
+        { ...meeting, id: 'open@example.com' },
+        { end: new Date(2025, 2, 3, 12, 0) },
+        'bob@example.com'
+    )
+);
+check('COUNTER processed', result.processed[0].action, 'counter-received');
+check(
+    'Proposed end recorded',
+    Object.keys(organizer.getPendingCounters('open@example.com')[0].changes).join(),
+    'end'
+);
+
+exitOnFailures('iTIP');
+
+console.log('\n✅ iTIP scheduling test complete!');
+process.exit(0);
@@ -0,0 +1,119 @@
+/**
+ * Test RECURRENCE-ID overrides, EXDATE and RDATE in ICS round trips
+ */
+
+import { Calendar } from '../../core/calendar/Calendar.js';
+import { EnhancedCalendar } from '../../core/integration/EnhancedCalendar.js';
+import { ICSHandler } from '../../core/ics/ICSHandler.js';
+import { ICSParser } from '../../core/ics/ICSParser.js';
+import { check, exitOnFailures } from '../helpers/check.js';
+
+console.log('Testing ICS recurrence exceptions and overrides...\n');
+
+const ics = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'BEGIN:VEVENT',
+    'UID:standup@example.com',
+    'SUMMARY:Standup',
+    'DTSTART;TZID=America/New_York:20250106T090000',
+    'DTEND;TZID=America/New_York:20250106T091500',
+    'RRULE:FREQ=DAILY;COUNT=10',
+    'EXDATE;TZID=America/New_York:20250108T090000',
+    'RDATE;TZID=America/New_York:20250118T090000',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:standup@example.com',
+    'RECURRENCE-ID:20250109T140000Z',
+    'SUMMARY:Standup (moved)',
+    'LOCATION:Room 4',
+    'DTSTART;TZID=America/New_York:20250109T110000',
+    'DTEND;TZID=America/New_York:20250109T111500',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:orphan@example.com',
+    'RECURRENCE-ID;TZID=America/New_York:20250110T090000',
+    'SUMMARY:Lonely override',
+    'DTSTART;TZID=America/New_York:20250110T100000',
+    'END:VEVENT',
+    'END:VCALENDAR'
+].join('\r\n');
+
+// Test 1: Parser groups overrides under their master
+console.log('=== Test 1: Parse ===');
+const parsed = new ICSParser().parse(ics);
+const master = parsed.find(e => e.id === 'standup@example.com');
+check('Override attached to master', parsed.length, 2);
+check('Master is recurring', master.recurring, true);
+check('RRULE kept as recurrenceRule', master.recurrenceRule, 'FREQ=DAILY;COUNT=10');
+check('EXDATE parsed', master.excludeDates[0].getDate(), 8);
+check('RDATE parsed', master.additionalDates[0].getDate(), 18);
+check('RECURRENCE-ID converted to series zone', master.modifiedInstances[0].recurrenceId.getHours(), 9);
+check('Override keeps changed fields', master.modifiedInstances[0].location, 'Room 4');
+check(
+    'Orphan override gets a unique id',
+    parsed[1].id,
+    'orphan@example.com_20250110T090000'
+);
+
+// Test 2: EnhancedCalendar expands with the imported exceptions and overrides
+console.log('\n=== Test 2: Import into EnhancedCalendar ===');
+const enhanced = new EnhancedCalendar({ timeZone: 'America/New_York' });
+const enhancedHandler = new ICSHandler(enhanced);
+await enhancedHandler.import(ics);
+
+const engine = enhanced.recurrenceEngine;
+const series = enhanced.getEvent('standup@example.com');
+const occurrences = engine.expandEvent(
+    series,
+    new Date(2025, 0, 1),
+    new Date(2025, 0, 31)
+);
+const days = occurrences.map(o => o.start.getDate());
+check('EXDATE removed from expansion', days.includes(8), false);
+check('RDATE added to expansion', days.includes(18), true);
+const moved = occurrences.find(o => o.start.getDate() === 9);
+check('Modified instance applied', moved.title, 'Standup (moved)');
+check('Modified instance start', moved.start.getHours(), 11);
+
+// Test 3: Export emits the same structure from the stored series
+console.log('\n=== Test 3: Export from EnhancedCalendar ===');
+const exported = enhancedHandler.export();
+check('EXDATE exported', exported.includes('EXDATE;TZID=America/New_York:20250108T090000'), true);
+check('RDATE exported', exported.includes('RDATE;TZID=America/New_York:20250118T090000'), true);
+check(
+    'RECURRENCE-ID exported',
+    exported.includes('RECURRENCE-ID;TZID=America/New_York:20250109T090000'),
+    true
+);
+const reparsed = new ICSParser().parse(exported).find(e => e.id === 'standup@example.com');
+check('Round trip keeps override', reparsed.modifiedInstances.length, 1);
+check('Round trip keeps EXDATE', reparsed.excludeDates.length, 1);
+
+// Test 4: Plain Calendar keeps overrides on the series as well
+console.log('\n=== Test 4: Import into Calendar ===');
+const calendar = new Calendar({ timeZone: 'America/New_York' });
+const handler = new ICSHandler(calendar);
+await handler.import(ics);
+
+const plainSeries = calendar.getEvent('standup@example.com');
+check('Override stored on the series', plainSeries.modifiedInstances.length, 1);
+check('No linked override event', calendar.getEvent('standup@example.com_20250109T090000'), null);
+check('Series rule left unchanged', plainSeries.recurrenceRule, 'FREQ=DAILY;COUNT=10');
+const plainDays = calendar
+    .getEventsInRange(new Date(2025, 0, 1), new Date(2025, 0, 31))
+    .filter(e => e.metadata.recurringEventId === 'standup@example.com')
+    .map(e => e.start.getDate());
+check('Calendar expands like EnhancedCalendar', plainDays.join(','), days.join(','));
+
+const plainExport = handler.export();
+const plainReparsed = new ICSParser().parse(plainExport);
+const plainMaster = plainReparsed.find(e => e.id === 'standup@example.com');
+check('Override exported as RECURRENCE-ID', plainMaster.modifiedInstances.length, 1);
+check('EXDATE exported once', plainMaster.excludeDates.length, 1);
+check('RDATE exported with the series', plainMaster.additionalDates.length, 1);
+
+exitOnFailures('recurrence');
+
+console.log('\n✅ Recurrence exceptions test complete!');
+process.exit(0);
@@ -0,0 +1,154 @@
+/**
+ * Test streaming ICS parsing and batched import
+ */
+
+import { Calendar } from '../../core/calendar/Calendar.js';
+import { ICSHandler } from '../../core/ics/ICSHandler.js';
+import { ICSParser } from '../../core/ics/ICSParser.js';
+import { ICSStreamParser } from '../../core/ics/ICSStreamParser.js';
+import { check, exitOnFailures } from '../helpers/check.js';
+
+console.log('Testing streaming ICS parser...\n');
+
+const EVENT_COUNT = 1200;
+const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'BEGIN:VEVENT',
+    'UID:weekly@example.com',
+    'SUMMARY:Weekly review',
+    'DTSTART;TZID=America/New_York:20250106T090000',
+    'RRULE:FREQ=WEEKLY;COUNT=5',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:weekly@example.com',
+    'RECURRENCE-ID;TZID=America/New_York:20250113T090000',
+    'SUMMARY:Weekly review (moved)',
+    'DTSTART;TZID=America/New_York:20250113T140000',
+    'END:VEVENT'
+];
+for (let i = 0; i < EVENT_COUNT; i++) {
+    const day = String((i % 28) + 1).padStart(2, '0');
+    lines.push(
+        'BEGIN:VEVENT',
+        `UID:event-${i}@example.com`,
+        `SUMMARY:Café meeting ${i} with a deliberately long title so that the line is fo`,
+        ' lded by the exporter',
+        `DTSTART:202502${day}T100000Z`,
+        `DTEND:202502${day}T110000Z`,
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        'TRIGGER:-PT15M',
+        'END:VALARM',
+        'END:VEVENT'
+    );
+}
+lines.push('END:VCALENDAR');
+const ics = lines.join('\r\n');
+
+const expected = new ICSParser().parse(ics);
+// Series come out at the end of a stream, so compare regardless of order
+const byId = events => JSON.stringify([...events].sort((a, b) => (a.id < b.id ? -1 : 1)));
+
+// Test 1: Push parser fed in small chunks
+console.log('=== Test 1: Chunked text ===');
+const stream = new ICSStreamParser();
+const pushed = [];
+let firstYield = -1;
+for (let i = 0; i < ics.length; i += 37) {
+    const events = stream.write(ics.substring(i, i + 37));
+    if (events.length > 0 && firstYield === -1) firstYield = i;
+    pushed.push(...events);
+}
+pushed.push(...stream.end());
+
+check('Same number of events as parse()', pushed.length, expected.length);
+check('Events yielded before the end of input', firstYield < ics.length / 10, true);
+check('Same events as parse()', byId(pushed), byId(expected));
+check('Folded line split across chunks', pushed[5].title.endsWith('folded by the exporter'), true);
+check(
+    'Override attached to preceding master',
+    pushed.find(event => event.id === 'weekly@example.com').modifiedInstances.length,
+    1
+);
+
+// Overrides attach to their master wherever they are in the stream
+const master = lines.slice(2, 8);
+const override = lines.slice(8, 14);
+const single = lines.slice(14, 25);
+for (const [label, components, count] of [
+    ['Override before its master', [...override, ...master], 1],
+    ['Another event between them', [...master, ...single, ...override], 2]
+]) {
+    const text = ['BEGIN:VCALENDAR', ...components, 'END:VCALENDAR'].join('\r\n');
+    const orderStream = new ICSStreamParser();
+    const events = [...orderStream.write(text), ...orderStream.end()];
+    const series = events.find(event => event.id === 'weekly@example.com');
+    check(`${label}: override attached`, series.modifiedInstances.length, 1);
+    check(`${label}: no standalone override`, events.length, count);
+    check(`${label}: same as parse()`, byId(events), byId(new ICSParser().parse(text)));
+}
+
+// Test 2: UTF-8 bytes with multi-byte characters split between chunks
+console.log('\n=== Test 2: Byte chunks ===');
+const bytes = new TextEncoder().encode(ics);
+const chunks = [];
+for (let i = 0; i < bytes.length; i += 1001) {
+    chunks.push(bytes.subarray(i, i + 1001));
+}
+const decoded = [];
+for await (const event of ICSStreamParser.parse(chunks)) {
+    decoded.push(event);
+}
+check('All events decoded', decoded.length, expected.length);
+check(
+    'Multi-byte characters survive chunking',
+    decoded.every(event => !event.title.includes('�')),
+    true
+);
+
+// Test 3: Batched import with progress
+console.log('\n=== Test 3: Batched import ===');
+const calendar = new Calendar({ timeZone: 'UTC' });
+const handler = new ICSHandler(calendar);
+const changes = [];
+calendar.eventStore.subscribe(change => changes.push(change.type));
+const progress = [];
+
+const results = await handler.import(new Blob([ics]), {
+    batchSize: 500,
+    onProgress: update => progress.push(update)
+});
+check('All events imported', results.imported.length, EVENT_COUNT + 1);
+check('Progress reported per batch', progress.length, 3);
+check('Final progress count', progress[progress.length - 1].processed, EVENT_COUNT + 1);
+check('Adds notified in batches', changes.filter(type => type === 'batch').length, 3);
+check('No per-event add notifications', changes.includes('add'), false);
+check(
+    'Reminders parsed while streaming',
+    calendar.getEvent('event-7@example.com').reminders.length,
+    1
+);
+
+// Test 4: String input keeps the single-pass parser
+console.log('\n=== Test 4: String import ===');
+const stringCalendar = new Calendar({ timeZone: 'UTC' });
+const stringResults = await new ICSHandler(stringCalendar).import(ics, { batchSize: 1000 });
+check('String import still works', stringResults.imported.length, EVENT_COUNT + 1);
+check('Batch store released', stringCalendar.eventStore.isBatchMode, false);
+
+// Test 5: Inputs are told apart by shape, without a global Blob
+console.log('\n=== Test 5: No global Blob ===');
+const { Blob: GlobalBlob } = globalThis;
+delete globalThis.Blob;
+const chunkResults = await new ICSHandler(new Calendar({ timeZone: 'UTC' })).import([ics]);
+check('Iterable imported without Blob', chunkResults.imported.length, EVENT_COUNT + 1);
+const blobLike = { size: ics.length, slice: () => null, text: async () => ics };
+const blobLikeResults = await new ICSHandler(new Calendar({ timeZone: 'UTC' })).import(blobLike);
+check('Blob without stream() read whole', blobLikeResults.imported.length, EVENT_COUNT + 1);
+globalThis.Blob = GlobalBlob;
+
+exitOnFailures('streaming');
+
+console.log('\n✅ Streaming parser test complete!');
+process.exit(0);
@@ -0,0 +1,186 @@
+/**
+ * Test VTODO/VJOURNAL import and export and the Task model
+ */
+
+import { Calendar } from '../../core/calendar/Calendar.js';
+import { Task } from '../../core/events/Task.js';
+import { ICSHandler } from '../../core/ics/ICSHandler.js';
+import { ICSParser } from '../../core/ics/ICSParser.js';
+import { ICSStreamParser } from '../../core/ics/ICSStreamParser.js';
+import { ICSValidator } from '../../core/ics/ICSValidator.js';
+import { ZonedDateTime } from '../../core/timezone/ZonedDateTime.js';
+import { check, exitOnFailures } from '../helpers/check.js';
+
+console.log('Testing tasks and journal entries...\n');
+
+const ics = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Test//EN',
+    'BEGIN:VEVENT',
+    'UID:meeting@example.com',
+    'DTSTAMP:20250101T000000Z',
+    'SUMMARY:Planning',
+    'DTSTART;TZID=Europe/Berlin:20250610T090000',
+    'DTEND;TZID=Europe/Berlin:20250610T100000',
+    'END:VEVENT',
+    'BEGIN:VTODO',
+    'UID:release@example.com',
+    'DTSTAMP:20250101T000000Z',
+    'SUMMARY:Ship release',
+    'DTSTART;TZID=Europe/Berlin:20250609T090000',
+    'DUE;TZID=Europe/Berlin:20250610T170000',
+    'STATUS:IN-PROCESS',
+    'PERCENT-COMPLETE:40',
+    'PRIORITY:1',
+    'CATEGORIES:work,release',
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    'TRIGGER:PT1H',
+    'END:VALARM',
+    'END:VTODO',
+    'BEGIN:VTODO',
+    'UID:notes@example.com',
+    'DTSTAMP:20250101T000000Z',
+    'SUMMARY:Write release notes',
+    'DUE;VALUE=DATE:20250610',
+    'COMPLETED:20250608T120000Z',
+    'STATUS:COMPLETED',
+    'RELATED-TO:release@example.com',
+    'END:VTODO',
+    'BEGIN:VJOURNAL',
+    'UID:retro@example.com',
+    'DTSTAMP:20250101T000000Z',
+    'DTSTART;VALUE=DATE:20250611',
+    'SUMMARY:Retrospective',
+    'DESCRIPTION:Went well\\, mostly',
+    'STATUS:DRAFT',
+    'END:VJOURNAL',
+    'END:VCALENDAR'
+].join('\r\n');
+
+// Test 1: Parsing
+console.log('=== Test 1: Parse VTODO and VJOURNAL ===');
+const parser = new ICSParser();
+const { events, tasks, journals } = parser.parseCalendar(ics);
+check('Events still parsed', events.length, 1);
+check('parse() only returns events', parser.parse(ics).length, 1);
+check('Tasks parsed', tasks.length, 2);
+check('Journals parsed', journals.length, 1);
+
+const release = tasks[0];
+check('Task zone from DUE', release.timeZone, 'Europe/Berlin');
+check('Task due wall time', release.due.getHours(), 17);
+check('Task status', release.status, 'in-process');
+check('Percent complete', release.percentComplete, 40);
+check('Priority', release.priority, 1);
+check('All categories kept', release.categories.join('|'), 'work|release');
+// Alarm 1h after DTSTART is 31h before DUE
+check('Alarm relative to due', release.reminders[0].minutesBefore, 31 * 60);
+
+const notes = tasks[1];
+check('Completion instant', notes.completed.toISOString(), '2025-06-08T12:00:00.000Z');
+check('Related-to parent', notes.relatedTo[0].relType, 'parent');
+check('Date-only due is all-day', notes.allDay, true);
+check('Journal status', journals[0].status, 'draft');
+check('Journal text unescaped', journals[0].description, 'Went well, mostly');
+
+// Test 2: Task model
+console.log('\n=== Test 2: Task model ===');
+const task = new Task({ ...notes, timeZone: 'UTC' });
+check('Completed status from data', task.isCompleted, true);
+check('Completed tasks are not overdue', task.isOverdue(new Date(2030, 0, 1)), false);
+check('Parent id', task.parentId, 'release@example.com');
+const reopened = task.clone({ completed: null });
+check('Clearing completion reopens', reopened.status, 'needs-action');
+check('Reopened task is overdue', reopened.isOverdue(new Date(2030, 0, 1)), true);
+let threw = false;
+try {
+    new Task({ id: 'x', title: 'Bad', priority: 12 });
+} catch (e) {
+    threw = true;
+}
+check('Priority validated', threw, true);
+
+// Test 3: Import into the calendar and view data
+console.log('\n=== Test 3: Calendar import ===');
+const calendar = new Calendar({ timeZone: 'Europe/Berlin', date: new Date(2025, 5, 10) });
+const handler = new ICSHandler(calendar);
+const added = [];
+calendar.on('taskAdd', ({ task: t }) => added.push(t.id));
+const results = await handler.import(ics);
+check('Event imported', results.imported.length, 1);
+check('Tasks imported', results.tasks.length, 2);
+check('Journals returned', results.journals.length, 1);
+check('taskAdd emitted', added.length, 2);
+check('Tasks due on the day', calendar.getTasksForDate(new Date(2025, 5, 10)).length, 2);
+check(
+    'Subtasks',
+    calendar.eventStore.getSubtasks('release@example.com')[0].id,
+    'notes@example.com'
+);
+
+const month = calendar.getViewData();
+const day = month.weeks
+    .flatMap(week => week.days)
+    .find(d => d.dayOfMonth === 10 && d.isCurrentMonth);
+check('Month view surfaces tasks', day.tasks.length, 2);
+calendar.setView('day', new Date(2025, 5, 10));
+check('Day view surfaces tasks', calendar.getViewData().tasks[0].id, 'release@example.com');
+
+calendar.updateTask('release@example.com', { due: new Date(2025, 5, 12, 17, 0) });
+check('Re-indexed after update', calendar.getTasksForDate(new Date(2025, 5, 10)).length, 1);
+check('Store stats count tasks', calendar.eventStore.getStats().totalTasks, 2);
+
+const late = calendar.addTask({
+    id: 'late',
+    title: 'Late report',
+    due: ZonedDateTime.from(
+        { year: 2025, month: 6, day: 20, hour: 23, minute: 30 },
+        'America/New_York'
+    )
+});
+check('Zoned due sets the task zone', late.timeZone, 'America/New_York');
+check('Zoned due kept as wall time', late.due.getHours(), 23);
+const lateDay = calendar.getTasksForDate(new Date(2025, 5, 20));
+check('Listed on the day in its zone', lateDay.map(t => t.id).join(), 'late');
+check('Not listed on the next day', calendar.getTasksForDate(new Date(2025, 5, 21)).length, 0);
+calendar.removeTask('late');
+check('Unindexed on removal', calendar.getTasksForDate(new Date(2025, 5, 20)).length, 0);
+
+// Test 4: Export round trip
+console.log('\n=== Test 4: Export ===');
+const exported = handler.export({ journals });
+check('VTODO exported', exported.split('BEGIN:VTODO').length - 1, 2);
+check('VJOURNAL exported', exported.includes('BEGIN:VJOURNAL'), true);
+check('Due exported in zone', exported.includes('DUE;TZID=Europe/Berlin:20250612T170000'), true);
+check('Reminder exported against due', exported.includes('TRIGGER;RELATED=END:-PT31H'), true);
+check('Export is valid RFC 5545', new ICSValidator().validate(exported).valid, true);
+
+const reparsed = parser.parseCalendar(exported);
+const back = reparsed.tasks.find(t => t.id === 'release@example.com');
+check('Reminder survives round trip', back.reminders[0].minutesBefore, 31 * 60);
+check(
+    'Related-to survives round trip',
+    reparsed.tasks.find(t => t.id === 'notes@example.com').relatedTo[0].id,
+    'release@example.com'
+);
+check('Journal survives round trip', reparsed.journals[0].title, 'Retrospective');
+
+// Test 5: Streaming parser hands tasks to callbacks
+console.log('\n=== Test 5: Streaming ===');
+const streamed = [];
+const streamedEvents = [];
+for await (const event of ICSStreamParser.parse(ics, {
+    chunkSize: 50,
+    onTask: t => streamed.push(t)
+})) {
+    streamedEvents.push(event);
+}
+check('Streamed tasks', streamed.length, 2);
+check('Streamed events unaffected', streamedEvents.length, 1);
+
+exitOnFailures('task');
+
+console.log('\n✅ Task test complete!');
+process.exit(0);
@@ -0,0 +1,182 @@
+/**
+ * Test VTIMEZONE import/export
+ */
+
+import { ICSParser } from '../../core/ics/ICSParser.js';
+import { ICSTimezone } from '../../core/ics/ICSTimezone.js';
+import { Event } from '../../core/events/Event.js';
+import { TimezoneManager } from '../../core/timezone/TimezoneManager.js';
+import { check, exitOnFailures } from '../helpers/check.js';
+
+console.log('Testing ICS VTIMEZONE support...\n');
+
+const parser = new ICSParser();
+
+// Test 1: Windows TZID with its VTIMEZONE definition (Outlook style)
+console.log('=== Test 1: Outlook TZID ===');
+const outlookICS = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VTIMEZONE',
+    'TZID:Eastern Standard Time',
+    'BEGIN:STANDARD',
+    'DTSTART:16010101T020000',
+    'TZOFFSETFROM:-0400',
+    'TZOFFSETTO:-0500',
+    'RRULE:FREQ=YEARLY;BYDAY=1SU;BYMONTH=11',
+    'END:STANDARD',
+    'BEGIN:DAYLIGHT',
+    'DTSTART:16010101T020000',
+    'TZOFFSETFROM:-0500',
+    'TZOFFSETTO:-0400',
+    'RRULE:FREQ=YEARLY;BYDAY=2SU;BYMONTH=3',
+    'END:DAYLIGHT',
+    'END:VTIMEZONE',
+    'BEGIN:VEVENT',
+    'UID:outlook-1',
+    'SUMMARY:Standup',
+    'DTSTART;TZID="Eastern Standard Time":20250715T090000',
+    'DTEND;TZID="Eastern Standard Time":20250715T093000',
+    'END:VEVENT',
+    'END:VCALENDAR'
+].join('\r\n');
+
+const [outlookEvent] = parser.parse(outlookICS);
+check('TZID resolved to IANA zone', outlookEvent.timeZone, 'America/New_York');
+check('Wall-clock start preserved', outlookEvent.start.getHours(), 9);
+const outlook = new Event(outlookEvent);
+check('UTC start uses EDT offset', outlook.startUTC.toISOString(), '2025-07-15T13:00:00.000Z');
+
+// Test 2: Custom TZID only described by its VTIMEZONE, defined after the event
+console.log('\n=== Test 2: Custom VTIMEZONE ===');
+const customICS = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:custom-1',
+    'SUMMARY:Winter call',
+    'DTSTART;TZID=Custom Zone:20250115T100000',
+    'DTEND;TZID=Custom Zone:20250115T110000',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:custom-2',
+    'SUMMARY:Summer call',
+    'DTSTART;TZID=Custom Zone:20250715T100000',
+    'END:VEVENT',
+    'BEGIN:VTIMEZONE',
+    'TZID:Custom Zone',
+    'BEGIN:STANDARD',
+    'DTSTART:19701025T030000',
+    'TZOFFSETFROM:+0300',
+    'TZOFFSETTO:+0200',
+    'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+    'END:STANDARD',
+    'BEGIN:DAYLIGHT',
+    'DTSTART:19700329T020000',
+    'TZOFFSETFROM:+0200',
+    'TZOFFSETTO:+0300',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+    'END:DAYLIGHT',
+    'END:VTIMEZONE',
+    'END:VCALENDAR'
+].join('\r\n');
+
+const [winter, summer] = parser.parse(customICS).map(e => new Event(e));
+check('Custom zone converted to UTC', winter.timeZone, 'UTC');
+check('Winter offset +0200', winter.startUTC.toISOString(), '2025-01-15T08:00:00.000Z');
+check('Summer offset +0300', summer.startUTC.toISOString(), '2025-07-15T07:00:00.000Z');
+
+// Test 3: UTC and vendor-prefixed TZIDs
+console.log('\n=== Test 3: UTC and prefixed TZIDs ===');
+const mixedICS = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:utc-1',
+    'DTSTART:20250301T120000Z',
+    'DTEND;TZID=/mozilla.org/20050126_1/Europe/Berlin:20250301T140000',
+    'END:VEVENT',
+    'END:VCALENDAR'
+].join('\r\n');
+
+const [mixed] = parser.parse(mixedICS);
+check('Z value uses UTC zone', mixed.timeZone, 'UTC');
+check('Prefixed TZID resolved for end', mixed.endTimeZone, 'Europe/Berlin');
+const mixedEvent = new Event(mixed);
+check('Distinct end zone applied', mixedEvent.endUTC.toISOString(), '2025-03-01T13:00:00.000Z');
+
+// Test 4: Gap and overlap resolution in a definition
+console.log('\n=== Test 4: DST gap and overlap ===');
+const custom = new ICSTimezone('Custom');
+custom.addObservance({
+    type: 'DAYLIGHT',
+    start: new Date(1970, 2, 8, 2),
+    offsetFrom: -300,
+    offsetTo: -240,
+    rrule: 'FREQ=YEARLY;BYMONTH=3;BYDAY=2SU'
+});
+custom.addObservance({
+    type: 'STANDARD',
+    start: new Date(1970, 10, 1, 2),
+    offsetFrom: -240,
+    offsetTo: -300,
+    rrule: 'FREQ=YEARLY;BYMONTH=11;BYDAY=1SU'
+});
+check(
+    'Skipped time moves forward',
+    custom.toUTC(new Date(2025, 2, 9, 2, 30)).toISOString(),
+    '2025-03-09T07:30:00.000Z'
+);
+check(
+    'Repeated time uses first occurrence',
+    custom.toUTC(new Date(2025, 10, 2, 1, 30)).toISOString(),
+    '2025-11-02T05:30:00.000Z'
+);
+
+// Test 5: Export emits VTIMEZONE blocks and round-trips
+console.log('\n=== Test 5: Export round trip ===');
+const exported = parser.export([
+    new Event({
+        id: 'tokyo-1',
+        title: 'Tokyo sync',
+        start: new Date(2025, 5, 10, 9),
+        end: new Date(2025, 5, 10, 10),
+        timeZone: 'Asia/Tokyo'
+    }),
+    new Event({
+        id: 'ny-1',
+        title: 'NY review',
+        start: new Date(2025, 2, 9, 9),
+        end: new Date(2025, 2, 9, 10),
+        timeZone: 'America/New_York'
+    })
+]);
+
+check('VTIMEZONE for New York', exported.includes('TZID:America/New_York'), true);
+check('VTIMEZONE for Tokyo', exported.includes('TZID:Asia/Tokyo'), true);
+check('Yearly DST rule derived', exported.includes('RRULE:FREQ=YEARLY;BYDAY=2SU;BYMONTH=3'), true);
+check('DTSTART references zone', exported.includes('DTSTART;TZID=America/New_York:20250309T090000'), true);
+
+const reparsed = parser.parse(exported);
+const definition = new ICSTimezone('America/New_York');
+const ny = ICSTimezone.fromIANA('America/New_York', 2025);
+ny.observances.forEach(o => definition.addObservance(o));
+check('Round trip keeps zone', reparsed[1].timeZone, 'America/New_York');
+check(
+    'Derived definition matches Intl',
+    definition.toUTC(new Date(2026, 6, 1, 12)).toISOString(),
+    '2026-07-01T16:00:00.000Z'
+);
+
+const shared = TimezoneManager.getInstance().getTransitions(
+    'America/New_York',
+    new Date(Date.UTC(2025, 0, 1)),
+    new Date(Date.UTC(2026, 0, 1))
+);
+check(
+    'Observances follow the shared transitions',
+    ny.observances.map(o => `${o.offsetFrom}>${o.offsetTo}`).join(),
+    shared.map(t => `${-t.oldOffset}>${-t.newOffset}`).join()
+);
+
+exitOnFailures('VTIMEZONE');
+
+console.log('\n✅ VTIMEZONE test complete!');
+process.exit(0);
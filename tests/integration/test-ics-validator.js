@@ -0,0 +1,123 @@
+/**
+ * Test strict ICS validation diagnostics
+ */
+
+import { Calendar } from '../../core/calendar/Calendar.js';
+import { ICSHandler } from '../../core/ics/ICSHandler.js';
+import { ICSValidator } from '../../core/ics/ICSValidator.js';
+import { check, exitOnFailures } from '../helpers/check.js';
+
+console.log('Testing strict ICS validation...\n');
+
+const validator = new ICSValidator();
+const find = (result, code) => result.diagnostics.find(d => d.code === code);
+
+// Test 1: Output of our own exporter is valid
+console.log('=== Test 1: Exported calendar ===');
+const calendar = new Calendar({ timeZone: 'Europe/Berlin' });
+calendar.addEvent({
+    id: 'valid-1',
+    title: 'A title long enough that the exporter has to fold the SUMMARY line over two lines',
+    start: new Date(2025, 5, 2, 9, 0),
+    end: new Date(2025, 5, 2, 10, 0),
+    recurring: true,
+    recurrenceRule: 'FREQ=WEEKLY;COUNT=3',
+    reminders: [{ method: 'popup', minutesBefore: 10 }]
+});
+const handler = new ICSHandler(calendar);
+const exported = handler.export();
+const clean = validator.validate(exported);
+check('Exported calendar is valid', clean.valid, true);
+check('Exported calendar has no diagnostics', clean.diagnostics.length, 0);
+
+// Test 2: Structural and value problems
+console.log('\n=== Test 2: Diagnostics ===');
+const broken = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Test//EN',
+    'BEGIN:VEVENT',
+    'SUMMARY:No UID here',
+    'DTSTART:20250231T100000Z',
+    'DTEND:20250201T090000Z',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:two',
+    'DTSTAMP:20250101T000000',
+    'DTSTART;TZID=Mars/Olympus:20250201T100000',
+    'BEGIN:VALARM',
+    'TRIGGER:-PT15M',
+    'END:VEVENT',
+    'BEGIN:VWIDGET',
+    'END:VWIDGET',
+    'this line has no separator',
+    'END:VCALENDAR'
+].join('\r\n');
+
+const result = validator.validate(broken);
+check('Invalid calendar reported', result.valid, false);
+
+const missingUid = result.diagnostics.find(d => d.code === 'missing-property' && d.property === 'UID');
+check('Missing UID reported', missingUid.line, 4);
+check('Missing UID cites RFC section', missingUid.rfcSection, '3.8.4.7');
+const missingStamp = result.diagnostics.find(
+    d => d.code === 'missing-property' && d.property === 'DTSTAMP'
+);
+check('Missing DTSTAMP reported', missingStamp.severity, 'error');
+
+const badDate = find(result, 'invalid-date');
+check('Invalid date line', badDate.line, 6);
+check('Invalid date column points at the value', badDate.column, 9);
+check('Invalid date property', badDate.property, 'DTSTART');
+
+const utcStamp = result.diagnostics.find(d => d.property === 'DTSTAMP' && d.code === 'invalid-date');
+check('Floating DTSTAMP rejected', utcStamp.line, 11);
+
+check('Inverted range reported', find(result, 'invalid-range').line, 7);
+check('Unclosed VALARM reported', find(result, 'mismatched-end').line, 15);
+check('Unknown component is a warning', find(result, 'unknown-component').severity, 'warning');
+check('Malformed content line', find(result, 'malformed-line').line, 18);
+check('Undefined TZID reported', find(result, 'missing-vtimezone').property, 'DTSTART');
+
+// Test 3: Folding and line endings
+console.log('\n=== Test 3: Folding ===');
+const folding = validator.validate(
+    [' orphan continuation', 'BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:x', 'END:VCALENDAR'].join(
+        '\n'
+    )
+);
+check('Continuation without a content line', find(folding, 'invalid-folding').line, 1);
+check('Bare LF line endings', find(folding, 'line-ending').severity, 'warning');
+check('Empty calendar warning', find(folding, 'empty-calendar').severity, 'warning');
+
+const unclosed = validator.validate('BEGIN:VCALENDAR\r\nVERSION:2.0\r\nPRODID:x\r\nBEGIN:VEVENT\r\n');
+check(
+    'Missing END reported for each open component',
+    unclosed.diagnostics
+        .filter(d => d.code === 'unclosed-component')
+        .map(d => d.line)
+        .join(','),
+    '1,4'
+);
+
+// Test 4: ICSHandler integration
+console.log('\n=== Test 4: ICSHandler ===');
+const strict = handler.validate(broken, { strict: true });
+check('Strict validate returns diagnostics', strict.diagnostics.length, result.diagnostics.length);
+check('Strict errors are formatted', strict.errors[0].startsWith('Line 4, column 1:'), true);
+check('Coarse validate unchanged', handler.validate(broken).diagnostics, undefined);
+
+const target = new Calendar({ timeZone: 'UTC' });
+const targetHandler = new ICSHandler(target);
+const rejected = await targetHandler.import(broken, { strict: true });
+check('Strict import imports nothing on errors', rejected.imported.length, 0);
+check('Strict import reports diagnostics', rejected.errors[0].diagnostic.code, 'missing-property');
+check('Calendar untouched', target.getEvents().length, 0);
+
+const lenient = await targetHandler.import(exported.replace('valid-1', 'valid-2'), { strict: true });
+check('Strict import of valid data', lenient.imported.length, 1);
+
+exitOnFailures('validation');
+
+console.log('\n✅ Strict validation test complete!');
+process.exit(0);
@@ -0,0 +1,155 @@
+/**
+ * Test lazy occurrence iteration over unbounded and bounded series
+ */
+
+import { Calendar } from '../../core/calendar/Calendar.js';
+import { Event } from '../../core/events/Event.js';
+import { RecurrenceEngineV2 } from '../../core/events/RecurrenceEngineV2.js';
+import { check, exitOnFailures } from '../helpers/check.js';
+
+console.log('Testing the occurrence iterator...\n');
+
+const days = occurrences => occurrences.map(o => o.start.getDate()).join(',');
+const engine = RecurrenceEngineV2.getInstance();
+
+function series(recurrenceRule, extra = {}) {
+    return new Event({
+        id: `series-${recurrenceRule}`,
+        title: 'Series',
+        start: new Date(2025, 2, 3, 9, 0),
+        end: new Date(2025, 2, 3, 10, 0),
+        recurring: true,
+        recurrenceRule,
+        timeZone: 'Europe/Berlin',
+        ...extra
+    });
+}
+
+// Test 1: An infinite series is consumed one occurrence at a time
+console.log('=== Test 1: Infinite daily series ===');
+const daily = series('FREQ=DAILY');
+const iterator = engine.iterate(daily);
+check('First occurrence is DTSTART', iterator.next().value.start.getDate(), 3);
+check('Next occurrences follow', days(iterator.take(3)), '4,5,6');
+check('Iterator is not done', iterator.next().done, false);
+
+let counted = 0;
+for (const occurrence of engine.iterate(daily)) {
+    if (++counted === 1000) {
+        check('Iterable with for...of', occurrence.start.getFullYear(), 2027);
+        break;
+    }
+}
+
+// Test 2: Next occurrences after a date
+console.log('\n=== Test 2: Seek ===');
+const weekly = series('FREQ=WEEKLY;BYDAY=MO,TH');
+check(
+    'Next 5 after 10 April',
+    days(
+        engine
+            .iterate(weekly)
+            .seek(new Date(2025, 3, 10, 12, 0))
+            .take(5)
+    ),
+    '14,17,21,24,28'
+);
+check(
+    'Seek includes an occurrence at the date',
+    engine
+        .iterate(weekly)
+        .seek(new Date(2025, 3, 10, 9, 0))
+        .next()
+        .value.start.getDate(),
+    10
+);
+
+// Test 3: Single lookups around a date
+console.log('\n=== Test 3: Before and after ===');
+const lookup = engine.iterate(weekly);
+const reference = new Date(2025, 3, 10, 9, 0);
+check('Previous occurrence', lookup.before(reference).start.getDate(), 7);
+check('Previous occurrence, inclusive', lookup.before(reference, true).start.getDate(), 10);
+check('Following occurrence', lookup.after(reference).start.getDate(), 14);
+check('Following occurrence, inclusive', lookup.after(reference, true).start.getDate(), 10);
+check('Nothing before the series', lookup.before(new Date(2025, 2, 1)), null);
+check('Lookups leave the cursor alone', lookup.next().value.start.getDate(), 3);
+
+// Test 4: Range and position queries
+console.log('\n=== Test 4: Between and nth ===');
+check(
+    'Occurrences in May',
+    days(engine.iterate(weekly).between(new Date(2025, 4, 1), new Date(2025, 4, 15, 23, 59))),
+    '1,5,8,12,15'
+);
+check('1st occurrence', engine.iterate(weekly).nth(1).start.getDate(), 3);
+check('10th occurrence', engine.iterate(weekly).nth(10).start.getDate(), 3);
+check('10th occurrence month', engine.iterate(weekly).nth(10).start.getMonth(), 3);
+check('Summer time resolved', engine.iterate(weekly).nth(10).startUTC.getUTCHours(), 7);
+
+// Test 5: COUNT, UNTIL and EXDATE end or thin out the series
+console.log('\n=== Test 5: Series limits ===');
+const counted3 = engine.iterate(series('FREQ=DAILY;COUNT=3'));
+check('COUNT limits the series', days(counted3.take(10)), '3,4,5');
+check('Iterator is done after COUNT', counted3.next().done, true);
+check('nth past COUNT', engine.iterate(series('FREQ=DAILY;COUNT=3')).nth(4), null);
+
+const until = engine.iterate(series('FREQ=DAILY;UNTIL=20250306T080000Z'));
+check('UNTIL limits the series', days([...until]), '3,4,5,6');
+
+const excluded = series('FREQ=DAILY;COUNT=5', {
+    excludeDates: [new Date(2025, 2, 4, 9, 0), new Date(2025, 2, 6, 9, 0)]
+});
+check('EXDATE removes occurrences', days([...engine.iterate(excluded)]), '3,5,7');
+check(
+    'Excluded occurrences still count towards COUNT',
+    engine.iterate(excluded).nth(3).start.getDate(),
+    7
+);
+check(
+    'Cancelled occurrences on request',
+    engine.iterate(excluded, { includeCancelled: true }).nth(2).status,
+    'cancelled'
+);
+
+// Test 6: RDATEs are merged in order
+console.log('\n=== Test 6: Additional dates ===');
+const withRDates = series('FREQ=WEEKLY;COUNT=3', {
+    additionalDates: [new Date(2025, 2, 12, 9, 0), new Date(2025, 2, 10, 9, 0)]
+});
+check('RDATEs merged in order', days([...engine.iterate(withRDates)]), '3,10,12,17');
+
+// Test 7: Calendar entry point
+console.log('\n=== Test 7: Calendar ===');
+const calendar = new Calendar({ timeZone: 'Europe/Berlin' });
+calendar.addEvent(series('FREQ=MONTHLY;BYDAY=1MO', { id: 'monthly' }));
+calendar.cancelOccurrence('monthly', new Date(2025, 3, 7, 9, 0), 'Holiday');
+check(
+    'Cancelled occurrence skipped',
+    calendar
+        .iterateOccurrences('monthly')
+        .take(3)
+        .map(o => o.start.getMonth())
+        .join(','),
+    '2,4,5'
+);
+check(
+    'Matches the range expansion',
+    days(
+        calendar.iterateOccurrences('monthly').between(new Date(2025, 2, 1), new Date(2025, 5, 30))
+    ),
+    days(calendar.getEventsInRange(new Date(2025, 2, 1), new Date(2025, 5, 30)))
+);
+
+let missing = null;
+try {
+    calendar.iterateOccurrences('missing');
+} catch (error) {
+    missing = error.message;
+}
+check('Unknown event rejected', missing, 'Event with id missing not found');
+
+exitOnFailures('occurrence iterator');
+
+console.log('\n✅ Occurrence iterator test complete!');
+process.exit(0);
@@ -0,0 +1,147 @@
+/**
+ * Test localized recurrence rule descriptions
+ */
+
+import { Calendar } from '../../core/calendar/Calendar.js';
+import { RRuleParser } from '../../core/events/RRuleParser.js';
+import { RecurrenceEngine } from '../../core/events/RecurrenceEngine.js';
+import { RecurrenceDescriber } from '../../core/events/RecurrenceDescriber.js';
+import { check, exitOnFailures } from '../helpers/check.js';
+
+console.log('Testing recurrence descriptions...\n');
+
+const describe = (rule, locale) =>
+    RRuleParser.getDescription(RRuleParser.parse(rule), locale, { timeZone: 'Europe/Paris' });
+
+const biweekly = 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10';
+
+// Test 1: The same rule in each language
+console.log('=== Test 1: Languages ===');
+check('English', describe(biweekly, 'en-US'), 'Every 2 weeks on Monday and Wednesday, 10 times');
+check(
+    'French',
+    describe(biweekly, 'fr-FR'),
+    'Toutes les 2 semaines le lundi et le mercredi, 10 fois'
+);
+check('German', describe(biweekly, 'de-DE'), 'Alle 2 Wochen am Montag und Mittwoch, 10-mal');
+check('Japanese', describe(biweekly, 'ja-JP'), '2週間ごとの月曜日と水曜日、10回');
+check(
+    'Other languages fall back to English',
+    describe(biweekly, 'es-ES'),
+    describe(biweekly, 'en-US')
+);
+
+// Test 2: Frequencies and plural forms
+console.log('\n=== Test 2: Frequencies ===');
+check('Daily', describe('FREQ=DAILY', 'en-US'), 'Every day');
+check('Single count', describe('FREQ=DAILY;COUNT=1', 'en-US'), 'Every day, 1 time');
+check('French gender', describe('FREQ=MONTHLY;INTERVAL=3', 'fr-FR'), 'Tous les 3 mois');
+check('German yearly', describe('FREQ=YEARLY', 'de-DE'), 'Jedes Jahr');
+check('Japanese monthly', describe('FREQ=MONTHLY;INTERVAL=2', 'ja-JP'), '2か月ごと');
+check(
+    'Sub-daily',
+    describe('FREQ=HOURLY;BYMINUTE=0,30', 'en-US'),
+    'Every hour at minutes 0 and 30'
+);
+
+// Test 3: Positions within the month or year
+console.log('\n=== Test 3: Positions ===');
+check(
+    'Last weekday of the month',
+    describe('FREQ=MONTHLY;BYDAY=-1FR', 'en-US'),
+    'Every month on the last Friday'
+);
+check(
+    'Nth weekdays',
+    describe('FREQ=MONTHLY;BYDAY=2TU,4TU', 'fr-FR'),
+    'Tous les mois le deuxième mardi et le quatrième mardi'
+);
+check('Japanese nth weekday', describe('FREQ=MONTHLY;BYDAY=1MO', 'ja-JP'), '毎月の第1月曜日');
+check(
+    'BYSETPOS',
+    describe('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1', 'en-US'),
+    'Every month on the last Monday, Tuesday, Wednesday, Thursday, or Friday'
+);
+check(
+    'German BYSETPOS',
+    describe('FREQ=MONTHLY;BYDAY=SA,SU;BYSETPOS=1', 'de-DE'),
+    'Jeden Monat am ersten Samstag oder Sonntag'
+);
+check(
+    'Months and month days',
+    describe('FREQ=YEARLY;BYMONTH=3,6;BYMONTHDAY=1,-1', 'de-DE'),
+    'Jedes Jahr im März und Juni am 1. und letzten Tag'
+);
+check(
+    'Year days',
+    describe('FREQ=YEARLY;BYYEARDAY=100', 'en-US'),
+    'Every year on the 100th day of the year'
+);
+check(
+    'Week numbers',
+    describe('FREQ=YEARLY;BYWEEKNO=20;BYDAY=MO', 'fr-FR'),
+    'Tous les ans la semaine 20 le lundi'
+);
+
+// Test 4: Times and series ends
+console.log('\n=== Test 4: Times and UNTIL ===');
+check(
+    'Times of day',
+    describe('FREQ=DAILY;BYHOUR=9,17;BYMINUTE=30', 'en-US'),
+    'Every day at 9:30 AM and 5:30 PM'
+);
+check('24-hour times', describe('FREQ=DAILY;BYHOUR=17;BYMINUTE=30', 'de-DE'), 'Jeden Tag um 17:30');
+check(
+    'UTC UNTIL shown in the zone',
+    describe('FREQ=WEEKLY;UNTIL=20251231T235959Z', 'en-US'),
+    'Every week, until January 1, 2026'
+);
+check(
+    'French UNTIL',
+    describe('FREQ=DAILY;UNTIL=20250315T120000Z', 'fr-FR'),
+    'Tous les jours, jusqu’au 15 mars 2025'
+);
+check(
+    'Japanese UNTIL',
+    describe('FREQ=DAILY;UNTIL=20250315T120000Z', 'ja-JP'),
+    '毎日、2025年3月15日まで'
+);
+
+// Test 5: Entry points
+console.log('\n=== Test 5: Entry points ===');
+check(
+    'Describer class',
+    new RecurrenceDescriber('de').describe(RRuleParser.parse('FREQ=DAILY')),
+    'Jeden Tag'
+);
+check(
+    'RecurrenceEngine accepts strings',
+    RecurrenceEngine.getDescription('FREQ=WEEKLY;BYDAY=MO'),
+    'Every week on Monday'
+);
+
+const calendar = new Calendar({ locale: 'fr-FR', timeZone: 'Europe/Paris' });
+calendar.addEvent({
+    id: 'standup',
+    title: 'Standup',
+    start: new Date(2025, 2, 3, 9, 0),
+    end: new Date(2025, 2, 3, 9, 15),
+    recurring: true,
+    recurrenceRule: biweekly
+});
+calendar.addEvent({
+    id: 'lunch',
+    title: 'Lunch',
+    start: new Date(2025, 2, 3, 12, 0),
+    end: new Date(2025, 2, 3, 13, 0)
+});
+check('Calendar locale used', calendar.describeRecurrence('standup'), describe(biweekly, 'fr-FR'));
+calendar.setLocale('ja-JP');
+check('Locale changes follow', calendar.describeRecurrence('standup'), describe(biweekly, 'ja-JP'));
+check('Rules accepted directly', calendar.describeRecurrence('FREQ=DAILY'), '毎日');
+check('Single events have no description', calendar.describeRecurrence('lunch'), null);
+
+exitOnFailures('recurrence description');
+
+console.log('\n✅ Recurrence description test complete!');
+process.exit(0);
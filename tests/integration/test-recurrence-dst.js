@@ -0,0 +1,154 @@
+/**
+ * Test wall-clock recurrence expansion across DST transitions
+ */
+
+import { Event } from '../../core/events/Event.js';
+import { RecurrenceEngineV2 } from '../../core/events/RecurrenceEngineV2.js';
+import { TimezoneManager } from '../../core/timezone/TimezoneManager.js';
+import { check, exitOnFailures } from '../helpers/check.js';
+
+// Wall-clock dates are host-local; pin the host zone so the expectations hold anywhere
+process.env.TZ = 'UTC';
+
+console.log('Testing recurrence across DST transitions...\n');
+
+const engine = new RecurrenceEngineV2();
+
+function series(id, start, rule, timeZone = 'America/New_York') {
+    return new Event({
+        id,
+        title: id,
+        start,
+        end: new Date(start.getTime() + 60 * 60 * 1000),
+        recurring: true,
+        recurrenceRule: rule,
+        timeZone
+    });
+}
+
+const utcTimes = occurrences =>
+    occurrences.map(o => o.startUTC.toISOString().slice(5, 16)).join(',');
+const wallTimes = occurrences =>
+    occurrences
+        .map(o => `${o.start.getDate()}@${o.start.getHours()}:${o.start.getMinutes()}`)
+        .join(',');
+
+// Test 1: Weekly meeting keeps its wall-clock time
+console.log('=== Test 1: Wall-clock time is kept ===');
+const spring = engine.expandEvent(
+    series('spring', new Date(2025, 2, 3, 9, 0), 'FREQ=WEEKLY;COUNT=3'),
+    new Date(2025, 2, 1),
+    new Date(2025, 3, 1)
+);
+check('Spring forward keeps 09:00', spring.map(o => o.start.getHours()).join(','), '9,9,9');
+check('Spring forward UTC instants', utcTimes(spring), '03-03T14:00,03-10T13:00,03-17T13:00');
+
+const fall = engine.expandEvent(
+    series('fall', new Date(2025, 9, 27, 9, 0), 'FREQ=WEEKLY;COUNT=3'),
+    new Date(2025, 9, 1),
+    new Date(2025, 11, 1)
+);
+check('Fall back keeps 09:00', fall.map(o => o.start.getHours()).join(','), '9,9,9');
+check('Fall back UTC instants', utcTimes(fall), '10-27T13:00,11-03T14:00,11-10T14:00');
+check('End follows the start', fall[1].endUTC - fall[1].startUTC, 60 * 60 * 1000);
+
+// Test 2: Nonexistent and ambiguous local times
+console.log('\n=== Test 2: Gaps and overlaps ===');
+const gap = engine.expandEvent(
+    series('gap', new Date(2025, 2, 7, 2, 30), 'FREQ=DAILY;COUNT=4'),
+    new Date(2025, 2, 1),
+    new Date(2025, 2, 31)
+);
+check(
+    'Instance in the gap is skipped and not counted',
+    wallTimes(gap),
+    '7@2:30,8@2:30,10@2:30,11@2:30'
+);
+
+const gapStart = engine.expandEvent(
+    series('gap-start', new Date(2025, 2, 9, 2, 30), 'FREQ=DAILY;COUNT=2'),
+    new Date(2025, 2, 1),
+    new Date(2025, 2, 31)
+);
+check('Nonexistent DTSTART moves forward by the gap', wallTimes(gapStart), '9@3:30,10@2:30');
+check(
+    'Nonexistent DTSTART uses the offset before the gap',
+    utcTimes(gapStart),
+    '03-09T07:30,03-10T06:30'
+);
+check('Duration kept after the shift', gapStart[0].end.getHours(), 4);
+
+const overlap = engine.expandEvent(
+    series('overlap', new Date(2025, 10, 1, 1, 30), 'FREQ=DAILY;COUNT=3'),
+    new Date(2025, 9, 31),
+    new Date(2025, 10, 30)
+);
+check(
+    'Repeated hour resolves to its first instance',
+    utcTimes(overlap),
+    '11-01T05:30,11-02T05:30,11-03T06:30'
+);
+
+// Test 3: UNTIL in UTC is compared as an instant
+console.log('\n=== Test 3: UNTIL ===');
+const berlin = engine.expandEvent(
+    series(
+        'berlin',
+        new Date(2025, 2, 3, 9, 0),
+        'FREQ=WEEKLY;UNTIL=20250310T080000Z',
+        'Europe/Berlin'
+    ),
+    new Date(2025, 2, 1),
+    new Date(2025, 3, 30)
+);
+check('UTC UNTIL includes the last instance east of UTC', berlin.length, 2);
+
+const floating = engine.expandEvent(
+    series(
+        'floating',
+        new Date(2025, 2, 3, 9, 0),
+        'FREQ=WEEKLY;UNTIL=20250310T090000',
+        'Europe/Berlin'
+    ),
+    new Date(2025, 2, 1),
+    new Date(2025, 3, 30)
+);
+check('Floating UNTIL is wall-clock time', floating.length, 2);
+
+// Test 4: Transitions
+console.log('\n=== Test 4: Transitions ===');
+const transitions = engine.findDSTTransitions(
+    new Date('2025-01-01T00:00:00Z'),
+    new Date('2025-12-31T00:00:00Z'),
+    'America/New_York'
+);
+check('Two transitions in 2025', transitions.length, 2);
+check('Spring forward instant', transitions[0].date.toISOString(), '2025-03-09T07:00:00.000Z');
+check('Spring forward type', transitions[0].type, 'spring-forward');
+check('Fall back instant', transitions[1].date.toISOString(), '2025-11-02T06:00:00.000Z');
+check('Fall back offsets', `${transitions[1].oldOffset}->${transitions[1].newOffset}`, '240->300');
+
+const tzManager = TimezoneManager.getInstance();
+check(
+    'Offset before the change on a transition day',
+    tzManager.getTimezoneOffset(new Date('2025-03-09T06:00:00Z'), 'America/New_York'),
+    300
+);
+check(
+    'Offset after the change on the same day',
+    tzManager.getTimezoneOffset(new Date('2025-03-09T12:00:00Z'), 'America/New_York'),
+    240
+);
+
+const plain = engine.expandEvent(
+    series('plain', new Date(2025, 2, 7, 2, 30), 'FREQ=DAILY;COUNT=4'),
+    new Date(2025, 2, 1),
+    new Date(2025, 2, 31),
+    { handleDST: false }
+);
+check('handleDST: false does not skip local times', plain.length, 4);
+
+exitOnFailures('DST recurrence');
+
+console.log('\n✅ DST recurrence test complete!');
+process.exit(0);
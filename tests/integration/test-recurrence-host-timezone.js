@@ -0,0 +1,86 @@
+/**
+ * Test that recurrence expansion does not depend on the host timezone
+ */
+
+import { Event } from '../../core/events/Event.js';
+import { RecurrenceEngineV2 } from '../../core/events/RecurrenceEngineV2.js';
+import { RRuleExpander } from '../../core/events/RRuleExpander.js';
+import { check, exitOnFailures } from '../helpers/check.js';
+
+// A host zone with its own DST change, on the same day as the series below
+process.env.TZ = 'America/New_York';
+
+console.log('Testing recurrence on a non-UTC host...\n');
+
+const engine = new RecurrenceEngineV2();
+
+function series(id, start, rule, timeZone) {
+    return new Event({
+        id,
+        title: id,
+        start,
+        end: new Date(start.getTime() + 60 * 60 * 1000),
+        recurring: true,
+        recurrenceRule: rule,
+        timeZone
+    });
+}
+
+const utcTimes = occurrences =>
+    occurrences.map(o => o.startUTC.toISOString().slice(5, 16)).join(',');
+
+// Test 1: Rule dates keep times the host skips
+console.log('=== Test 1: Expander fields ===');
+const fields = [...RRuleExpander.iterateLocal('FREQ=DAILY;COUNT=3', new Date(2024, 2, 9, 2, 30))];
+check(
+    'Host gap time kept as fields',
+    fields.map(f => `${f.day}@${f.hour}:${f.minute}`).join(','),
+    '9@2:30,10@2:30,11@2:30'
+);
+
+// Test 2: A series in another zone resolves in its own zone
+console.log('\n=== Test 2: Series zone differs from the host ===');
+const berlin = engine.expandEvent(
+    series('berlin', new Date(2024, 2, 8, 2, 30), 'FREQ=DAILY;COUNT=4', 'Europe/Berlin'),
+    new Date(2024, 2, 1),
+    new Date(2024, 2, 31)
+);
+check(
+    'Berlin 02:30 on the New York gap day',
+    utcTimes(berlin),
+    '03-08T01:30,03-09T01:30,03-10T01:30,03-11T01:30'
+);
+check('Berlin end follows the start', berlin[2].endUTC - berlin[2].startUTC, 60 * 60 * 1000);
+
+// Test 3: A series in the host zone drops its nonexistent time
+console.log('\n=== Test 3: Series zone is the host zone ===');
+const newYork = engine.expandEvent(
+    series('new-york', new Date(2024, 2, 8, 2, 30), 'FREQ=DAILY;COUNT=4', 'America/New_York'),
+    new Date(2024, 2, 1),
+    new Date(2024, 2, 31)
+);
+check('Gap-day occurrence dropped', newYork.map(o => o.start.getDate()).join(','), '8,9,11,12');
+check(
+    'Other occurrences keep 02:30',
+    utcTimes(newYork),
+    '03-08T07:30,03-09T07:30,03-11T06:30,03-12T06:30'
+);
+
+// Test 4: Durations are wall-clock lengths, not host instants
+console.log('\n=== Test 4: Fall-back overlap ===');
+const overlap = engine.expandEvent(
+    series('overlap', new Date(2024, 10, 2, 1, 0), 'FREQ=DAILY;COUNT=2', 'Europe/London'),
+    new Date(2024, 10, 1),
+    new Date(2024, 10, 30)
+);
+check('London series on the New York fall-back day', utcTimes(overlap), '11-02T01:00,11-03T01:00');
+check(
+    'One-hour occurrence stays one hour',
+    overlap[1].endUTC - overlap[1].startUTC,
+    60 * 60 * 1000
+);
+
+exitOnFailures('host timezone');
+
+console.log('\n✅ Host timezone test complete!');
+process.exit(0);
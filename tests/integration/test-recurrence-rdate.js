@@ -0,0 +1,150 @@
+/**
+ * Test RDATE dates and periods on events, in expansion and in ICS round trips
+ */
+
+import { Calendar } from '../../core/calendar/Calendar.js';
+import { Event } from '../../core/events/Event.js';
+import { ICSHandler } from '../../core/ics/ICSHandler.js';
+import { ICSParser } from '../../core/ics/ICSParser.js';
+import { check, exitOnFailures } from '../helpers/check.js';
+
+console.log('Testing RDATE support...\n');
+
+const days = occurrences => occurrences.map(o => o.start.getDate()).join(',');
+
+const workshop = {
+    id: 'workshop',
+    title: 'Workshop',
+    start: new Date(2025, 2, 3, 10, 0),
+    end: new Date(2025, 2, 3, 11, 0),
+    recurring: true,
+    recurrenceRule: 'FREQ=WEEKLY;COUNT=3',
+    timeZone: 'Europe/Paris',
+    excludeDates: [new Date(2025, 2, 12, 10, 0)],
+    additionalDates: [
+        new Date(2025, 2, 5, 10, 0),
+        { start: '2025-03-08T14:00:00', end: '2025-03-08T17:00:00' },
+        new Date(2025, 2, 10, 10, 0),
+        new Date(2025, 2, 12, 10, 0)
+    ]
+};
+
+// Test 1: Events hold dates and periods
+console.log('=== Test 1: Event ===');
+const event = new Event(workshop);
+check('Plain RDATE is a Date', event.additionalDates[0] instanceof Date, true);
+check('PERIOD start normalized', event.additionalDates[1].start.getHours(), 14);
+check('PERIOD end normalized', event.additionalDates[1].end.getHours(), 17);
+
+const restored = Event.fromObject(event.toObject());
+check('Period survives toObject', restored.additionalDates[1].end.getHours(), 17);
+
+let invalid = null;
+try {
+    new Event({
+        ...workshop,
+        additionalDates: [{ start: new Date(2025, 2, 8, 14, 0), end: new Date(2025, 2, 8, 13, 0) }]
+    });
+} catch (error) {
+    invalid = error.message;
+}
+check('Period ending before its start rejected', invalid, 'Invalid period in additionalDates');
+
+// Test 2: RDATEs are merged with the rule
+console.log('\n=== Test 2: Expansion ===');
+const calendar = new Calendar({ timeZone: 'Europe/Paris' });
+calendar.addEvent(workshop);
+const occurrences = calendar.getEventsInRange(new Date(2025, 2, 1), new Date(2025, 2, 31));
+check('Rule and RDATEs merged in order', days(occurrences), '3,5,8,10,17');
+check('Period keeps its own duration', occurrences[2].end.getHours(), 17);
+check('Plain RDATE takes the series duration', occurrences[1].end.getHours(), 11);
+check(
+    'RDATE on a rule date is not duplicated',
+    occurrences.filter(o => o.start.getDate() === 10).length,
+    1
+);
+check(
+    'RDATE in EXDATE is excluded',
+    occurrences.some(o => o.start.getDate() === 12),
+    false
+);
+check(
+    'Iterator agrees with the range expansion',
+    days(calendar.iterateOccurrences('workshop').take(10)),
+    '3,5,8,10,17'
+);
+
+// Test 3: RDATE value types are parsed
+console.log('\n=== Test 3: Parse ===');
+const ics = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'BEGIN:VEVENT',
+    'UID:course@example.com',
+    'SUMMARY:Course',
+    'DTSTART;TZID=Europe/Paris:20250303T100000',
+    'DTEND;TZID=Europe/Paris:20250303T110000',
+    'RRULE:FREQ=WEEKLY;COUNT=3',
+    'RDATE;TZID=Europe/Paris:20250305T100000',
+    'RDATE;VALUE=PERIOD:20250308T130000Z/20250308T160000Z',
+    'RDATE;VALUE=PERIOD;TZID=Europe/Paris:20250315T090000/PT1H30M',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:holiday@example.com',
+    'SUMMARY:Holiday',
+    'DTSTART;VALUE=DATE:20250301',
+    'DTEND;VALUE=DATE:20250302',
+    'RRULE:FREQ=YEARLY',
+    'RDATE;VALUE=DATE:20250420,20250421',
+    'END:VEVENT',
+    'END:VCALENDAR'
+].join('\r\n');
+
+const parsed = new ICSParser().parse(ics);
+const course = parsed.find(e => e.id === 'course@example.com');
+check('DATE-TIME RDATE parsed', course.additionalDates[0].getDate(), 5);
+check('UTC PERIOD converted to the series zone', course.additionalDates[1].start.getHours(), 14);
+check('UTC PERIOD end', course.additionalDates[1].end.getHours(), 17);
+check('PERIOD with a duration', course.additionalDates[2].end.getMinutes(), 30);
+const holiday = parsed.find(e => e.id === 'holiday@example.com');
+check('DATE RDATEs parsed', holiday.additionalDates.map(d => d.getDate()).join(','), '20,21');
+
+// Test 4: Round trip through export
+console.log('\n=== Test 4: Round trip ===');
+const roundTrip = new Calendar({ timeZone: 'Europe/Paris' });
+const handler = new ICSHandler(roundTrip);
+await handler.import(ics);
+
+const exported = handler.export();
+const unfolded = exported.replace(/\r\n /g, '');
+check(
+    'Periods exported with VALUE=PERIOD',
+    unfolded.includes(
+        'RDATE;VALUE=PERIOD;TZID=Europe/Paris:20250308T140000/20250308T170000,20250315T090000/20250315T103000'
+    ),
+    true
+);
+check(
+    'Dates exported as a plain RDATE',
+    exported.includes('RDATE;TZID=Europe/Paris:20250305T100000'),
+    true
+);
+check(
+    'All-day RDATEs exported as DATE',
+    exported.includes('RDATE;VALUE=DATE:20250420,20250421'),
+    true
+);
+
+const reparsed = new ICSParser().parse(exported).find(e => e.id === 'course@example.com');
+check('Round trip keeps every RDATE', reparsed.additionalDates.length, 3);
+check('Round trip keeps the period end', reparsed.additionalDates[2].end.getMinutes(), 30);
+check(
+    'Imported series expands with its RDATEs',
+    days(roundTrip.iterateOccurrences('course@example.com').take(10)),
+    '3,5,8,10,15,17'
+);
+
+exitOnFailures('RDATE');
+
+console.log('\n✅ RDATE test complete!');
+process.exit(0);
@@ -0,0 +1,266 @@
+/**
+ * Test recurrence expansion against the RFC 5545 section 3.8.5.3 examples
+ */
+
+import { Event } from '../../core/events/Event.js';
+import { RecurrenceEngineV2 } from '../../core/events/RecurrenceEngineV2.js';
+import { RRuleExpander } from '../../core/events/RRuleExpander.js';
+import { check, exitOnFailures } from '../helpers/check.js';
+
+console.log('Testing RFC 5545 recurrence expansion...\n');
+
+// The RFC examples start at 09:00 wall-clock time on a 'YYYYMMDD' date
+function local(value) {
+    const [y, m, d] = [value.slice(0, 4), value.slice(4, 6), value.slice(6, 8)].map(Number);
+    return new Date(y, m - 1, d, 9, 0);
+}
+
+function format(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Expand a rule and return up to `limit` dates as a comma separated list
+function expand(rule, dtstart, limit = 50) {
+    const dates = [];
+    for (const date of RRuleExpander.iterate(rule, local(dtstart))) {
+        if (dates.length >= limit) break;
+        dates.push(format(date));
+    }
+    return dates.join(',');
+}
+
+// Test 1: Daily and weekly rules
+console.log('=== Test 1: Daily and weekly ===');
+check(
+    'Daily for 10 occurrences',
+    expand('FREQ=DAILY;COUNT=10', '19970902'),
+    '1997-09-02,1997-09-03,1997-09-04,1997-09-05,1997-09-06,1997-09-07,1997-09-08,1997-09-09,1997-09-10,1997-09-11'
+);
+check(
+    'Every 10 days, 5 occurrences',
+    expand('FREQ=DAILY;INTERVAL=10;COUNT=5', '19970902'),
+    '1997-09-02,1997-09-12,1997-09-22,1997-10-02,1997-10-12'
+);
+
+const january = expand(
+    'FREQ=YEARLY;UNTIL=20000131T090000;BYMONTH=1;BYDAY=SU,MO,TU,WE,TH,FR,SA',
+    '19980101',
+    200
+).split(',');
+check('Every day in January for 3 years', january.length, 93);
+check('January expansion ends on the UNTIL date', january[92], '2000-01-31');
+check(
+    'Same set from a DAILY rule',
+    expand('FREQ=DAILY;UNTIL=20000131T090000;BYMONTH=1', '19980101', 200),
+    january.join(',')
+);
+
+check(
+    'Weekly on Tuesday and Thursday for five weeks',
+    expand('FREQ=WEEKLY;COUNT=10;WKST=SU;BYDAY=TU,TH', '19970902'),
+    '1997-09-02,1997-09-04,1997-09-09,1997-09-11,1997-09-16,1997-09-18,1997-09-23,1997-09-25,1997-09-30,1997-10-02'
+);
+
+const everyOtherWeek = expand(
+    'FREQ=WEEKLY;INTERVAL=2;UNTIL=19971224T000000;WKST=SU;BYDAY=MO,WE,FR',
+    '19970901'
+).split(',');
+check('Every other week on Mon, Wed and Fri', everyOtherWeek.length, 25);
+check(
+    'Every other week starts on the right days',
+    everyOtherWeek.slice(0, 7).join(','),
+    '1997-09-01,1997-09-03,1997-09-05,1997-09-15,1997-09-17,1997-09-19,1997-09-29'
+);
+check('Every other week last occurrence', everyOtherWeek[24], '1997-12-22');
+
+// Test 2: Monthly rules
+console.log('\n=== Test 2: Monthly ===');
+check(
+    'First Friday for 10 occurrences',
+    expand('FREQ=MONTHLY;COUNT=10;BYDAY=1FR', '19970905'),
+    '1997-09-05,1997-10-03,1997-11-07,1997-12-05,1998-01-02,1998-02-06,1998-03-06,1998-04-03,1998-05-01,1998-06-05'
+);
+check(
+    'Every other month on the first and last Sunday',
+    expand('FREQ=MONTHLY;INTERVAL=2;COUNT=10;BYDAY=1SU,-1SU', '19970907'),
+    '1997-09-07,1997-09-28,1997-11-02,1997-11-30,1998-01-04,1998-01-25,1998-03-01,1998-03-29,1998-05-03,1998-05-31'
+);
+check(
+    'Second-to-last Monday for 6 months',
+    expand('FREQ=MONTHLY;COUNT=6;BYDAY=-2MO', '19970922'),
+    '1997-09-22,1997-10-20,1997-11-17,1997-12-22,1998-01-19,1998-02-16'
+);
+check(
+    'Third-to-last day of the month',
+    expand('FREQ=MONTHLY;BYMONTHDAY=-3', '19970928', 6),
+    '1997-09-28,1997-10-29,1997-11-28,1997-12-29,1998-01-29,1998-02-26'
+);
+check(
+    'First and last day of the month',
+    expand('FREQ=MONTHLY;COUNT=10;BYMONTHDAY=1,-1', '19970930'),
+    '1997-09-30,1997-10-01,1997-10-31,1997-11-01,1997-11-30,1997-12-01,1997-12-31,1998-01-01,1998-01-31,1998-02-01'
+);
+check(
+    'Every 18 months on the 10th to the 15th',
+    expand('FREQ=MONTHLY;INTERVAL=18;COUNT=10;BYMONTHDAY=10,11,12,13,14,15', '19970910'),
+    '1997-09-10,1997-09-11,1997-09-12,1997-09-13,1997-09-14,1997-09-15,1999-03-10,1999-03-11,1999-03-12,1999-03-13'
+);
+check(
+    'Friday the 13th',
+    expand('FREQ=MONTHLY;BYDAY=FR;BYMONTHDAY=13', '19970902', 6),
+    '1997-09-02,1998-02-13,1998-03-13,1998-11-13,1999-08-13,2000-10-13'
+);
+check(
+    'First Saturday after the first Sunday',
+    expand('FREQ=MONTHLY;COUNT=10;BYDAY=SA;BYMONTHDAY=7,8,9,10,11,12,13', '19970913'),
+    '1997-09-13,1997-10-11,1997-11-08,1997-12-13,1998-01-10,1998-02-07,1998-03-07,1998-04-11,1998-05-09,1998-06-13'
+);
+check(
+    'Invalid dates are skipped, not clamped',
+    expand('FREQ=MONTHLY;BYMONTHDAY=15,30;COUNT=5', '20070115'),
+    '2007-01-15,2007-01-30,2007-02-15,2007-03-15,2007-03-30'
+);
+
+// Test 3: BYSETPOS
+console.log('\n=== Test 3: BYSETPOS ===');
+check(
+    'Third instance of Tue, Wed or Thu',
+    expand('FREQ=MONTHLY;COUNT=3;BYDAY=TU,WE,TH;BYSETPOS=3', '19970904'),
+    '1997-09-04,1997-10-07,1997-11-06'
+);
+check(
+    'Second-to-last weekday of the month',
+    expand('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-2', '19970929', 7),
+    '1997-09-29,1997-10-30,1997-11-27,1997-12-30,1998-01-29,1998-02-26,1998-03-30'
+);
+check(
+    'Last weekday of the month',
+    expand('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;COUNT=6', '20250131'),
+    '2025-01-31,2025-02-28,2025-03-31,2025-04-30,2025-05-30,2025-06-30'
+);
+check(
+    'First and last weekday of the year',
+    expand('FREQ=YEARLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=1,-1;COUNT=4', '20250101'),
+    '2025-01-01,2025-12-31,2026-01-01,2026-12-31'
+);
+
+// Test 4: Yearly rules
+console.log('\n=== Test 4: Yearly ===');
+check(
+    'June and July for 10 occurrences',
+    expand('FREQ=YEARLY;COUNT=10;BYMONTH=6,7', '19970610'),
+    '1997-06-10,1997-07-10,1998-06-10,1998-07-10,1999-06-10,1999-07-10,2000-06-10,2000-07-10,2001-06-10,2001-07-10'
+);
+check(
+    'Every other year in January to March',
+    expand('FREQ=YEARLY;INTERVAL=2;COUNT=10;BYMONTH=1,2,3', '19970310'),
+    '1997-03-10,1999-01-10,1999-02-10,1999-03-10,2001-01-10,2001-02-10,2001-03-10,2003-01-10,2003-02-10,2003-03-10'
+);
+check(
+    'Every third year on day 1, 100 and 200',
+    expand('FREQ=YEARLY;INTERVAL=3;COUNT=10;BYYEARDAY=1,100,200', '19970101'),
+    '1997-01-01,1997-04-10,1997-07-19,2000-01-01,2000-04-09,2000-07-18,2003-01-01,2003-04-10,2003-07-19,2006-01-01'
+);
+check(
+    'Every 20th Monday of the year',
+    expand('FREQ=YEARLY;BYDAY=20MO', '19970519', 3),
+    '1997-05-19,1998-05-18,1999-05-17'
+);
+check(
+    'Monday of week 20',
+    expand('FREQ=YEARLY;BYWEEKNO=20;BYDAY=MO', '19970512', 3),
+    '1997-05-12,1998-05-11,1999-05-17'
+);
+check(
+    'Every Thursday in March',
+    expand('FREQ=YEARLY;BYMONTH=3;BYDAY=TH', '19970313', 11),
+    '1997-03-13,1997-03-20,1997-03-27,1998-03-05,1998-03-12,1998-03-19,1998-03-26,1999-03-04,1999-03-11,1999-03-18,1999-03-25'
+);
+check(
+    'Every Thursday in June, July and August',
+    expand('FREQ=YEARLY;BYDAY=TH;BYMONTH=6,7,8', '19970605', 14).split(',').slice(-2).join(','),
+    '1997-08-28,1998-06-04'
+);
+check(
+    'US presidential election day',
+    expand('FREQ=YEARLY;INTERVAL=4;BYMONTH=11;BYDAY=TU;BYMONTHDAY=2,3,4,5,6,7,8', '19961105', 3),
+    '1996-11-05,2000-11-07,2004-11-02'
+);
+check(
+    'Week 1 can start in the previous year',
+    expand('FREQ=YEARLY;BYWEEKNO=1;BYDAY=MO;COUNT=3', '20240101'),
+    '2024-01-01,2024-12-30,2025-12-29'
+);
+check(
+    'Leap day only in leap years',
+    expand('FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=29;COUNT=3', '20240229'),
+    '2024-02-29,2028-02-29,2032-02-29'
+);
+
+// Test 5: WKST changes which days share a week
+console.log('\n=== Test 5: WKST ===');
+check(
+    'WKST=MO',
+    expand('FREQ=WEEKLY;INTERVAL=2;COUNT=4;BYDAY=TU,SU;WKST=MO', '19970805'),
+    '1997-08-05,1997-08-10,1997-08-19,1997-08-24'
+);
+check(
+    'WKST=SU',
+    expand('FREQ=WEEKLY;INTERVAL=2;COUNT=4;BYDAY=TU,SU;WKST=SU', '19970805'),
+    '1997-08-05,1997-08-17,1997-08-19,1997-08-31'
+);
+
+// Test 6: Engine integration
+console.log('\n=== Test 6: RecurrenceEngineV2 ===');
+const engine = new RecurrenceEngineV2();
+const review = new Event({
+    id: 'month-end',
+    title: 'Month-end review',
+    start: new Date(2025, 0, 31, 16, 0),
+    end: new Date(2025, 0, 31, 17, 0),
+    recurring: true,
+    recurrenceRule: 'FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1',
+    timeZone: 'UTC'
+});
+const occurrences = engine.expandEvent(review, new Date(2025, 3, 1), new Date(2025, 6, 1), {
+    handleDST: false
+});
+check(
+    'Occurrences within the range',
+    occurrences.map(o => format(o.start)).join(','),
+    '2025-04-30,2025-05-30,2025-06-30'
+);
+check('Start time kept', occurrences[0].start.getHours(), 16);
+check('Duration kept', occurrences[0].end - occurrences[0].start, 60 * 60 * 1000);
+
+const longRunning = new Event({
+    id: 'daily',
+    title: 'Daily',
+    start: new Date(2020, 0, 1, 9, 0),
+    end: new Date(2020, 0, 1, 10, 0),
+    recurring: true,
+    recurrenceRule: 'FREQ=DAILY',
+    timeZone: 'UTC'
+});
+const late = engine.expandEvent(longRunning, new Date(2025, 0, 1), new Date(2025, 0, 8), {
+    handleDST: false
+});
+check('Occurrences years after DTSTART are not capped', late.length, 7);
+
+const limited = engine.expandEvent(
+    new Event({
+        ...longRunning.toObject(),
+        id: 'daily-count',
+        recurrenceRule: 'FREQ=DAILY;COUNT=3'
+    }),
+    new Date(2020, 0, 2),
+    new Date(2020, 1, 1),
+    { handleDST: false }
+);
+check('COUNT includes occurrences before the range', limited.length, 2);
+
+exitOnFailures('recurrence');
+
+console.log('\n✅ RFC 5545 recurrence test complete!');
+process.exit(0);
@@ -0,0 +1,118 @@
+/**
+ * Test that every entry point expands a series through the same recurrence
+ * service, with exceptions and modified instances stored on the event
+ */
+
+import { Calendar } from '../../core/calendar/Calendar.js';
+import { EnhancedCalendar } from '../../core/integration/EnhancedCalendar.js';
+import { Event } from '../../core/events/Event.js';
+import { RecurrenceEngine } from '../../core/events/RecurrenceEngine.js';
+import { check, exitOnFailures } from '../helpers/check.js';
+
+console.log('Testing the shared recurrence service...\n');
+
+const days = occurrences => occurrences.map(o => o.start.getDate()).join(',');
+const rangeStart = new Date(2025, 1, 1);
+const rangeEnd = new Date(2025, 1, 28, 23, 59);
+
+function weekly(calendar) {
+    return calendar.addEvent({
+        id: 'weekly',
+        title: 'Weekly review',
+        start: new Date(2025, 0, 6, 10, 0),
+        end: new Date(2025, 0, 6, 11, 0),
+        recurring: true,
+        recurrenceRule: 'FREQ=WEEKLY;BYDAY=MO',
+        timeZone: 'Europe/Paris'
+    });
+}
+
+// Test 1: A series started before the range is still expanded
+console.log('=== Test 1: Series started before the range ===');
+const calendar = new Calendar({ timeZone: 'Europe/Paris' });
+weekly(calendar);
+check(
+    'February occurrences of a January series',
+    days(calendar.getEventsInRange(rangeStart, rangeEnd)),
+    '3,10,17,24'
+);
+
+// Test 2: Instance changes are stored on the event
+console.log('\n=== Test 2: Modified and cancelled occurrences ===');
+calendar.modifyOccurrence('weekly', new Date(2025, 1, 10, 10, 0), {
+    title: 'Quarterly review',
+    start: new Date(2025, 1, 10, 14, 0),
+    end: new Date(2025, 1, 10, 16, 0)
+});
+calendar.cancelOccurrence('weekly', new Date(2025, 1, 17, 10, 0), 'Holiday');
+
+const series = calendar.getEvent('weekly');
+check('Modified instances kept on the event', series.modifiedInstances.length, 2);
+check('Cancellation reason kept', series.modifiedInstances[1].cancellationReason, 'Holiday');
+
+const occurrences = calendar.getEventsInRange(rangeStart, rangeEnd);
+check('Cancelled occurrence skipped', days(occurrences), '3,10,24');
+check('Modified occurrence moved', occurrences[1].start.getHours(), 14);
+check('Modified occurrence title', occurrences[1].title, 'Quarterly review');
+check('Occurrence links to its series', occurrences[1].metadata.recurringEventId, 'weekly');
+check('Occurrence keeps its original start', occurrences[1].metadata.recurrenceId.getHours(), 10);
+
+const restored = Event.fromObject(series.toObject());
+check('Instance data survives toObject', restored.modifiedInstances[0].start.getHours(), 14);
+
+// Test 3: Every entry point agrees
+console.log('\n=== Test 3: Entry points ===');
+check(
+    'Static RecurrenceEngine',
+    days(RecurrenceEngine.expandEvent(series, rangeStart, rangeEnd)),
+    '3,10,24'
+);
+check(
+    'EventStore.expandRecurringEvent',
+    days(calendar.eventStore.expandRecurringEvent(series, rangeStart, rangeEnd)),
+    '3,10,24'
+);
+
+const enhanced = new EnhancedCalendar({ timeZone: 'Europe/Paris' });
+enhanced.addEvent(series.toObject());
+check(
+    'EnhancedCalendar.getEventsInRange',
+    days(await enhanced.getEventsInRange(rangeStart, rangeEnd)),
+    '3,10,24'
+);
+const withCancelled = await enhanced.getEventsInRange(rangeStart, rangeEnd, {
+    includeCancelled: true
+});
+check('Cancelled occurrence on request', withCancelled[2].status, 'cancelled');
+check(
+    'Cancellation reason on the occurrence',
+    withCancelled[2].metadata.cancellationReason,
+    'Holiday'
+);
+
+// Test 4: Updating the series invalidates expanded occurrences
+console.log('\n=== Test 4: Updates ===');
+calendar.updateEvent('weekly', { modifiedInstances: [] });
+check(
+    'Cleared instances restore the rule',
+    days(calendar.getEventsInRange(rangeStart, rangeEnd)),
+    '3,10,17,24'
+);
+
+// Test 5: Conflicts are checked against occurrences
+console.log('\n=== Test 5: Conflict detection ===');
+const conflicts = calendar.eventStore.checkConflicts({
+    id: 'dentist',
+    title: 'Dentist',
+    start: new Date(2025, 1, 24, 10, 30),
+    end: new Date(2025, 1, 24, 11, 30)
+});
+check('Occurrence of an older series conflicts', conflicts.hasConflicts, true);
+
+const selfCheck = calendar.eventStore.checkConflicts(series);
+check('Series does not conflict with itself', selfCheck.hasConflicts, false);
+
+exitOnFailures('recurrence service');
+
+console.log('\n✅ Recurrence service test complete!');
+process.exit(0);
@@ -0,0 +1,162 @@
+/**
+ * Test sub-daily frequencies and BYHOUR/BYMINUTE/BYSECOND expansion
+ */
+
+import { Calendar } from '../../core/calendar/Calendar.js';
+import { RRuleExpander } from '../../core/events/RRuleExpander.js';
+import { check, exitOnFailures } from '../helpers/check.js';
+
+console.log('Testing sub-daily recurrence...\n');
+
+const pad = value => String(value).padStart(2, '0');
+const format = date =>
+    `${date.getDate()} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+
+function expand(rule, start, count = 8) {
+    const dates = [];
+    for (const date of RRuleExpander.iterate(rule, start)) {
+        dates.push(format(date));
+        if (dates.length >= count) break;
+    }
+    return dates.join(', ');
+}
+
+const start = new Date(2025, 2, 3, 8, 0);
+
+// Test 1: Times of day on daily and longer frequencies
+console.log('=== Test 1: BYHOUR, BYMINUTE and BYSECOND expansion ===');
+check(
+    'Shift slots',
+    expand('FREQ=DAILY;BYHOUR=0,8,16', start, 6),
+    '3 08:00:00, 3 16:00:00, 4 00:00:00, 4 08:00:00, 4 16:00:00, 5 00:00:00'
+);
+check(
+    'Hours and minutes combined',
+    expand('FREQ=WEEKLY;BYDAY=MO,WE;BYHOUR=9,14;BYMINUTE=30', start, 5),
+    '3 08:00:00, 3 09:30:00, 3 14:30:00, 5 09:30:00, 5 14:30:00'
+);
+check(
+    'Seconds expand too',
+    expand('FREQ=DAILY;BYSECOND=0,30', start, 4),
+    '3 08:00:00, 3 08:00:30, 4 08:00:00, 4 08:00:30'
+);
+check(
+    'BYSETPOS picks from every time in the period',
+    expand('FREQ=MONTHLY;BYDAY=MO;BYHOUR=9,17;BYSETPOS=-1', start, 3),
+    '3 08:00:00, 31 17:00:00, 28 17:00:00'
+);
+
+// Test 2: Sub-daily frequencies
+console.log('\n=== Test 2: HOURLY, MINUTELY and SECONDLY ===');
+check(
+    'Hourly interval',
+    expand('FREQ=HOURLY;INTERVAL=5', start, 5),
+    '3 08:00:00, 3 13:00:00, 3 18:00:00, 3 23:00:00, 4 04:00:00'
+);
+check(
+    'Hourly limited by BYHOUR and expanded by BYMINUTE',
+    expand('FREQ=HOURLY;BYHOUR=9,10;BYMINUTE=0,30', start, 6),
+    '3 08:00:00, 3 09:00:00, 3 09:30:00, 3 10:00:00, 3 10:30:00, 4 09:00:00'
+);
+check(
+    'Minutely within an hour',
+    expand('FREQ=MINUTELY;INTERVAL=15;BYHOUR=9', start, 6),
+    '3 08:00:00, 3 09:00:00, 3 09:15:00, 3 09:30:00, 3 09:45:00, 4 09:00:00'
+);
+check(
+    'Secondly with COUNT',
+    expand('FREQ=SECONDLY;INTERVAL=20;COUNT=5', start),
+    '3 08:00:00, 3 08:00:20, 3 08:00:40, 3 08:01:00, 3 08:01:20'
+);
+check(
+    'Day parts limit sub-daily periods',
+    expand('FREQ=HOURLY;INTERVAL=6;BYDAY=SA', start, 5),
+    '3 08:00:00, 8 02:00:00, 8 08:00:00, 8 14:00:00, 8 20:00:00'
+);
+check(
+    'Sub-daily BYSETPOS',
+    expand('FREQ=HOURLY;BYMINUTE=0,20,40;BYSETPOS=2', start, 3),
+    '3 08:00:00, 3 08:20:00, 3 09:20:00'
+);
+
+// Test 3: Safety limits
+console.log('\n=== Test 3: Safety limits ===');
+let timer = Date.now();
+check(
+    'Unreachable times end the series',
+    expand('FREQ=MINUTELY;INTERVAL=2;BYMINUTE=1', start),
+    '3 08:00:00'
+);
+check('Found without scanning', Date.now() - timer < 1000, true);
+
+timer = Date.now();
+check(
+    'Sparse secondly rule skips whole days',
+    expand('FREQ=SECONDLY;BYMONTH=4;BYDAY=MO;BYHOUR=10;BYMINUTE=5;BYSECOND=0,30', start, 3),
+    '3 08:00:00, 7 10:05:00, 7 10:05:30'
+);
+check('Sparse rule expands quickly', Date.now() - timer < 1000, true);
+
+const hours = Array.from({ length: 24 }, (_, i) => i).join(',');
+const minutes = Array.from({ length: 60 }, (_, i) => i).join(',');
+let error = null;
+try {
+    expand(`FREQ=YEARLY;BYDAY=MO,TU,WE,TH,FR,SA,SU;BYHOUR=${hours};BYMINUTE=${minutes}`, start);
+} catch (e) {
+    error = e.message;
+}
+check(
+    'Dense periods rejected',
+    error,
+    'Recurrence rule is too dense: more than 100000 occurrences per year'
+);
+check('Dense rules detected', RRuleExpander.isSubDaily('FREQ=DAILY;BYHOUR=8,16'), true);
+check('Single time is not sub-daily', RRuleExpander.isSubDaily('FREQ=DAILY;BYHOUR=8'), false);
+
+// Test 4: Calendar expansion in a timezone
+console.log('\n=== Test 4: Calendar ===');
+const calendar = new Calendar({ timeZone: 'Europe/Paris' });
+calendar.addEvent({
+    id: 'hourly',
+    title: 'Check',
+    start: new Date(2025, 2, 30, 0, 0),
+    end: new Date(2025, 2, 30, 0, 30),
+    recurring: true,
+    recurrenceRule: 'FREQ=HOURLY;COUNT=5',
+    timeZone: 'Europe/Paris',
+    excludeDates: [new Date(2025, 2, 30, 3, 0)]
+});
+const checks = calendar.iterateOccurrences('hourly').take(10);
+check(
+    'Nonexistent hour dropped, excluded hour counted',
+    checks.map(o => o.start.getHours()).join(','),
+    '0,1,4,5'
+);
+check('Summer time resolved', checks[2].startUTC.toISOString(), '2025-03-30T02:00:00.000Z');
+
+calendar.addEvent({
+    id: 'shift',
+    title: 'Shift',
+    start: new Date(2025, 2, 3, 8, 0),
+    end: new Date(2025, 2, 3, 16, 0),
+    recurring: true,
+    recurrenceRule: 'FREQ=DAILY;BYHOUR=0,8,16;COUNT=6',
+    timeZone: 'Europe/Paris'
+});
+calendar.cancelOccurrence('shift', new Date(2025, 2, 4, 0, 0), 'Understaffed');
+calendar.modifyOccurrence('shift', new Date(2025, 2, 4, 8, 0), { title: 'Morning shift' });
+const shifts = calendar
+    .getEventsInRange(new Date(2025, 2, 1), new Date(2025, 2, 10))
+    .filter(o => o.title.includes('hift'));
+check(
+    'Exceptions match the time of day',
+    shifts.map(o => `${o.start.getDate()}@${o.start.getHours()}`).join(','),
+    '3@8,3@16,4@8,4@16,5@0'
+);
+check('Modification matches the time of day', shifts[2].title, 'Morning shift');
+check('Other shifts that day unchanged', shifts[3].title, 'Shift');
+
+exitOnFailures('sub-daily recurrence');
+
+console.log('\n✅ Sub-daily recurrence test complete!');
+process.exit(0);
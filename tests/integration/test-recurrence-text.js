@@ -0,0 +1,205 @@
+/**
+ * Test reading recurrence rules from English text
+ */
+
+import { Calendar } from '../../core/calendar/Calendar.js';
+import { RRuleParser } from '../../core/events/RRuleParser.js';
+import { RecurrenceTextParser } from '../../core/events/RecurrenceTextParser.js';
+import { check, exitOnFailures } from '../helpers/check.js';
+
+console.log('Testing recurrence text parsing...\n');
+
+const parser = new RecurrenceTextParser('en-US');
+const start = new Date(2026, 2, 3, 9, 0);
+const rrule = text => parser.parse(text, { start }).rrule;
+
+// Test 1: Frequencies and intervals
+console.log('=== Test 1: Frequencies ===');
+check('Adverb', rrule('daily'), 'FREQ=DAILY');
+check('Every other', rrule('every other day'), 'FREQ=DAILY;INTERVAL=2');
+check('Number words', rrule('every three months'), 'FREQ=MONTHLY;INTERVAL=3');
+check('Quarters', rrule('quarterly'), 'FREQ=MONTHLY;INTERVAL=3');
+check('Once a', rrule('once a year'), 'FREQ=YEARLY');
+check('Weekdays', rrule('every weekday'), 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR');
+check(
+    'Weekly with days',
+    rrule('Every 2 weeks on Monday and Wednesday'),
+    'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE'
+);
+check('Abbreviated days', rrule('mon, wed & fri'), 'FREQ=WEEKLY;BYDAY=MO,WE,FR');
+
+// Test 2: Positions within the month, quarter and year
+console.log('\n=== Test 2: Positions ===');
+check('Last weekday name', rrule('last Friday of the month'), 'FREQ=MONTHLY;BYDAY=-1FR');
+check(
+    'Each quarter',
+    rrule('first Monday of each quarter'),
+    'FREQ=MONTHLY;BYDAY=1MO;BYMONTH=1,4,7,10'
+);
+check(
+    'Several positions',
+    rrule('first and third Thursday of every other month'),
+    'FREQ=MONTHLY;INTERVAL=2;BYDAY=1TH,3TH'
+);
+check(
+    'Nth of a set of days',
+    rrule('second-to-last weekday of the month'),
+    'FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-2'
+);
+check('Month days', rrule('on the 1st and 15th of each month'), 'FREQ=MONTHLY;BYMONTHDAY=1,15');
+check('Last day of the month', rrule('last day of the month'), 'FREQ=MONTHLY;BYMONTHDAY=-1');
+check('Date in the year', rrule('every March 5th'), 'FREQ=YEARLY;BYMONTH=3;BYMONTHDAY=5');
+check('Day before month', rrule('every 4th of July'), 'FREQ=YEARLY;BYMONTH=7;BYMONTHDAY=4');
+check(
+    'Weekdays in months',
+    rrule('every Monday in January and February'),
+    'FREQ=WEEKLY;BYDAY=MO;BYMONTH=1,2'
+);
+
+// Test 3: Counts and end dates
+console.log('\n=== Test 3: Series ends ===');
+check('Count', rrule('daily, 10 times'), 'FREQ=DAILY;COUNT=10');
+check('Count in words', rrule('weekly for five occurrences'), 'FREQ=WEEKLY;COUNT=5');
+check(
+    'End date',
+    rrule('every Tuesday until June 30, 2026'),
+    'FREQ=WEEKLY;UNTIL=20260630T235959;BYDAY=TU'
+);
+check('ISO end date', rrule('monthly through 2027-01-15'), 'FREQ=MONTHLY;UNTIL=20270115T235959');
+check('Before a date', rrule('daily before April 1 2026'), 'FREQ=DAILY;UNTIL=20260331T235959');
+check(
+    'Duration from the start',
+    rrule('every Monday for 6 weeks'),
+    'FREQ=WEEKLY;UNTIL=20260413T235959;BYDAY=MO'
+);
+
+// Test 4: Ambiguities and confidence
+console.log('\n=== Test 4: Ambiguities ===');
+const untilJune = parser.parse('every other Tuesday until June', { start });
+check('Month-only end', untilJune.rrule, 'FREQ=WEEKLY;INTERVAL=2;UNTIL=20260630T235959;BYDAY=TU');
+check(
+    'Month-only end reported',
+    untilJune.ambiguities[0].message,
+    'No day or year given; read as through 2026-06-30'
+);
+check('Ambiguity lowers confidence', untilJune.confidence, 0.8);
+check(
+    'Past month rolls over to next year',
+    rrule('weekly until February'),
+    'FREQ=WEEKLY;UNTIL=20270228T235959'
+);
+
+const biweekly = parser.parse('biweekly', { start });
+check(
+    'Biweekly reported',
+    biweekly.ambiguities[0].message,
+    'Read as every 2 weeks; it can also mean twice a week'
+);
+check(
+    'Every second weekday reported',
+    parser.parse('every second Tuesday', { start }).rrule,
+    'FREQ=WEEKLY;INTERVAL=2;BYDAY=TU'
+);
+
+const numeric = parser.parse('weekly until 6/7/2027', { start });
+check('US numeric date', numeric.rrule, 'FREQ=WEEKLY;UNTIL=20270607T235959');
+check(
+    'Numeric date reported',
+    numeric.ambiguities[0].message,
+    'Read as 2027-06-07; it can also mean 2027-07-06'
+);
+check(
+    'Day-first locale',
+    new RecurrenceTextParser('en-GB').parse('weekly until 6/7/2027', { start }).rrule,
+    'FREQ=WEEKLY;UNTIL=20270706T235959'
+);
+
+const partial = parser.parse('every day at teatime please', { start });
+check('Partial text still parsed', partial.rrule, 'FREQ=DAILY');
+check('Unrecognized words listed', partial.unrecognized.join(','), 'at,teatime,please');
+check('Unrecognized words lower confidence', partial.confidence, 0.25);
+
+const nothing = parser.parse('hello world', { start });
+check('No frequency, no rule', nothing.rule, null);
+check('No frequency, no confidence', nothing.confidence, 0);
+check('No frequency, no RRULE', nothing.rrule, null);
+check('No rule builds no RRULE', RRuleParser.buildRRule(nothing.rule), null);
+check('Clear text is fully confident', parser.parse('every weekday', { start }).confidence, 1);
+
+// Test 5: Rules expand in a calendar
+console.log('\n=== Test 5: Calendar ===');
+const calendar = new Calendar({ timeZone: 'Europe/Paris' });
+const result = calendar.parseRecurrenceText('every other Tuesday until April', { start });
+check('Rule objects come from RRuleParser', result.rule.freq, RRuleParser.parse(result.rrule).freq);
+calendar.addEvent({
+    id: 'review',
+    title: 'Review',
+    start: new Date(2026, 2, 3, 9, 0),
+    end: new Date(2026, 2, 3, 10, 0),
+    recurring: true,
+    recurrenceRule: result.rrule
+});
+check(
+    'Occurrences follow the text',
+    calendar
+        .iterateOccurrences('review')
+        .take(10)
+        .map(o => `${o.start.getMonth() + 1}/${o.start.getDate()}`)
+        .join(','),
+    '3/3,3/17,3/31,4/14,4/28'
+);
+
+// Test 6: Times of day
+console.log('\n=== Test 6: Times of day ===');
+const nineAm = parser.parse('every day at 9am', { start });
+check('Time after at', nineAm.rrule, 'FREQ=DAILY;BYHOUR=9;BYMINUTE=0');
+check('Time fully recognized', nineAm.confidence, 1);
+check(
+    'Minutes and dotted meridiem',
+    rrule('weekdays at 9:30 a.m.'),
+    'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;BYHOUR=9;BYMINUTE=30'
+);
+check('24-hour time', rrule('every day at 14:00'), 'FREQ=DAILY;BYHOUR=14;BYMINUTE=0');
+check('Noon', rrule('every day at noon'), 'FREQ=DAILY;BYHOUR=12;BYMINUTE=0');
+check('Several times', rrule('daily at 9am and 5pm'), 'FREQ=DAILY;BYHOUR=9,17;BYMINUTE=0');
+check(
+    'With other parts',
+    rrule('monthly on the 1st at 8pm for 6 times'),
+    'FREQ=MONTHLY;COUNT=6;BYMONTHDAY=1;BYHOUR=20;BYMINUTE=0'
+);
+
+const bareHour = parser.parse('every Monday at 9', { start });
+check('Hour alone', bareHour.rrule, 'FREQ=WEEKLY;BYDAY=MO;BYHOUR=9;BYMINUTE=0');
+check(
+    'Hour alone is ambiguous',
+    bareHour.ambiguities.map(a => a.message).join(' | '),
+    'Read as 9:00; it can also mean 21:00'
+);
+
+// BYHOUR and BYMINUTE would also give 9:30 and 17:00
+const mixed = parser.parse('every day at 9:00 and 17:30', { start });
+check('Times the rule cannot hold are left out', mixed.rrule, 'FREQ=DAILY');
+check('Times the rule cannot hold are unrecognized', mixed.unrecognized.includes('at'), true);
+
+calendar.addEvent({
+    id: 'standup',
+    title: 'Standup',
+    start: new Date(2026, 2, 3, 9, 0),
+    end: new Date(2026, 2, 3, 9, 15),
+    recurring: true,
+    recurrenceRule: parser.parse('every day at 9am and 5pm', { start }).rrule
+});
+check(
+    'Occurrences at the times',
+    calendar
+        .iterateOccurrences('standup')
+        .take(3)
+        .map(o => `${o.start.getDate()}@${o.start.getHours()}:${o.start.getMinutes()}`)
+        .join(','),
+    '3@9:0,3@17:0,4@9:0'
+);
+
+exitOnFailures('recurrence text');
+
+console.log('\n✅ Recurrence text test complete!');
+process.exit(0);
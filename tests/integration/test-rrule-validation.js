@@ -0,0 +1,137 @@
+/**
+ * Test recurrence rule validation: structured errors and warnings
+ */
+
+import { RRuleValidator } from '../../core/events/RRuleValidator.js';
+import { check, exitOnFailures } from '../helpers/check.js';
+
+console.log('Testing recurrence rule validation...\n');
+
+const codes = issues => issues.map(issue => `${issue.code}:${issue.part}`).join(',');
+const errors = (rule, options) => codes(RRuleValidator.validate(rule, options).errors);
+const warnings = (rule, options) => codes(RRuleValidator.validate(rule, options).warnings);
+
+// Test 1: Valid rules
+console.log('=== Test 1: Valid rules ===');
+const valid = RRuleValidator.validate('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10', {
+    dtstart: new Date(2025, 0, 6, 9, 0)
+});
+check('Valid rule', valid.valid, true);
+check('No issues', valid.errors.length + valid.warnings.length, 0);
+check('Parsed rule returned', valid.rule.interval, 2);
+check('RRULE prefix accepted', RRuleValidator.validate('RRULE:FREQ=DAILY').valid, true);
+check(
+    'Rule objects accepted',
+    RRuleValidator.validate({ freq: 'MONTHLY', byMonthDay: [15] }).valid,
+    true
+);
+
+// Test 2: Malformed rules
+console.log('\n=== Test 2: Syntax errors ===');
+check('Missing FREQ', errors('INTERVAL=2'), 'MISSING_FREQ:FREQ');
+check('Unknown FREQ', errors('FREQ=FORTNIGHTLY'), 'INVALID_VALUE:FREQ');
+check('Repeated part', errors('FREQ=DAILY;FREQ=WEEKLY'), 'DUPLICATE_PART:FREQ');
+check('Zero interval', errors('FREQ=DAILY;INTERVAL=0'), 'OUT_OF_RANGE:INTERVAL');
+check('Malformed UNTIL', errors('FREQ=DAILY;UNTIL=2025-03-01'), 'INVALID_VALUE:UNTIL');
+check('COUNT with UNTIL', errors('FREQ=DAILY;COUNT=3;UNTIL=20250301'), 'COUNT_AND_UNTIL:COUNT');
+check(
+    'Out-of-range values are reported, not dropped',
+    errors('FREQ=MONTHLY;BYMONTH=13;BYMONTHDAY=0;BYHOUR=24'),
+    'OUT_OF_RANGE:BYMONTH,OUT_OF_RANGE:BYMONTHDAY,OUT_OF_RANGE:BYHOUR'
+);
+check('Unknown weekday', errors('FREQ=WEEKLY;BYDAY=MO,XY'), 'INVALID_VALUE:BYDAY');
+check('Unknown part', warnings('FREQ=DAILY;COLOR=RED'), 'UNKNOWN_PART:COLOR');
+check('Non-standard part', warnings('FREQ=DAILY;EXDATE=20250101'), 'NON_STANDARD_PART:EXDATE');
+
+const message = RRuleValidator.validate('FREQ=DAILY;BYHOUR=24').errors[0].message;
+check('Errors explain the problem', message, 'BYHOUR value 24 is out of range (0 to 23)');
+
+// Test 3: Parts not allowed with the frequency
+console.log('\n=== Test 3: Frequency rules ===');
+check('BYWEEKNO needs YEARLY', errors('FREQ=MONTHLY;BYWEEKNO=10'), 'PART_NOT_ALLOWED:BYWEEKNO');
+check('BYYEARDAY with MONTHLY', errors('FREQ=MONTHLY;BYYEARDAY=100'), 'PART_NOT_ALLOWED:BYYEARDAY');
+check('BYMONTHDAY with WEEKLY', errors('FREQ=WEEKLY;BYMONTHDAY=1'), 'PART_NOT_ALLOWED:BYMONTHDAY');
+check('Numbered weekday with WEEKLY', errors('FREQ=WEEKLY;BYDAY=2MO'), 'PART_NOT_ALLOWED:BYDAY');
+check(
+    'Numbered weekday with BYWEEKNO',
+    errors('FREQ=YEARLY;BYWEEKNO=1;BYDAY=1MO'),
+    'PART_NOT_ALLOWED:BYDAY'
+);
+check('BYSETPOS alone', errors('FREQ=MONTHLY;BYSETPOS=1'), 'PART_NOT_ALLOWED:BYSETPOS');
+
+// Test 4: The series the rule belongs to
+console.log('\n=== Test 4: DTSTART checks ===');
+const timed = { dtstart: new Date(2025, 0, 6, 9, 0), allDay: false };
+check(
+    'Date UNTIL on a timed series',
+    errors('FREQ=DAILY;UNTIL=20250301', timed),
+    'UNTIL_TYPE_MISMATCH:UNTIL'
+);
+check(
+    'Date-time UNTIL on an all-day series',
+    errors('FREQ=DAILY;UNTIL=20250301T000000Z', { dtstart: new Date(2025, 0, 6), allDay: true }),
+    'UNTIL_TYPE_MISMATCH:UNTIL'
+);
+check(
+    'Floating UNTIL with a timezone',
+    warnings('FREQ=DAILY;UNTIL=20250301T090000', { ...timed, timeZone: 'Europe/Paris' }),
+    'UNTIL_NOT_UTC:UNTIL'
+);
+check(
+    'UNTIL before DTSTART',
+    warnings('FREQ=DAILY;UNTIL=20241231T000000Z', timed),
+    'UNTIL_BEFORE_START:UNTIL'
+);
+check(
+    'DTSTART outside the rule',
+    warnings('FREQ=MONTHLY;BYDAY=1TU', timed),
+    'START_NOT_IN_RULE:null'
+);
+check(
+    'Rule without occurrences',
+    warnings('FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=30', { dtstart: new Date(2025, 1, 1, 9, 0) }),
+    'SKIPS_MONTHS:BYMONTHDAY,START_NOT_IN_RULE:null,NO_OCCURRENCES:null'
+);
+check('A single occurrence is intended', warnings('FREQ=DAILY;COUNT=1', timed), '');
+
+// Test 5: Rules that skip months
+console.log('\n=== Test 5: Skipped months ===');
+const skipping = RRuleValidator.validate('FREQ=MONTHLY;BYMONTHDAY=31');
+check('Still valid', skipping.valid, true);
+check(
+    'Day 31 explained',
+    skipping.warnings[0].message,
+    'Day 31 skips February, April, June, September, November; BYMONTHDAY=-1 is the last day of every month'
+);
+check(
+    'Implied by DTSTART',
+    warnings('FREQ=MONTHLY', { dtstart: new Date(2025, 0, 30, 9, 0) }),
+    'SKIPS_MONTHS:BYMONTHDAY'
+);
+check('Only the listed months count', warnings('FREQ=YEARLY;BYMONTH=1,3;BYMONTHDAY=31'), '');
+check(
+    'Leap day',
+    RRuleValidator.validate('FREQ=YEARLY', { dtstart: new Date(2024, 1, 29) }).warnings[0].message,
+    'Day 29 skips February outside leap years; BYMONTHDAY=-1 is the last day of every month'
+);
+check('Fifth weekday', warnings('FREQ=MONTHLY;BYDAY=5FR'), 'SKIPS_MONTHS:BYDAY');
+
+// Test 6: Dense rules
+console.log('\n=== Test 6: Dense rules ===');
+const minutes = Array.from({ length: 60 }, (_, i) => i).join(',');
+const hours = Array.from({ length: 24 }, (_, i) => i).join(',');
+check(
+    'Too dense to expand',
+    errors(
+        `FREQ=YEARLY;BYMONTH=1,2,3;BYMONTHDAY=1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,28;BYHOUR=${hours};BYMINUTE=${minutes}`,
+        {
+            dtstart: new Date(2025, 0, 1)
+        }
+    ),
+    'TOO_DENSE:null'
+);
+
+exitOnFailures('rule validation');
+
+console.log('\n✅ Rule validation test complete!');
+process.exit(0);
@@ -0,0 +1,151 @@
+/**
+ * Test day and week view hour slots with secondary timezones, day
+ * boundaries and days DST starts or ends
+ */
+
+import { Calendar } from '../../core/calendar/Calendar.js';
+import { check, exitOnFailures } from '../helpers/check.js';
+
+console.log('Testing secondary timezones in views...\n');
+
+const dayView = (timeZone, date, secondaryTimeZones = []) =>
+    new Calendar({ timeZone, secondaryTimeZones, view: 'day', date }).getViewData();
+const hoursOf = slots => slots.map(slot => slot.hour).join(',');
+
+// Test 1: Labels in each secondary timezone
+console.log('=== Test 1: Secondary labels ===');
+const team = dayView('America/New_York', new Date(2025, 5, 10), [
+    'Europe/London',
+    'Asia/Kolkata',
+    'Asia/Tokyo'
+]);
+check(
+    'Listed on the view',
+    team.secondaryTimeZones.join(),
+    'Europe/London,Asia/Kolkata,Asia/Tokyo'
+);
+check('24 slots', team.hours.length, 24);
+const nine = team.hours[9];
+check('One label per timezone', nine.secondary.length, 3);
+check('London hour', nine.secondary[0].hour, 14);
+check('Formatted label', nine.secondary[0].time, '2:00 PM');
+check('Half-hour offset', `${nine.secondary[1].hour}:${nine.secondary[1].minute}`, '18:30');
+check('Tokyo hour', nine.secondary[2].hour, 22);
+check('Offset carried', nine.secondary[1].zonedStart.offset, '+05:30');
+check('Same day in London', nine.secondary[0].dayOffset, 0);
+
+// Test 2: Where a secondary timezone's date changes
+console.log('\n=== Test 2: Day boundaries ===');
+const tokyoBoundaries = team.hours.filter(slot => slot.secondary[2].dayBoundary);
+check('Tokyo changes date once', tokyoBoundaries.length, 1);
+check('At the start of the 11:00 slot', tokyoBoundaries[0].hour, 11);
+check('No minutes into the slot', tokyoBoundaries[0].secondary[2].dayBoundary.minutesIntoSlot, 0);
+check('Tokyo date', tokyoBoundaries[0].secondary[2].dayBoundary.plainDate.toString(), '2025-06-11');
+check('Tokyo a day ahead from then', team.hours[11].secondary[2].dayOffset, 1);
+check('Same day before', team.hours[10].secondary[2].dayOffset, 0);
+
+const kolkataBoundary = team.hours.find(slot => slot.secondary[1].dayBoundary);
+check('Kolkata changes date within the 14:00 slot', kolkataBoundary.hour, 14);
+check('Half an hour into the slot', kolkataBoundary.secondary[1].dayBoundary.minutesIntoSlot, 30);
+check(
+    'Kolkata still on the same date at the slot start',
+    kolkataBoundary.secondary[1].dayOffset,
+    0
+);
+
+// Test 3: Days DST starts or ends
+console.log('\n=== Test 3: DST-length days ===');
+const spring = dayView('America/New_York', new Date(2025, 2, 9), ['Europe/London']);
+check('23 slots when clocks go forward', spring.hours.length, 23);
+check('02:00 skipped', hoursOf(spring.hours.slice(0, 4)), '0,1,3,4');
+check('Slot ends where the next begins', spring.hours[1].zonedEnd.hour, 3);
+check('London keeps counting hours', spring.hours[2].secondary[0].hour, 7);
+
+const fall = dayView('America/New_York', new Date(2025, 10, 2));
+check('25 slots when clocks go back', fall.hours.length, 25);
+check('01:00 twice', hoursOf(fall.hours.slice(0, 4)), '0,1,1,2');
+check(
+    'The two 01:00 slots differ in offset',
+    `${fall.hours[1].zonedStart.offset} ${fall.hours[2].zonedStart.offset}`,
+    '-04:00 -05:00'
+);
+
+const londonChange = dayView('America/New_York', new Date(2025, 2, 29), ['Europe/London']);
+check('Primary day unaffected', londonChange.hours.length, 24);
+check(
+    'Secondary labels jump when the secondary timezone changes',
+    `${londonChange.hours[20].secondary[0].hour},${londonChange.hours[21].secondary[0].hour}`,
+    '0,2'
+);
+
+const lordHowe = dayView('Australia/Lord_Howe', new Date(2025, 9, 5));
+const halfHour = lordHowe.hours[2];
+check('Half-hour change starts a slot', `${halfHour.hour}:${halfHour.zonedStart.minute}`, '2:30');
+check(
+    'Which lasts half an hour',
+    (halfHour.zonedEnd.epochMilliseconds - halfHour.zonedStart.epochMilliseconds) / 60000,
+    30
+);
+
+// Test 4: Events are placed by instant
+console.log('\n=== Test 4: Events ===');
+const calendar = new Calendar({
+    timeZone: 'America/New_York',
+    view: 'day',
+    date: new Date(2025, 5, 10)
+});
+calendar.addEvent({
+    id: 'standup',
+    title: 'Standup',
+    start: new Date(2025, 5, 10, 9, 0),
+    end: new Date(2025, 5, 10, 10, 30)
+});
+calendar.addEvent({
+    id: 'london',
+    title: 'London review',
+    start: new Date(2025, 5, 10, 15, 0),
+    end: new Date(2025, 5, 10, 16, 0),
+    timeZone: 'Europe/London'
+});
+const slots = calendar.getViewData().hours;
+const idsAt = hour =>
+    slots[hour].events
+        .map(event => event.id)
+        .sort()
+        .join();
+check('Starting slot', idsAt(9), 'standup');
+check('Overlapped slot', idsAt(10), 'london,standup');
+check('Ended', idsAt(11), '');
+
+// Test 5: Changing the secondary timezones
+console.log('\n=== Test 5: setSecondaryTimezones ===');
+let changed = null;
+calendar.on('secondaryTimezonesChange', data => {
+    changed = data;
+});
+calendar.setSecondaryTimezones(['Asia/Singapore', 'PST']);
+check('Stored', calendar.getSecondaryTimezones().join(), 'Asia/Singapore,America/Los_Angeles');
+check('Event emitted', changed.timezones.length, 2);
+check('Previous list', changed.previousTimezones.length, 0);
+check('State updated', calendar.state.get('secondaryTimeZones')[0], 'Asia/Singapore');
+
+calendar.setView('week', new Date(2025, 2, 9));
+const week = calendar.getViewData();
+check('Week view lists them', week.secondaryTimeZones.join(), 'Asia/Singapore,America/Los_Angeles');
+check('Week days have hour slots', week.days[1].hours.length, 24);
+check('Including DST-length days', week.days[0].hours.length, 23);
+check('With secondary labels', week.days[1].hours[9].secondary[0].hour, 21);
+
+const weekView = date =>
+    new Calendar({ timeZone: 'America/New_York', view: 'week', date }).getViewData();
+check('No hour slots for a plain week', weekView(new Date(2025, 5, 10)).days[0].hours, null);
+check(
+    'Built when DST changes in the week',
+    weekView(new Date(2025, 10, 2)).days[0].hours.length,
+    25
+);
+
+exitOnFailures('secondary timezone');
+
+console.log('\n✅ Secondary timezone test complete!');
+process.exit(0);
@@ -0,0 +1,201 @@
+/**
+ * Test editing recurring events for one occurrence, this and following
+ * occurrences, or the whole series, with undo and redo
+ */
+
+import { Calendar } from '../../core/calendar/Calendar.js';
+import { check, exitOnFailures } from '../helpers/check.js';
+
+console.log('Testing series edits...\n');
+
+const rangeStart = new Date(2025, 1, 1);
+const rangeEnd = new Date(2025, 3, 30);
+const calendar = new Calendar({ timeZone: 'Europe/Paris' });
+
+const occurrences = () => calendar.getEventsInRange(rangeStart, rangeEnd);
+const on = (month, day) =>
+    occurrences().find(o => o.start.getMonth() === month && o.start.getDate() === day);
+
+calendar.addEvent({
+    id: 'sync',
+    title: 'Weekly sync',
+    start: new Date(2025, 1, 3, 10, 0),
+    end: new Date(2025, 1, 3, 11, 0),
+    recurring: true,
+    recurrenceRule: 'FREQ=WEEKLY;BYDAY=MO'
+});
+calendar.modifyOccurrence('sync', new Date(2025, 1, 17, 10, 0), {
+    title: 'Special sync',
+    location: 'Room B'
+});
+calendar.cancelOccurrence('sync', new Date(2025, 2, 3, 10, 0), 'Holiday');
+
+// Test 1: This occurrence only
+console.log('=== Test 1: This occurrence ===');
+calendar.editRecurringEvent(
+    'sync',
+    new Date(2025, 1, 10, 10, 0),
+    { title: 'Moved sync', start: new Date(2025, 1, 10, 15, 0), end: new Date(2025, 1, 10, 16, 0) },
+    'this'
+);
+calendar.editRecurringEvent('sync', new Date(2025, 1, 10, 15, 0), { location: 'Room C' }, 'this');
+check('Occurrence moved', on(1, 10).start.getHours(), 15);
+check('Earlier changes kept', on(1, 10).title, 'Moved sync');
+check('New change merged', on(1, 10).location, 'Room C');
+check('Other occurrences unchanged', on(1, 24).start.getHours(), 10);
+
+let error = null;
+try {
+    calendar.editRecurringEvent(
+        'sync',
+        new Date(2025, 1, 24, 10, 0),
+        { recurrenceRule: 'FREQ=DAILY' },
+        'this'
+    );
+} catch (e) {
+    error = e.message;
+}
+check(
+    'Series fields rejected for one occurrence',
+    error,
+    'Cannot change recurrenceRule of a single occurrence'
+);
+
+// Test 2: The whole series
+console.log('\n=== Test 2: All occurrences ===');
+calendar.editRecurringEvent(
+    'sync',
+    new Date(2025, 1, 24, 10, 0),
+    { title: 'Team sync', start: new Date(2025, 1, 24, 11, 0), end: new Date(2025, 1, 24, 12, 0) },
+    'all'
+);
+check('Series moved', calendar.getEvent('sync').start.getHours(), 11);
+check('Occurrences moved', on(1, 24).start.getHours(), 11);
+check('Series title changed', on(1, 3).title, 'Team sync');
+check('Colliding override replaced', on(1, 17).title, 'Team sync');
+check('Other override kept', on(1, 17).location, 'Room B');
+check('Moved occurrence follows the series', on(1, 10).start.getHours(), 11);
+check('Its location override kept', on(1, 10).location, 'Room C');
+check('Cancelled occurrence stays cancelled', on(2, 3), undefined);
+
+// Test 3: Undo and redo
+console.log('\n=== Test 3: Undo and redo ===');
+check('Edit can be undone', calendar.canUndoEdit(), true);
+calendar.undoEdit();
+check('Undo restores the series time', on(1, 24).start.getHours(), 10);
+check('Undo restores the override', on(1, 17).title, 'Special sync');
+check('Edit can be redone', calendar.canRedoEdit(), true);
+calendar.redoEdit();
+check('Redo applies the edit again', on(1, 24).start.getHours(), 11);
+check('Nothing left to redo', calendar.canRedoEdit(), false);
+
+// Test 4: This and following occurrences
+console.log('\n=== Test 4: This and following ===');
+let batches = 0;
+const unsubscribe = calendar.eventStore.subscribe(change => {
+    if (change.type === 'batch') batches++;
+});
+const following = calendar.editRecurringEvent(
+    'sync',
+    new Date(2025, 2, 17, 11, 0),
+    { title: 'New format', location: 'Hall' },
+    'following'
+);
+unsubscribe();
+check('Listeners notified once', batches, 1);
+check('New series starts at the occurrence', following.start.getDate(), 17);
+check(
+    'New series named after the split instant',
+    following.id,
+    `sync_${Date.UTC(2025, 2, 17, 10, 0)}`
+);
+check('New series keeps the rule', following.recurrenceRule, 'FREQ=WEEKLY;BYDAY=MO');
+check(
+    'Original series truncated',
+    calendar.getEvent('sync').recurrenceRule,
+    'FREQ=WEEKLY;BYDAY=MO;UNTIL=20250317T095959Z'
+);
+check('Earlier occurrences unchanged', on(2, 10).title, 'Team sync');
+check('Following occurrences changed', on(2, 24).title, 'New format');
+check('Split occurrence changed', on(2, 17).location, 'Hall');
+check('One occurrence per week', occurrences().filter(o => o.start.getMonth() === 2).length, 4);
+check('Exceptions before the split stay', calendar.getEvent('sync').modifiedInstances.length, 3);
+
+calendar.undoEdit();
+check('Undo removes the new series', calendar.getEvent(following.id), null);
+check('Undo restores the rule', calendar.getEvent('sync').recurrenceRule, 'FREQ=WEEKLY;BYDAY=MO');
+check('Undo restores later occurrences', on(2, 24).title, 'Team sync');
+
+// Test 5: COUNT is shared by the two halves of a split series
+console.log('\n=== Test 5: Split with COUNT ===');
+calendar.addEvent({
+    id: 'course',
+    title: 'Course',
+    start: new Date(2025, 3, 1, 9, 0),
+    end: new Date(2025, 3, 1, 10, 0),
+    recurring: true,
+    recurrenceRule: 'FREQ=DAILY;COUNT=10',
+    excludeDates: [new Date(2025, 3, 2, 9, 0), new Date(2025, 3, 8, 9, 0)]
+});
+const rest = calendar.editRecurringEvent(
+    'course',
+    new Date(2025, 3, 4, 9, 0),
+    { start: new Date(2025, 3, 4, 14, 0), end: new Date(2025, 3, 4, 15, 0) },
+    'following'
+);
+const course = occurrences().filter(o => o.title === 'Course');
+check('Remaining count carried over', rest.recurrenceRule, 'FREQ=DAILY;COUNT=7');
+check(
+    'Occurrences across both series',
+    course.map(o => o.start.getDate()).join(','),
+    '1,3,4,5,6,7,9,10'
+);
+check('Later occurrences moved', course[2].start.getHours(), 14);
+check('Earlier occurrences kept', course[1].start.getHours(), 9);
+check('Exclusion moves with the new series', rest.excludeDates[0].getHours(), 14);
+
+// Test 6: Failed edits leave nothing behind
+console.log('\n=== Test 6: Errors ===');
+const undoCount = calendar.editHistory.undo.length;
+error = null;
+try {
+    calendar.editRecurringEvent('course', new Date(2025, 3, 1, 9, 0), { title: 'x' }, 'some');
+} catch (e) {
+    error = e.message;
+}
+check(
+    'Unknown scope rejected',
+    error,
+    'Invalid edit scope: some. Must be one of: this, following, all'
+);
+check('Nothing recorded for undo', calendar.editHistory.undo.length, undoCount);
+check('Store left out of batch mode', calendar.eventStore.isBatchMode, false);
+
+// Test 7: Undo keeps later edits to other fields
+console.log('\n=== Test 7: Undo after later edits ===');
+calendar.addEvent({
+    id: 'standup',
+    title: 'Standup',
+    start: new Date(2025, 3, 1, 9, 30),
+    end: new Date(2025, 3, 1, 9, 45),
+    recurring: true,
+    recurrenceRule: 'FREQ=DAILY'
+});
+calendar.editRecurringEvent(
+    'standup',
+    new Date(2025, 3, 2, 9, 30),
+    { title: 'Daily standup' },
+    'all'
+);
+calendar.updateEvent('standup', { location: 'Room D' });
+calendar.undoEdit();
+check('Undo restores the edited field', calendar.getEvent('standup').title, 'Standup');
+check('Undo keeps the later edit', calendar.getEvent('standup').location, 'Room D');
+calendar.redoEdit();
+check('Redo applies the edited field', calendar.getEvent('standup').title, 'Daily standup');
+check('Redo keeps the later edit', calendar.getEvent('standup').location, 'Room D');
+
+exitOnFailures('series edit');
+
+console.log('\n✅ Series edit test complete!');
+process.exit(0);
@@ -0,0 +1,165 @@
+/**
+ * Test the offset transition API on TimezoneManager and the code that
+ * relies on it: isDST, DateUtils.isDST and RecurrenceEngineV2
+ */
+
+import { TimezoneManager } from '../../core/timezone/TimezoneManager.js';
+import { TransitionTable } from '../../core/timezone/TransitionTable.js';
+import { TZDATA } from '../../core/timezone/tzdata.js';
+import { DateUtils } from '../../core/calendar/DateUtils.js';
+import { RecurrenceEngineV2 } from '../../core/events/RecurrenceEngineV2.js';
+import { check, exitOnFailures } from '../helpers/check.js';
+
+console.log('Testing timezone transitions...\n');
+
+function errorOf(fn) {
+    try {
+        fn();
+        return null;
+    } catch (e) {
+        return e.message;
+    }
+}
+
+const manager = TimezoneManager.getInstance();
+const at = (...fields) => new Date(Date.UTC(...fields));
+const year = (timezone, value) =>
+    manager.getTransitions(timezone, at(value, 0, 1), at(value + 1, 0, 1));
+const describe = transition =>
+    `${transition.date.toISOString()} ${transition.oldOffset}->${transition.newOffset} ${transition.abbreviation}`;
+
+// Found through Intl until the tzdata is loaded
+const dates = transitions => transitions.map(transition => transition.date.toISOString()).join();
+const scanned = year('America/New_York', 2025);
+const scannedAtStart = manager.getTransitions('America/New_York', scanned[0].date, at(2025, 3, 1));
+// Before 2007 the US changed clocks in April and October
+const scanned2006 = year('America/New_York', 2006);
+const intlDST = {
+    afterApril2006: manager.isDST(at(2006, 3, 3, 12), 'America/New_York'),
+    lateOctober2006: manager.isDST(at(2006, 9, 31, 12), 'America/New_York'),
+    offsetLateOctober2006: manager.getTimezoneOffset(at(2006, 9, 31, 12), 'America/New_York'),
+    dateUtilsAfterApril2006: DateUtils.isDST(at(2006, 3, 3, 12), 'America/New_York'),
+    southernSummer: manager.isDST(at(2025, 0, 15), 'Australia/Sydney'),
+    never: manager.isDST(at(2025, 6, 1), 'Asia/Tokyo')
+};
+TimezoneManager.loadTzdata(TZDATA);
+
+// Test 1: A year of DST changes
+console.log('=== Test 1: Transitions ===');
+const newYork = year('America/New_York', 2025);
+check('Same instants through Intl', dates(scanned), dates(newYork));
+check('Start is inclusive through Intl', scannedAtStart.length, 1);
+check('Two changes in 2025', newYork.length, 2);
+check('Spring forward', describe(newYork[0]), '2025-03-09T07:00:00.000Z 300->240 EDT');
+check('Type', newYork[0].type, 'spring-forward');
+check('DST from then on', newYork[0].isDST, true);
+check('Fall back', describe(newYork[1]), '2025-11-02T06:00:00.000Z 240->300 EST');
+check('Standard time from then on', newYork[1].isDST, false);
+check('Aliases', year('US/Eastern', 2025).map(describe).join(), newYork.map(describe).join());
+check('No DST', year('Asia/Tokyo', 2025).length, 0);
+check(
+    'Start is inclusive',
+    manager.getTransitions('America/New_York', newYork[0].date, at(2025, 3, 1)).length,
+    1
+);
+check(
+    'End is exclusive',
+    manager.getTransitions('America/New_York', at(2025, 2, 1), newYork[0].date).length,
+    0
+);
+check(
+    'Unknown zone',
+    errorOf(() => year('Mars/Olympus', 2025)),
+    'Unknown timezone: Mars/Olympus'
+);
+
+// Test 2: History and the far future
+console.log('\n=== Test 2: Tzdata ===');
+check(
+    'Old US rule',
+    describe(year('America/New_York', 2005)[0]),
+    '2005-04-03T07:00:00.000Z 300->240 EDT'
+);
+check(
+    'Samoa skips a day',
+    describe(year('Pacific/Apia', 2011)[2]),
+    '2011-12-30T10:00:00.000Z 600->-840 +14'
+);
+check(
+    'Half-hour DST',
+    describe(year('Australia/Lord_Howe', 2025)[0]),
+    '2025-04-05T15:00:00.000Z -660->-630 +1030'
+);
+check('Southern hemisphere order', year('Australia/Sydney', 2025)[0].type, 'fall-back');
+check(
+    'From the POSIX rule',
+    describe(year('Europe/Paris', 2040)[0]),
+    '2040-03-25T01:00:00.000Z -60->-120 CEST'
+);
+check(
+    'Moscow abolishes DST',
+    describe(year('Europe/Moscow', 2014)[0]),
+    '2014-10-25T22:00:00.000Z -240->-180 MSK'
+);
+check(
+    'Same as the table',
+    new TransitionTable(TZDATA).getTransitions('Europe/Paris', at(2025, 0, 1), at(2026, 0, 1))[0].to
+        .abbreviation,
+    'CEST'
+);
+
+// Test 3: isDST
+console.log('\n=== Test 3: isDST ===');
+check('Summer', manager.isDST(at(2025, 6, 1), 'America/New_York'), true);
+check('Winter', manager.isDST(at(2025, 0, 15), 'America/New_York'), false);
+check('Southern summer', manager.isDST(at(2025, 0, 15), 'Australia/Sydney'), true);
+check('Negative DST in winter', manager.isDST(at(2025, 0, 15), 'Europe/Dublin'), true);
+check('Never', manager.isDST(at(2025, 6, 1), 'Asia/Tokyo'), false);
+check('DateUtils in winter', DateUtils.isDST(at(2025, 0, 15), 'America/New_York'), false);
+check('DateUtils in summer', DateUtils.isDST(at(2025, 6, 1), 'America/New_York'), true);
+
+// Test 4: isDST and transitions through Intl, before the tzdata was loaded
+console.log('\n=== Test 4: Without tzdata ===');
+check('2006 spring forward', scanned2006[0].date.toISOString(), '2006-04-02T07:00:00.000Z');
+check('2006 fall back', scanned2006[1].date.toISOString(), '2006-10-29T06:00:00.000Z');
+check('Abbreviation after spring forward', scanned2006[0].abbreviation, 'EDT');
+check('Abbreviation after fall back', scanned2006[1].abbreviation, 'EST');
+check('DST after spring forward', scanned2006[0].isDST, true);
+check('Standard time after fall back', scanned2006[1].isDST, false);
+check('DST after the April 2006 change', intlDST.afterApril2006, true);
+check('Standard time in late October 2006', intlDST.lateOctober2006, false);
+check('Offset agrees in late October 2006', intlDST.offsetLateOctober2006, 300);
+check('DateUtils agrees', intlDST.dateUtilsAfterApril2006, true);
+check('Southern summer through Intl', intlDST.southernSummer, true);
+check('Never through Intl', intlDST.never, false);
+
+// Test 5: Recurrence uses the same transitions
+console.log('\n=== Test 5: Recurrence ===');
+const engine = new RecurrenceEngineV2();
+check(
+    'Engine transitions',
+    engine
+        .findDSTTransitions(at(2025, 0, 1), at(2026, 0, 1), 'Europe/Paris')
+        .map(describe)
+        .join(),
+    year('Europe/Paris', 2025).map(describe).join()
+);
+const gap = engine.resolveWallTime(
+    new Date(2025, 2, 30, 2, 30),
+    'Europe/Paris',
+    year('Europe/Paris', 2025)
+);
+check('Skipped time found', gap.nonexistent, true);
+check('Moved past the gap', gap.wall.getHours(), 3);
+const overlap = engine.resolveWallTime(
+    new Date(2025, 9, 26, 2, 30),
+    'Europe/Paris',
+    year('Europe/Paris', 2025)
+);
+check('Repeated time found', overlap.ambiguous, true);
+check('First instance', overlap.utc.toISOString(), '2025-10-26T00:30:00.000Z');
+
+exitOnFailures('transition');
+
+console.log('\n✅ Timezone transitions test complete!');
+process.exit(0);
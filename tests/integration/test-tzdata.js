@@ -0,0 +1,105 @@
+/**
+ * Test the compiled IANA tzdata transition table and its use by
+ * TimezoneManager when Intl has no timezone support
+ */
+
+import { TimezoneManager } from '../../core/timezone/TimezoneManager.js';
+import { TransitionTable } from '../../core/timezone/TransitionTable.js';
+import { TZDATA } from '../../core/timezone/tzdata.js';
+import { Event } from '../../core/events/Event.js';
+import { check, exitOnFailures } from '../helpers/check.js';
+
+console.log('Testing compiled tzdata...\n');
+
+const table = new TransitionTable(TZDATA);
+const at = (...fields) => new Date(Date.UTC(...fields));
+
+// Test 1: Version stamp and contents
+console.log('=== Test 1: Table ===');
+check('Version stamp', /^\d{4}[a-z]$/.test(TZDATA.version), true);
+check('Not loaded until asked for', TimezoneManager.getInstance().getTzdataVersion(), null);
+TimezoneManager.loadTzdata(TZDATA);
+check(
+    'Version exposed by the manager',
+    TimezoneManager.getInstance().getTzdataVersion(),
+    TZDATA.version
+);
+check('Canonical zones included', table.has('America/Argentina/Buenos_Aires'), true);
+check('Links resolved', table.resolve('US/Eastern'), 'America/New_York');
+check('Unknown zones', table.getOffset('Mars/Olympus', 0), null);
+
+// Test 2: Historical rules
+console.log('\n=== Test 2: History ===');
+check('US rule before 2007', table.getOffset('America/New_York', at(2005, 2, 20, 12)), -300);
+check('Old April start', table.getOffset('America/New_York', at(2005, 3, 3, 7)), -240);
+check('US rule from 2007', table.getOffset('America/New_York', at(2007, 2, 20, 12)), -240);
+check('Moscow permanent summer time', table.getOffset('Europe/Moscow', at(2012, 0, 1)), 240);
+check('Moscow back to +3', table.getOffset('Europe/Moscow', at(2015, 0, 1)), 180);
+check('Cairo without DST', table.getOffset('Africa/Cairo', at(2018, 6, 1)), 120);
+check('Cairo with DST again', table.getOffset('Africa/Cairo', at(2024, 6, 1)), 180);
+check('Sao Paulo DST until 2019', table.getOffset('America/Sao_Paulo', at(2018, 11, 1)), -120);
+check('No Sao Paulo DST since', table.getOffset('America/Sao_Paulo', at(2020, 11, 1)), -180);
+check('Samoa before the date line move', table.getOffset('Pacific/Apia', at(2011, 11, 29)), -600);
+check('Samoa after the date line move', table.getOffset('Pacific/Apia', at(2011, 11, 31)), 840);
+check('Half-hour zones', table.getOffset('Asia/Kolkata', at(1990, 5, 1)), 330);
+
+// Test 3: Future dates from the POSIX rule
+console.log('\n=== Test 3: Rules ===');
+check(
+    'Just before a future change',
+    table.getOffset('America/New_York', at(2040, 2, 11, 6, 59, 59)),
+    -300
+);
+check('At a future change', table.getOffset('America/New_York', at(2040, 2, 11, 7)), -240);
+check('Half-hour DST', table.getOffset('Australia/Lord_Howe', at(2040, 0, 1)), 660);
+check('Southern winter', table.getOffset('Australia/Lord_Howe', at(2040, 6, 1)), 630);
+check('Negative DST in winter', table.getOffset('Europe/Dublin', at(2040, 0, 1)), 0);
+check('Negative DST in summer', table.getOffset('Europe/Dublin', at(2040, 6, 1)), 60);
+check('Change at 24:00', table.getOffset('Africa/Cairo', at(2040, 9, 25, 20, 59)), 180);
+
+const rule = TransitionTable.parsePosixRule('<+0330>-3:30');
+check('Quoted names and minutes', rule.std, 12600);
+check('No DST', rule.dst, null);
+const jerusalem = TransitionTable.parsePosixRule('IST-2IDT,M3.4.4/26,M10.5.0');
+check('Hours past midnight', jerusalem.start.time, 26 * 3600);
+check('Default DST offset', jerusalem.dst, 3 * 3600);
+check(
+    'Julian days',
+    TransitionTable.getRuleOffset(
+        TransitionTable.parsePosixRule('XST3XDT,J60,J300'),
+        Date.UTC(2024, 2, 2)
+    ),
+    -7200
+);
+
+// Test 4: TimezoneManager without Intl timezone support
+console.log('\n=== Test 4: TimezoneManager ===');
+const manager = TimezoneManager.getInstance();
+const wall = new Date(2005, 2, 20, 9, 0);
+const withIntl = manager.toUTC(wall, 'America/Los_Angeles').toISOString();
+manager.clearCache();
+manager.useIntl = false;
+check(
+    'Same instant from tzdata',
+    manager.toUTC(wall, 'America/Los_Angeles').toISOString(),
+    withIntl
+);
+check('Pre-2007 offset', manager.getTimezoneOffset(at(2005, 2, 20, 12), 'America/Chicago'), 360);
+check('Aliases resolved', manager.getTimezoneOffset(at(2024, 6, 1), 'US/Pacific'), 420);
+check('Wall time back', manager.fromUTC(at(2024, 6, 1, 12), 'Asia/Kathmandu').getMinutes(), 45);
+
+const event = new Event({
+    id: 'history',
+    title: 'History',
+    start: new Date(1999, 9, 30, 12),
+    end: new Date(1999, 9, 30, 13),
+    timeZone: 'Europe/London'
+});
+check('Events use tzdata offsets', event.startUTC.toISOString(), '1999-10-30T11:00:00.000Z');
+manager.useIntl = true;
+manager.clearCache();
+
+exitOnFailures('tzdata');
+
+console.log('\n✅ tzdata test complete!');
+process.exit(0);
@@ -0,0 +1,309 @@
+/**
+ * Test the ZonedDateTime and PlainDate value types and their use by
+ * Event, DateUtils and the calendar views
+ */
+
+import { Calendar } from '../../core/calendar/Calendar.js';
+import { Event } from '../../core/events/Event.js';
+import { Task } from '../../core/events/Task.js';
+import { DateUtils } from '../../core/calendar/DateUtils.js';
+import { ZonedDateTime } from '../../core/timezone/ZonedDateTime.js';
+import { PlainDate } from '../../core/timezone/PlainDate.js';
+import { check, exitOnFailures } from '../helpers/check.js';
+
+console.log('Testing ZonedDateTime and PlainDate...\n');
+
+function errorOf(fn) {
+    try {
+        fn();
+        return null;
+    } catch (e) {
+        return e.message;
+    }
+}
+
+// Test 1: Fields, offset and instant stay consistent
+console.log('=== Test 1: ZonedDateTime ===');
+const paris = ZonedDateTime.from({
+    year: 2025,
+    month: 3,
+    day: 29,
+    hour: 10,
+    timeZone: 'Europe/Paris'
+});
+check('String form', paris.toString(), '2025-03-29T10:00:00+01:00[Europe/Paris]');
+check('Real instant', paris.toInstant().toISOString(), '2025-03-29T09:00:00.000Z');
+check('Offset in minutes', paris.offsetMinutes, 60);
+check('Day of week', paris.dayOfWeek, 6);
+check('Frozen', Object.isFrozen(paris), true);
+check(
+    'Same instant elsewhere',
+    paris.withTimeZone('America/New_York').toString(),
+    '2025-03-29T05:00:00-04:00[America/New_York]'
+);
+check(
+    'Half-hour offsets',
+    paris.withTimeZone('Asia/Kolkata').toString(),
+    '2025-03-29T14:30:00+05:30[Asia/Kolkata]'
+);
+check(
+    'Parsed with offset and zone',
+    ZonedDateTime.from('2025-03-30T10:00+02:00[Europe/Paris]').equals(
+        ZonedDateTime.from({ year: 2025, month: 3, day: 30, hour: 10, timeZone: 'Europe/Paris' })
+    ),
+    true
+);
+check(
+    'Parsed as wall-clock time',
+    ZonedDateTime.from('2025-07-01T09:30', 'America/Chicago').toString(),
+    '2025-07-01T09:30:00-05:00[America/Chicago]'
+);
+check(
+    'Milliseconds kept',
+    ZonedDateTime.from('2025-01-01T00:00:05.25Z').toString(),
+    '2025-01-01T00:00:05.250+00:00[UTC]'
+);
+check(
+    'Localized in its zone',
+    paris.toLocaleString('en-US', { hour: 'numeric', minute: '2-digit' }),
+    '10:00 AM'
+);
+
+// Test 2: Arithmetic across a DST change
+console.log('\n=== Test 2: Arithmetic ===');
+check(
+    'Adding a day keeps the wall time',
+    paris.add({ days: 1 }).toString(),
+    '2025-03-30T10:00:00+02:00[Europe/Paris]'
+);
+check(
+    'Adding 24 hours is elapsed time',
+    paris.add({ hours: 24 }).toString(),
+    '2025-03-30T11:00:00+02:00[Europe/Paris]'
+);
+check(
+    'Months clamp to the month end',
+    ZonedDateTime.from({ year: 2025, month: 1, day: 31, timeZone: 'UTC' })
+        .add({ months: 1 })
+        .toPlainDate()
+        .toString(),
+    '2025-02-28'
+);
+check('Start of day', paris.startOfDay().toString(), '2025-03-29T00:00:00+01:00[Europe/Paris]');
+check('Replace fields', paris.with({ hour: 15 }).hour, 15);
+check('Compare by instant', ZonedDateTime.compare(paris, paris.withTimeZone('Asia/Tokyo')), 0);
+check('Equality needs the same zone', paris.equals(paris.withTimeZone('Asia/Tokyo')), false);
+check(
+    'Relational operators refused',
+    errorOf(() => paris < paris.add({ days: 1 })),
+    'Use ZonedDateTime.compare() or equals() to compare date-times'
+);
+check(
+    'Invalid zone rejected',
+    errorOf(() => ZonedDateTime.fromInstant(0, 'Mars/Olympus')),
+    'Invalid timezone: Mars/Olympus'
+);
+
+// Test 3: PlainDate
+console.log('\n=== Test 3: PlainDate ===');
+const leapDay = PlainDate.from('2024-02-29');
+check('String form', leapDay.toString(), '2024-02-29');
+check('Day of week', leapDay.dayOfWeek, 4);
+check('Next year clamps', leapDay.add({ years: 1 }).toString(), '2025-02-28');
+check('Weeks and days', leapDay.add({ weeks: 1, days: 1 }).toString(), '2024-03-08');
+check('Days between', leapDay.until('2024-03-31'), 31);
+check('Compare', PlainDate.compare('2024-12-31', leapDay), 1);
+check(
+    'Nonexistent date rejected',
+    errorOf(() => PlainDate.from('2025-02-29')),
+    'Invalid date: 2025-2-29'
+);
+check(
+    'Start of day in a zone',
+    leapDay.toZonedDateTime('America/Sao_Paulo').toString(),
+    '2024-02-29T00:00:00-03:00[America/Sao_Paulo]'
+);
+check('Serialized as a string', JSON.stringify({ day: leapDay }), '{"day":"2024-02-29"}');
+
+// Test 4: DateUtils
+console.log('\n=== Test 4: DateUtils ===');
+const instant = new Date(Date.UTC(2025, 5, 15, 12, 0));
+const tokyo = DateUtils.toZonedDateTime(instant, 'Asia/Tokyo');
+check('Instant is not shifted', tokyo.epochMilliseconds, instant.getTime());
+check('Fields are Tokyo time', tokyo.hour, 21);
+check('Same fields as toTimeZone', DateUtils.toTimeZone(instant, 'Asia/Tokyo').getHours(), 21);
+check(
+    'Plain date of a wall date',
+    DateUtils.toPlainDate(new Date(2025, 5, 15, 23)).toString(),
+    '2025-06-15'
+);
+
+// Test 5: Event accepts and exposes zoned values
+console.log('\n=== Test 5: Event ===');
+const flight = new Event({
+    id: 'flight',
+    title: 'Flight',
+    start: ZonedDateTime.from('2025-06-01T10:00', 'Europe/London'),
+    end: ZonedDateTime.from('2025-06-01T13:00', 'America/New_York')
+});
+check('Timezone taken from the start', flight.timeZone, 'Europe/London');
+check('End timezone taken from the end', flight.endTimeZone, 'America/New_York');
+check('Wall-clock start kept for Date callers', flight.start.getHours(), 10);
+check('Wall-clock end kept for Date callers', flight.end.getHours(), 13);
+check('Duration uses the instants', flight.durationHours, 8);
+check('Zoned start', flight.zonedStart.toString(), '2025-06-01T10:00:00+01:00[Europe/London]');
+check('Zoned end', flight.zonedEnd.toString(), '2025-06-01T13:00:00-04:00[America/New_York]');
+
+const meeting = new Event({
+    id: 'meeting',
+    title: 'Meeting',
+    start: ZonedDateTime.from('2025-06-01T16:00:00Z'),
+    end: ZonedDateTime.from('2025-06-01T17:00:00Z'),
+    timeZone: 'America/Los_Angeles'
+});
+check('Converted to the event timezone', meeting.start.getHours(), 9);
+check('No separate end timezone', meeting.endTimeZone, 'America/Los_Angeles');
+
+meeting.updateTimes(
+    ZonedDateTime.from('2025-06-02T11:00', 'America/New_York'),
+    ZonedDateTime.from('2025-06-02T12:00', 'America/New_York')
+);
+check('Updated with zoned values', meeting.start.getHours(), 8);
+check('Instant matches', meeting.startUTC.toISOString(), '2025-06-02T15:00:00.000Z');
+
+const holiday = new Event({
+    id: 'holiday',
+    title: 'Holiday',
+    start: PlainDate.from('2025-07-04'),
+    allDay: true,
+    timeZone: 'America/New_York'
+});
+check('Plain date start', holiday.start.getDate(), 4);
+check('All-day end on the same day', holiday.zonedEnd.toPlainDate().toString(), '2025-07-04');
+
+// Test 6: Calendar view data
+console.log('\n=== Test 6: View data ===');
+const calendar = new Calendar({
+    timeZone: 'Europe/Paris',
+    view: 'day',
+    date: new Date(2025, 2, 30)
+});
+calendar.addEvent({
+    id: 'zoned',
+    title: 'Zoned',
+    start: ZonedDateTime.from('2025-03-30T09:00', 'Asia/Tokyo'),
+    end: ZonedDateTime.from('2025-03-30T10:00', 'Asia/Tokyo')
+});
+check('Event keeps the zoned start timezone', calendar.getEvent('zoned').timeZone, 'Asia/Tokyo');
+
+const day = calendar.getViewData();
+check('Day view timezone', day.timeZone, 'Europe/Paris');
+check('Day view plain date', day.plainDate.toString(), '2025-03-30');
+check(
+    'Hour slots are zoned',
+    day.hours.find(slot => slot.hour === 9).zonedStart.toString(),
+    '2025-03-30T09:00:00+02:00[Europe/Paris]'
+);
+check('Hour slots before the DST change', day.hours[1].zonedStart.offset, '+01:00');
+
+calendar.setView('month', new Date(2025, 2, 1));
+const month = calendar.getViewData();
+check('Month days carry plain dates', month.weeks[1].days[0].plainDate.toString(), '2025-03-02');
+check('Month view timezone', month.timeZone, 'Europe/Paris');
+
+calendar.setView('week', new Date(2025, 2, 30));
+check(
+    'Week days carry plain dates',
+    calendar.getViewData().days[0].plainDate.toString(),
+    '2025-03-30'
+);
+
+// Test 7: Zoned values keep their exact instant
+console.log('\n=== Test 7: Exact instants ===');
+const repeated = new Event({
+    id: 'repeated',
+    title: 'Second 01:30',
+    start: ZonedDateTime.from('2024-11-03T01:30-05:00[America/New_York]'),
+    end: ZonedDateTime.from('2024-11-03T02:30-05:00[America/New_York]')
+});
+check(
+    'Repeated time keeps its offset',
+    repeated.startUTC.toISOString(),
+    '2024-11-03T06:30:00.000Z'
+);
+check('Duration across the repeated hour', repeated.durationHours, 1);
+
+repeated.updateTimes(
+    ZonedDateTime.from('2024-11-03T01:15-05:00[America/New_York]'),
+    ZonedDateTime.from('2024-11-03T01:45-05:00[America/New_York]')
+);
+check('Updated repeated time', repeated.startUTC.toISOString(), '2024-11-03T06:15:00.000Z');
+
+const repeatedTask = new Task({
+    id: 'repeated-task',
+    title: 'Due in the second 01:30',
+    due: ZonedDateTime.from('2024-11-03T01:30-05:00[America/New_York]')
+});
+check('Task due keeps its offset', repeatedTask.dueUTC.toISOString(), '2024-11-03T06:30:00.000Z');
+
+const updates = new Calendar({ timeZone: 'America/New_York' });
+updates.addEvent({
+    id: 'second-half-hour',
+    title: 'Second 01:30',
+    start: ZonedDateTime.from('2025-11-02T01:30-05:00[America/New_York]'),
+    end: ZonedDateTime.from('2025-11-02T02:00-05:00[America/New_York]')
+});
+updates.updateEvent('second-half-hour', { title: 'Renamed' });
+const renamed = updates.getEvent('second-half-hour');
+check('Title update keeps the instant', renamed.startUTC.toISOString(), '2025-11-02T06:30:00.000Z');
+check('Title update keeps the duration', renamed.durationMinutes, 30);
+check(
+    'Clone keeps the instant',
+    renamed.clone({ title: 'x' }).startUTC.toISOString(),
+    '2025-11-02T06:30:00.000Z'
+);
+check(
+    'Plain object keeps the instant',
+    Event.fromObject(renamed.toObject()).startUTC.toISOString(),
+    '2025-11-02T06:30:00.000Z'
+);
+check(
+    'Moving the start resolves it again',
+    renamed.clone({ start: new Date(2025, 10, 2, 1, 15) }).startUTC.toISOString(),
+    '2025-11-02T05:15:00.000Z'
+);
+
+// Times the host skips; Berlin has not changed its clocks yet
+process.env.TZ = 'America/New_York';
+const skippedByHost = new Event({
+    id: 'skipped-by-host',
+    title: 'Berlin 02:30',
+    start: ZonedDateTime.from('2024-03-10T02:30+01:00[Europe/Berlin]'),
+    end: ZonedDateTime.from('2024-03-10T03:30+01:00[Europe/Berlin]')
+});
+check(
+    'Instant kept on a host without that time',
+    skippedByHost.startUTC.toISOString(),
+    '2024-03-10T01:30:00.000Z'
+);
+check(
+    'Zoned start kept on that host',
+    skippedByHost.zonedStart.toString(),
+    '2024-03-10T02:30:00+01:00[Europe/Berlin]'
+);
+
+const skippedTask = new Task({
+    id: 'skipped-task',
+    title: 'Berlin 02:30',
+    start: ZonedDateTime.from('2024-03-10T02:30+01:00[Europe/Berlin]')
+});
+check(
+    'Task start kept on that host',
+    skippedTask.startUTC.toISOString(),
+    '2024-03-10T01:30:00.000Z'
+);
+
+exitOnFailures('ZonedDateTime');
+
+console.log('\n✅ ZonedDateTime test complete!');
+process.exit(0);